@@ -1,5 +1,5 @@
 
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 // Assume icon library like Font Awesome or a custom SVG component library is available
 // For this exercise, we'll use simple text/emoji or placeholder spans.
 
@@ -15,6 +15,7 @@ const ROLES = {
 const USER_PERMISSIONS = {
   [ROLES.ADMIN]: {
     canViewDashboard: true,
+    canViewInstitutionMetrics: true, // KPIs, charts and feeds covering every record
     canManageStudents: true,
     canManageAdmissions: true,
     canManageCourses: true,
@@ -22,10 +23,17 @@ const USER_PERMISSIONS = {
     canApprove: true,
     canViewAuditLogs: true,
     canExportData: true,
+    canGenerateTranscripts: true, // Official transcripts need the student's full academic record
     canBulkActions: true,
+    canManageDataSource: true, // Switch storage, load demo data, clear data
+    canManageUsers: true, // Create accounts, assign roles, reset passwords
+    canPublishViews: true, // Standard saved views shown to every user
+    canMergeStudents: true, // Review likely duplicate student records and merge them
+    canConfigureStudentIds: true, // Format of newly allocated student numbers
   },
   [ROLES.ADMISSION_OFFICER]: {
     canViewDashboard: true,
+    canViewInstitutionMetrics: true,
     canManageStudents: true, // Specifically admissions-related student records
     canManageAdmissions: true,
     canManageCourses: false,
@@ -33,20 +41,34 @@ const USER_PERMISSIONS = {
     canApprove: true, // For admissions
     canViewAuditLogs: true, // Admissions related
     canExportData: true,
+    canGenerateTranscripts: false,
     canBulkActions: true,
+    canManageDataSource: false,
+    canManageUsers: false,
+    canPublishViews: false,
+    canMergeStudents: false,
+    canConfigureStudentIds: false,
   },
   [ROLES.TEACHER]: {
     canViewDashboard: true, // For their courses/students
+    canViewInstitutionMetrics: false, // Their dashboard shows their own courses instead
     canManageStudents: true, // View student details, performance
     canManageCourses: true, // Manage their own courses
     canEditAll: true, // For grades, attendance in their courses
     canApprove: false,
     canViewAuditLogs: false,
     canExportData: true,
+    canGenerateTranscripts: false, // Only sees grades from their own courses
     canBulkActions: false,
+    canManageDataSource: false,
+    canManageUsers: false,
+    canPublishViews: false,
+    canMergeStudents: false,
+    canConfigureStudentIds: false,
   },
   [ROLES.STUDENT]: {
     canViewDashboard: true, // Personal dashboard
+    canViewInstitutionMetrics: false,
     canManageStudents: false, // View own record
     canManageAdmissions: false,
     canManageCourses: true, // View enrolled courses
@@ -54,10 +76,17 @@ const USER_PERMISSIONS = {
     canApprove: false,
     canViewAuditLogs: false,
     canExportData: false,
+    canGenerateTranscripts: false,
     canBulkActions: false,
+    canManageDataSource: false,
+    canManageUsers: false,
+    canPublishViews: false,
+    canMergeStudents: false,
+    canConfigureStudentIds: false,
   },
   [ROLES.ACADEMIC_COORDINATOR]: {
     canViewDashboard: true,
+    canViewInstitutionMetrics: true,
     canManageStudents: true,
     canManageAdmissions: true,
     canManageCourses: true,
@@ -65,7 +94,13 @@ const USER_PERMISSIONS = {
     canApprove: true, // Curriculum, course changes
     canViewAuditLogs: true,
     canExportData: true,
+    canGenerateTranscripts: true,
     canBulkActions: true,
+    canManageDataSource: false,
+    canManageUsers: false,
+    canPublishViews: false,
+    canMergeStudents: true,
+    canConfigureStudentIds: false,
   },
 };
 
@@ -80,6 +115,11 @@ const STATUS_COLORS_MAP = {
   ACTIVE: 'in-progress', // Course status
   GRADUATED: 'approved',
   DROPPED: 'rejected',
+  COMPLETED: 'approved', // Course status
+  ARCHIVED: 'exception', // Course status
+  WAITLISTED: 'pending', // Enrollment status
+  ADMITTED: 'approved', // Admission converted into a student record
+  INACTIVE: 'exception', // Deactivated user account
 };
 
 const SCREEN_MAP = {
@@ -88,26 +128,183 @@ const SCREEN_MAP = {
   STUDENT_DETAIL: 'STUDENT_DETAIL',
   ADMISSION_FORM: 'ADMISSION_FORM',
   COURSE_LIST: 'COURSE_LIST',
+  COURSE_DETAIL: 'COURSE_DETAIL',
+  COURSE_FORM: 'COURSE_FORM',
+  GRADEBOOK: 'GRADEBOOK',
+  ATTENDANCE: 'ATTENDANCE',
+  ADMISSION_LIST: 'ADMISSION_LIST',
+  ADMISSION_DETAIL: 'ADMISSION_DETAIL',
+  DATA_SOURCE: 'DATA_SOURCE',
+  USER_MANAGEMENT: 'USER_MANAGEMENT',
+  AUDIT_LOG: 'AUDIT_LOG',
+  STUDENT_IMPORT: 'STUDENT_IMPORT',
+  STUDENT_DUPLICATES: 'STUDENT_DUPLICATES',
+  STUDENT_MERGE: 'STUDENT_MERGE',
+  STUDENT_ID_SETTINGS: 'STUDENT_ID_SETTINGS',
+  SEARCH_RESULTS: 'SEARCH_RESULTS',
+  NOTIFICATION_SETTINGS: 'NOTIFICATION_SETTINGS',
   // ... potentially more screens
   NOT_FOUND: 'NOT_FOUND',
 };
 
+// Default percentage-to-letter mapping; each course keeps its own copy so teachers can adjust cutoffs
+const DEFAULT_GRADE_SCALE = [
+  { letter: 'A', min: 93, points: 4.0 },
+  { letter: 'A-', min: 90, points: 3.7 },
+  { letter: 'B+', min: 87, points: 3.3 },
+  { letter: 'B', min: 83, points: 3.0 },
+  { letter: 'B-', min: 80, points: 2.7 },
+  { letter: 'C+', min: 77, points: 2.3 },
+  { letter: 'C', min: 73, points: 2.0 },
+  { letter: 'C-', min: 70, points: 1.7 },
+  { letter: 'D+', min: 67, points: 1.3 },
+  { letter: 'D', min: 60, points: 1.0 },
+  { letter: 'F', min: 0, points: 0.0 },
+];
+
+// --- Routing ---
+// Each screen is reachable by a URL so records can be bookmarked and shared. Path segments starting
+// with ':' become screen params; `params` are fixed params the route implies (e.g. edit mode).
+// `parent` and `label` drive the breadcrumbs; a label returning null leaves that crumb out.
+const ROUTES = [
+  { screen: SCREEN_MAP.DASHBOARD, path: '/', label: () => 'Home' },
+  { screen: SCREEN_MAP.STUDENT_LIST, path: '/students', parent: SCREEN_MAP.DASHBOARD, label: () => 'Students' },
+  { screen: SCREEN_MAP.STUDENT_IMPORT, path: '/students/import', parent: SCREEN_MAP.STUDENT_LIST, label: () => 'Import Students' },
+  { screen: SCREEN_MAP.STUDENT_DUPLICATES, path: '/students/duplicates', parent: SCREEN_MAP.STUDENT_LIST, label: () => 'Duplicate Review' },
+  { screen: SCREEN_MAP.STUDENT_MERGE, path: '/students/duplicates/merge', parent: SCREEN_MAP.STUDENT_DUPLICATES, label: () => 'Merge Records' },
+  {
+    screen: SCREEN_MAP.STUDENT_DETAIL, path: '/students/:studentId', parent: SCREEN_MAP.STUDENT_LIST,
+    label: (params, data) => data.students.find(s => s.id === params.studentId)?.name || null,
+  },
+  { screen: SCREEN_MAP.ADMISSION_FORM, path: '/students/:studentId/edit', params: { mode: 'edit' }, parent: SCREEN_MAP.STUDENT_DETAIL, label: () => 'Edit Student' },
+  { screen: SCREEN_MAP.ADMISSION_FORM, path: '/admissions/new', parent: SCREEN_MAP.STUDENT_LIST, label: () => 'New Admission' },
+  { screen: SCREEN_MAP.COURSE_LIST, path: '/courses', parent: SCREEN_MAP.DASHBOARD, label: () => 'Courses' },
+  { screen: SCREEN_MAP.COURSE_FORM, path: '/courses/new', parent: SCREEN_MAP.COURSE_LIST, label: () => 'New Course' },
+  {
+    screen: SCREEN_MAP.COURSE_DETAIL, path: '/courses/:courseId', parent: SCREEN_MAP.COURSE_LIST,
+    label: (params, data) => data.courses.find(c => c.id === params.courseId)?.name || null,
+  },
+  { screen: SCREEN_MAP.COURSE_FORM, path: '/courses/:courseId/edit', params: { mode: 'edit' }, parent: SCREEN_MAP.COURSE_DETAIL, label: () => 'Edit Course' },
+  { screen: SCREEN_MAP.GRADEBOOK, path: '/courses/:courseId/gradebook', parent: SCREEN_MAP.COURSE_DETAIL, label: () => 'Gradebook' },
+  { screen: SCREEN_MAP.ATTENDANCE, path: '/courses/:courseId/attendance', parent: SCREEN_MAP.COURSE_DETAIL, label: () => 'Attendance' },
+  { screen: SCREEN_MAP.ADMISSION_LIST, path: '/admissions', parent: SCREEN_MAP.DASHBOARD, label: () => 'Admissions' },
+  {
+    screen: SCREEN_MAP.ADMISSION_DETAIL, path: '/admissions/:admissionId', parent: SCREEN_MAP.ADMISSION_LIST,
+    label: (params, data) => data.admissions.find(a => a.id === params.admissionId)?.applicantName || null,
+  },
+  { screen: SCREEN_MAP.DATA_SOURCE, path: '/settings/data', parent: SCREEN_MAP.DASHBOARD, label: () => 'Data Source' },
+  { screen: SCREEN_MAP.USER_MANAGEMENT, path: '/settings/users', parent: SCREEN_MAP.DASHBOARD, label: () => 'User Accounts' },
+  { screen: SCREEN_MAP.NOTIFICATION_SETTINGS, path: '/settings/notifications', parent: SCREEN_MAP.DASHBOARD, label: () => 'Notification Settings' },
+  { screen: SCREEN_MAP.STUDENT_ID_SETTINGS, path: '/settings/student-ids', parent: SCREEN_MAP.DASHBOARD, label: () => 'Student ID Format' },
+  { screen: SCREEN_MAP.AUDIT_LOG, path: '/audit', parent: SCREEN_MAP.DASHBOARD, label: () => 'Audit Log' },
+  { screen: SCREEN_MAP.SEARCH_RESULTS, path: '/search', parent: SCREEN_MAP.DASHBOARD, label: () => 'Search Results' },
+];
+
+const getRoutePathKeys = (route) => route.path.split('/').filter(segment => segment.startsWith(':')).map(segment => segment.slice(1));
+
+// Picks the route for a screen whose path params are all present and whose fixed params match.
+const findRoute = (screen, params = {}) => ROUTES.find(route => (
+  route.screen === screen
+  && getRoutePathKeys(route).every(key => params[key] !== undefined && params[key] !== '')
+  && Object.entries(route.params || {}).every(([key, value]) => params[key] === value)
+));
+
+// Builds the URL for a screen. Params that aren't part of the path are kept in the query string.
+const buildRoutePath = (screen, params = {}) => {
+  const route = findRoute(screen, params);
+  if (!route) return null;
+  const pathKeys = getRoutePathKeys(route);
+  const path = route.path.replace(/:([A-Za-z]+)/g, (_, key) => encodeURIComponent(params[key]));
+  const query = new URLSearchParams(Object.entries(params).filter(([key, value]) => (
+    !pathKeys.includes(key) && !(key in (route.params || {})) && value !== undefined && value !== null && value !== ''
+  )));
+  return query.toString() ? `${path}?${query}` : path;
+};
+
+// Resolves a location to `{ screen, params }`; unknown paths resolve to NOT_FOUND.
+const matchRoute = (pathname, search = '') => {
+  const segments = pathname.replace(/\/+$/, '').split('/').filter(Boolean);
+  const query = Object.fromEntries(new URLSearchParams(search));
+  for (const route of ROUTES) {
+    const routeSegments = route.path.split('/').filter(Boolean);
+    if (routeSegments.length !== segments.length) continue;
+    const params = {};
+    const matches = routeSegments.every((segment, i) => {
+      if (segment.startsWith(':')) {
+        params[segment.slice(1)] = decodeURIComponent(segments[i]);
+        return true;
+      }
+      return segment === segments[i];
+    });
+    if (matches) return { screen: route.screen, params: { ...query, ...params, ...route.params } };
+  }
+  return { screen: SCREEN_MAP.NOT_FOUND, params: {} };
+};
+
+// Walks from the current route up through its parents. Parents only receive the params in their own path.
+const buildBreadcrumbs = (screen, params, data) => {
+  const crumbs = [];
+  let route = findRoute(screen, params);
+  let routeParams = params;
+  while (route) {
+    const label = route.label(routeParams, data);
+    if (label) crumbs.unshift({ label, screen: route.screen, params: routeParams });
+    if (!route.parent) break;
+    const parentScreen = route.parent;
+    const parentParams = Object.fromEntries(Object.entries(params).filter(([key]) => ROUTES.some(r => r.screen === parentScreen && getRoutePathKeys(r).includes(key))));
+    route = findRoute(parentScreen, parentParams);
+    routeParams = parentParams;
+  }
+  if (crumbs[0]?.screen !== SCREEN_MAP.DASHBOARD) crumbs.unshift({ label: 'Home', screen: SCREEN_MAP.DASHBOARD, params: {} });
+  return crumbs;
+};
+
 // --- Mock Data Generation ---
 const generateMockData = () => {
-  const students = Array.from({ length: 15 }, (_, i) => ({
-    id: `STU${1001 + i}`,
-    studentId: `S${1001 + i}`,
-    name: `Student Name ${i + 1}`,
-    email: `student${i + 1}@example.com`,
-    major: ['Computer Science', 'Biology', 'History', 'Physics', 'Arts'][i % 5],
-    status: ['ENROLLED', 'IN PROGRESS', 'GRADUATED', 'DROPPED'][i % 4],
-    currentGPA: (3.0 + (i * 0.1) % 1).toFixed(2),
-    attendanceRate: (75 + (i * 2) % 25).toFixed(0),
-    enrollmentDate: new Date(2020 + (i % 3), (i % 12), (i % 28) + 1).toISOString().split('T')[0],
-    workflowStageId: `STAGE_ENROLLMENT_${i % 3 + 1}`, // For milestone tracking
-    lastActivity: new Date(Date.now() - Math.random() * 365 * 24 * 60 * 60 * 1000).toISOString(),
-    image: `https://api.dicebear.com/7.x/initials/svg?seed=${encodeURIComponent(`Student Name ${i + 1}`)}`,
-  }));
+  // Months after enrollment at which seeded students reached each milestone
+  const milestoneOffsets = { STAGE_ENROLLMENT_2: 1, STAGE_ENROLLMENT_3: 5, STAGE_ENROLLMENT_4: 12, STAGE_ENROLLMENT_5: 30, STAGE_ENROLLMENT_6: 36 };
+  const students = Array.from({ length: 15 }, (_, i) => {
+    const status = ['ENROLLED', 'IN PROGRESS', 'GRADUATED', 'DROPPED'][i % 4];
+    const enrollmentDate = new Date(2020 + (i % 3), (i % 12), (i % 28) + 1).toISOString().split('T')[0];
+    const stageNumber = { ENROLLED: 1, 'IN PROGRESS': 2 + (i % 3), GRADUATED: 6, DROPPED: i % 3 + 1 }[status];
+    const at = (months) => {
+      const date = new Date(enrollmentDate);
+      date.setMonth(date.getMonth() + months);
+      return date.toISOString();
+    };
+    const workflowHistory = [{ at: `${enrollmentDate}T09:00:00.000Z`, by: 'Admissions Officer', action: 'confirmed', transitionId: 'confirm_enrollment', fromStatus: 'PENDING', toStatus: 'ENROLLED', fromStageId: 'STAGE_ENROLLMENT_1', toStageId: 'STAGE_ENROLLMENT_1' }];
+    for (let stage = 2; stage <= stageNumber; stage++) {
+      const toStageId = `STAGE_ENROLLMENT_${stage}`;
+      const toStatus = stage === 6 ? 'GRADUATED' : 'IN PROGRESS';
+      workflowHistory.push({ at: at(milestoneOffsets[toStageId]), by: 'Coordinator', action: stage === 6 ? 'graduated' : 'advanced', fromStatus: workflowHistory[workflowHistory.length - 1].toStatus, toStatus, fromStageId: `STAGE_ENROLLMENT_${stage - 1}`, toStageId });
+    }
+    if (status === 'DROPPED') {
+      const last = workflowHistory[workflowHistory.length - 1];
+      workflowHistory.push({ at: at((milestoneOffsets[last.toStageId] || 0) + 2), by: 'Coordinator', action: 'dropped', transitionId: 'drop', fromStatus: last.toStatus, toStatus: 'DROPPED', fromStageId: last.toStageId, toStageId: last.toStageId, note: 'Withdrew for personal reasons.' });
+    }
+    return {
+      id: `STU${1001 + i}`,
+      studentId: `S${1001 + i}`,
+      name: `Student Name ${i + 1}`,
+      email: `student${i + 1}@example.com`,
+      dateOfBirth: new Date(Date.UTC(1996 + (i % 6), (i * 5) % 12, i + 1)).toISOString().split('T')[0],
+      major: ['Computer Science', 'Biology', 'History', 'Physics', 'Arts'][i % 5],
+      status,
+      enrollmentDate,
+      workflowStageId: `STAGE_ENROLLMENT_${stageNumber}`, // For milestone tracking
+      workflowHistory,
+      lastActivity: new Date(Date.now() - Math.random() * 365 * 24 * 60 * 60 * 1000).toISOString(),
+      image: `https://api.dicebear.com/7.x/initials/svg?seed=${encodeURIComponent(`Student Name ${i + 1}`)}`,
+    };
+  });
+  // Student Name 3 was entered a second time for a later intake, under a variant of their email
+  // address; the duplicate review (findDuplicateStudents) flags the pair for merging
+  students.push({
+    ...students[2],
+    id: 'STU1016', studentId: 'S1016', email: 'student.3@example.com', status: 'ENROLLED', enrollmentDate: '2024-09-02',
+    workflowStageId: 'STAGE_ENROLLMENT_1',
+    workflowHistory: [{ at: '2024-09-02T09:00:00.000Z', by: 'Admissions Officer', action: 'confirmed', transitionId: 'confirm_enrollment', fromStatus: 'PENDING', toStatus: 'ENROLLED', fromStageId: 'STAGE_ENROLLMENT_1', toStageId: 'STAGE_ENROLLMENT_1' }],
+  });
 
   const courses = Array.from({ length: 10 }, (_, i) => ({
     id: `CRS${201 + i}`,
@@ -116,17 +313,40 @@ const generateMockData = () => {
     credits: (3 + (i % 2)),
     department: ['CS', 'BIO', 'HIS', 'PHY', 'ART'][i % 5],
     status: ['ACTIVE', 'PENDING', 'COMPLETED'][i % 3],
+    instructor: ['Dr. Ada Lovelace', 'Dr. Gregor Mendel', 'Dr. Mary Beard', 'Dr. Richard Feynman', 'Prof. Frida Kahlo'][i % 5],
+    capacity: [25, 4, 30][i % 3], // Small seminar sections fill up and use the waitlist
+    term: ['Fall 2023', 'Spring 2024', 'Fall 2024'][i % 3],
+    schedule: ['Mon/Wed 09:00-10:30', 'Tue/Thu 11:00-12:30', 'Fri 14:00-17:00'][i % 3],
+    description: `A foundational course covering the core concepts of ${['AI', 'Biology', 'World History', 'Quantum Physics', 'Digital Art'][i % 5]}.`,
+    gradingWeights: { Homework: 30, Quizzes: 20, Exams: 50 }, // Category weights in percent
+    gradeScale: DEFAULT_GRADE_SCALE,
   }));
 
-  const admissions = Array.from({ length: 8 }, (_, i) => ({
-    id: `ADM${301 + i}`,
-    applicantName: `Applicant ${i + 1}`,
-    programApplied: ['Computer Science', 'Biology', 'History'][i % 3],
-    status: ['PENDING', 'APPROVED', 'REJECTED', 'IN PROGRESS'][i % 4],
-    submittedDate: new Date(2023, (i % 12), (i % 28) + 1).toISOString().split('T')[0],
-    workflowStageId: `STAGE_ADMISSION_${i % 3 + 1}`,
-    email: `applicant${i + 1}@example.com`,
-  }));
+  const admissions = Array.from({ length: 8 }, (_, i) => {
+    const status = ['PENDING', 'APPROVED', 'REJECTED', 'IN PROGRESS'][i % 4];
+    const submittedDate = new Date(2023, (i % 12), (i % 28) + 1).toISOString().split('T')[0];
+    // Decided applications have been through every stage
+    const stageNumber = status === 'APPROVED' || status === 'REJECTED' ? 3 : i % 3 + 1;
+    const history = [{ at: `${submittedDate}T09:00:00.000Z`, by: `Applicant ${i + 1}`, action: 'submitted', toStatus: 'PENDING', toStageId: 'STAGE_ADMISSION_1', note: 'Application submitted online.' }];
+    for (let stage = 2; stage <= stageNumber; stage++) {
+      history.push({ at: new Date(new Date(submittedDate).getTime() + (stage - 1) * 7 * 24 * 60 * 60 * 1000).toISOString(), by: 'Admissions Officer', action: 'moved', fromStatus: history[history.length - 1].toStatus, toStatus: 'IN PROGRESS', fromStageId: `STAGE_ADMISSION_${stage - 1}`, toStageId: `STAGE_ADMISSION_${stage}` });
+    }
+    if (status === 'APPROVED' || status === 'REJECTED') {
+      history.push({ at: new Date(new Date(submittedDate).getTime() + 21 * 24 * 60 * 60 * 1000).toISOString(), by: 'Admin', action: status.toLowerCase(), fromStatus: 'IN PROGRESS', toStatus: status, fromStageId: 'STAGE_ADMISSION_3', toStageId: 'STAGE_ADMISSION_3', note: status === 'REJECTED' ? 'Minimum entry requirements not met.' : 'Offer of admission extended.' });
+    }
+    return {
+      id: `ADM${301 + i}`,
+      applicantName: `Applicant ${i + 1}`,
+      programApplied: ['Computer Science', 'Biology', 'History'][i % 3],
+      status,
+      submittedDate,
+      workflowStageId: `STAGE_ADMISSION_${stageNumber}`,
+      email: `applicant${i + 1}@example.com`,
+      dateOfBirth: new Date(Date.UTC(2004 + (i % 3), (i * 7) % 12, (i * 3) % 28 + 1)).toISOString().split('T')[0],
+      rejectionReason: status === 'REJECTED' ? 'Minimum entry requirements not met.' : null,
+      history,
+    };
+  });
 
   const activityLog = Array.from({ length: 20 }, (_, i) => ({
     id: `ACT${i}`,
@@ -139,274 +359,7185 @@ const generateMockData = () => {
     details: `Record ${['STU', 'ADM', 'CRS'][i % 3]}${1001 + (i % 10)} was ${['created', 'updated', 'approved', 'rejected', 'enrolled', 'graded'][i % 6]} by ${['Admin', 'Admissions Officer', 'Teacher', 'Student', 'Coordinator'][i % 5]}.`,
   }));
 
-  return { students, courses, admissions, activityLog };
-};
+  // Many-to-many link between students and course sections
+  const enrollments = [];
+  students.forEach((student, i) => {
+    [0, 1, 2].forEach(k => {
+      const course = courses[(i + k * 4) % courses.length];
+      const seatsTaken = enrollments.filter(e => e.courseId === course.id && e.status === 'ENROLLED').length;
+      let status = seatsTaken < course.capacity ? 'ENROLLED' : 'WAITLISTED';
+      if (course.status === 'COMPLETED') status = 'COMPLETED';
+      else if (student.status === 'DROPPED') status = 'DROPPED';
+      enrollments.push({
+        id: `ENR${enrollments.length + 1}`,
+        studentId: student.id,
+        courseId: course.id,
+        enrolledDate: student.enrollmentDate,
+        status,
+        waitlistedAt: status === 'WAITLISTED' ? new Date(Date.now() - (15 - i) * 60 * 60 * 1000).toISOString() : null,
+      });
+    });
+  });
 
-// --- Reusable UI Components ---
+  // Gradebook: assessments per course and the scores entered against them
+  const assessmentTemplates = [
+    { name: 'Homework 1', category: 'Homework', maxScore: 20 },
+    { name: 'Homework 2', category: 'Homework', maxScore: 20 },
+    { name: 'Quiz 1', category: 'Quizzes', maxScore: 10 },
+    { name: 'Midterm Exam', category: 'Exams', maxScore: 100 },
+    { name: 'Final Exam', category: 'Exams', maxScore: 100 },
+  ];
+  const assessments = [];
+  const scores = [];
+  courses.forEach(course => {
+    // Completed courses are fully graded, active ones up to the midterm, pending ones not at all
+    const gradedCount = { COMPLETED: assessmentTemplates.length, ACTIVE: 4, PENDING: 0 }[course.status];
+    assessmentTemplates.forEach((template, a) => {
+      const assessment = { id: `ASM${assessments.length + 1}`, courseId: course.id, ...template };
+      assessments.push(assessment);
+      if (a >= gradedCount) return;
+      enrollments
+        .filter(e => e.courseId === course.id && e.status !== 'WAITLISTED')
+        .forEach(e => {
+          const studentIndex = students.findIndex(s => s.id === e.studentId);
+          const ratio = 0.6 + ((studentIndex * 7 + a * 3) % 40) / 100;
+          scores.push({ id: `${assessment.id}_${e.studentId}`, assessmentId: assessment.id, studentId: e.studentId, score: Math.round(assessment.maxScore * ratio) });
+        });
+    });
+  });
+  enrollments.forEach(e => {
+    if (e.status !== 'COMPLETED') return;
+    const course = courses.find(c => c.id === e.courseId);
+    e.finalGrade = computeFinalGrade(course, e.studentId, { assessments, scores });
+    e.completedDate = `${course.term.split(' ')[1]}-${course.term.startsWith('Fall') ? '12-15' : '05-15'}`;
+  });
 
-const Icon = ({ name, className = '' }) => {
-  // A simple placeholder for icons
-  const icons = {
-    dashboard: '📊', student: '🎓', course: '📚', admission: '📝',
-    search: '🔍', bell: '🔔', user: '👤', cog: '⚙️',
-    plus: '+', edit: '✍️', eye: '👁️', trash: '🗑️', download: '⬇️',
-    check: '✓', arrowUp: '↑', arrowDown: '↓',
-    file: '📄', // For documents or empty states
-    warning: '⚠️',
-  };
-  return <span className={`icon icon-${name} ${className}`}>{icons[name] || ''}</span>;
+  // Attendance: weekly sessions for courses that have started, one mark per rostered student
+  const attendanceSessions = [];
+  courses.filter(c => c.status !== 'PENDING').forEach((course, c) => {
+    const roster = enrollments.filter(e => e.courseId === course.id && e.status !== 'WAITLISTED');
+    const firstMeeting = new Date(Date.now() - (8 * 7 + c) * 24 * 60 * 60 * 1000);
+    Array.from({ length: 8 }, (_, k) => {
+      const records = {};
+      roster.forEach(e => {
+        const roll = (students.findIndex(s => s.id === e.studentId) * 3 + k * 5 + c) % 20;
+        records[e.studentId] = roll < 14 ? 'PRESENT' : roll < 16 ? 'LATE' : roll === 18 ? 'EXCUSED' : 'ABSENT';
+      });
+      attendanceSessions.push({
+        id: `SES${attendanceSessions.length + 1}`,
+        courseId: course.id,
+        date: new Date(firstMeeting.getTime() + k * 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+        records,
+      });
+    });
+  });
+
+  // Demo accounts, one per role; all use the password DEMO_PASSWORD (hashes precomputed with hashPassword)
+  const users = [
+    { id: 'USR1', username: 'admin', name: 'Admin', role: ROLES.ADMIN, passwordHash: 'a14edadf0bb49db759043aa188b4218901a1ee1d7f22c9f59e18626abf6584f7' },
+    { id: 'USR2', username: 'admissions', name: 'Admissions Officer', role: ROLES.ADMISSION_OFFICER, passwordHash: '18d0afd027a18ea2844c3d122913e05b06616db1d7c5b9c10168d9220bcc4fd7' },
+    { id: 'USR3', username: 'alovelace', name: 'Dr. Ada Lovelace', role: ROLES.TEACHER, instructorName: 'Dr. Ada Lovelace', passwordHash: '5a2ea5546f31daab331b4c4adaff1c9a905263d69c4d73bb1d0fbeefe46c324e' },
+    { id: 'USR4', username: 'student2', name: 'Student Name 2', role: ROLES.STUDENT, studentRecordId: 'STU1002', passwordHash: 'b8d6bbcba6c0b5bc654f24932014699fd68d3ea4314e7ae6f02d3677c2af7129' },
+    { id: 'USR5', username: 'coordinator', name: 'Coordinator', role: ROLES.ACADEMIC_COORDINATOR, passwordHash: 'e1c74289326576b7316c8bea96134ef39a207b0d851e1a92130b4ab3be74b9fc' },
+  ].map(user => ({ ...user, passwordSalt: `demo-${user.id}`, active: true, demo: true, createdAt: '2023-01-01T09:00:00.000Z' }));
+
+  // A standard view published by the demo admin, shown to every user on the student list
+  const savedViews = [{
+    id: 'VIEW1', screen: 'students', name: 'At-risk CS majors', ownerId: 'USR1', ownerName: 'Admin',
+    sharedWith: 'everyone', isStandard: true, defaultFor: [],
+    params: { major: 'Computer Science', gpaMax: '2.5' }, sortKey: 'name', sortOrder: 'asc', columns: ['gpa', 'attendance', 'advisor', 'lastUpdated'],
+    createdAt: '2023-01-01T09:00:00.000Z',
+  }];
+
+  // Half a year of weekly KPI history so the dashboard trends have something to compare against, drifting towards today's values
+  const currentKpis = computeKpiMetrics({ students, courses, admissions, attendanceSessions });
+  const kpiSnapshots = Array.from({ length: 26 }, (_, k) => {
+    const weeksAgo = 26 - k;
+    return {
+      id: `KPI${k + 1}`,
+      takenAt: new Date(Date.now() - weeksAgo * 7 * DAY_MS).toISOString(),
+      metrics: {
+        totalStudents: Math.max(0, currentKpis.totalStudents - Math.floor(weeksAgo / 4)),
+        activeCourses: Math.max(0, currentKpis.activeCourses - (weeksAgo > 8 ? 1 : 0)),
+        pendingAdmissions: currentKpis.pendingAdmissions + (weeksAgo % 3),
+        avgAttendance: Math.min(100, Math.max(0, currentKpis.avgAttendance - Math.round(weeksAgo / 4) + (weeksAgo % 2))),
+      },
+    };
+  });
+
+  return { students, courses, admissions, activityLog, enrollments, assessments, scores, attendanceSessions, users, savedViews, notificationSettings: [], kpiSnapshots, dashboardLayouts: [], documents: [], idSequences: [] };
 };
 
-const Button = ({ children, onClick, variant = 'primary', disabled = false, icon, className = '' }) => (
-  <button
-    className={`btn btn--${variant} ${className}`}
-    onClick={onClick}
-    disabled={disabled}
-    style={{
-      marginBottom: 'var(--spacing-xs)', // Example for JSX style syntax rule
-      borderRadius: 'var(--border-radius-sm)',
-    }}
-  >
-    {icon && <Icon name={icon} />}
-    {children}
-  </button>
+// --- Record Id Helpers ---
+// Next sequential id for a collection, e.g. CRS210 -> CRS211. Always pass the unscoped collection
+// so ids never collide with records the current user can't see. `field` picks another id-like field,
+// such as a student's studentId.
+const nextSequentialId = (prefix, records, floor = 0, field = 'id') => (
+  `${prefix}${Math.max(floor, ...records.map(record => parseInt(String(record[field] || '').replace(prefix, ''), 10) || 0)) + 1}`
 );
 
-const InputField = ({ label, type = 'text', name, value, onChange, placeholder, required = false, error, disabled = false, autoPopulate = false, autoPopulateText = '' }) => (
-  <div className="form-group">
-    <label htmlFor={name}>
-      {label} {required && <span style={{ color: 'var(--status-rejected-border)' }}>*</span>}
-    </label>
-    <input
-      type={type}
-      id={name}
-      name={name}
-      value={value}
-      onChange={onChange}
-      placeholder={placeholder}
-      required={required}
-      disabled={disabled}
-      className="input-field"
-      style={{
-        padding: 'var(--spacing-sm) var(--spacing-md)',
-      }}
-    />
-    {autoPopulate && autoPopulateText && (
-      <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)', marginTop: 'var(--spacing-xs)' }}>
-        <Icon name="cog" /> Automatically populated: {autoPopulateText}
-      </p>
-    )}
-    {error && <p className="error-message">{error}</p>}
-  </div>
-);
+// Record ids of students merged away (see mergeStudents) stay reserved so old links and audit
+// entries never point at a different student.
+const nextStudentRecordId = (students) => nextSequentialId('STU', [...students, ...students.flatMap(s => s.mergedFrom || [])], 1000);
 
-const FileUpload = ({ label, name, onFileUpload, fileName, error }) => (
-  <div className="form-group">
-    <label htmlFor={name}>{label}</label>
-    <div className="file-upload-area" onClick={() => document.getElementById(name).click()}>
-      <input type="file" id={name} name={name} onChange={onFileUpload} />
-      <p>Drag & drop file here or click to browse</p>
-      {fileName && <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-main)' }}>Selected: {fileName}</p>}
-      {error && <p className="error-message">{error}</p>}
-    </div>
-  </div>
+// --- Student ID Allocation ---
+// Student numbers (the `studentId` printed on cards, not the STU record id) come from a sequence kept
+// in the `idSequences` collection, so a number is never handed out twice. The format is configurable:
+// a prefix, optionally the current year (the sequence then restarts every year), a zero-padded
+// sequence number and optionally a Luhn check digit, joined by an optional separator.
+const STUDENT_ID_SEQUENCE = 'studentId';
+const DEFAULT_STUDENT_ID_FORMAT = { prefix: 'S', separator: '', includeYear: false, digits: 4, checkDigit: false };
+
+const getStudentIdSequence = (data) => (
+  data.idSequences.find(sequence => sequence.id === STUDENT_ID_SEQUENCE)
+  || { id: STUDENT_ID_SEQUENCE, format: DEFAULT_STUDENT_ID_FORMAT, counters: {} }
 );
 
-const StatusBadge = ({ status }) => {
-  const statusClass = STATUS_COLORS_MAP[status.toUpperCase()] || 'outline';
-  return (
-    <span className={`status-tag status-tag--${statusClass}`}
-      style={{
-        borderRadius: 'var(--border-radius-sm)',
-      }}
-    >
-      {status}
-    </span>
-  );
+// Luhn check digit over a string of digits, so a single mistyped digit or swapped pair is detectable
+const computeLuhnCheckDigit = (digits) => {
+  const sum = [...digits].reverse().reduce((total, char, i) => {
+    const doubled = i % 2 === 0 ? Number(char) * 2 : Number(char);
+    return total + (doubled > 9 ? doubled - 9 : doubled);
+  }, 0);
+  return (10 - (sum % 10)) % 10;
 };
 
-const Card = ({ children, onClick, className = '' }) => (
-  <div className={`card ${className}`} onClick={onClick}>
-    {children}
-  </div>
-);
+const formatStudentId = (format, year, number) => {
+  const sequence = String(number).padStart(format.digits, '0');
+  const check = format.checkDigit ? String(computeLuhnCheckDigit(`${format.includeYear ? year : ''}${sequence}`)) : '';
+  return [format.prefix, format.includeYear ? String(year) : '', sequence, check].filter(Boolean).join(format.separator);
+};
 
-const EmptyState = ({ title, description, icon = 'file', actionText, onAction }) => (
-  <div className="empty-state">
-    <div className="empty-state__icon"><Icon name={icon} /></div>
-    <h3 className="empty-state__title">{title}</h3>
-    <p className="empty-state__description">{description}</p>
-    {onAction && <Button onClick={onAction} variant="primary">{actionText}</Button>}
-  </div>
-);
+// Matches ids in `format` for `year`, capturing the sequence number
+const getStudentIdPattern = (format, year) => {
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const parts = [escape(format.prefix), format.includeYear ? String(year) : '', `(\\d{${format.digits},})`, format.checkDigit ? '\\d' : ''];
+  return new RegExp(`^${parts.filter(Boolean).join(escape(format.separator))}$`, 'i');
+};
 
-const MilestoneTracker = ({ stages, currentStageId }) => (
-  <Card className="milestone-tracker">
-    <h3 style={{ marginBottom: 'var(--spacing-lg)' }}>Workflow Progress</h3>
-    {stages.map((stage, index) => {
-      const isCompleted = stage.order < stages.find(s => s.id === currentStageId)?.order;
-      const isCurrent = stage.id === currentStageId;
-      return (
-        <div key={stage.id} className={`milestone-tracker__step ${isCompleted ? 'milestone-tracker__step--completed' : ''}`}>
-          <div className={`milestone-tracker__step-indicator ${isCompleted ? 'milestone-tracker__step-indicator--completed' : ''} ${isCurrent ? 'milestone-tracker__step-indicator--current' : ''}`}>
-            {isCompleted ? <Icon name="check" /> : index + 1}
-          </div>
-          <div className="milestone-tracker__step-line" style={{ height: `calc(100% + var(--spacing-md))` }}></div> {/* Extend line */}
-          <span className="milestone-tracker__step-label">{stage.name}</span>
-          {isCompleted && stage.date && <span className="milestone-tracker__step-date">{stage.date}</span>}
-          {isCurrent && <span className="status-tag status-tag--in-progress" style={{ marginLeft: 'auto', borderRadius: 'var(--border-radius-sm)' }}>Current</span>}
-        </div>
-      );
-    })}
-  </Card>
-);
+const validateStudentIdFormat = (format) => {
+  if (!/^[A-Za-z]{0,5}$/.test(format.prefix)) return 'The prefix can have up to five letters.';
+  if (!['', '-', '/'].includes(format.separator)) return 'The separator must be empty, "-" or "/".';
+  if (!Number.isInteger(format.digits) || format.digits < 3 || format.digits > 8) return 'The sequence needs between 3 and 8 digits.';
+  return null;
+};
 
-const ActivityFeed = ({ activities, title = "Recent Activities" }) => (
-  <Card className="activity-feed">
-    <h3 style={{ marginBottom: 'var(--spacing-lg)' }}>{title}</h3>
-    {activities.length > 0 ? (
-      activities.map((activity) => (
-        <div key={activity.id} className="activity-item">
-          <div className="activity-item__icon">
-            <Icon name={activity.recordType?.toLowerCase() || 'file'} />
-          </div>
-          <div className="activity-item__content">
-            <p style={{ marginBottom: 'var(--spacing-xs)', fontSize: 'var(--font-size-md)', color: 'var(--text-main)' }}>
-              <strong>{activity.userName}</strong> {activity.action} {activity.recordType} <strong>{activity.recordId}</strong>
-            </p>
-            <p className="activity-item__meta">
-              {new Date(activity.timestamp).toLocaleString()}
-            </p>
-          </div>
-        </div>
-      ))
-    ) : (
-      <EmptyState title="No Activities Yet" description="This feed will show recent actions." icon="bell" />
-    )}
-  </Card>
-);
+const putStudentIdSequence = (data, sequence) => ({
+  ...data,
+  idSequences: data.idSequences.some(s => s.id === sequence.id)
+    ? data.idSequences.map(s => (s.id === sequence.id ? sequence : s))
+    : [...data.idSequences, sequence],
+});
 
-const ChartComponent = ({ title, type, data, options }) => (
-  <Card className="chart-container">
-    <h3 style={{ position: 'absolute', top: 'var(--spacing-md)', left: 'var(--spacing-lg)', marginBottom: 0 }}>{title}</h3>
-    {/* In a real app, this would render a charting library like Chart.js or Recharts */}
-    <p>Placeholder for a {type} chart visualizing "{title}"</p>
-  </Card>
+// Hands out the next free student number and advances the sequence. Numbers already taken by
+// existing or merged-away students (imported ids, say) are skipped rather than reused.
+const allocateStudentId = (data, year = new Date().getFullYear()) => {
+  const sequence = getStudentIdSequence(data);
+  const { format } = sequence;
+  const counterKey = format.includeYear ? String(year) : 'all';
+  const pattern = getStudentIdPattern(format, year);
+  const usedIds = [...data.students, ...data.students.flatMap(s => s.mergedFrom || [])].map(s => String(s.studentId || ''));
+  const taken = new Set(usedIds.map(id => id.toLowerCase()));
+  let number = Math.max(sequence.counters[counterKey] || 0, ...usedIds.map(id => Number(pattern.exec(id)?.[1]) || 0)) + 1;
+  while (taken.has(formatStudentId(format, year, number).toLowerCase())) number += 1;
+  return {
+    studentId: formatStudentId(format, year, number),
+    data: putStudentIdSequence(data, { ...sequence, counters: { ...sequence.counters, [counterKey]: number } }),
+  };
+};
+
+const saveStudentIdFormat = (data, format, actor) => {
+  const invalid = validateStudentIdFormat(format);
+  if (invalid) return { error: invalid };
+  const updated = putStudentIdSequence(data, { ...getStudentIdSequence(data), format });
+  return {
+    data: {
+      ...updated,
+      activityLog: [createActivityEntry(data.activityLog, {
+        userName: actor.user, action: 'updated', recordType: 'Settings', recordId: STUDENT_ID_SEQUENCE,
+        details: `Student ID format changed; new numbers look like ${formatStudentId(format, new Date().getFullYear(), 1)}.`,
+      }), ...data.activityLog],
+    },
+  };
+};
+
+// --- Activity Log Helpers ---
+// The activity log doubles as the audit trail: entries are append-only, and the scoped repository
+// stamps the signed-in user onto every new entry and fills in field-level `changes` when it is saved.
+const createActivityEntry = (activityLog, { userId = null, userName, action, recordType, recordId, relatedRecordId, details, changes, reason }) => ({
+  id: `ACT${activityLog.length}`,
+  userId, userName,
+  action, timestamp: new Date().toISOString(),
+  recordType, recordId,
+  ...(relatedRecordId && { relatedRecordId }), // e.g. the course an enrollment action belongs to
+  details,
+  ...(changes && { changes }), // [{ field, from, to }]
+  ...(reason?.trim() && { reason: reason.trim() }),
+});
+
+// Record types named by activity entries, mapped to the collection holding the record.
+const AUDITED_RECORD_COLLECTIONS = { Student: 'students', Course: 'courses', Admission: 'admissions', User: 'users' };
+
+// Bookkeeping fields left out of diffs; the entry itself already records the event they track.
+const AUDIT_IGNORED_FIELDS = ['lastActivity', 'workflowHistory', 'history', 'image', 'passwordSalt', 'mergedFrom', 'distinctFrom'];
+// Secrets are recorded as changed without their values, under a readable name.
+const AUDIT_MASKED_FIELDS = { passwordHash: 'password' };
+const AUDIT_MASK = '••••••';
+
+// Changing these fields needs a reason on the activity entry that records the change.
+// Course credits weigh every posted grade in the GPA, so they count as a grade change.
+const SENSITIVE_AUDIT_FIELDS = {
+  students: ['status'],
+  courses: ['credits'],
+  users: ['role'],
+};
+
+const formatAuditValue = (value) => {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Field-by-field differences between two versions of a record. Either side may be missing, for
+// records that were just created or removed.
+const diffRecordFields = (before = {}, after = {}) => (
+  Object.keys({ ...before, ...after })
+    .filter(field => !AUDIT_IGNORED_FIELDS.includes(field) && formatAuditValue(before[field]) !== formatAuditValue(after[field]))
+    .map(field => (AUDIT_MASKED_FIELDS[field]
+      ? { field: AUDIT_MASKED_FIELDS[field], from: AUDIT_MASK, to: AUDIT_MASK }
+      : { field, from: formatAuditValue(before[field]), to: formatAuditValue(after[field]) }))
 );
 
-// --- Screen Components ---
+// --- Workflow Definitions ---
+// Declarative state machines for records that move through a lifecycle. Each transition lists the
+// statuses (and optionally stages) it may start from, where it leads, which roles may trigger it and
+// an optional guard that returns a blocking message. Anything not listed is an illegal move.
+const STUDENT_STAGE_IDS = ['STAGE_ENROLLMENT_1', 'STAGE_ENROLLMENT_2', 'STAGE_ENROLLMENT_3', 'STAGE_ENROLLMENT_4', 'STAGE_ENROLLMENT_5', 'STAGE_ENROLLMENT_6'];
 
-const DashboardScreen = ({ navigateTo, currentUserPermissions, mockData }) => {
-  const { students, admissions, courses, activityLog } = mockData;
+const WORKFLOW_DEFINITIONS = {
+  student: {
+    statusField: 'status',
+    stageField: 'workflowStageId',
+    historyField: 'workflowHistory',
+    initialStatus: 'PENDING',
+    initialStageId: 'STAGE_ENROLLMENT_1',
+    states: {
+      PENDING: { label: 'PENDING', color: 'pending' },
+      ENROLLED: { label: 'ENROLLED', color: 'approved' },
+      'IN PROGRESS': { label: 'IN PROGRESS', color: 'in-progress' },
+      GRADUATED: { label: 'GRADUATED', color: 'approved' },
+      DROPPED: { label: 'DROPPED', color: 'rejected' },
+    },
+    stages: [
+      { id: 'STAGE_ENROLLMENT_1', name: 'Admission Confirmed', order: 1 },
+      { id: 'STAGE_ENROLLMENT_2', name: 'Course Registration', order: 2 },
+      { id: 'STAGE_ENROLLMENT_3', name: 'First Semester Completed', order: 3 },
+      { id: 'STAGE_ENROLLMENT_4', name: 'Mid-Degree Review', order: 4 },
+      { id: 'STAGE_ENROLLMENT_5', name: 'Graduation Eligible', order: 5 },
+      { id: 'STAGE_ENROLLMENT_6', name: 'Graduated', order: 6 },
+    ],
+    // Status is an audited field (see SENSITIVE_AUDIT_FIELDS), so every move that changes it asks why
+    transitions: [
+      {
+        id: 'confirm_enrollment', label: 'Confirm Enrollment', action: 'confirmed', requiresReason: true,
+        from: ['PENDING'], to: 'ENROLLED', toStageId: 'STAGE_ENROLLMENT_1',
+        roles: [ROLES.ADMIN, ROLES.ADMISSION_OFFICER, ROLES.ACADEMIC_COORDINATOR],
+      },
+      {
+        id: 'register_courses', label: 'Complete Course Registration', action: 'registered', requiresReason: true,
+        from: ['ENROLLED'], fromStages: ['STAGE_ENROLLMENT_1'], to: 'IN PROGRESS', toStageId: 'STAGE_ENROLLMENT_2',
+        roles: [ROLES.ADMIN, ROLES.ADMISSION_OFFICER, ROLES.ACADEMIC_COORDINATOR],
+        guard: (student, data) => (data.enrollments.some(e => e.studentId === student.id && e.status === ENROLLMENT_STATUS.ENROLLED)
+          ? null : 'The student must be enrolled in at least one course.'),
+      },
+      {
+        id: 'complete_first_semester', label: 'Complete First Semester', action: 'advanced',
+        from: ['IN PROGRESS'], fromStages: ['STAGE_ENROLLMENT_2'], toStageId: 'STAGE_ENROLLMENT_3',
+        roles: [ROLES.ADMIN, ROLES.ACADEMIC_COORDINATOR, ROLES.TEACHER],
+        guard: (student, data) => (data.enrollments.some(e => e.studentId === student.id && e.status === ENROLLMENT_STATUS.COMPLETED && e.finalGrade)
+          ? null : 'The student needs at least one completed course with a posted grade.'),
+      },
+      {
+        id: 'mid_degree_review', label: 'Pass Mid-Degree Review', action: 'reviewed',
+        from: ['IN PROGRESS'], fromStages: ['STAGE_ENROLLMENT_3'], toStageId: 'STAGE_ENROLLMENT_4',
+        roles: [ROLES.ADMIN, ROLES.ACADEMIC_COORDINATOR],
+        guard: (student, data) => ((computeStudentGPA(student.id, data) ?? 0) >= 2.0 ? null : 'A GPA of at least 2.00 is required.'),
+      },
+      {
+        id: 'mark_graduation_eligible', label: 'Mark Graduation Eligible', action: 'advanced',
+        from: ['IN PROGRESS'], fromStages: ['STAGE_ENROLLMENT_4'], toStageId: 'STAGE_ENROLLMENT_5',
+        roles: [ROLES.ADMIN, ROLES.ACADEMIC_COORDINATOR],
+        guard: (student, data) => {
+          if ((computeStudentGPA(student.id, data) ?? 0) < 2.0) return 'A GPA of at least 2.00 is required.';
+          const open = data.enrollments.filter(e => e.studentId === student.id &&
+            (e.status === ENROLLMENT_STATUS.ENROLLED || e.status === ENROLLMENT_STATUS.WAITLISTED));
+          return open.length > 0 ? `${open.length} course enrollment(s) are still open.` : null;
+        },
+      },
+      {
+        id: 'graduate', label: 'Graduate', action: 'graduated', requiresReason: true,
+        from: ['IN PROGRESS'], fromStages: ['STAGE_ENROLLMENT_5'], to: 'GRADUATED', toStageId: 'STAGE_ENROLLMENT_6',
+        roles: [ROLES.ADMIN, ROLES.ACADEMIC_COORDINATOR],
+      },
+      {
+        id: 'drop', label: 'Drop Out', action: 'dropped', requiresReason: true,
+        from: ['PENDING', 'ENROLLED', 'IN PROGRESS'], to: 'DROPPED',
+        roles: [ROLES.ADMIN, ROLES.ADMISSION_OFFICER, ROLES.ACADEMIC_COORDINATOR],
+        // Dropping out also withdraws the student from their courses (see transitionStudent)
+        guard: (student, data, role) => {
+          if (canWriteCollection({ role }, 'enrollments')) return null;
+          const open = data.enrollments.filter(e => e.studentId === student.id &&
+            (e.status === ENROLLMENT_STATUS.ENROLLED || e.status === ENROLLMENT_STATUS.WAITLISTED));
+          return open.length > 0 ? `${open.length} course enrollment(s) are still open; ask an administrator or Academic Coordinator to drop the student.` : null;
+        },
+      },
+      {
+        id: 'reinstate', label: 'Reinstate', action: 'reinstated', requiresReason: true,
+        from: ['DROPPED'], to: (student) => (student.workflowStageId === 'STAGE_ENROLLMENT_1' ? 'ENROLLED' : 'IN PROGRESS'),
+        roles: [ROLES.ADMIN, ROLES.ACADEMIC_COORDINATOR],
+      },
+    ],
+  },
+  admission: {
+    statusField: 'status',
+    stageField: 'workflowStageId',
+    historyField: 'history',
+    initialStatus: 'PENDING',
+    initialStageId: 'STAGE_ADMISSION_1',
+    states: {
+      PENDING: { label: 'PENDING', color: 'pending' },
+      'IN PROGRESS': { label: 'IN PROGRESS', color: 'in-progress' },
+      APPROVED: { label: 'APPROVED', color: 'approved' },
+      REJECTED: { label: 'REJECTED', color: 'rejected' },
+      ADMITTED: { label: 'ADMITTED', color: 'approved' },
+    },
+    stages: [
+      { id: 'STAGE_ADMISSION_1', name: 'Application Received', order: 1 },
+      { id: 'STAGE_ADMISSION_2', name: 'Document Review', order: 2 },
+      { id: 'STAGE_ADMISSION_3', name: 'Committee Decision', order: 3 },
+    ],
+    transitions: [
+      {
+        id: 'start_review', label: 'Start Document Review', action: 'moved',
+        from: ['PENDING', 'IN PROGRESS'], fromStages: ['STAGE_ADMISSION_1'], to: 'IN PROGRESS', toStageId: 'STAGE_ADMISSION_2',
+        roles: [ROLES.ADMIN, ROLES.ADMISSION_OFFICER, ROLES.ACADEMIC_COORDINATOR],
+      },
+      {
+        id: 'send_to_committee', label: 'Send to Committee', action: 'moved',
+        from: ['PENDING', 'IN PROGRESS'], fromStages: ['STAGE_ADMISSION_2'], to: 'IN PROGRESS', toStageId: 'STAGE_ADMISSION_3',
+        roles: [ROLES.ADMIN, ROLES.ADMISSION_OFFICER, ROLES.ACADEMIC_COORDINATOR],
+      },
+      {
+        id: 'return_to_intake', label: 'Return to Intake', action: 'moved',
+        from: ['PENDING', 'IN PROGRESS'], fromStages: ['STAGE_ADMISSION_2'], to: 'IN PROGRESS', toStageId: 'STAGE_ADMISSION_1',
+        roles: [ROLES.ADMIN, ROLES.ADMISSION_OFFICER, ROLES.ACADEMIC_COORDINATOR],
+      },
+      {
+        id: 'return_to_review', label: 'Return to Document Review', action: 'moved',
+        from: ['PENDING', 'IN PROGRESS'], fromStages: ['STAGE_ADMISSION_3'], to: 'IN PROGRESS', toStageId: 'STAGE_ADMISSION_2',
+        roles: [ROLES.ADMIN, ROLES.ADMISSION_OFFICER, ROLES.ACADEMIC_COORDINATOR],
+      },
+      {
+        id: 'approve', label: 'Approve', action: 'approved',
+        from: ['PENDING', 'IN PROGRESS'], fromStages: ['STAGE_ADMISSION_3'], to: 'APPROVED',
+        roles: [ROLES.ADMIN, ROLES.ADMISSION_OFFICER, ROLES.ACADEMIC_COORDINATOR],
+      },
+      {
+        id: 'reject', label: 'Reject', action: 'rejected', requiresReason: true,
+        from: ['PENDING', 'IN PROGRESS'], fromStages: ['STAGE_ADMISSION_3'], to: 'REJECTED',
+        roles: [ROLES.ADMIN, ROLES.ADMISSION_OFFICER, ROLES.ACADEMIC_COORDINATOR],
+      },
+      {
+        id: 'admit', label: 'Admit as Student', action: 'admitted',
+        from: ['APPROVED'], to: 'ADMITTED',
+        roles: [ROLES.ADMIN, ROLES.ADMISSION_OFFICER, ROLES.ACADEMIC_COORDINATOR],
+      },
+    ],
+  },
+};
 
-  const totalStudents = students.length;
-  const activeCourses = courses.filter(c => c.status === 'ACTIVE').length;
-  const pendingAdmissions = admissions.filter(a => a.status === 'PENDING').length;
-  const avgAttendance = (students.reduce((sum, s) => sum + parseInt(s.attendanceRate || 0), 0) / students.length).toFixed(0);
+// --- Workflow Engine ---
+const getWorkflowStage = (workflowKey, stageId) => WORKFLOW_DEFINITIONS[workflowKey].stages.find(stage => stage.id === stageId);
 
-  const admissionChartData = {
-    labels: ['Pending', 'Approved', 'Rejected', 'In Progress'],
-    datasets: [{
-      data: [
-        admissions.filter(a => a.status === 'PENDING').length,
-        admissions.filter(a => a.status === 'APPROVED').length,
-        admissions.filter(a => a.status === 'REJECTED').length,
-        admissions.filter(a => a.status === 'IN PROGRESS').length,
-      ],
-      backgroundColor: ['var(--status-pending-border)', 'var(--status-approved-border)', 'var(--status-rejected-border)', 'var(--status-in-progress-border)'],
-    }],
+// Transitions that start from the record's current status and stage, each annotated with whether the
+// acting role may trigger it right now (`allowed`) and, if not, why (`blockedReason`).
+const getWorkflowTransitions = (workflowKey, record, { role, data }) => {
+  const definition = WORKFLOW_DEFINITIONS[workflowKey];
+  const status = record[definition.statusField];
+  const stageId = record[definition.stageField];
+  return definition.transitions
+    .filter(t => t.from.includes(status) && (!t.fromStages || t.fromStages.includes(stageId)))
+    .map(t => {
+      let blockedReason = null;
+      if (!t.roles.includes(role)) blockedReason = `Only ${t.roles.join(', ')} may ${t.label.toLowerCase()}.`;
+      else if (t.guard) blockedReason = t.guard(record, data, role);
+      return {
+        ...t,
+        toStatus: typeof t.to === 'function' ? t.to(record) : (t.to || status),
+        toStageId: t.toStageId || stageId,
+        allowed: !blockedReason,
+        blockedReason,
+      };
+    });
+};
+
+// Returns { record, entry } with the status, stage and history updated, or { error } for an illegal move.
+const applyWorkflowTransition = (workflowKey, record, transitionId, { role, userName, data, reason }) => {
+  const definition = WORKFLOW_DEFINITIONS[workflowKey];
+  const status = record[definition.statusField];
+  const transition = definition.transitions.find(t => t.id === transitionId);
+  if (!transition) return { error: `Unknown workflow transition "${transitionId}".` };
+  const available = getWorkflowTransitions(workflowKey, record, { role, data }).find(t => t.id === transitionId);
+  if (!available) {
+    const stage = getWorkflowStage(workflowKey, record[definition.stageField]);
+    return { error: `"${transition.label}" is not allowed for a record that is ${status}${stage ? ` at ${stage.name}` : ''}.` };
+  }
+  if (!available.allowed) return { error: available.blockedReason };
+  if (transition.requiresReason && !reason?.trim()) return { error: `A reason is required to ${transition.label.toLowerCase()}.` };
+
+  const entry = {
+    at: new Date().toISOString(),
+    by: userName,
+    action: transition.action,
+    transitionId,
+    fromStatus: status,
+    toStatus: available.toStatus,
+    fromStageId: record[definition.stageField],
+    toStageId: available.toStageId,
+    ...(reason?.trim() && { note: reason.trim() }),
+  };
+  return {
+    entry,
+    transition: available,
+    record: {
+      ...record,
+      [definition.statusField]: available.toStatus,
+      [definition.stageField]: available.toStageId,
+      [definition.historyField]: [...(record[definition.historyField] || []), entry],
+    },
+  };
+};
+
+// Statuses a status field may offer: the current one plus every target the role can reach now.
+const getReachableStatuses = (workflowKey, record, context) => {
+  const definition = WORKFLOW_DEFINITIONS[workflowKey];
+  const current = record[definition.statusField];
+  const targets = getWorkflowTransitions(workflowKey, record, context)
+    .filter(t => t.allowed && t.toStatus !== current)
+    .map(t => t.toStatus);
+  return [current, ...new Set(targets)];
+};
+
+// Milestone dates are the timestamps of the transitions that first reached each stage.
+const getWorkflowMilestones = (workflowKey, record) => {
+  const definition = WORKFLOW_DEFINITIONS[workflowKey];
+  const history = record[definition.historyField] || [];
+  return definition.stages.map(stage => ({
+    ...stage,
+    date: history.find(entry => entry.toStageId === stage.id)?.at?.split('T')[0] || null,
+  }));
+};
+
+// Applies a student transition and records it in the activity log.
+const transitionStudent = (data, studentId, transitionId, actor, reason) => {
+  const student = data.students.find(s => s.id === studentId);
+  if (!student) return { error: 'Student not found.' };
+  const outcome = applyWorkflowTransition('student', student, transitionId, { role: actor.role, userName: actor.user, data, reason });
+  if (outcome.error) return outcome;
+  const { entry } = outcome;
+  const stageChange = entry.fromStageId !== entry.toStageId ? ` Milestone reached: ${getWorkflowStage('student', entry.toStageId)?.name}.` : '';
+  const transitioned = {
+    ...data,
+    students: data.students.map(s => s.id === studentId ? outcome.record : s),
+    activityLog: [createActivityEntry(data.activityLog, {
+      userName: actor.user, action: outcome.transition.action, recordType: 'Student', recordId: studentId,
+      details: `${student.name}: ${entry.fromStatus} → ${entry.toStatus}.${stageChange}${entry.note ? ` Reason: ${entry.note}` : ''}`,
+      changes: diffRecordFields(student, outcome.record), reason: entry.note,
+    }), ...data.activityLog],
+  };
+  if (entry.toStatus !== 'DROPPED') return { record: outcome.record, data: transitioned };
+  // A student who drops out gives up their seats and waitlist places, and the waitlists move up
+  const withdrawn = transitioned.enrollments
+    .filter(e => e.studentId === studentId && (e.status === ENROLLMENT_STATUS.ENROLLED || e.status === ENROLLMENT_STATUS.WAITLISTED))
+    .reduce((acc, enrollment) => dropEnrollment(acc, enrollment.id, actor.user).data, transitioned);
+  return { record: outcome.record, data: withdrawn };
+};
+
+// --- Enrollment Model ---
+const ENROLLMENT_STATUS = {
+  ENROLLED: 'ENROLLED',
+  WAITLISTED: 'WAITLISTED',
+  DROPPED: 'DROPPED',
+  COMPLETED: 'COMPLETED',
+};
+
+const getCourseSeatSummary = (course, enrollments) => {
+  const courseEnrollments = enrollments.filter(e => e.courseId === course.id);
+  const enrolled = courseEnrollments.filter(e => e.status === ENROLLMENT_STATUS.ENROLLED);
+  const waitlist = courseEnrollments
+    .filter(e => e.status === ENROLLMENT_STATUS.WAITLISTED)
+    .sort((a, b) => new Date(a.waitlistedAt) - new Date(b.waitlistedAt));
+  return {
+    enrolled,
+    waitlist,
+    capacity: course.capacity,
+    available: Math.max(0, course.capacity - enrolled.length),
+  };
+};
+
+const getWaitlistPosition = (enrollment, enrollments) => {
+  if (enrollment.status !== ENROLLMENT_STATUS.WAITLISTED) return null;
+  return enrollments
+    .filter(e => e.courseId === enrollment.courseId && e.status === ENROLLMENT_STATUS.WAITLISTED)
+    .sort((a, b) => new Date(a.waitlistedAt) - new Date(b.waitlistedAt))
+    .findIndex(e => e.id === enrollment.id) + 1;
+};
+
+// A student's scope holds only their own enrollments, so seat counts and waitlist positions
+// worked out from it would be wrong; those are only shown to roles that see whole rosters.
+const canSeeCourseRosters = (user) => user.role !== ROLES.STUDENT;
+
+const isCourseOpenForEnrollment = (course) => course.status === 'ACTIVE' || course.status === 'PENDING';
+
+// Returns { data, enrollment } on success or { error } when the enrollment is not allowed.
+const enrollStudentInCourse = (data, studentId, courseId, userName) => {
+  const student = data.students.find(s => s.id === studentId);
+  const course = data.courses.find(c => c.id === courseId);
+  if (!student || !course) return { error: 'Student or course not found.' };
+  if (!isCourseOpenForEnrollment(course)) return { error: `${course.code} is not open for enrollment.` };
+  const alreadyActive = data.enrollments.some(e => e.studentId === studentId && e.courseId === courseId &&
+    (e.status === ENROLLMENT_STATUS.ENROLLED || e.status === ENROLLMENT_STATUS.WAITLISTED));
+  if (alreadyActive) return { error: `${student.name} is already enrolled or waitlisted in ${course.code}.` };
+
+  const now = new Date().toISOString();
+  const { available } = getCourseSeatSummary(course, data.enrollments);
+  const status = available > 0 ? ENROLLMENT_STATUS.ENROLLED : ENROLLMENT_STATUS.WAITLISTED;
+  const enrollment = {
+    id: nextSequentialId('ENR', data.enrollments),
+    studentId, courseId,
+    enrolledDate: now.split('T')[0],
+    status,
+    waitlistedAt: status === ENROLLMENT_STATUS.WAITLISTED ? now : null,
+  };
+
+  return {
+    enrollment,
+    data: {
+      ...data,
+      enrollments: [...data.enrollments, enrollment],
+      activityLog: [createActivityEntry(data.activityLog, {
+        userName, action: status === ENROLLMENT_STATUS.ENROLLED ? 'enrolled' : 'waitlisted',
+        recordType: 'Student', recordId: studentId, relatedRecordId: courseId,
+        details: status === ENROLLMENT_STATUS.ENROLLED
+          ? `${student.name} enrolled in ${course.code}.`
+          : `${course.code} is full; ${student.name} was added to the waitlist.`,
+      }), ...data.activityLog],
+    },
+  };
+};
+
+// Moves waitlisted students into every open seat of the course, longest-waiting first, with an
+// activity entry per promotion. Run after anything that frees seats or adds capacity.
+const promoteWaitlist = (data, courseId, userName) => {
+  const course = data.courses.find(c => c.id === courseId);
+  if (!course) return { promoted: [], data };
+  const { available, waitlist } = getCourseSeatSummary(course, data.enrollments);
+  const promoted = waitlist.slice(0, available);
+  if (promoted.length === 0) return { promoted, data };
+  const today = new Date().toISOString().split('T')[0];
+  const promotedIds = promoted.map(e => e.id);
+  const activityLog = promoted.reduce((log, enrollment) => {
+    const student = data.students.find(s => s.id === enrollment.studentId);
+    return [createActivityEntry(log, {
+      userName, action: 'enrolled',
+      recordType: 'Student', recordId: enrollment.studentId, relatedRecordId: course.id,
+      details: `${student?.name} promoted from the waitlist into ${course.code}.`,
+    }), ...log];
+  }, data.activityLog);
+  return {
+    promoted,
+    data: {
+      ...data,
+      enrollments: data.enrollments.map(e => promotedIds.includes(e.id)
+        ? { ...e, status: ENROLLMENT_STATUS.ENROLLED, enrolledDate: today, waitlistedAt: null }
+        : e),
+      activityLog,
+    },
+  };
+};
+
+// Waitlist promotion for each of `courseIds`; the promoted enrollments of all of them are returned together.
+const promoteWaitlists = (data, courseIds, userName) => [...new Set(courseIds)].reduce((acc, courseId) => {
+  const outcome = promoteWaitlist(acc.data, courseId, userName);
+  return { promoted: [...acc.promoted, ...outcome.promoted], data: outcome.data };
+}, { promoted: [], data });
+
+// Drops (or removes from the waitlist) and promotes waitlisted students into the freed seat.
+const dropEnrollment = (data, enrollmentId, userName) => {
+  const enrollment = data.enrollments.find(e => e.id === enrollmentId);
+  if (!enrollment) return { error: 'Enrollment not found.' };
+  if (enrollment.status !== ENROLLMENT_STATUS.ENROLLED && enrollment.status !== ENROLLMENT_STATUS.WAITLISTED) {
+    return { error: 'Only active or waitlisted enrollments can be dropped.' };
+  }
+  const student = data.students.find(s => s.id === enrollment.studentId);
+  const course = data.courses.find(c => c.id === enrollment.courseId);
+  const now = new Date().toISOString();
+
+  const dropped = {
+    ...data,
+    enrollments: data.enrollments.map(e => e.id === enrollmentId
+      ? { ...e, status: ENROLLMENT_STATUS.DROPPED, droppedDate: now.split('T')[0], waitlistedAt: null }
+      : e),
+    activityLog: [createActivityEntry(data.activityLog, {
+      userName, action: 'dropped',
+      recordType: 'Student', recordId: enrollment.studentId, relatedRecordId: enrollment.courseId,
+      details: `${student?.name} dropped ${course?.code}${enrollment.status === ENROLLMENT_STATUS.WAITLISTED ? ' (removed from waitlist)' : ''}.`,
+    }), ...data.activityLog],
+  };
+  const outcome = promoteWaitlist(dropped, enrollment.courseId, userName);
+  return { promoted: outcome.promoted[0] || null, data: outcome.data };
+};
+
+// --- Gradebook ---
+// Weighted course percentage from the scores entered so far. Ungraded assessments are ignored and
+// the weights of categories without any graded work are redistributed. Returns null when nothing is graded.
+const computeCoursePercentage = (course, studentId, { assessments, scores }) => {
+  const weights = course.gradingWeights || {};
+  let weightedSum = 0;
+  let weightTotal = 0;
+  Object.entries(weights).forEach(([category, weight]) => {
+    let earned = 0;
+    let possible = 0;
+    assessments
+      .filter(a => a.courseId === course.id && a.category === category)
+      .forEach(a => {
+        const entry = scores.find(sc => sc.assessmentId === a.id && sc.studentId === studentId);
+        if (entry && entry.score !== null && entry.score !== '') {
+          earned += Number(entry.score);
+          possible += Number(a.maxScore);
+        }
+      });
+    if (possible > 0) {
+      weightedSum += (earned / possible) * 100 * Number(weight);
+      weightTotal += Number(weight);
+    }
+  });
+  return weightTotal > 0 ? weightedSum / weightTotal : null;
+};
+
+const getLetterGrade = (percentage, gradeScale = DEFAULT_GRADE_SCALE) => {
+  if (percentage === null || percentage === undefined) return null;
+  return [...gradeScale].sort((a, b) => b.min - a.min).find(g => percentage >= g.min) || gradeScale[gradeScale.length - 1];
+};
+
+const computeFinalGrade = (course, studentId, data) => {
+  const percentage = computeCoursePercentage(course, studentId, data);
+  const grade = getLetterGrade(percentage, course.gradeScale);
+  if (!grade) return null;
+  return { percentage: Number(percentage.toFixed(1)), letter: grade.letter, points: grade.points };
+};
+
+// Credit-weighted GPA across completed enrollments that have a posted final grade.
+const computeStudentGPA = (studentId, { enrollments, courses }) => {
+  let qualityPoints = 0;
+  let credits = 0;
+  enrollments
+    .filter(e => e.studentId === studentId && e.status === ENROLLMENT_STATUS.COMPLETED && e.finalGrade)
+    .forEach(e => {
+      const course = courses.find(c => c.id === e.courseId);
+      if (!course) return;
+      qualityPoints += e.finalGrade.points * course.credits;
+      credits += course.credits;
+    });
+  return credits > 0 ? qualityPoints / credits : null;
+};
+
+const formatGPA = (gpa) => (gpa === null ? 'N/A' : gpa.toFixed(2));
+
+// GPA at the two decimals it is shown with; filters and charts bucket on this so ranges line up with what users see
+const roundGPA = (gpa) => (gpa === null ? null : Math.round(gpa * 100) / 100);
+
+const completeEnrollment = (data, enrollmentId, userName) => {
+  const enrollment = data.enrollments.find(e => e.id === enrollmentId);
+  if (!enrollment || enrollment.status !== ENROLLMENT_STATUS.ENROLLED) return { error: 'Only active enrollments can be completed.' };
+  const student = data.students.find(s => s.id === enrollment.studentId);
+  const course = data.courses.find(c => c.id === enrollment.courseId);
+  const finalGrade = course ? computeFinalGrade(course, enrollment.studentId, data) : null;
+  return {
+    data: {
+      ...data,
+      enrollments: data.enrollments.map(e => e.id === enrollmentId
+        ? { ...e, status: ENROLLMENT_STATUS.COMPLETED, completedDate: new Date().toISOString().split('T')[0], finalGrade }
+        : e),
+      activityLog: [createActivityEntry(data.activityLog, {
+        userName, action: 'completed',
+        recordType: 'Student', recordId: enrollment.studentId, relatedRecordId: enrollment.courseId,
+        details: `${student?.name} completed ${course?.code}${finalGrade ? ` with a final grade of ${finalGrade.letter}` : ''}.`,
+      }), ...data.activityLog],
+    },
+  };
+};
+
+// --- Attendance ---
+const ATTENDANCE_STATUS = {
+  PRESENT: 'PRESENT',
+  ABSENT: 'ABSENT',
+  LATE: 'LATE',
+  EXCUSED: 'EXCUSED',
+};
+
+const ATTENDANCE_STATUS_COLORS = {
+  PRESENT: 'approved',
+  LATE: 'pending',
+  ABSENT: 'rejected',
+  EXCUSED: 'exception',
+};
+
+// Late arrivals count as attended; excused absences are left out of the denominator.
+// Returns null when the student has no countable sessions (optionally within one course).
+const computeAttendanceRate = (studentId, attendanceSessions, courseId) => {
+  let attended = 0;
+  let counted = 0;
+  attendanceSessions
+    .filter(session => !courseId || session.courseId === courseId)
+    .forEach(session => {
+      const mark = session.records[studentId];
+      if (!mark || mark === ATTENDANCE_STATUS.EXCUSED) return;
+      counted += 1;
+      if (mark === ATTENDANCE_STATUS.PRESENT || mark === ATTENDANCE_STATUS.LATE) attended += 1;
+    });
+  return counted > 0 ? (attended / counted) * 100 : null;
+};
+
+const formatAttendanceRate = (rate) => (rate === null ? 'N/A' : `${rate.toFixed(0)}%`);
+
+// --- Transcripts ---
+const TERM_SEASON_ORDER = ['Winter', 'Spring', 'Summer', 'Fall'];
+const UNSCHEDULED_TERM = 'Unscheduled';
+
+// "Fall 2024" style terms sort by year, then season; anything else sorts after them by name.
+const compareTerms = (a, b) => {
+  const parse = (term) => {
+    const match = /^(\w+)\s+(\d{4})$/.exec(term);
+    return match ? [Number(match[2]), TERM_SEASON_ORDER.indexOf(match[1])] : [Infinity, 0];
+  };
+  const [yearA, seasonA] = parse(a);
+  const [yearB, seasonB] = parse(b);
+  return (yearA === yearB ? 0 : yearA - yearB) || seasonA - seasonB || a.localeCompare(b);
+};
+
+const summarizeTranscriptCourses = (courses) => {
+  const graded = courses.filter(c => c.qualityPoints !== null);
+  const gpaCredits = graded.reduce((sum, c) => sum + c.credits, 0);
+  return {
+    creditsAttempted: courses.reduce((sum, c) => sum + c.credits, 0),
+    creditsEarned: graded.filter(c => c.points > 0).reduce((sum, c) => sum + c.credits, 0),
+    gpa: gpaCredits > 0 ? graded.reduce((sum, c) => sum + c.qualityPoints, 0) / gpaCredits : null,
+  };
+};
+
+// Completed and in-progress courses grouped by term, with term and cumulative totals. Dropped and
+// waitlisted enrollments never appear on a transcript. Courses without a posted grade show "IP".
+const buildTranscript = (studentId, data) => {
+  const student = data.students.find(s => s.id === studentId);
+  if (!student) return null;
+  const courses = data.enrollments
+    .filter(e => e.studentId === studentId && (e.status === ENROLLMENT_STATUS.COMPLETED || e.status === ENROLLMENT_STATUS.ENROLLED))
+    .map(e => {
+      const course = data.courses.find(c => c.id === e.courseId);
+      if (!course) return null;
+      const graded = e.status === ENROLLMENT_STATUS.COMPLETED && e.finalGrade;
+      return {
+        term: course.term || UNSCHEDULED_TERM,
+        code: course.code, name: course.name, credits: course.credits,
+        grade: graded ? e.finalGrade.letter : 'IP',
+        points: graded ? e.finalGrade.points : null,
+        qualityPoints: graded ? e.finalGrade.points * course.credits : null,
+      };
+    })
+    .filter(Boolean);
+  const terms = [...new Set(courses.map(c => c.term))].sort(compareTerms).map(term => {
+    const termCourses = courses.filter(c => c.term === term).sort((a, b) => a.code.localeCompare(b.code));
+    return { term, courses: termCourses, ...summarizeTranscriptCourses(termCourses) };
+  });
+  return { student, terms, cumulative: summarizeTranscriptCourses(courses) };
+};
+
+// A short code printed on the transcript and kept in the audit log, so a copy can be checked
+// against the record of its generation.
+const computeVerificationCode = async (transcript, generatedAt) => {
+  const digest = toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify({ transcript, generatedAt }))));
+  return digest.slice(0, 12).toUpperCase().match(/.{4}/g).join('-');
+};
+
+const TRANSCRIPT_INSTITUTION = 'Academic Management System';
+
+// Lays the transcript out on US Letter pages for createPdf.
+const renderTranscriptPdf = (transcript, { generatedAt, verificationCode }) => {
+  const { student, terms, cumulative } = transcript;
+  const margin = 54;
+  const pageHeight = 792;
+  const columns = { code: margin, name: margin + 80, credits: 400, grade: 455, points: 505 };
+  const pages = [];
+  let page;
+  let y;
+  const newPage = () => {
+    page = [];
+    pages.push(page);
+    y = pageHeight - margin;
+  };
+  const text = (x, value, options = {}) => page.push({ type: 'text', x, y, text: String(value), size: 10, ...options });
+  const rule = (width = 0.5) => page.push({ type: 'line', x1: margin, y1: y, x2: 612 - margin, y2: y, width });
+  // Leaves room for the footer; a term header is never left alone at the bottom of a page
+  const ensureSpace = (height) => {
+    if (y - height < margin + 30) newPage();
+  };
+  const truncate = (value, length) => (value.length > length ? `${value.slice(0, length - 1)}…` : value);
+
+  newPage();
+  text(margin, TRANSCRIPT_INSTITUTION, { size: 16, bold: true });
+  y -= 20;
+  text(margin, 'Official Academic Transcript', { size: 12 });
+  y -= 14;
+  rule(1);
+  y -= 20;
+  [
+    ['Student', student.name, 'Student ID', student.studentId],
+    ['Major', student.major, 'Status', student.status],
+    ['Email', student.email, 'Enrolled', student.enrollmentDate || 'N/A'],
+  ].forEach(([labelA, valueA, labelB, valueB]) => {
+    text(margin, labelA, { bold: true });
+    text(margin + 60, valueA || 'N/A');
+    text(330, labelB, { bold: true });
+    text(400, valueB || 'N/A');
+    y -= 15;
+  });
+  y -= 10;
+
+  if (terms.length === 0) {
+    text(margin, 'No completed or in-progress courses on record.');
+    y -= 20;
+  }
+  terms.forEach(term => {
+    ensureSpace(60);
+    text(margin, term.term, { size: 11, bold: true });
+    y -= 14;
+    [['code', 'Course'], ['name', 'Title'], ['credits', 'Credits'], ['grade', 'Grade'], ['points', 'Points']]
+      .forEach(([key, label]) => text(columns[key], label, { size: 9, bold: true }));
+    y -= 5;
+    rule();
+    y -= 12;
+    term.courses.forEach(course => {
+      ensureSpace(14);
+      text(columns.code, course.code);
+      text(columns.name, truncate(course.name, 48));
+      text(columns.credits, course.credits);
+      text(columns.grade, course.grade);
+      text(columns.points, course.qualityPoints === null ? '-' : course.qualityPoints.toFixed(2));
+      y -= 14;
+    });
+    text(columns.name, `Term credits: ${term.creditsEarned} earned of ${term.creditsAttempted} attempted`, { size: 9 });
+    text(columns.grade, `Term GPA: ${formatGPA(term.gpa)}`, { size: 9, bold: true });
+    y -= 24;
+  });
+
+  ensureSpace(40);
+  rule(1);
+  y -= 16;
+  text(margin, 'Cumulative', { size: 11, bold: true });
+  text(columns.name, `Credits earned: ${cumulative.creditsEarned} of ${cumulative.creditsAttempted} attempted`);
+  text(columns.grade, `GPA: ${formatGPA(cumulative.gpa)}`, { size: 11, bold: true });
+
+  const generated = new Date(generatedAt).toLocaleString();
+  pages.forEach((items, index) => {
+    items.push(
+      { type: 'line', x1: margin, y1: margin, x2: 612 - margin, y2: margin, width: 0.5 },
+      { type: 'text', x: margin, y: margin - 14, size: 8, text: `Generated ${generated} - Verification code ${verificationCode}` },
+      { type: 'text', x: 612 - margin - 60, y: margin - 14, size: 8, text: `Page ${index + 1} of ${pages.length}` },
+    );
+  });
+  return createPdf(pages, { title: `Transcript - ${student.name}` });
+};
+
+// --- Admissions Pipeline ---
+const ADMISSION_STAGES = WORKFLOW_DEFINITIONS.admission.stages;
+
+const isAdmissionDecided = (admission) => ['APPROVED', 'REJECTED', 'ADMITTED'].includes(admission.status);
+
+// Applies an admission transition and records it in the activity log.
+const transitionAdmission = (data, admissionId, transitionId, actor, reason, extraFields = {}) => {
+  const admission = data.admissions.find(a => a.id === admissionId);
+  if (!admission) return { error: 'Application not found.' };
+  const outcome = applyWorkflowTransition('admission', admission, transitionId, { role: actor.role, userName: actor.user, data, reason });
+  if (outcome.error) return outcome;
+  const updated = { ...outcome.record, ...extraFields };
+  const { entry } = outcome;
+  const details = entry.action === 'moved'
+    ? `${admission.applicantName}'s application moved to ${getWorkflowStage('admission', entry.toStageId)?.name}.`
+    : `${admission.applicantName}'s application ${entry.action}${entry.note ? `: ${entry.note}` : '.'}`;
+  return {
+    record: updated,
+    data: {
+      ...data,
+      admissions: data.admissions.map(a => a.id === admissionId ? updated : a),
+      activityLog: [createActivityEntry(data.activityLog, {
+        userName: actor.user, action: entry.action === 'moved' ? 'updated' : entry.action, recordType: 'Admission', recordId: admissionId,
+        details, changes: diffRecordFields(admission, updated), reason: entry.note,
+      }), ...data.activityLog],
+    },
+  };
+};
+
+// Moves an undecided application one stage forward (+1) or back (-1) through whichever
+// workflow transition connects the two stages.
+const moveAdmissionStage = (data, admissionId, direction, actor) => {
+  const admission = data.admissions.find(a => a.id === admissionId);
+  if (!admission) return { error: 'Application not found.' };
+  const currentIndex = ADMISSION_STAGES.findIndex(stage => stage.id === admission.workflowStageId);
+  const target = ADMISSION_STAGES[currentIndex + direction];
+  const transition = target && getWorkflowTransitions('admission', admission, { role: actor.role, data })
+    .find(t => t.action === 'moved' && t.toStageId === target.id);
+  if (!transition) return { error: 'The application cannot move in that direction.' };
+  return transitionAdmission(data, admissionId, transition.id, actor);
+};
+
+// decision is 'APPROVED' or 'REJECTED'; the workflow requires a reason for rejections.
+const decideAdmission = (data, admissionId, decision, reason, actor) => transitionAdmission(
+  data, admissionId, decision === 'APPROVED' ? 'approve' : 'reject', actor, reason,
+  {
+    rejectionReason: decision === 'REJECTED' ? reason?.trim() || null : null,
+    decidedDate: new Date().toISOString().split('T')[0],
+  },
+);
+
+// Converts an approved application into a student record. The student keeps a copy of the
+// application's history and a link back to it; the application is marked ADMITTED.
+const admitApplicant = (data, admissionId, actor) => {
+  const admission = data.admissions.find(a => a.id === admissionId);
+  if (!admission) return { error: 'Application not found.' };
+  if (data.students.some(s => s.email.toLowerCase() === admission.email.toLowerCase())) {
+    return { error: `A student with the email ${admission.email} already exists.` };
+  }
+
+  const recordId = nextStudentRecordId(data.students);
+  const admitted = transitionAdmission(data, admissionId, 'admit', actor, `Student record ${recordId} created.`, { studentRecordId: recordId });
+  if (admitted.error) return admitted;
+  const allocated = allocateStudentId(admitted.data);
+
+  const now = new Date().toISOString();
+  const student = {
+    id: recordId,
+    studentId: allocated.studentId,
+    name: admission.applicantName,
+    email: admission.email,
+    ...(admission.dateOfBirth && { dateOfBirth: admission.dateOfBirth }),
+    major: admission.programApplied,
+    status: 'ENROLLED',
+    enrollmentDate: now.split('T')[0],
+    workflowStageId: WORKFLOW_DEFINITIONS.student.initialStageId,
+    workflowHistory: [{ at: now, by: actor.user, action: 'confirmed', fromStatus: 'PENDING', toStatus: 'ENROLLED', toStageId: WORKFLOW_DEFINITIONS.student.initialStageId, note: `Admitted from application ${admission.id}.` }],
+    lastActivity: now,
+    image: `https://api.dicebear.com/7.x/initials/svg?seed=${encodeURIComponent(admission.applicantName)}`,
+    admissionId: admission.id,
+    applicationHistory: admitted.record.history,
+  };
+
+  return {
+    student,
+    data: {
+      ...allocated.data,
+      students: [...allocated.data.students, student],
+      activityLog: [createActivityEntry(allocated.data.activityLog, {
+        userName: actor.user, action: 'created', recordType: 'Student', recordId: student.id, relatedRecordId: admission.id,
+        details: `Student ${student.name} created from application ${admission.id}.`,
+      }), ...allocated.data.activityLog],
+    },
+  };
+};
+
+// --- Bulk Actions ---
+// Batch changes to many students at once. Each student is handled on its own, so one failure doesn't
+// stop the rest, and the batch remembers every record it touched so it can be undone as a whole.
+const BULK_UNDO_WINDOW_MS = 30 * 1000;
+
+const BULK_ACTION_TYPES = {
+  STATUS: 'status',
+  ENROLL: 'enroll',
+  ADVISOR: 'advisor',
+};
+
+const describeBulkAction = (action, data) => {
+  if (action.type === BULK_ACTION_TYPES.STATUS) return `status change to ${action.status}`;
+  if (action.type === BULK_ACTION_TYPES.ENROLL) return `enrollment in ${data.courses.find(c => c.id === action.courseId)?.code || action.courseId}`;
+  return `advisor assignment to ${action.advisor}`;
+};
+
+const applyBulkActionToStudent = (data, student, action, actor) => {
+  if (action.type === BULK_ACTION_TYPES.STATUS) {
+    if (student.status === action.status) return { error: `Already ${action.status}.` };
+    const candidates = getWorkflowTransitions('student', student, { role: actor.role, data }).filter(t => t.toStatus === action.status);
+    const transition = candidates.find(t => t.allowed) || candidates[0];
+    if (!transition) return { error: `The workflow has no move from ${student.status} to ${action.status}.` };
+    if (!transition.allowed) return { error: transition.blockedReason };
+    const outcome = transitionStudent(data, student.id, transition.id, actor, action.reason);
+    return outcome.error ? outcome : { data: outcome.data, message: `${student.status} → ${action.status}` };
+  }
+  if (action.type === BULK_ACTION_TYPES.ENROLL) {
+    const outcome = enrollStudentInCourse(data, student.id, action.courseId, actor.user);
+    if (outcome.error) return outcome;
+    return { data: outcome.data, message: outcome.enrollment.status === ENROLLMENT_STATUS.WAITLISTED ? 'Added to the waitlist' : 'Enrolled' };
+  }
+  if (student.advisor === action.advisor) return { error: `Already advised by ${action.advisor}.` };
+  const updated = { ...student, advisor: action.advisor, lastActivity: new Date().toISOString() };
+  return {
+    message: student.advisor ? `${student.advisor} → ${action.advisor}` : `Assigned to ${action.advisor}`,
+    data: {
+      ...data,
+      students: data.students.map(s => s.id === student.id ? updated : s),
+      activityLog: [createActivityEntry(data.activityLog, {
+        userName: actor.user, action: 'updated', recordType: 'Student', recordId: student.id,
+        details: `Advisor for ${student.name} set to ${action.advisor}.`,
+      }), ...data.activityLog],
+    },
+  };
+};
+
+// Every record (outside the activity log) that differs between two snapshots, with both versions.
+const collectRecordChanges = (before, after) => DATA_COLLECTIONS
+  .filter(collection => collection !== 'activityLog' && before[collection] !== after[collection])
+  .flatMap(collection => {
+    const beforeById = new Map(before[collection].map(record => [record.id, record]));
+    const afterById = new Map(after[collection].map(record => [record.id, record]));
+    return [...new Set([...beforeById.keys(), ...afterById.keys()])]
+      .filter(id => beforeById.get(id) !== afterById.get(id))
+      .map(id => ({ collection, id, before: beforeById.get(id) || null, after: afterById.get(id) || null }));
+  });
+
+// Runs `action` for each student and returns per-student results plus the batch needed to undo it.
+// Fails only when no student could be changed.
+const runBulkStudentAction = (data, studentIds, action, actor) => {
+  let next = data;
+  const results = studentIds.map(id => {
+    const student = next.students.find(s => s.id === id);
+    if (!student) return { studentId: id, name: id, ok: false, message: 'Student not found.' };
+    const outcome = applyBulkActionToStudent(next, student, action, actor);
+    if (outcome.error) return { studentId: id, name: student.name, ok: false, message: outcome.error };
+    next = outcome.data;
+    return { studentId: id, name: student.name, ok: true, message: outcome.message };
+  });
+  if (!results.some(result => result.ok)) return { error: 'None of the selected students could be changed.', results };
+  return {
+    results,
+    batch: { label: describeBulkAction(action, data), changes: collectRecordChanges(data, next) },
+    data: next,
+  };
+};
+
+const getChangeStudentId = (change) => (change.collection === 'students' ? change.id : (change.before || change.after).studentId);
+
+// Puts back every record a batch touched. A student whose records changed again after the batch is
+// left alone and reported as a conflict. The activity log keeps the batch and records the undo.
+const revertBulkChanges = (data, batch, actor) => {
+  const sameVersion = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const findRecord = (source, change) => source[change.collection].find(record => record.id === change.id) || null;
+  const byStudent = new Map();
+  batch.changes.forEach(change => {
+    const studentId = getChangeStudentId(change);
+    byStudent.set(studentId, [...(byStudent.get(studentId) || []), change]);
+  });
+
+  let next = data;
+  const reverted = [];
+  const conflicts = [];
+  byStudent.forEach((changes, studentId) => {
+    const name = data.students.find(s => s.id === studentId)?.name || studentId;
+    if (changes.some(change => !sameVersion(findRecord(next, change), change.after))) {
+      conflicts.push(name);
+      return;
+    }
+    next = changes.reduce((acc, change) => {
+      const others = acc[change.collection].filter(record => record.id !== change.id);
+      const restored = findRecord(acc, change)
+        ? acc[change.collection].map(record => (record.id === change.id ? change.before : record)).filter(Boolean)
+        : [...others, change.before];
+      return { ...acc, [change.collection]: change.before ? restored : others };
+    }, next);
+    next = {
+      ...next,
+      activityLog: [createActivityEntry(next.activityLog, {
+        userName: actor.user, action: 'reverted', recordType: 'Student', recordId: studentId,
+        details: `Bulk ${batch.label} undone for ${name}.`,
+        reason: `Undo of bulk ${batch.label}`,
+      }), ...next.activityLog],
+    };
+    reverted.push(name);
+  });
+  if (reverted.length === 0) return { error: 'Nothing could be undone; every affected student has changed since.', conflicts };
+  // Seats the batch had taken may be free again, e.g. after undoing a bulk enroll
+  const courseIds = batch.changes.filter(change => change.collection === 'enrollments').map(change => (change.before || change.after).courseId);
+  return { data: promoteWaitlists(next, courseIds, actor.user).data, reverted, conflicts };
+};
+
+// --- Notifications ---
+// Notifications aren't stored: rules are evaluated over the data the user can see whenever it changes.
+// Each notification has a stable id, so the `notificationSettings` record of a user only keeps which
+// ids they have read plus their per-rule preferences (on/off and threshold).
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isAdmissionOpen = (admission) => admission.status === 'PENDING' || admission.status === 'IN PROGRESS';
+
+const getLastAdmissionMove = (admission) => admission.history?.[admission.history.length - 1]?.at || admission.submittedDate;
+
+const NOTIFICATION_RULES = [
+  {
+    id: 'lowAttendance',
+    label: 'Low attendance',
+    description: 'A student\'s attendance rate is below the threshold.',
+    threshold: { label: 'Attendance below (%)', defaultValue: 75 },
+    appliesTo: (perms) => perms.canManageStudents,
+    evaluate: (data, threshold) => data.students.flatMap(student => {
+      const rate = computeAttendanceRate(student.id, data.attendanceSessions);
+      if (rate === null || rate >= threshold) return [];
+      const lastSession = data.attendanceSessions
+        .filter(session => session.records[student.id])
+        .reduce((latest, session) => (session.date > latest ? session.date : latest), '');
+      return [{
+        id: `lowAttendance:${student.id}`,
+        title: `${student.name}'s attendance is ${formatAttendanceRate(rate)}`,
+        details: `Below your ${threshold}% threshold.`,
+        at: lastSession || null,
+        target: [SCREEN_MAP.STUDENT_DETAIL, { studentId: student.id }],
+      }];
+    }),
+  },
+  {
+    id: 'staleAdmission',
+    label: 'Admissions waiting too long',
+    description: 'An application has been pending or in progress without a move for more than the given days.',
+    threshold: { label: 'Waiting longer than (days)', defaultValue: 14 },
+    appliesTo: (perms) => perms.canManageAdmissions,
+    evaluate: (data, threshold) => data.admissions.flatMap(admission => {
+      if (!isAdmissionOpen(admission)) return [];
+      const lastMove = getLastAdmissionMove(admission);
+      const days = Math.floor((Date.now() - new Date(lastMove).getTime()) / DAY_MS);
+      if (!(days > threshold)) return [];
+      return [{
+        // The id includes the last move, so the notification comes back if it stalls again later
+        id: `staleAdmission:${admission.id}:${lastMove}`,
+        title: `${admission.applicantName}'s application has waited ${days} days`,
+        details: `${admission.status} in ${getWorkflowStage('admission', admission.workflowStageId)?.name || 'the pipeline'}.`,
+        at: lastMove,
+        target: [SCREEN_MAP.ADMISSION_DETAIL, { admissionId: admission.id }],
+      }];
+    }),
+  },
+  {
+    id: 'adviseeStatus',
+    label: 'Advisee status changes',
+    description: 'Someone else changed the status of a student you advise.',
+    threshold: { label: 'Look back (days)', defaultValue: 30 },
+    appliesTo: () => true,
+    evaluate: (data, threshold, user) => {
+      const advisorName = user.instructorName || user.name;
+      const advisees = new Map(data.students.filter(s => s.advisor && s.advisor === advisorName).map(s => [s.id, s]));
+      return data.activityLog.flatMap(entry => {
+        const student = entry.recordType === 'Student' && advisees.get(entry.recordId);
+        const change = student && entry.changes?.find(c => c.field === 'status');
+        if (!change || entry.userId === user.id || Date.now() - new Date(entry.timestamp).getTime() > threshold * DAY_MS) return [];
+        return [{
+          id: `adviseeStatus:${entry.id}`,
+          title: `${student.name}: ${change.from} → ${change.to}`,
+          details: `Changed by ${entry.userName}${entry.reason ? `: ${entry.reason}` : '.'}`,
+          at: entry.timestamp,
+          target: [SCREEN_MAP.STUDENT_DETAIL, { studentId: student.id }],
+        }];
+      });
+    },
+  },
+  {
+    id: 'courseCapacity',
+    label: 'Courses reaching capacity',
+    description: 'Enrollment in a course reaches the given share of its capacity.',
+    threshold: { label: 'Capacity used at least (%)', defaultValue: 100 },
+    appliesTo: (perms) => perms.canManageCourses && perms.role !== ROLES.STUDENT,
+    evaluate: (data, threshold) => data.courses.flatMap(course => {
+      const enrolled = data.enrollments.filter(e => e.courseId === course.id && e.status === ENROLLMENT_STATUS.ENROLLED);
+      if (!course.capacity || enrolled.length < course.capacity * threshold / 100) return [];
+      return [{
+        id: `courseCapacity:${course.id}`,
+        title: `${course.code} is ${enrolled.length >= course.capacity ? 'full' : `at ${Math.round(enrolled.length / course.capacity * 100)}% capacity`}`,
+        details: `${enrolled.length} of ${course.capacity} seats taken in ${course.name}.`,
+        at: enrolled.reduce((latest, e) => (e.enrolledDate > latest ? e.enrolledDate : latest), '') || null,
+        target: [SCREEN_MAP.COURSE_DETAIL, { courseId: course.id }],
+      }];
+    }),
+  },
+];
+
+const getNotificationSettings = (data, userId) => (
+  data.notificationSettings.find(settings => settings.userId === userId) || { userId, readIds: [], rules: {} }
+);
+
+const getRulePreference = (settings, rule) => ({
+  enabled: true,
+  threshold: rule.threshold.defaultValue,
+  ...settings.rules?.[rule.id],
+});
+
+// Runs every rule the user has on, newest first; undated notifications go last
+const buildNotifications = (data, user, perms, settings) => NOTIFICATION_RULES
+  .filter(rule => rule.appliesTo(perms) && getRulePreference(settings, rule).enabled)
+  .flatMap(rule => rule.evaluate(data, Number(getRulePreference(settings, rule).threshold), user).map(notification => ({ ...notification, ruleId: rule.id })))
+  .sort((a, b) => (b.at || '').localeCompare(a.at || ''));
+
+const saveNotificationSettings = (data, userId, changes) => {
+  const existing = data.notificationSettings.find(settings => settings.userId === userId);
+  const settings = {
+    ...(existing || { id: nextSequentialId('NSET', data.notificationSettings), userId, readIds: [], rules: {} }),
+    ...changes,
+  };
+  return {
+    settings,
+    data: {
+      ...data,
+      notificationSettings: existing
+        ? data.notificationSettings.map(s => (s.id === existing.id ? settings : s))
+        : [...data.notificationSettings, settings],
+    },
+  };
+};
+
+// Marks `ids` read. Read ids of notifications that no longer apply are dropped so the list stays small.
+const markNotificationsRead = (data, userId, ids, currentIds) => {
+  const { readIds = [] } = getNotificationSettings(data, userId);
+  return saveNotificationSettings(data, userId, {
+    readIds: [...new Set([...readIds.filter(id => currentIds.includes(id)), ...ids])],
+  });
+};
+
+// --- Search Index ---
+// Global search indexes the records the signed-in user can see. Each record becomes a document with
+// tokens per field; a query term matches a token exactly, by prefix, or within a small edit distance.
+// `field:value` terms only look at that field (e.g. `major:physics status:enrolled`) and `type:course`
+// limits the entity types. All terms must match.
+const SEARCH_TYPES = {
+  Student: {
+    collection: 'students',
+    label: 'Students',
+    icon: 'student',
+    title: (s) => s.name,
+    subtitle: (s) => `${s.studentId} · ${s.major} · ${s.status}`,
+    target: (s) => [SCREEN_MAP.STUDENT_DETAIL, { studentId: s.id }],
+    fields: {
+      name: (s) => s.name, id: (s) => `${s.studentId} ${s.id}`, email: (s) => s.email,
+      major: (s) => s.major, status: (s) => s.status, advisor: (s) => s.advisor,
+    },
+  },
+  Course: {
+    collection: 'courses',
+    label: 'Courses',
+    icon: 'course',
+    title: (c) => `${c.code} - ${c.name}`,
+    subtitle: (c) => `${c.term} · ${c.instructor} · ${c.status}`,
+    target: (c) => [SCREEN_MAP.COURSE_DETAIL, { courseId: c.id }],
+    fields: {
+      name: (c) => c.name, id: (c) => `${c.code} ${c.id}`, department: (c) => c.department,
+      instructor: (c) => c.instructor, term: (c) => c.term, status: (c) => c.status,
+    },
+  },
+  Admission: {
+    collection: 'admissions',
+    label: 'Admissions',
+    icon: 'admission',
+    title: (a) => a.applicantName,
+    subtitle: (a) => `${a.id} · ${a.programApplied} · ${a.status}`,
+    target: (a) => [SCREEN_MAP.ADMISSION_DETAIL, { admissionId: a.id }],
+    fields: {
+      name: (a) => a.applicantName, id: (a) => a.id, email: (a) => a.email,
+      program: (a) => a.programApplied, status: (a) => a.status,
+    },
+  },
+  Audit: {
+    collection: 'activityLog',
+    label: 'Audit Entries',
+    icon: 'audit',
+    permission: 'canViewAuditLogs',
+    title: (e) => `${e.action} ${e.recordType} ${e.recordId}`,
+    subtitle: (e) => `${e.userName} · ${new Date(e.timestamp).toLocaleString()} · ${e.details}`,
+    target: (e) => AUDIT_RECORD_SCREENS[e.recordType]?.(e.recordId) || [SCREEN_MAP.AUDIT_LOG, {}],
+    fields: {
+      user: (e) => e.userName, action: (e) => e.action, record: (e) => `${e.recordType} ${e.recordId}`,
+      details: (e) => e.details, reason: (e) => e.reason,
+    },
+  },
+};
+
+const SEARCH_MIN_QUERY_LENGTH = 2;
+
+const getSearchTypesFor = (perms) => Object.keys(SEARCH_TYPES).filter(type => !SEARCH_TYPES[type].permission || perms[SEARCH_TYPES[type].permission]);
+
+const tokenizeSearchText = (text) => String(text ?? '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Edit distance counting a swap of neighbouring letters as one typo ("studnet"), with an early exit
+// once every path exceeds `max`
+const isWithinEditDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return false;
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (beforePrevious && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+    }
+    if (Math.min(...current) > max) return false;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length] <= max;
+};
+
+// 3 for an exact token, 2 for a prefix, 1 for a near miss (one typo from 4 letters, two from 8), else 0
+const scoreTokenMatch = (term, token) => {
+  if (token === term) return 3;
+  if (token.startsWith(term)) return 2;
+  const typos = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+  return typos > 0 && isWithinEditDistance(term, token, typos) ? 1 : 0;
+};
+
+const buildSearchIndex = (data, types) => {
+  const documents = types.flatMap(type => {
+    const config = SEARCH_TYPES[type];
+    return data[config.collection].map(record => {
+      const fields = Object.fromEntries(Object.entries(config.fields).map(([field, getValue]) => [field, tokenizeSearchText(getValue(record))]));
+      return { key: `${type}:${record.id}`, type, record, fields, tokens: [...new Set(Object.values(fields).flat())] };
+    });
+  });
+  return { types, documents, vocabulary: [...new Set(documents.flatMap(doc => doc.tokens))] };
+};
+
+const SEARCH_FIELD_NAMES = [...new Set(Object.values(SEARCH_TYPES).flatMap(config => Object.keys(config.fields)))];
+
+// Splits a query into type filters and terms. Quoted values keep their words together in one field
+// (`status:"in progress"`); an unknown prefix is searched as plain text.
+const parseSearchQuery = (query) => {
+  const types = [];
+  const terms = [];
+  for (const [, prefixed, quotedValue, value, phrase, word] of query.matchAll(/(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g)) {
+    const field = prefixed?.toLowerCase();
+    const text = quotedValue ?? value ?? phrase ?? word;
+    if (field === 'type') {
+      const type = Object.keys(SEARCH_TYPES).find(name => `${name} ${SEARCH_TYPES[name].label}`.toLowerCase().includes(text.toLowerCase()));
+      if (type) types.push(type);
+    } else if (field && SEARCH_FIELD_NAMES.includes(field)) {
+      tokenizeSearchText(text).forEach(token => terms.push({ field, token }));
+    } else {
+      tokenizeSearchText(field ? `${prefixed}:${text}` : text).forEach(token => terms.push({ field: null, token }));
+    }
+  }
+  return { types, terms };
+};
+
+// Returns matching documents, best first. Matches in a record's name count for a little more.
+const searchDocuments = (index, query) => {
+  const { types, terms } = parseSearchQuery(query);
+  if (terms.length === 0 && types.length === 0) return [];
+  const termScores = terms.map(term => new Map(index.vocabulary
+    .map(token => [token, scoreTokenMatch(term.token, token)])
+    .filter(([, score]) => score > 0)));
+  const bestScore = (tokens, scores) => (tokens || []).reduce((best, token) => Math.max(best, scores.get(token) || 0), 0);
+
+  return index.documents
+    .filter(doc => types.length === 0 || types.includes(doc.type))
+    .map(doc => {
+      let score = 0;
+      for (let i = 0; i < terms.length; i++) {
+        const termScore = bestScore(terms[i].field ? doc.fields[terms[i].field] : doc.tokens, termScores[i]);
+        if (termScore === 0) return null;
+        score += termScore + (bestScore(doc.fields.name, termScores[i]) === termScore ? 1 : 0);
+      }
+      return { ...doc, score, title: SEARCH_TYPES[doc.type].title(doc.record) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title));
+};
+
+// Results grouped by type in SEARCH_TYPES order, each group cut to `perType` items
+const groupSearchResults = (results, perType = Infinity) => Object.keys(SEARCH_TYPES)
+  .map(type => {
+    const matches = results.filter(result => result.type === type);
+    return { type, total: matches.length, items: matches.slice(0, perType) };
+  })
+  .filter(group => group.total > 0);
+
+// --- KPI Snapshots ---
+// The dashboard KPIs are recorded in `kpiSnapshots` at most once per KPI_SNAPSHOT_INTERVAL_MS, computed over
+// the full data set. Trends compare today's value with the latest snapshot taken before the chosen period,
+// so only roles whose dashboard covers every record get them (see scopeDataForUser).
+const KPI_SNAPSHOT_INTERVAL_MS = DAY_MS;
+
+const KPI_METRICS = [
+  { key: 'totalStudents', label: 'Total Students', higherIsBetter: true, compute: (data) => data.students.length },
+  { key: 'activeCourses', label: 'Active Courses', higherIsBetter: true, compute: (data) => data.courses.filter(c => c.status === 'ACTIVE').length },
+  { key: 'pendingAdmissions', label: 'Pending Admissions', higherIsBetter: false, compute: (data) => data.admissions.filter(a => a.status === 'PENDING').length },
+  {
+    key: 'avgAttendance',
+    label: 'Avg. Attendance Rate',
+    unit: '%',
+    higherIsBetter: true,
+    compute: (data) => {
+      const rates = data.students.map(s => computeAttendanceRate(s.id, data.attendanceSessions)).filter(rate => rate !== null);
+      return rates.length > 0 ? Math.round(rates.reduce((sum, rate) => sum + rate, 0) / rates.length) : 0;
+    },
+  },
+];
+
+const KPI_COMPARISON_PERIODS = [
+  { value: 'day', label: 'yesterday', days: 1 },
+  { value: 'week', label: 'last week', days: 7 },
+  { value: 'month', label: 'last month', days: 30 },
+  { value: 'quarter', label: 'last quarter', days: 90 },
+];
+
+const computeKpiMetrics = (data) => Object.fromEntries(KPI_METRICS.map(metric => [metric.key, metric.compute(data)]));
+
+const getSnapshotTime = (snapshot) => new Date(snapshot.takenAt).getTime();
+
+// Records the current KPIs, unless the latest snapshot is younger than KPI_SNAPSHOT_INTERVAL_MS
+const takeKpiSnapshot = (data, now = Date.now()) => {
+  const latest = Math.max(0, ...data.kpiSnapshots.map(getSnapshotTime));
+  if (now - latest < KPI_SNAPSHOT_INTERVAL_MS) return { error: 'KPIs were recorded recently.' };
+  const snapshot = { id: nextSequentialId('KPI', data.kpiSnapshots), takenAt: new Date(now).toISOString(), metrics: computeKpiMetrics(data) };
+  return { data: { ...data, kpiSnapshots: [...data.kpiSnapshots, snapshot] }, snapshot };
+};
+
+// Compares `current` with the latest snapshot at least `days` old, as long as it is not more than twice that
+// old (a month-old figure is no answer to "vs. yesterday"). Returns null without one; otherwise the change
+// plus `values`, the metric from that snapshot onwards ending with `current`, for a sparkline.
+const getKpiTrend = (snapshots, metric, current, days, now = Date.now()) => {
+  const history = snapshots
+    .filter(snapshot => typeof snapshot.metrics[metric.key] === 'number')
+    .sort((a, b) => getSnapshotTime(a) - getSnapshotTime(b));
+  const cutoff = now - days * DAY_MS;
+  const baselineIndex = history.findLastIndex(snapshot => getSnapshotTime(snapshot) <= cutoff);
+  if (baselineIndex === -1 || getSnapshotTime(history[baselineIndex]) < cutoff - days * DAY_MS) return null;
+  const baseline = history[baselineIndex];
+  const previous = baseline.metrics[metric.key];
+  const delta = current - previous;
+  return {
+    previous,
+    delta,
+    percent: previous === 0 ? null : Math.round((delta / previous) * 100),
+    since: baseline.takenAt,
+    improving: delta === 0 ? null : (delta > 0) === metric.higherIsBetter,
+    values: [...history.slice(baselineIndex).map(snapshot => snapshot.metrics[metric.key]), current],
+  };
+};
+
+// --- Dashboard Layouts ---
+// A user's dashboard is the ordered list of widget ids in their `dashboardLayouts` record; without one,
+// their role's default applies. The widgets themselves are defined with the dashboard (DASHBOARD_WIDGETS).
+const DEFAULT_DASHBOARD_LAYOUTS = {
+  [ROLES.ADMIN]: ['kpis', 'gpaDistribution', 'admissionStatus', 'majorStatus', 'activity'],
+  [ROLES.ACADEMIC_COORDINATOR]: ['kpis', 'gpaDistribution', 'majorStatus', 'activity'],
+  [ROLES.ADMISSION_OFFICER]: ['admissionPipeline', 'waitingAdmissions', 'admissionStatus', 'activity'],
+  [ROLES.TEACHER]: ['attendanceDue', 'ungradedWork', 'myCourses', 'activity'],
+  [ROLES.STUDENT]: ['myStanding', 'mySchedule', 'myMilestones'],
+};
+
+const getDashboardLayout = (data, userId, role) => (
+  data.dashboardLayouts.find(layout => layout.userId === userId)?.widgets || DEFAULT_DASHBOARD_LAYOUTS[role] || []
+);
+
+const saveDashboardLayout = (data, userId, widgets) => {
+  const existing = data.dashboardLayouts.find(layout => layout.userId === userId);
+  const layout = { ...(existing || { id: nextSequentialId('DASH', data.dashboardLayouts), userId }), widgets };
+  return {
+    layout,
+    data: {
+      ...data,
+      dashboardLayouts: existing
+        ? data.dashboardLayouts.map(l => (l.id === existing.id ? layout : l))
+        : [...data.dashboardLayouts, layout],
+    },
+  };
+};
+
+// Removes the user's layout so they follow their role's default again
+const resetDashboardLayout = (data, userId) => ({
+  data: { ...data, dashboardLayouts: data.dashboardLayouts.filter(layout => layout.userId !== userId) },
+});
+
+// --- Documents ---
+// Files attached to a student or an application. A `documents` record is one typed document of one
+// record (say, a student's transcript); uploading the same type again adds a version to it instead of a
+// second document. Contents are stored as data URLs on each version so every storage adapter keeps them.
+const DOCUMENT_TYPES = {
+  APPLICATION: { label: 'Application' },
+  TRANSCRIPT: { label: 'Transcript' },
+  ID: { label: 'Identification' },
+  MEDICAL: { label: 'Medical', sensitive: true }, // Not shared with teachers
+};
+
+const DOCUMENT_OWNERS = {
+  student: { collection: 'students', recordType: 'Student', name: (record) => record.name },
+  admission: { collection: 'admissions', recordType: 'Admission', name: (record) => record.applicantName },
+};
+
+// PDFs and images, the formats the browser can preview
+const DOCUMENT_MIME_TYPES = { pdf: 'application/pdf', png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp' };
+const DOCUMENT_ACCEPT = Object.keys(DOCUMENT_MIME_TYPES).map(extension => `.${extension}`).join(',');
+const MAX_DOCUMENT_SIZE = 5 * 1024 * 1024;
+
+const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Some systems report no MIME type for a file, so the extension decides
+const getDocumentMimeType = (file) => {
+  const byExtension = DOCUMENT_MIME_TYPES[file.name.split('.').pop().toLowerCase()];
+  return Object.values(DOCUMENT_MIME_TYPES).includes(file.type) ? file.type : byExtension || file.type;
+};
+
+const validateDocumentFile = (file) => {
+  if (!Object.values(DOCUMENT_MIME_TYPES).includes(getDocumentMimeType(file))) return `${file.name} is not a PDF or image file.`;
+  if (file.size === 0) return `${file.name} is empty.`;
+  if (file.size > MAX_DOCUMENT_SIZE) return `${file.name} is ${formatFileSize(file.size)}; files can be at most ${formatFileSize(MAX_DOCUMENT_SIZE)}.`;
+  return null;
+};
+
+const readFileAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+// The version fields stored for an uploaded file
+const readDocumentFile = async (file) => ({
+  fileName: file.name,
+  mimeType: getDocumentMimeType(file),
+  size: file.size,
+  dataUrl: await readFileAsDataUrl(file),
+});
+
+const dataUrlToBytes = (dataUrl) => Uint8Array.from(atob(dataUrl.split(',')[1]), char => char.charCodeAt(0));
+
+const dataUrlToBlob = (dataUrl) => new Blob([dataUrlToBytes(dataUrl)], { type: dataUrl.slice(5).split(';')[0] });
+
+const getRecordDocuments = (data, ownerType, ownerId) => {
+  const typeOrder = Object.keys(DOCUMENT_TYPES);
+  return data.documents
+    .filter(doc => doc.ownerType === ownerType && doc.ownerId === ownerId)
+    .sort((a, b) => typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type));
+};
+
+const getLatestVersion = (doc) => doc.versions[doc.versions.length - 1];
+
+// Adds `file` (from readDocumentFile) as the next version of the record's document of that type
+const addDocumentVersion = (data, { ownerType, ownerId, type, file }, actor) => {
+  const owner = DOCUMENT_OWNERS[ownerType];
+  const record = owner && data[owner.collection].find(r => r.id === ownerId);
+  if (!record) return { error: 'The record this document belongs to was not found.' };
+  if (!DOCUMENT_TYPES[type]) return { error: `Unknown document type ${type}.` };
+  const existing = data.documents.find(doc => doc.ownerType === ownerType && doc.ownerId === ownerId && doc.type === type);
+  const version = { version: existing ? existing.versions.length + 1 : 1, ...file, uploadedAt: new Date().toISOString(), uploadedBy: actor.user };
+  const document = existing
+    ? { ...existing, versions: [...existing.versions, version] }
+    : { id: nextSequentialId('DOC', data.documents), ownerType, ownerId, type, versions: [version] };
+  return {
+    document,
+    data: {
+      ...data,
+      documents: existing ? data.documents.map(doc => (doc.id === existing.id ? document : doc)) : [...data.documents, document],
+      activityLog: [createActivityEntry(data.activityLog, {
+        userName: actor.user, action: 'uploaded', recordType: owner.recordType, recordId: ownerId,
+        details: `${DOCUMENT_TYPES[type].label} document for ${owner.name(record)} uploaded: ${file.fileName} (version ${version.version}).`,
+      }), ...data.activityLog],
+    },
+  };
+};
+
+const deleteDocument = (data, documentId, actor) => {
+  const document = data.documents.find(doc => doc.id === documentId);
+  if (!document) return { error: 'Document not found.' };
+  const owner = DOCUMENT_OWNERS[document.ownerType];
+  return {
+    data: {
+      ...data,
+      documents: data.documents.filter(doc => doc.id !== documentId),
+      activityLog: [createActivityEntry(data.activityLog, {
+        userName: actor.user, action: 'deleted', recordType: owner.recordType, recordId: document.ownerId,
+        details: `${DOCUMENT_TYPES[document.type]?.label || document.type} document and its ${document.versions.length} version(s) deleted.`,
+      }), ...data.activityLog],
+    },
+  };
+};
+
+// One zip for a record's paperwork: the current version of each document in a folder per type,
+// earlier versions under "Previous versions" with their version number in front.
+const buildDocumentsZip = (documents) => createZip(documents.flatMap(doc => {
+  const folder = DOCUMENT_TYPES[doc.type]?.label || doc.type;
+  return doc.versions.map(version => ({
+    name: version === getLatestVersion(doc) ? `${folder}/${version.fileName}` : `${folder}/Previous versions/v${version.version} ${version.fileName}`,
+    content: dataUrlToBytes(version.dataUrl),
+  }));
+}));
+
+// --- Duplicate Students ---
+// The same person can end up with two student records (re-admitted, imported twice, a typo in the
+// email). findDuplicateStudents scores every pair on name, email and date of birth similarity;
+// mergeStudents folds one record into the other.
+const DUPLICATE_MATCH_THRESHOLD = 0.7;
+
+// Lowercase, accents and punctuation stripped, words sorted: "García, Ana" matches "ana garcia"
+const normalizePersonName = (name) => String(name || '')
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()
+  .split(' ').sort().join(' ');
+
+// Mailbox providers ignore dots and +tags in the local part, so people's addresses vary in both
+const normalizeEmailAddress = (email) => {
+  const [local = '', domain = ''] = String(email || '').trim().toLowerCase().split('@');
+  return `${local.split('+')[0].replace(/\./g, '')}@${domain}`;
+};
+
+const getEditDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 1 for identical strings, falling towards 0 as more characters need editing
+const getStringSimilarity = (a, b) => (a || b ? 1 - getEditDistance(a, b) / Math.max(a.length, b.length) : 0);
+
+// Returns { score, reasons } for two students; a different date of birth counts against a match.
+const scoreDuplicatePair = (a, b) => {
+  const reasons = [];
+  let score = 0;
+  const nameSimilarity = getStringSimilarity(normalizePersonName(a.name), normalizePersonName(b.name));
+  if (nameSimilarity === 1) {
+    score += 0.4;
+    reasons.push('Same name');
+  } else if (nameSimilarity >= 0.8) {
+    score += 0.4 * nameSimilarity;
+    reasons.push(`Similar name (${Math.round(nameSimilarity * 100)}%)`);
+  }
+  const emailA = normalizeEmailAddress(a.email);
+  const emailB = normalizeEmailAddress(b.email);
+  if (emailA === emailB) {
+    score += 0.4;
+    reasons.push(a.email.trim().toLowerCase() === b.email.trim().toLowerCase() ? 'Same email' : 'Same email apart from dots or +tags');
+  } else if (getStringSimilarity(emailA, emailB) >= 0.85) {
+    score += 0.2;
+    reasons.push('Similar email');
+  }
+  if (a.dateOfBirth && b.dateOfBirth) {
+    const [yearA, monthA, dayA] = a.dateOfBirth.split('-');
+    const [yearB, monthB, dayB] = b.dateOfBirth.split('-');
+    if (a.dateOfBirth === b.dateOfBirth) {
+      score += 0.3;
+      reasons.push('Same date of birth');
+    } else if (yearA === yearB && monthA === dayB && dayA === monthB) {
+      score += 0.15;
+      reasons.push('Date of birth with day and month swapped');
+    } else {
+      score -= 0.3;
+    }
+  }
+  return { score: Math.max(0, Math.min(1, score)), reasons };
+};
+
+// Likely duplicate pairs, best matches first. Pairs marked as different people (`distinctFrom`) are skipped.
+const findDuplicateStudents = (students, threshold = DUPLICATE_MATCH_THRESHOLD) => {
+  const pairs = [];
+  students.forEach((a, i) => students.slice(i + 1).forEach(b => {
+    if (a.distinctFrom?.includes(b.id) || b.distinctFrom?.includes(a.id)) return;
+    const { score, reasons } = scoreDuplicatePair(a, b);
+    if (score >= threshold) pairs.push({ id: `${a.id}:${b.id}`, students: [a, b], score, reasons });
+  }));
+  return pairs.sort((x, y) => y.score - x.score);
+};
+
+const markStudentsDistinct = (data, studentIds, actor) => {
+  const [first, second] = studentIds.map(id => data.students.find(s => s.id === id));
+  if (!first || !second) return { error: 'Student not found.' };
+  return {
+    data: {
+      ...data,
+      students: data.students.map(s => (s.id === first.id ? { ...s, distinctFrom: [...(s.distinctFrom || []), second.id] } : s)),
+      activityLog: [createActivityEntry(data.activityLog, {
+        userName: actor.user, action: 'reviewed', recordType: 'Student', recordId: first.id, relatedRecordId: second.id,
+        details: `${first.name} (${first.studentId}) and ${second.name} (${second.studentId}) marked as different people.`,
+      }), ...data.activityLog],
+    },
+  };
+};
+
+// Profile fields the person merging picks between; the kept record's workflow state always stays.
+const MERGEABLE_STUDENT_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'studentId', label: 'Student ID' },
+  { key: 'email', label: 'Email' },
+  { key: 'dateOfBirth', label: 'Date of Birth' },
+  { key: 'major', label: 'Major' },
+  { key: 'enrollmentDate', label: 'Enrollment Date' },
+];
+
+const ENROLLMENT_MERGE_PRIORITY = [ENROLLMENT_STATUS.COMPLETED, ENROLLMENT_STATUS.ENROLLED, ENROLLMENT_STATUS.WAITLISTED, ENROLLMENT_STATUS.DROPPED];
+
+// What mergeStudents would move, for the confirmation summary.
+const getStudentMergeImpact = (data, mergedId) => ({
+  enrollments: data.enrollments.filter(e => e.studentId === mergedId).length,
+  documents: data.documents.filter(doc => doc.ownerType === 'student' && doc.ownerId === mergedId).length,
+  activity: data.activityLog.filter(entry => entry.recordType === 'Student' && entry.recordId === mergedId).length,
+  accounts: data.users.filter(u => u.studentRecordId === mergedId).length,
+});
+
+// Folds student `mergedId` into `keptId`. `fieldSources` maps MERGEABLE_STUDENT_FIELDS keys to 'kept'
+// or 'merged'. Enrollments, scores, attendance marks, documents and links from applications and
+// accounts move over; where both records have one for the same course, assessment or session, the
+// stronger enrollment (completed over enrolled over waitlisted over dropped) and its marks win, and
+// document versions are combined in upload order. Activity entries can't be rewritten, so the kept
+// record lists the merged one in `mergedFrom` and its audit feed includes that record's entries.
+const mergeStudents = (data, keptId, mergedId, fieldSources, reason, actor) => {
+  const kept = data.students.find(s => s.id === keptId);
+  const merged = data.students.find(s => s.id === mergedId);
+  if (!kept || !merged || kept.id === merged.id) return { error: 'Choose two different students to merge.' };
+  if (!reason?.trim()) return { error: 'A reason is required to merge student records.' };
+  if (!actor.canManageUsers && data.users.some(u => u.studentRecordId === merged.id)) {
+    return { error: `${merged.name} (${merged.studentId}) has a sign-in account; ask an administrator to merge this record.` };
+  }
+
+  const now = new Date().toISOString();
+  const chosen = Object.fromEntries(MERGEABLE_STUDENT_FIELDS
+    .filter(field => fieldSources[field.key] === 'merged')
+    .map(field => [field.key, merged[field.key]]));
+  const distinctFrom = [...new Set([...(kept.distinctFrom || []), ...(merged.distinctFrom || [])])].filter(id => id !== kept.id && id !== merged.id);
+  const survivor = {
+    ...kept,
+    ...chosen,
+    // The link back to the application comes along when only the merged record has one
+    ...(!kept.admissionId && merged.admissionId && { admissionId: merged.admissionId, applicationHistory: merged.applicationHistory }),
+    ...((kept.distinctFrom || merged.distinctFrom) && { distinctFrom }),
+    mergedFrom: [
+      ...(kept.mergedFrom || []),
+      ...(merged.mergedFrom || []),
+      { id: merged.id, studentId: merged.studentId, name: merged.name, email: merged.email, mergedAt: now, mergedBy: actor.user },
+    ],
+    lastActivity: now,
+  };
+
+  // Per course, the stronger of the two enrollments stays; the other is dropped with its scores
+  const rank = (enrollment) => ENROLLMENT_MERGE_PRIORITY.indexOf(enrollment.status);
+  const removedEnrollmentIds = new Set();
+  const winningStudent = new Map(); // courseId -> student id whose enrollment, scores and marks stay
+  data.enrollments.filter(e => e.studentId === merged.id).forEach(mergedEnrollment => {
+    const keptEnrollment = data.enrollments.find(e => e.studentId === kept.id && e.courseId === mergedEnrollment.courseId);
+    if (!keptEnrollment) return;
+    const mergedWins = rank(mergedEnrollment) < rank(keptEnrollment);
+    removedEnrollmentIds.add(mergedWins ? keptEnrollment.id : mergedEnrollment.id);
+    winningStudent.set(mergedEnrollment.courseId, mergedWins ? merged.id : kept.id);
+  });
+  // Scores and attendance marks from the losing side of an overlapping enrollment give way to the winner's
+  const courseOfAssessment = new Map(data.assessments.map(a => [a.id, a.courseId]));
+  const losesTo = (courseId, studentId) => winningStudent.has(courseId) && winningStudent.get(courseId) !== studentId;
+  const otherId = (studentId) => (studentId === kept.id ? merged.id : kept.id);
+
+  const enrollments = data.enrollments
+    .filter(e => !removedEnrollmentIds.has(e.id))
+    .map(e => (e.studentId === merged.id ? { ...e, studentId: kept.id } : e));
+  const scores = data.scores
+    .filter(sc => !([kept.id, merged.id].includes(sc.studentId) && losesTo(courseOfAssessment.get(sc.assessmentId), sc.studentId)
+      && data.scores.some(other => other.assessmentId === sc.assessmentId && other.studentId === otherId(sc.studentId))))
+    .map(sc => (sc.studentId === merged.id ? { ...sc, id: `${sc.assessmentId}_${kept.id}`, studentId: kept.id } : sc));
+  const attendanceSessions = data.attendanceSessions.map(session => {
+    if (!(merged.id in session.records)) return session;
+    const { [merged.id]: mergedMark, ...records } = session.records;
+    const useMerged = !(kept.id in records) || losesTo(session.courseId, kept.id);
+    return { ...session, records: { ...records, [kept.id]: useMerged ? mergedMark : records[kept.id] } };
+  });
+
+  let documents = data.documents;
+  data.documents.filter(doc => doc.ownerType === 'student' && doc.ownerId === merged.id).forEach(mergedDoc => {
+    const keptDoc = documents.find(doc => doc.ownerType === 'student' && doc.ownerId === kept.id && doc.type === mergedDoc.type);
+    if (!keptDoc) {
+      documents = documents.map(doc => (doc.id === mergedDoc.id ? { ...doc, ownerId: kept.id } : doc));
+      return;
+    }
+    const versions = [...keptDoc.versions, ...mergedDoc.versions]
+      .sort((a, b) => new Date(a.uploadedAt) - new Date(b.uploadedAt))
+      .map((version, i) => ({ ...version, version: i + 1 }));
+    documents = documents
+      .filter(doc => doc.id !== mergedDoc.id)
+      .map(doc => (doc.id === keptDoc.id ? { ...doc, versions } : doc));
+  });
+
+  const impact = getStudentMergeImpact(data, merged.id);
+  const mergedData = {
+    ...data,
+    students: data.students.filter(s => s.id !== merged.id).map(s => (s.id === kept.id ? survivor : s)),
+    enrollments,
+    scores,
+    attendanceSessions,
+    documents,
+    admissions: data.admissions.map(a => (a.studentRecordId === merged.id ? { ...a, studentRecordId: kept.id } : a)),
+    users: data.users.map(u => (u.studentRecordId === merged.id ? { ...u, studentRecordId: kept.id } : u)),
+    activityLog: [createActivityEntry(data.activityLog, {
+      userName: actor.user, action: 'merged', recordType: 'Student', recordId: kept.id, relatedRecordId: merged.id, reason: reason.trim(),
+      details: `Duplicate record ${merged.id} (${merged.name}, ${merged.studentId}) merged into ${kept.id}: ${impact.enrollments} enrollment(s), ${impact.documents} document(s) and ${impact.activity} audit entries carried over${removedEnrollmentIds.size ? `; ${removedEnrollmentIds.size} overlapping enrollment(s) combined` : ''}.`,
+    }), ...data.activityLog],
+  };
+  // A combined enrollment that held a seat frees it for the course's waitlist
+  const freedCourseIds = data.enrollments.filter(e => removedEnrollmentIds.has(e.id)).map(e => e.courseId);
+  return { student: survivor, data: promoteWaitlists(mergedData, freedCourseIds, actor.user).data };
+};
+
+// A student's own id plus the ids of records merged into it, for looking up their history
+const getStudentRecordIds = (student) => [student.id, ...(student.mergedFrom || []).map(entry => entry.id)];
+
+// --- Data Repository ---
+// Every screen reads and writes through a repository instead of holding data in component state.
+// The repository keeps an in-memory snapshot for rendering and persists each change through a
+// storage adapter (browser storage or a REST server), so data survives a reload.
+const DATA_COLLECTIONS = [
+  'students', 'courses', 'admissions', 'activityLog', 'enrollments', 'assessments', 'scores', 'attendanceSessions', 'users',
+  'savedViews', 'notificationSettings', 'kpiSnapshots', 'dashboardLayouts', 'documents', 'idSequences',
+];
+
+// Bump whenever DATA_COLLECTIONS changes so IndexedDB creates the new object stores.
+const STORAGE_SCHEMA_VERSION = 8;
+const STORAGE_KEY_PREFIX = 'ams';
+const DATA_SOURCE_SETTINGS_KEY = `${STORAGE_KEY_PREFIX}.dataSource`;
+
+const DATA_SOURCE_TYPES = {
+  BROWSER: 'browser',
+  REST: 'rest',
+};
+
+const DEFAULT_DATA_SOURCE = { type: DATA_SOURCE_TYPES.BROWSER, restBaseUrl: 'http://localhost:3001', initialized: false };
+
+const createEmptyData = () => Object.fromEntries(DATA_COLLECTIONS.map(collection => [collection, []]));
+
+const loadDataSourceSettings = () => {
+  try {
+    return { ...DEFAULT_DATA_SOURCE, ...JSON.parse(localStorage.getItem(DATA_SOURCE_SETTINGS_KEY) || '{}') };
+  } catch {
+    return DEFAULT_DATA_SOURCE;
+  }
+};
+
+const saveDataSourceSettings = (settings) => localStorage.setItem(DATA_SOURCE_SETTINGS_KEY, JSON.stringify(settings));
+
+// Adapters share one async interface: list, create, update, remove, bulkCreate and clear, all keyed by collection name.
+const createLocalStorageAdapter = () => {
+  const read = (collection) => JSON.parse(localStorage.getItem(`${STORAGE_KEY_PREFIX}.${collection}`) || '[]');
+  const write = (collection, records) => localStorage.setItem(`${STORAGE_KEY_PREFIX}.${collection}`, JSON.stringify(records));
+  return {
+    name: 'Browser storage (localStorage)',
+    list: async (collection) => read(collection),
+    create: async (collection, record) => {
+      const records = read(collection);
+      if (records.some(r => r.id === record.id)) throw new Error(`${collection} record ${record.id} already exists.`);
+      write(collection, [...records, record]);
+      return record;
+    },
+    update: async (collection, id, record) => {
+      write(collection, read(collection).map(r => r.id === id ? record : r));
+      return record;
+    },
+    remove: async (collection, id) => write(collection, read(collection).filter(r => r.id !== id)),
+    bulkCreate: async (collection, records) => write(collection, [...read(collection), ...records]),
+    clear: async () => DATA_COLLECTIONS.forEach(collection => localStorage.removeItem(`${STORAGE_KEY_PREFIX}.${collection}`)),
+  };
+};
+
+// One object store per collection, keyed by record id. Falls back to localStorage where IndexedDB is unavailable.
+const createIndexedDbAdapter = (dbName = `${STORAGE_KEY_PREFIX}-data`) => {
+  if (typeof indexedDB === 'undefined') return createLocalStorageAdapter();
+
+  let dbPromise = null;
+  const openDb = () => {
+    dbPromise = dbPromise || new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, STORAGE_SCHEMA_VERSION);
+      request.onupgradeneeded = () => {
+        DATA_COLLECTIONS.forEach(collection => {
+          if (!request.result.objectStoreNames.contains(collection)) request.result.createObjectStore(collection, { keyPath: 'id' });
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return dbPromise;
+  };
+
+  const run = async (collections, mode, operation) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(collections, mode);
+      const request = operation(transaction);
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    name: 'Browser storage (IndexedDB)',
+    list: (collection) => run(collection, 'readonly', tx => tx.objectStore(collection).getAll()),
+    create: (collection, record) => run(collection, 'readwrite', tx => tx.objectStore(collection).add(record)).then(() => record),
+    update: (collection, id, record) => run(collection, 'readwrite', tx => tx.objectStore(collection).put(record)).then(() => record),
+    remove: (collection, id) => run(collection, 'readwrite', tx => tx.objectStore(collection).delete(id)),
+    bulkCreate: (collection, records) => run(collection, 'readwrite', tx => records.forEach(record => tx.objectStore(collection).put(record))),
+    clear: () => run(DATA_COLLECTIONS, 'readwrite', tx => DATA_COLLECTIONS.forEach(collection => tx.objectStore(collection).clear())),
+  };
+};
+
+// Talks to a json-server style API: GET/POST /{collection}, PUT/DELETE /{collection}/{id}.
+const createRestAdapter = (baseUrl) => {
+  const root = baseUrl.replace(/\/+$/, '');
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${root}/${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers },
+    });
+    if (!response.ok) throw new Error(`${options.method || 'GET'} ${root}/${path} failed with status ${response.status}.`);
+    return response.status === 204 ? null : response.json();
+  };
+  const adapter = {
+    name: `REST server (${root})`,
+    list: (collection) => request(collection),
+    create: (collection, record) => request(collection, { method: 'POST', body: JSON.stringify(record) }),
+    update: (collection, id, record) => request(`${collection}/${encodeURIComponent(id)}`, { method: 'PUT', body: JSON.stringify(record) }),
+    remove: (collection, id) => request(`${collection}/${encodeURIComponent(id)}`, { method: 'DELETE' }),
+    bulkCreate: async (collection, records) => {
+      for (const record of records) await adapter.create(collection, record);
+    },
+    clear: async () => {
+      for (const collection of DATA_COLLECTIONS) {
+        const records = await adapter.list(collection);
+        for (const record of records) await adapter.remove(collection, record.id);
+      }
+    },
+  };
+  return adapter;
+};
+
+const createDataAdapter = (settings) => (
+  settings.type === DATA_SOURCE_TYPES.REST ? createRestAdapter(settings.restBaseUrl) : createIndexedDbAdapter()
+);
+
+// Records that can't be serialised (e.g. File objects picked in a form) are not persisted.
+const toStoredRecord = (record) => {
+  const { applicationFile, ...stored } = record;
+  return stored;
+};
+
+// Storage backends don't agree on ordering (IndexedDB sorts keys as strings, so ACT10 < ACT2), so loaded
+// records are put back in the order the screens expect: natural id order, newest activity first.
+const compareIds = (a, b) => String(a.id).localeCompare(String(b.id), undefined, { numeric: true });
+const sortCollection = (collection, records) => (
+  collection === 'activityLog'
+    ? [...records].sort((a, b) => b.timestamp.localeCompare(a.timestamp) || compareIds(b, a))
+    : [...records].sort(compareIds)
+);
+
+const createRepository = (adapter) => {
+  let snapshot = createEmptyData();
+  const listeners = new Set();
+  const errorListeners = new Set();
+
+  const setSnapshot = (next) => {
+    snapshot = next;
+    listeners.forEach(listener => listener(snapshot));
+  };
+
+  // Writes are applied to the snapshot straight away; if the adapter rejects one, error listeners are
+  // told and the snapshot is reloaded from storage so the UI never shows data that was not saved.
+  const persist = async (operations) => {
+    try {
+      for (const operation of operations) await operation();
+      return true;
+    } catch (error) {
+      errorListeners.forEach(listener => listener(error));
+      await repository.load().catch(() => {});
+      return false;
+    }
+  };
+
+  const createCollectionApi = (collection) => ({
+    list: async () => snapshot[collection],
+    get: async (id) => snapshot[collection].find(record => record.id === id) || null,
+    create: async (record) => {
+      const stored = toStoredRecord(record);
+      setSnapshot({ ...snapshot, [collection]: [...snapshot[collection], stored] });
+      return (await persist([() => adapter.create(collection, stored)])) ? stored : null;
+    },
+    update: async (record) => {
+      const stored = toStoredRecord(record);
+      setSnapshot({ ...snapshot, [collection]: snapshot[collection].map(r => r.id === stored.id ? stored : r) });
+      return (await persist([() => adapter.update(collection, stored.id, stored)])) ? stored : null;
+    },
+    remove: async (id) => {
+      setSnapshot({ ...snapshot, [collection]: snapshot[collection].filter(r => r.id !== id) });
+      return persist([() => adapter.remove(collection, id)]);
+    },
+  });
+
+  const repository = {
+    adapterName: adapter.name,
+    ...Object.fromEntries(DATA_COLLECTIONS.map(collection => [collection, createCollectionApi(collection)])),
+    getSnapshot: () => snapshot,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    onError: (listener) => {
+      errorListeners.add(listener);
+      return () => errorListeners.delete(listener);
+    },
+    load: async () => {
+      const lists = await Promise.all(DATA_COLLECTIONS.map(collection => adapter.list(collection)));
+      setSnapshot(Object.fromEntries(DATA_COLLECTIONS.map((collection, i) => [collection, sortCollection(collection, lists[i] || [])])));
+      return snapshot;
+    },
+    isEmpty: () => DATA_COLLECTIONS.every(collection => snapshot[collection].length === 0),
+    reportError: (error) => errorListeners.forEach(listener => listener(error)),
+    // Runs a domain helper (data => ({ data, ...extra }) or { error }) against the snapshot and saves its result.
+    perform: (operation) => {
+      const outcome = operation(snapshot);
+      if (outcome.error) return outcome;
+      return { ...outcome, saved: repository.applyChanges(outcome.data) };
+    },
+    // Persists the difference between the current snapshot and `next` (or `next(snapshot)`), record by record.
+    // Lets the pure domain helpers (enrollStudentInCourse, transitionAdmission, ...) keep returning whole data objects.
+    applyChanges: async (next) => {
+      const previous = snapshot;
+      const nextData = typeof next === 'function' ? next(previous) : next;
+      const stored = Object.fromEntries(DATA_COLLECTIONS.map(collection => [
+        collection,
+        nextData[collection] === previous[collection] ? previous[collection] : nextData[collection].map(record => (
+          previous[collection].includes(record) ? record : toStoredRecord(record)
+        )),
+      ]));
+      const operations = [];
+      DATA_COLLECTIONS.forEach(collection => {
+        if (stored[collection] === previous[collection]) return;
+        const previousById = new Map(previous[collection].map(record => [record.id, record]));
+        const nextIds = new Set(stored[collection].map(record => record.id));
+        stored[collection].forEach(record => {
+          const existing = previousById.get(record.id);
+          if (!existing) operations.push(() => adapter.create(collection, record));
+          else if (existing !== record) operations.push(() => adapter.update(collection, record.id, record));
+        });
+        previous[collection].forEach(record => {
+          if (!nextIds.has(record.id)) operations.push(() => adapter.remove(collection, record.id));
+        });
+      });
+      setSnapshot(stored);
+      return (await persist(operations)) ? stored : null;
+    },
+    // Replaces everything in storage with the generated demo data set.
+    seedDemoData: async () => {
+      const demoData = generateMockData();
+      await adapter.clear();
+      for (const collection of DATA_COLLECTIONS) await adapter.bulkCreate(collection, demoData[collection].map(toStoredRecord));
+      return repository.load();
+    },
+    clearAll: async () => {
+      await adapter.clear();
+      setSnapshot(createEmptyData());
+    },
+  };
+  return repository;
+};
+
+// --- Record-Level Access ---
+// USER_PERMISSIONS decides which screens a role can open; these rules decide which records inside
+// them a user can see and change. Screens only ever receive data scoped by scopeDataForUser, and
+// every write goes through createScopedRepository, which rejects changes outside the user's scope.
+
+const ALL_FIELDS = '*';
+
+// Collections (and, for students, fields) each role may change. Roles not listed may write anything
+// their USER_PERMISSIONS flags let them reach. Activity entries can always be appended, never edited.
+const RECORD_WRITE_RULES = {
+  [ROLES.ADMISSION_OFFICER]: {
+    admissions: ALL_FIELDS,
+    documents: ALL_FIELDS,
+    students: ['name', 'email', 'dateOfBirth', 'major', 'enrollmentDate', 'applicationFileName', 'status', 'workflowStageId', 'workflowHistory', 'lastActivity', 'image'],
+    // Admitting students advances the student ID sequence, but leaves its format alone
+    idSequences: ['counters'],
+  },
+  [ROLES.TEACHER]: {
+    students: ['status', 'workflowStageId', 'workflowHistory', 'lastActivity'],
+    courses: ALL_FIELDS,
+    enrollments: ALL_FIELDS,
+    assessments: ALL_FIELDS,
+    scores: ALL_FIELDS,
+    attendanceSessions: ALL_FIELDS,
+  },
+  [ROLES.STUDENT]: {},
+};
+
+const getTaughtCourseIds = (user, courses) => new Set(
+  courses.filter(c => user.instructorName && c.instructor === user.instructorName).map(c => c.id),
+);
+
+const scopeCache = new WeakMap();
+
+// Returns the slice of `data` the user may see. Results are cached per snapshot so records keep
+// their identity between renders.
+const scopeDataForUser = (data, user) => {
+  const canSeeAccounts = Boolean(USER_PERMISSIONS[user.role]?.canManageUsers);
+  const cached = scopeCache.get(data);
+  if (cached?.user === user) return cached.scoped;
+  const savedViews = data.savedViews.filter(view => isViewVisibleTo(view, user.id, user.role));
+  const notificationSettings = data.notificationSettings.filter(settings => settings.userId === user.id);
+  const dashboardLayouts = data.dashboardLayouts.filter(layout => layout.userId === user.id);
+  if (user.role !== ROLES.TEACHER && user.role !== ROLES.STUDENT) {
+    const scoped = { ...data, users: canSeeAccounts ? data.users : [], savedViews, notificationSettings, dashboardLayouts };
+    scopeCache.set(data, { user, scoped });
+    return scoped;
+  }
+
+  let courseIds;
+  let studentIds;
+  if (user.role === ROLES.TEACHER) {
+    courseIds = getTaughtCourseIds(user, data.courses);
+    studentIds = new Set(data.enrollments
+      .filter(e => courseIds.has(e.courseId) && e.status !== ENROLLMENT_STATUS.DROPPED)
+      .map(e => e.studentId));
+  } else {
+    studentIds = new Set(user.studentRecordId ? [user.studentRecordId] : []);
+    courseIds = new Set(data.enrollments.filter(e => studentIds.has(e.studentId)).map(e => e.courseId));
+  }
+
+  const students = data.students.filter(s => studentIds.has(s.id));
+  const admissionIds = new Set(user.role === ROLES.STUDENT ? students.map(s => s.admissionId).filter(Boolean) : []);
+  const assessments = data.assessments.filter(a => courseIds.has(a.courseId));
+  const assessmentIds = new Set(assessments.map(a => a.id));
+  // Records merged into a visible student bring their history along
+  const mergedStudentIds = students.flatMap(s => (s.mergedFrom || []).map(entry => entry.id));
+  const visibleIds = new Set([...studentIds, ...mergedStudentIds, ...courseIds, ...admissionIds]);
+  const scoped = {
+    ...data,
+    students,
+    courses: data.courses.filter(c => courseIds.has(c.id)),
+    admissions: data.admissions.filter(a => admissionIds.has(a.id)),
+    enrollments: data.enrollments.filter(e => courseIds.has(e.courseId) && (user.role === ROLES.TEACHER || studentIds.has(e.studentId))),
+    assessments,
+    scores: data.scores.filter(sc => assessmentIds.has(sc.assessmentId) && studentIds.has(sc.studentId)),
+    // A student only sees their own mark in each session, not their classmates'
+    attendanceSessions: data.attendanceSessions
+      .filter(session => courseIds.has(session.courseId))
+      .map(session => (user.role === ROLES.STUDENT
+        ? { ...session, records: Object.fromEntries(Object.entries(session.records).filter(([id]) => studentIds.has(id))) }
+        : session)),
+    activityLog: data.activityLog.filter(entry => visibleIds.has(entry.recordId) || visibleIds.has(entry.relatedRecordId)),
+    users: canSeeAccounts ? data.users : [],
+    savedViews,
+    notificationSettings,
+    dashboardLayouts,
+    // Documents follow their student or application; medical ones are not shared with teachers
+    documents: data.documents.filter(doc => (doc.ownerType === 'student' ? studentIds : admissionIds).has(doc.ownerId)
+      && !(user.role === ROLES.TEACHER && DOCUMENT_TYPES[doc.type]?.sensitive)),
+    // Snapshots are institution-wide, so they would not match the figures of a scoped dashboard
+    kpiSnapshots: [],
+  };
+  scopeCache.set(data, { user, scoped });
+  return scoped;
+};
+
+const isRecordVisible = (user, collection, record, data) => (
+  scopeDataForUser(data, user)[collection].some(r => r.id === record.id)
+);
+
+// Fields a user may change on a record of this collection: ALL_FIELDS, a list, or none ([]).
+const getWritableFields = (user, collection) => {
+  // Accounts are managed by whoever holds canManageUsers, whatever else their role may write
+  if (collection === 'users') return USER_PERMISSIONS[user.role]?.canManageUsers ? ALL_FIELDS : [];
+  // KPI snapshots are only ever written by the app itself (takeKpiSnapshot), never through a user's scope
+  if (collection === 'kpiSnapshots') return [];
+  // Everyone keeps their own saved views and notification settings; findUnauthorizedChange checks ownership
+  if (collection === 'savedViews' || collection === 'notificationSettings' || collection === 'dashboardLayouts') return ALL_FIELDS;
+  const rules = RECORD_WRITE_RULES[user.role];
+  if (!rules) return ALL_FIELDS;
+  return rules[collection] || [];
+};
+
+const canWriteCollection = (user, collection) => {
+  const fields = getWritableFields(user, collection);
+  return fields === ALL_FIELDS || fields.length > 0;
+};
+
+const canDeleteRecords = (user, collection) => getWritableFields(user, collection) === ALL_FIELDS;
+
+const canEditField = (user, collection, field) => {
+  const fields = getWritableFields(user, collection);
+  return fields === ALL_FIELDS || fields.includes(field);
+};
+
+const RECORD_LABELS = {
+  students: 'student', courses: 'course', admissions: 'application', enrollments: 'enrollment',
+  assessments: 'assessment', scores: 'score', attendanceSessions: 'attendance session', activityLog: 'activity entry',
+  users: 'user account', savedViews: 'saved view', notificationSettings: 'notification settings', kpiSnapshots: 'KPI snapshot',
+  dashboardLayouts: 'dashboard layout', documents: 'document', idSequences: 'ID sequence',
+};
+
+// Saved views can be changed or removed by their owner, or by anyone allowed to publish standard views.
+// Others who can see a view may only add or remove themselves from its `defaultFor` list.
+const findUnauthorizedViewChange = (user, before, after) => {
+  const canPublish = Boolean(USER_PERMISSIONS[user.role]?.canPublishViews);
+  if (before && after) {
+    const changed = Object.keys({ ...before, ...after }).filter(key => before[key] !== after[key]);
+    const otherDefaults = (view) => (view.defaultFor || []).filter(id => id !== user.id).join(',');
+    if (changed.every(key => key === 'defaultFor') && otherDefaults(before) === otherDefaults(after)) return null;
+  }
+  if (canPublish) return null;
+  if ([before, after].some(view => view && view.ownerId !== user.id)) return `Only its owner can change saved view ${(before || after).id}.`;
+  if (after?.isStandard && !before?.isStandard) return 'Only administrators can publish standard views.';
+  return null;
+};
+
+// Compares two full snapshots and returns the first change the user isn't allowed to make, or null.
+// Updates need write access to every changed field; removals need full write access to the collection.
+const findUnauthorizedChange = (user, previous, next) => {
+  for (const collection of DATA_COLLECTIONS) {
+    if (previous[collection] === next[collection]) continue;
+    const label = RECORD_LABELS[collection];
+    const previousById = new Map(previous[collection].map(record => [record.id, record]));
+    const nextById = new Map(next[collection].map(record => [record.id, record]));
+
+    for (const [id, before] of previousById) {
+      const after = nextById.get(id);
+      if (after === before) continue;
+      if (collection === 'activityLog') return 'Activity entries cannot be changed or removed.';
+      if (!canWriteCollection(user, collection) || !isRecordVisible(user, collection, before, previous)) {
+        return `You do not have access to change ${label} ${id}.`;
+      }
+      if (collection === 'savedViews') {
+        const viewError = findUnauthorizedViewChange(user, before, after);
+        if (viewError) return viewError;
+      }
+      if (collection === 'notificationSettings' && [before, after].some(settings => settings && settings.userId !== user.id)) {
+        return 'You can only change your own notification settings.';
+      }
+      if (collection === 'dashboardLayouts' && [before, after].some(layout => layout && layout.userId !== user.id)) {
+        return 'You can only change your own dashboard.';
+      }
+      if (!after) {
+        if (!canDeleteRecords(user, collection)) return `Your role cannot delete ${label} ${id}.`;
+        continue;
+      }
+      const changedField = Object.keys({ ...before, ...after }).find(key => before[key] !== after[key] && !canEditField(user, collection, key));
+      if (changedField) return `Your role cannot change the "${changedField}" field of ${label} ${id}.`;
+      if (!isRecordVisible(user, collection, after, next)) return `You do not have access to move ${label} ${id} outside your records.`;
+    }
+    if (collection === 'activityLog') continue;
+    for (const [id, after] of nextById) {
+      if (previousById.has(id)) continue;
+      if (!canWriteCollection(user, collection) || !isRecordVisible(user, collection, after, next)) {
+        return `You do not have access to create this ${label}.`;
+      }
+      if (collection === 'savedViews') {
+        const viewError = findUnauthorizedViewChange(user, null, after);
+        if (viewError) return viewError;
+      }
+      if (collection === 'notificationSettings' && after.userId !== user.id) return 'You can only change your own notification settings.';
+      if (collection === 'dashboardLayouts' && after.userId !== user.id) return 'You can only change your own dashboard.';
+    }
+  }
+  return null;
+};
+
+// New activity entries always carry the signed-in user, whatever name the caller passed in.
+const stampNewActivity = (previous, next, user) => {
+  if (previous.activityLog === next.activityLog) return next;
+  const existingIds = new Set(previous.activityLog.map(entry => entry.id));
+  return {
+    ...next,
+    activityLog: next.activityLog.map(entry => (existingIds.has(entry.id) ? entry : { ...entry, userId: user.id, userName: user.name })),
+  };
+};
+
+// Fills in field-level changes on new activity entries that don't list them. A record's diff goes to
+// the first new entry about it, minus fields other new entries already account for (e.g. a status
+// change recorded by the workflow transition that made it).
+const attachAuditChanges = (previous, next) => {
+  if (previous.activityLog === next.activityLog) return next;
+  const existingIds = new Set(previous.activityLog.map(entry => entry.id));
+  const newEntries = next.activityLog.filter(entry => !existingIds.has(entry.id));
+  const attached = new Map();
+  newEntries.forEach(entry => {
+    const collection = AUDITED_RECORD_COLLECTIONS[entry.recordType];
+    const key = `${entry.recordType}:${entry.recordId}`;
+    if (!collection || entry.changes || attached.has(key)) return;
+    const covered = new Set(newEntries
+      .filter(other => other.changes && other.recordType === entry.recordType && other.recordId === entry.recordId)
+      .flatMap(other => other.changes.map(change => change.field)));
+    const changes = diffRecordFields(
+      previous[collection].find(record => record.id === entry.recordId),
+      next[collection].find(record => record.id === entry.recordId),
+    ).filter(change => !covered.has(change.field));
+    if (changes.length > 0) attached.set(key, { ...entry, changes });
+  });
+  if (attached.size === 0) return next;
+  return {
+    ...next,
+    activityLog: next.activityLog.map(entry => {
+      const withChanges = attached.get(`${entry.recordType}:${entry.recordId}`);
+      return withChanges?.id === entry.id ? withChanges : entry;
+    }),
+  };
+};
+
+// Returns an error when a sensitive field changed without a new activity entry giving the reason.
+const findMissingAuditReason = (previous, next) => {
+  const existingIds = new Set(previous.activityLog.map(entry => entry.id));
+  const newEntries = next.activityLog.filter(entry => !existingIds.has(entry.id));
+  for (const [collection, fields] of Object.entries(SENSITIVE_AUDIT_FIELDS)) {
+    if (previous[collection] === next[collection]) continue;
+    const recordType = Object.keys(AUDITED_RECORD_COLLECTIONS).find(type => AUDITED_RECORD_COLLECTIONS[type] === collection);
+    const nextById = new Map(next[collection].map(record => [record.id, record]));
+    for (const before of previous[collection]) {
+      const after = nextById.get(before.id);
+      if (!after || after === before) continue;
+      const field = fields.find(f => formatAuditValue(before[f]) !== formatAuditValue(after[f]));
+      if (!field) continue;
+      const explained = newEntries.some(entry => entry.recordType === recordType && entry.recordId === before.id &&
+        entry.reason && entry.changes?.some(change => change.field === field));
+      if (!explained) return `A reason is required to change the ${field} of ${RECORD_LABELS[collection]} ${before.id}.`;
+    }
+  }
+  return null;
+};
+
+// Wraps the repository so every write made on behalf of `user` is checked against the rules above.
+// Domain helpers run on the full snapshot, so generated ids and uniqueness checks see every record.
+const createScopedRepository = (repository, user) => {
+  const perform = (operation) => {
+    const previous = repository.getSnapshot();
+    const outcome = operation(previous);
+    if (outcome.error) return outcome;
+    const error = findUnauthorizedChange(user, previous, outcome.data);
+    if (error) return { error };
+    const audited = attachAuditChanges(previous, stampNewActivity(previous, outcome.data, user));
+    const missingReason = findMissingAuditReason(previous, audited);
+    if (missingReason) return { error: missingReason };
+    return { ...outcome, saved: repository.applyChanges(audited) };
+  };
+
+  const applyChanges = (next) => {
+    const outcome = perform(data => ({ data: typeof next === 'function' ? next(data) : next }));
+    if (outcome.error) {
+      repository.reportError(new Error(outcome.error));
+      return Promise.resolve(null);
+    }
+    return outcome.saved;
+  };
+
+  const createCollectionApi = (collection) => ({
+    list: async () => scopeDataForUser(repository.getSnapshot(), user)[collection],
+    get: async (id) => scopeDataForUser(repository.getSnapshot(), user)[collection].find(record => record.id === id) || null,
+    create: (record) => applyChanges(data => ({ ...data, [collection]: [...data[collection], record] })).then(saved => saved && record),
+    update: (record) => applyChanges(data => ({ ...data, [collection]: data[collection].map(r => r.id === record.id ? record : r) })).then(saved => saved && record),
+    remove: (id) => applyChanges(data => ({ ...data, [collection]: data[collection].filter(r => r.id !== id) })).then(Boolean),
+  });
+
+  return {
+    ...repository,
+    ...Object.fromEntries(DATA_COLLECTIONS.map(collection => [collection, createCollectionApi(collection)])),
+    getSnapshot: () => scopeDataForUser(repository.getSnapshot(), user),
+    perform,
+    applyChanges,
+  };
+};
+
+// --- User Accounts & Sessions ---
+// Accounts live in the `users` collection. Passwords are stored as salted SHA-256 hashes; the session
+// (who is signed in and when they were last active) is kept in localStorage so a reload stays signed in.
+const DEMO_PASSWORD = 'demo1234';
+const MIN_PASSWORD_LENGTH = 8;
+const SESSION_STORAGE_KEY = `${STORAGE_KEY_PREFIX}.session`;
+const SESSION_IDLE_TIMEOUT_MS = 15 * 60 * 1000;
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+const hashPassword = async (password, salt) => (
+  toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${password}`)))
+);
+
+const createPasswordCredentials = async (password) => {
+  const passwordSalt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  return { passwordSalt, passwordHash: await hashPassword(password, passwordSalt) };
+};
+
+// Resolves to the account on success, or { error } with a message safe to show on the login form.
+const authenticateUser = async (users, username, password) => {
+  const user = users.find(u => u.username.toLowerCase() === username.trim().toLowerCase());
+  if (!user || (await hashPassword(password, user.passwordSalt)) !== user.passwordHash) {
+    return { error: 'Incorrect username or password.' };
+  }
+  if (!user.active) return { error: 'This account has been deactivated. Contact an administrator.' };
+  return { user };
+};
+
+const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || 'null');
+  } catch {
+    return null;
+  }
+};
+
+const saveSession = (session) => localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+const clearSession = () => localStorage.removeItem(SESSION_STORAGE_KEY);
+const isSessionExpired = (session, now = Date.now()) => now - session.lastActiveAt > SESSION_IDLE_TIMEOUT_MS;
+
+// Returns field errors for a new or edited account; an empty object means it is valid.
+const validateUserAccount = (users, fields, { existingId, password } = {}) => {
+  const errors = {};
+  if (!fields.name?.trim()) errors.name = 'Name is mandatory.';
+  if (!/^[a-z0-9._-]{3,}$/i.test(fields.username?.trim() || '')) errors.username = 'Username must be at least 3 letters, digits, dots, dashes or underscores.';
+  else if (users.some(u => u.id !== existingId && u.username.toLowerCase() === fields.username.trim().toLowerCase())) errors.username = 'Username is already taken.';
+  if (!Object.values(ROLES).includes(fields.role)) errors.role = 'Choose a role.';
+  if (fields.role === ROLES.STUDENT && !fields.studentRecordId) errors.studentRecordId = 'Student accounts must be linked to a student record.';
+  if (fields.role === ROLES.TEACHER && !fields.instructorName?.trim()) errors.instructorName = 'Teacher accounts need the instructor name used on their courses.';
+  if (password !== undefined && password.length < MIN_PASSWORD_LENGTH) errors.password = `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  return errors;
+};
+
+// Only the fields that matter for the role are kept, so a role change doesn't leave stale links behind.
+const buildAccountFields = (fields) => ({
+  name: fields.name.trim(),
+  username: fields.username.trim().toLowerCase(),
+  role: fields.role,
+  studentRecordId: fields.role === ROLES.STUDENT ? fields.studentRecordId : null,
+  instructorName: fields.role === ROLES.TEACHER ? fields.instructorName.trim() : null,
+});
+
+const createUserAccount = (data, fields, credentials) => {
+  const user = {
+    id: nextSequentialId('USR', data.users),
+    ...buildAccountFields(fields),
+    ...credentials,
+    active: true,
+    createdAt: new Date().toISOString(),
+  };
+  return {
+    user,
+    data: {
+      ...data,
+      users: [...data.users, user],
+      activityLog: [createActivityEntry(data.activityLog, {
+        action: 'created', recordType: 'User', recordId: user.id,
+        details: `Account ${user.username} created with role ${user.role}.`,
+      }), ...data.activityLog],
+    },
+  };
+};
+
+const isLastActiveAdmin = (users, userId) => (
+  users.filter(u => u.active && u.role === ROLES.ADMIN).every(u => u.id === userId)
+);
+
+// `changes` may hold account fields, `active`, or new password credentials.
+const updateUserAccount = (data, userId, changes, details, reason) => {
+  const existing = data.users.find(u => u.id === userId);
+  if (!existing) return { error: 'User account not found.' };
+  const updated = { ...existing, ...changes };
+  if (existing.role === ROLES.ADMIN && existing.active && (updated.role !== ROLES.ADMIN || !updated.active) && isLastActiveAdmin(data.users, userId)) {
+    return { error: 'At least one active administrator account is required.' };
+  }
+  return {
+    data: {
+      ...data,
+      users: data.users.map(u => u.id === userId ? updated : u),
+      activityLog: [createActivityEntry(data.activityLog, {
+        action: 'updated', recordType: 'User', recordId: userId, details, reason,
+      }), ...data.activityLog],
+    },
+  };
+};
+
+// --- File Export ---
+// Spreadsheet apps run cells that start with these characters as formulas, so they are escaped.
+const CSV_FORMULA_PREFIXES = ['=', '+', '-', '@'];
+
+const toCsvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && CSV_FORMULA_PREFIXES.includes(text[0])) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// `columns` are { label, value(row) } pairs; the first line is the header row.
+const toCsv = (columns, rows) => [
+  columns.map(column => toCsvCell(column.label)).join(','),
+  ...rows.map(row => columns.map(column => toCsvCell(column.value(row))).join(',')),
+].join('\r\n');
+
+const downloadFile = (fileName, content, mimeType) => {
+  const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (const byte of bytes) crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Builds an uncompressed (stored) zip archive from [{ name, content }] entries. Spreadsheet files
+// are small and uploaded PDFs and images are compressed already, so skipping compression keeps this
+// dependency-free without real cost.
+const createZip = (files, date = new Date()) => {
+  const encoder = new TextEncoder();
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+    const checksum = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // names are UTF-8
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true); // extra, comment, disk and attribute fields stay zero
+
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+};
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+const escapeXml = (value) => String(value)
+  // Control characters other than tab and newlines are not allowed in XML
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const toColumnLetter = (index) => {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  return letters;
+};
+
+const toXlsxCell = (value, ref, styleId = 0) => {
+  const style = styleId ? ` s="${styleId}"` : '';
+  if (value === undefined || value === null || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+// A single-sheet workbook with a bold header row. Numbers stay numeric so they can be summed and sorted.
+const toXlsx = (sheetName, columns, rows) => {
+  const toRow = (values, rowIndex, styleId) => (
+    `<row r="${rowIndex + 1}">${values.map((value, col) => toXlsxCell(value, `${toColumnLetter(col)}${rowIndex + 1}`, styleId)).join('')}</row>`
+  );
+  const sheetRows = [
+    toRow(columns.map(column => column.label), 0, 1),
+    ...rows.map((row, index) => toRow(columns.map(column => column.value(row)), index + 1)),
+  ];
+  const safeSheetName = escapeXml(sheetName.replace(/[\[\]:*?/\\]/g, ' ').slice(0, 31));
+  const relationshipNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const mainNs = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      content: `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      content: `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + `<Relationship Id="rId1" Type="${relationshipNs}/officeDocument" Target="xl/workbook.xml"/>`
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `${XML_HEADER}<workbook xmlns="${mainNs}" xmlns:r="${relationshipNs}">`
+        + `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + `<Relationship Id="rId1" Type="${relationshipNs}/worksheet" Target="worksheets/sheet1.xml"/>`
+        + `<Relationship Id="rId2" Type="${relationshipNs}/styles" Target="styles.xml"/>`
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/styles.xml',
+      content: `${XML_HEADER}<styleSheet xmlns="${mainNs}">`
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + '</styleSheet>',
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: `${XML_HEADER}<worksheet xmlns="${mainNs}"><sheetData>${sheetRows.join('')}</sheetData></worksheet>`,
+    },
+  ]);
+};
+
+// Characters outside Latin-1 that the PDF's WinAnsi fonts can't draw are swapped for plain equivalents.
+const PDF_TEXT_REPLACEMENTS = { '–': '-', '—': '-', '→': '->', '…': '...', '‘': "'", '’': "'", '“': '"', '”': '"', '•': '*' };
+
+const toPdfString = (value) => `(${String(value)
+  .replace(/[–—→…‘’“”•]/g, char => PDF_TEXT_REPLACEMENTS[char])
+  .replace(/[^\x20-\xFF]/g, '?')
+  .replace(/[\\()]/g, char => `\\${char}`)})`;
+
+// A minimal PDF 1.4 writer for text and rules on US Letter pages. Each page is a list of
+// { type: 'text', x, y, text, size, bold } and { type: 'line', x1, y1, x2, y2, width } items, in
+// points from the bottom-left corner. Only the built-in Helvetica fonts are used, so nothing is embedded.
+const createPdf = (pages, { title = '' } = {}) => {
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const infoId = addObject(`<< /Title ${toPdfString(title)} /Producer ${toPdfString(TRANSCRIPT_INSTITUTION)} >>`);
+
+  const pageIds = pages.map(items => {
+    const content = items.map(item => (item.type === 'line'
+      ? `${item.width || 1} w ${item.x1} ${item.y1} m ${item.x2} ${item.y2} l S`
+      : `BT /${item.bold ? 'F2' : 'F1'} ${item.size || 10} Tf ${item.x} ${item.y} Td ${toPdfString(item.text)} Tj ET`)).join('\n');
+    const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 612 792] /Contents ${contentId} 0 R `
+      + `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> >>`);
+  });
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  // Every character is a single byte, so string lengths are byte offsets
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = output.length;
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = output.length;
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF`;
+  return new Blob([Uint8Array.from(output, char => char.charCodeAt(0))], { type: 'application/pdf' });
+};
+
+const EXPORT_FORMATS = {
+  CSV: { label: 'CSV (.csv)', extension: 'csv' },
+  XLSX: { label: 'Excel workbook (.xlsx)', extension: 'xlsx' },
+};
+
+// Produces the file for `format` and hands it to the browser.
+const downloadTable = (format, baseName, sheetName, columns, rows) => {
+  const fileName = `${baseName}.${EXPORT_FORMATS[format].extension}`;
+  if (format === 'XLSX') downloadFile(fileName, toXlsx(sheetName, columns, rows), XLSX_MIME_TYPE);
+  else downloadFile(fileName, `\uFEFF${toCsv(columns, rows)}`, 'text/csv;charset=utf-8'); // BOM so Excel reads UTF-8
+};
+
+// Every export is written to the audit log before the file is handed over; if that write is
+// rejected nothing is downloaded.
+const recordExport = (repository, currentUserPermissions, recordType, details, recordId) => {
+  if (!currentUserPermissions.canExportData) {
+    alert('You do not have permission to export data.');
+    return Promise.resolve(null);
+  }
+  return repository.applyChanges(prevData => ({
+    ...prevData,
+    activityLog: [createActivityEntry(prevData.activityLog, {
+      userName: currentUserPermissions.user,
+      action: 'exported', recordType, recordId, details,
+    }), ...prevData.activityLog],
+  }));
+};
+
+const formatAuditChanges = (changes = []) => changes.map(change => `${change.field}: ${change.from || '—'} → ${change.to || '—'}`).join('; ');
+
+// --- File Import ---
+// Parses RFC 4180 CSV: quoted fields, doubled quotes and CRLF line ends. The delimiter is a comma
+// unless the header line has more semicolons, as some Excel locales export.
+const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const headerLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = (headerLine.match(/;/g) || []).length > (headerLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char !== '"') field += char;
+      else if (source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else inQuotes = false;
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      rows.push([...row, field]);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) rows.push([...row, field]);
+  // Undo the formula escaping toCsv applies, so exported files import unchanged
+  return rows.map(cells => cells.map(cell => cell.replace(/^'(?=[=+\-@])/, '')));
+};
+
+const readFileAsArrayBuffer = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(file);
+});
+
+// Lists the entries of a zip archive from its central directory: name -> { method, data }.
+const readZipEntries = (buffer) => {
+  const view = new DataView(buffer);
+  let end = buffer.byteLength - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054B50) end--;
+  if (end < 0) throw new Error('The file is not a valid .xlsx workbook.');
+  const decoder = new TextDecoder();
+  const entries = new Map();
+  let offset = view.getUint32(end + 16, true);
+  for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    entries.set(decoder.decode(new Uint8Array(buffer, offset + 46, nameLength)), {
+      method: view.getUint16(offset + 10, true),
+      data: new Uint8Array(buffer, dataStart, view.getUint32(offset + 20, true)),
+    });
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+  }
+  return entries;
+};
+
+// Spreadsheet apps deflate their parts; the browser's DecompressionStream inflates them.
+const inflateZipEntry = async ({ method, data }) => {
+  if (method === 0) return data;
+  if (method !== 8) throw new Error('The workbook uses an unsupported compression method.');
+  const stream = new Response(data).body.pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const toColumnIndex = (cellRef) => [...cellRef.replace(/\d+$/, '')].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+// Reads the first worksheet of an .xlsx workbook as rows of cell text. Numbers come back as written
+// in the file, so dates arrive as Excel serial numbers (see normalizeImportDate).
+const parseXlsx = async (buffer) => {
+  const entries = readZipEntries(buffer);
+  const readXml = async (name) => (entries.has(name)
+    ? new DOMParser().parseFromString(new TextDecoder().decode(await inflateZipEntry(entries.get(name))), 'application/xml')
+    : null);
+  const workbook = await readXml('xl/workbook.xml');
+  const firstSheet = workbook?.getElementsByTagName('sheet')[0];
+  if (!firstSheet) throw new Error('The workbook has no worksheets.');
+  const relationships = await readXml('xl/_rels/workbook.xml.rels');
+  const target = [...(relationships?.getElementsByTagName('Relationship') || [])]
+    .find(rel => rel.getAttribute('Id') === firstSheet.getAttribute('r:id'))?.getAttribute('Target') || 'worksheets/sheet1.xml';
+  const sheet = await readXml(target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+  if (!sheet) throw new Error('The first worksheet could not be read.');
+  const sharedStrings = await readXml('xl/sharedStrings.xml');
+  const readText = (node) => [...node.getElementsByTagName('t')].map(t => t.textContent).join('');
+  const strings = sharedStrings ? [...sharedStrings.getElementsByTagName('si')].map(readText) : [];
+
+  const rows = [];
+  [...sheet.getElementsByTagName('row')].forEach(row => {
+    const cells = [];
+    [...row.getElementsByTagName('c')].forEach((cell, position) => {
+      const ref = cell.getAttribute('r');
+      const raw = cell.getElementsByTagName('v')[0]?.textContent ?? '';
+      const type = cell.getAttribute('t');
+      cells[ref ? toColumnIndex(ref) : position] = type === 's' ? strings[Number(raw)] ?? ''
+        : type === 'inlineStr' ? readText(cell)
+          : type === 'b' ? (raw === '1' ? 'TRUE' : 'FALSE')
+            : raw;
+    });
+    // Rows missing from the sheet are blank; keep their place so row numbers match the spreadsheet
+    rows[(Number(row.getAttribute('r')) || rows.length + 1) - 1] = Array.from(cells, cell => cell ?? '');
+  });
+  return Array.from(rows, cells => cells ?? []);
+};
+
+// Returns the rows of a .csv or .xlsx file. Blank rows are kept so row numbers match the file.
+const readSpreadsheetFile = async (file) => {
+  const extension = file.name.split('.').pop().toLowerCase();
+  const buffer = await readFileAsArrayBuffer(file);
+  if (extension === 'csv') return parseCsv(new TextDecoder().decode(buffer));
+  if (extension === 'xlsx') return parseXlsx(buffer);
+  throw new Error('Choose a .csv or .xlsx file. Older .xls workbooks need to be saved as .xlsx first.');
+};
+
+const isBlankRow = (cells) => cells.every(cell => String(cell).trim() === '');
+
+// Accepts ISO dates, US-style M/D/YYYY and Excel date serials; anything else is returned unchanged
+// for validation to reject.
+const normalizeImportDate = (value) => {
+  const text = String(value).trim();
+  if (/^\d{5}(\.\d+)?$/.test(text)) {
+    return new Date(Date.UTC(1899, 11, 30) + Math.floor(Number(text)) * 86400000).toISOString().split('T')[0];
+  }
+  const us = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+  if (us) return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+  return text;
+};
+
+// --- Reusable UI Components ---
+
+const Icon = ({ name, className = '' }) => {
+  // A simple placeholder for icons
+  const icons = {
+    dashboard: '📊', student: '🎓', course: '📚', admission: '📝',
+    search: '🔍', bell: '🔔', user: '👤', cog: '⚙️',
+    plus: '+', edit: '✍️', eye: '👁️', trash: '🗑️', download: '⬇️',
+    check: '✓', arrowUp: '↑', arrowDown: '↓',
+    file: '📄', // For documents or empty states
+    warning: '⚠️',
+    chart: '📈',
+    audit: '🧾',
+  };
+  return <span className={`icon icon-${name} ${className}`}>{icons[name] || ''}</span>;
+};
+
+const Button = ({ children, onClick, variant = 'primary', disabled = false, icon, className = '', type = 'button' }) => (
+  <button
+    type={type}
+    className={`btn btn--${variant} ${className}`}
+    onClick={onClick}
+    disabled={disabled}
+    style={{
+      marginBottom: 'var(--spacing-xs)', // Example for JSX style syntax rule
+      borderRadius: 'var(--border-radius-sm)',
+    }}
+  >
+    {icon && <Icon name={icon} />}
+    {children}
+  </button>
+);
+
+const InputField = ({ label, type = 'text', name, value, onChange, onBlur, placeholder, required = false, error, disabled = false, autoPopulate = false, autoPopulateText = '', min, max, step, maxLength }) => (
+  <div className="form-group">
+    <label htmlFor={name}>
+      {label} {required && <span style={{ color: 'var(--status-rejected-border)' }}>*</span>}
+    </label>
+    <input
+      type={type}
+      id={name}
+      name={name}
+      value={value}
+      onChange={onChange}
+      onBlur={onBlur}
+      placeholder={placeholder}
+      required={required}
+      disabled={disabled}
+      min={min}
+      max={max}
+      step={step}
+      maxLength={maxLength}
+      aria-invalid={Boolean(error)}
+      className="input-field"
+      style={{
+        padding: 'var(--spacing-sm) var(--spacing-md)',
+      }}
+    />
+    {autoPopulate && autoPopulateText && (
+      <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)', marginTop: 'var(--spacing-xs)' }}>
+        <Icon name="cog" /> Automatically populated: {autoPopulateText}
+      </p>
+    )}
+    {error && <p className="error-message">{error}</p>}
+  </div>
+);
+
+const SelectField = ({ label, name, value, onChange, onBlur, options = [], placeholder, required = false, error, disabled = false }) => (
+  <div className="form-group">
+    <label htmlFor={name}>
+      {label} {required && <span style={{ color: 'var(--status-rejected-border)' }}>*</span>}
+    </label>
+    <select
+      id={name}
+      name={name}
+      value={value}
+      onChange={onChange}
+      onBlur={onBlur}
+      required={required}
+      disabled={disabled}
+      aria-invalid={Boolean(error)}
+      className="select-field"
+    >
+      {placeholder && <option value="">{placeholder}</option>}
+      {options.map(option => (
+        <option key={option.value ?? option} value={option.value ?? option}>{option.label ?? option}</option>
+      ))}
+    </select>
+    {error && <p className="error-message">{error}</p>}
+  </div>
+);
+
+const TextAreaField = ({ label, name, value, onChange, onBlur, placeholder, required = false, error, disabled = false, maxLength }) => (
+  <div className="form-group">
+    <label htmlFor={name}>
+      {label} {required && <span style={{ color: 'var(--status-rejected-border)' }}>*</span>}
+    </label>
+    <textarea
+      id={name}
+      name={name}
+      value={value}
+      onChange={onChange}
+      onBlur={onBlur}
+      placeholder={placeholder}
+      required={required}
+      disabled={disabled}
+      maxLength={maxLength}
+      aria-invalid={Boolean(error)}
+      className="textarea-field"
+    />
+    {error && <p className="error-message">{error}</p>}
+  </div>
+);
+
+// Dropped files reach `onFileUpload` as `{ target: { name, files } }`, the same shape as a change event
+const FileUpload = ({ label, name, onFileUpload, fileName, error, accept, hint, disabled = false }) => {
+  const [isDragging, setIsDragging] = useState(false);
+  const browse = () => !disabled && document.getElementById(name).click();
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (!disabled && e.dataTransfer.files.length > 0) onFileUpload({ target: { name, files: e.dataTransfer.files } });
+  };
+  return (
+    <div className="form-group">
+      <label htmlFor={name}>{label}</label>
+      <div
+        className={`file-upload-area${isDragging ? ' file-upload-area--dragging' : ''}${disabled ? ' file-upload-area--disabled' : ''}`}
+        role="button"
+        tabIndex={disabled ? -1 : 0}
+        aria-disabled={disabled}
+        onClick={browse}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            browse();
+          }
+        }}
+        onDragOver={(e) => {
+          e.preventDefault();
+          e.dataTransfer.dropEffect = disabled ? 'none' : 'copy';
+          setIsDragging(!disabled);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+      >
+        <input type="file" id={name} name={name} accept={accept} onChange={onFileUpload} disabled={disabled} />
+        <p>{disabled ? 'Uploading…' : 'Drag & drop file here or click to browse'}</p>
+        {hint && <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>{hint}</p>}
+        {fileName && <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-main)' }}>Selected: {fileName}</p>}
+        {error && <p className="error-message">{error}</p>}
+      </div>
+    </div>
+  );
+};
+
+// --- Form Engine ---
+// Forms are declared as a schema, one entry per field, and rendered through the field components above.
+// A field has `name`, `label` and `type` ('text' | 'email' | 'number' | 'date' | 'select' | 'textarea' | 'file')
+// plus any of these rules:
+//   required, min / max (numbers, or YYYY-MM-DD for dates; either may be a function of the context),
+//   integer, maxLength, pattern: { regex, message }, unique: { collection, field, message(value, clash) },
+//   validate(value, values, context) for cross-field rules (returns a message or null),
+//   visible(values, context), disabled(values, context), options(values, context) for selects,
+//   computed(values, context) for read-only values derived elsewhere (never validated or saved),
+//   placeholder and autoPopulateText (for values filled in by the system; both may be functions of
+//   values and context), and accept / hint for files.
+// `context` is whatever the screen passes (the data, the record being edited, the user's permissions),
+// so schemas stay plain module constants.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isFieldVisible = (field, values, context) => !field.visible || field.visible(values, context);
+
+const isBlankValue = (value) => value === null || value === undefined || String(value).trim() === '';
+
+const resolveFieldRule = (rule, context) => (typeof rule === 'function' ? rule(context) : rule);
+
+const resolveFieldText = (text, values, context) => (typeof text === 'function' ? text(values, context) : text);
+
+const getFieldOptionValues = (field, values, context) => (field.options?.(values, context) || []).map(option => option.value ?? option);
+
+// Synchronous rules for one field; returns the first failing rule's message or null.
+const validateFieldValue = (field, values, context = {}) => {
+  if (field.computed || !isFieldVisible(field, values, context)) return null;
+  const value = values[field.name];
+  if (isBlankValue(value)) return field.required ? `${field.label} is mandatory.` : null;
+  const min = resolveFieldRule(field.min, context);
+  const max = resolveFieldRule(field.max, context);
+  if (field.type === 'number') {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return `${field.label} must be a number.`;
+    if (field.integer && !Number.isInteger(number)) return `${field.label} must be a whole number.`;
+    if (min !== undefined && number < min) return `${field.label} must be at least ${min}.`;
+    if (max !== undefined && number > max) return `${field.label} must be at most ${max}.`;
+  }
+  if (field.type === 'date') {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) return `${field.label} must be a valid date (YYYY-MM-DD).`;
+    if (min && value < min) return `${field.label} cannot be before ${min}.`;
+    if (max && value > max) return `${field.label} cannot be after ${max}.`;
+  }
+  if (field.type === 'email' && !EMAIL_PATTERN.test(value)) return `${field.label} is invalid.`;
+  if (field.type === 'select' && field.options && !getFieldOptionValues(field, values, context).includes(value)) {
+    return `${field.label} must be one of the listed options.`;
+  }
+  if (field.maxLength && String(value).length > field.maxLength) return `${field.label} can be at most ${field.maxLength} characters.`;
+  if (field.pattern && !field.pattern.regex.test(String(value))) return field.pattern.message;
+  return field.validate?.(value, values, context) || null;
+};
+
+// Returns { fieldName: message } for every field that fails its synchronous rules.
+const validateFormValues = (schema, values, context = {}) => Object.fromEntries(schema
+  .map(field => [field.name, validateFieldValue(field, values, context)])
+  .filter(([, error]) => error));
+
+// Uniqueness is checked against the collection through the repository, so it is async. Matching is
+// case-insensitive and skips the record being edited (`context.recordId`). The scoped repository only
+// lists records the user can see, so a clash with a hidden record is not reported here.
+const validateFormUniqueness = async (schema, values, context, fieldNames = schema.map(field => field.name)) => {
+  const errors = {};
+  for (const field of schema) {
+    if (!field.unique || !fieldNames.includes(field.name) || !isFieldVisible(field, values, context) || isBlankValue(values[field.name])) continue;
+    const normalized = String(values[field.name]).trim().toLowerCase();
+    const records = await context.repository[field.unique.collection].list();
+    const clash = records.find(record => record.id !== context.recordId && String(record[field.unique.field] ?? '').trim().toLowerCase() === normalized);
+    if (clash) errors[field.name] = field.unique.message(values[field.name], clash);
+  }
+  return errors;
+};
+
+// Drafts keep a half-filled form in localStorage, per user and form, so it survives a reload. Files
+// can't be stored, so only their names are kept and the user is asked to pick them again.
+const getFormDraftKey = (formId, userId) => `${STORAGE_KEY_PREFIX}.draft.${userId}.${formId}`;
+
+const loadFormDraft = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || null;
+  } catch {
+    return null;
+  }
+};
+
+const saveFormDraft = (key, schema, values) => {
+  const stored = {};
+  const fileNames = {};
+  schema.filter(field => !field.computed).forEach(field => {
+    if (field.type === 'file') {
+      if (values[field.name]) fileNames[field.name] = values[field.name].name;
+    } else {
+      stored[field.name] = values[field.name];
+    }
+  });
+  localStorage.setItem(key, JSON.stringify({ savedAt: new Date().toISOString(), values: stored, fileNames }));
+};
+
+const clearFormDraft = (key) => localStorage.removeItem(key);
+
+// The values a form compares against to decide whether it has unsaved changes; files compare by name.
+const serializeFormValues = (schema, values) => JSON.stringify(schema
+  .filter(field => !field.computed)
+  .map(field => (field.type === 'file' ? values[field.name]?.name || null : values[field.name] ?? '')));
+
+// Renders one schema field with the matching field component. `onChange(name, value)` receives the
+// chosen File for file fields and the input's value otherwise; `onBlur(name)` lets the form validate.
+const FormField = ({ field, values, errors, context, onChange, onBlur }) => {
+  if (!isFieldVisible(field, values, context)) return null;
+  const common = {
+    label: field.label,
+    name: field.name,
+    required: Boolean(field.required) && !field.computed,
+    error: errors[field.name],
+    disabled: Boolean(field.computed) || Boolean(field.disabled?.(values, context)),
+  };
+  const handleChange = (e) => onChange(field.name, e.target.value);
+  const handleBlur = () => onBlur(field.name);
+  const placeholder = resolveFieldText(field.placeholder, values, context);
+  const autoPopulateText = resolveFieldText(field.autoPopulateText, values, context);
+
+  if (field.computed) {
+    return <InputField {...common} value={field.computed(values, context)} autoPopulate={Boolean(autoPopulateText)} autoPopulateText={autoPopulateText} />;
+  }
+  switch (field.type) {
+    case 'select':
+      return <SelectField {...common} value={values[field.name] ?? ''} onChange={handleChange} onBlur={handleBlur} options={field.options(values, context)} placeholder={placeholder} />;
+    case 'textarea':
+      return <TextAreaField {...common} value={values[field.name] ?? ''} onChange={handleChange} onBlur={handleBlur} placeholder={placeholder} maxLength={field.maxLength} />;
+    case 'file':
+      return (
+        <FileUpload label={field.label} name={field.name} accept={field.accept} hint={field.hint} error={common.error} disabled={common.disabled}
+          fileName={values[field.name]?.name} onFileUpload={(e) => onChange(field.name, e.target.files?.[0] || values[field.name] || null)} />
+      );
+    default:
+      return (
+        <InputField {...common} type={field.type} value={values[field.name] ?? ''} onChange={handleChange} onBlur={handleBlur}
+          placeholder={placeholder} min={resolveFieldRule(field.min, context)} max={resolveFieldRule(field.max, context)}
+          step={field.type === 'number' ? field.step ?? (field.integer ? 1 : 'any') : undefined} maxLength={field.maxLength}
+          autoPopulate={Boolean(autoPopulateText)} autoPopulateText={autoPopulateText} />
+      );
+  }
+};
+
+// When a workflow is given, the badge colour and label come from that workflow's state definition.
+const StatusBadge = ({ status, workflow }) => {
+  const state = workflow && WORKFLOW_DEFINITIONS[workflow]?.states[status];
+  const statusClass = state?.color || STATUS_COLORS_MAP[status.toUpperCase()] || 'outline';
+  return (
+    <span className={`status-tag status-tag--${statusClass}`}
+      style={{
+        borderRadius: 'var(--border-radius-sm)',
+      }}
+    >
+      {state?.label || status}
+    </span>
+  );
+};
+
+const Card = ({ children, onClick, className = '' }) => (
+  <div className={`card ${className}`} onClick={onClick}>
+    {children}
+  </div>
+);
+
+const EmptyState = ({ title, description, icon = 'file', actionText, onAction }) => (
+  <div className="empty-state">
+    <div className="empty-state__icon"><Icon name={icon} /></div>
+    <h3 className="empty-state__title">{title}</h3>
+    <p className="empty-state__description">{description}</p>
+    {onAction && <Button onClick={onAction} variant="primary">{actionText}</Button>}
+  </div>
+);
+
+const MilestoneTracker = ({ stages, currentStageId }) => (
+  <Card className="milestone-tracker">
+    <h3 style={{ marginBottom: 'var(--spacing-lg)' }}>Workflow Progress</h3>
+    {stages.map((stage, index) => {
+      const isCompleted = stage.order < stages.find(s => s.id === currentStageId)?.order;
+      const isCurrent = stage.id === currentStageId;
+      return (
+        <div key={stage.id} className={`milestone-tracker__step ${isCompleted ? 'milestone-tracker__step--completed' : ''}`}>
+          <div className={`milestone-tracker__step-indicator ${isCompleted ? 'milestone-tracker__step-indicator--completed' : ''} ${isCurrent ? 'milestone-tracker__step-indicator--current' : ''}`}>
+            {isCompleted ? <Icon name="check" /> : index + 1}
+          </div>
+          <div className="milestone-tracker__step-line" style={{ height: `calc(100% + var(--spacing-md))` }}></div> {/* Extend line */}
+          <span className="milestone-tracker__step-label">{stage.name}</span>
+          {isCompleted && stage.date && <span className="milestone-tracker__step-date">{stage.date}</span>}
+          {isCurrent && <span className="status-tag status-tag--in-progress" style={{ marginLeft: 'auto', borderRadius: 'var(--border-radius-sm)' }}>Current</span>}
+        </div>
+      );
+    })}
+  </Card>
+);
+
+// Long values (e.g. grading weights) are shortened here; the full value stays in the log and exports.
+const AUDIT_VALUE_PREVIEW_LENGTH = 60;
+const previewAuditValue = (value) => (
+  value.length > AUDIT_VALUE_PREVIEW_LENGTH ? `${value.slice(0, AUDIT_VALUE_PREVIEW_LENGTH)}…` : value
+);
+
+const AuditChanges = ({ changes = [], reason }) => {
+  if (changes.length === 0 && !reason) return null;
+  return (
+    <ul className="audit-changes">
+      {changes.map(change => (
+        <li key={change.field}>
+          <span className="audit-changes__field">{change.field}</span>{' '}
+          <del title={change.from}>{previewAuditValue(change.from) || '—'}</del> → <ins title={change.to}>{previewAuditValue(change.to) || '—'}</ins>
+        </li>
+      ))}
+      {reason && <li className="audit-changes__reason">Reason: {reason}</li>}
+    </ul>
+  );
+};
+
+const ActivityFeed = ({ activities, title = "Recent Activities" }) => (
+  <Card className="activity-feed">
+    <h3 style={{ marginBottom: 'var(--spacing-lg)' }}>{title}</h3>
+    {activities.length > 0 ? (
+      activities.map((activity) => (
+        <div key={activity.id} className="activity-item">
+          <div className="activity-item__icon">
+            <Icon name={activity.recordType?.toLowerCase() || 'file'} />
+          </div>
+          <div className="activity-item__content">
+            <p style={{ marginBottom: 'var(--spacing-xs)', fontSize: 'var(--font-size-md)', color: 'var(--text-main)' }}>
+              <strong>{activity.userName}</strong> {activity.action} {activity.recordType} <strong>{activity.recordId}</strong>
+            </p>
+            <AuditChanges changes={activity.changes} reason={activity.reason} />
+            <p className="activity-item__meta">
+              {new Date(activity.timestamp).toLocaleString()}
+            </p>
+          </div>
+        </div>
+      ))
+    ) : (
+      <EmptyState title="No Activities Yet" description="This feed will show recent actions." icon="bell" />
+    )}
+  </Card>
+);
+
+// Documents of one student or application: upload by type (a repeat upload becomes a new version),
+// preview PDFs and images in place, download single versions or everything as a zip.
+const DocumentPanel = ({ ownerType, record, currentUserPermissions, mockData, repository }) => {
+  const documents = getRecordDocuments(mockData, ownerType, record.id);
+  const ownerName = DOCUMENT_OWNERS[ownerType].name(record);
+  const [uploadType, setUploadType] = useState(Object.keys(DOCUMENT_TYPES)[0]);
+  const [uploadError, setUploadError] = useState('');
+  const [isUploading, setIsUploading] = useState(false);
+  const [historyDocId, setHistoryDocId] = useState(null);
+  const [preview, setPreview] = useState(null); // { key, url, mimeType, title }
+
+  // The preview holds an object URL; release it when it is replaced or the panel closes
+  useEffect(() => () => {
+    if (preview) URL.revokeObjectURL(preview.url);
+  }, [preview]);
+
+  const canManageOwner = ownerType === 'student' ? currentUserPermissions.canManageStudents : currentUserPermissions.canManageAdmissions;
+  const canUpload = canManageOwner && canWriteCollection(currentUserPermissions, 'documents');
+  const canDelete = canUpload && canDeleteRecords(currentUserPermissions, 'documents');
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const invalid = validateDocumentFile(file);
+    setUploadError(invalid || '');
+    if (invalid) return;
+    setIsUploading(true);
+    try {
+      const stored = await readDocumentFile(file);
+      const outcome = repository.perform(data => addDocumentVersion(data, { ownerType, ownerId: record.id, type: uploadType, file: stored }, currentUserPermissions));
+      if (outcome.error) setUploadError(outcome.error);
+      else await outcome.saved;
+    } catch (error) {
+      setUploadError(`${file.name} could not be read: ${error.message}`);
+    }
+    setIsUploading(false);
+  };
+
+  const togglePreview = (doc, version) => {
+    const key = `${doc.id}:${version.version}`;
+    setPreview(preview?.key === key ? null : {
+      key,
+      url: URL.createObjectURL(dataUrlToBlob(version.dataUrl)),
+      mimeType: version.mimeType,
+      title: `${DOCUMENT_TYPES[doc.type]?.label} v${version.version}: ${version.fileName}`,
+    });
+  };
+
+  const handleDelete = (doc) => {
+    if (!window.confirm(`Delete the ${DOCUMENT_TYPES[doc.type]?.label.toLowerCase()} document and all ${doc.versions.length} of its versions?`)) return;
+    if (preview?.key.startsWith(`${doc.id}:`)) setPreview(null);
+    const outcome = repository.perform(data => deleteDocument(data, doc.id, currentUserPermissions));
+    if (outcome.error) alert(outcome.error);
+  };
+
+  const handleDownloadAll = () => downloadFile(`${ownerName} documents.zip`, buildDocumentsZip(documents));
+
+  const renderVersionRow = (doc, version, isLatest) => (
+    <tr key={version.version} className={isLatest ? undefined : 'documents-table__history-row'}>
+      <td>{isLatest ? DOCUMENT_TYPES[doc.type]?.label || doc.type : ''}</td>
+      <td>{version.fileName} <span className="data-table__subheading">{formatFileSize(version.size)}</span></td>
+      <td>
+        v{version.version}
+        {isLatest && doc.versions.length > 1 && (
+          <Button variant="icon" onClick={() => setHistoryDocId(historyDocId === doc.id ? null : doc.id)}>
+            {historyDocId === doc.id ? 'Hide history' : `History (${doc.versions.length - 1})`}
+          </Button>
+        )}
+      </td>
+      <td>{new Date(version.uploadedAt).toLocaleString()}<span className="data-table__subheading"> by {version.uploadedBy}</span></td>
+      <td className="documents-table__actions">
+        <Button variant="icon" icon="eye" onClick={() => togglePreview(doc, version)}>{preview?.key === `${doc.id}:${version.version}` ? 'Close' : 'Preview'}</Button>
+        <Button variant="icon" icon="download" onClick={() => downloadFile(version.fileName, dataUrlToBlob(version.dataUrl))}>Download</Button>
+        {isLatest && canDelete && <Button variant="icon" icon="trash" onClick={() => handleDelete(doc)}>Delete</Button>}
+      </td>
+    </tr>
+  );
+
+  return (
+    <Card className="card--elevated">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--spacing-md)' }}>
+        <h3 style={{ marginBottom: 0 }}>Documents</h3>
+        {documents.length > 0 && <Button variant="outline" icon="download" onClick={handleDownloadAll}>Download All Documents</Button>}
+      </div>
+
+      {documents.length === 0 ? (
+        <p style={{ color: 'var(--text-secondary)' }}>No documents have been uploaded for {ownerName} yet.</p>
+      ) : (
+        <table className="data-table documents-table">
+          <thead>
+            <tr><th>Type</th><th>File</th><th>Version</th><th>Uploaded</th><th>Actions</th></tr>
+          </thead>
+          {documents.map(doc => (
+            <tbody key={doc.id}>
+              {renderVersionRow(doc, getLatestVersion(doc), true)}
+              {historyDocId === doc.id && doc.versions.slice(0, -1).reverse().map(version => renderVersionRow(doc, version, false))}
+            </tbody>
+          ))}
+        </table>
+      )}
+
+      {preview && (
+        <div style={{ marginTop: 'var(--spacing-md)' }}>
+          <p className="data-table__subheading" style={{ marginBottom: 'var(--spacing-sm)' }}>{preview.title}</p>
+          {preview.mimeType === 'application/pdf'
+            ? <iframe src={preview.url} title={preview.title} className="document-preview" />
+            : <img src={preview.url} alt={preview.title} className="document-preview document-preview--image" />}
+        </div>
+      )}
+
+      {canUpload && (
+        <div className="documents-upload">
+          <SelectField
+            label="Document Type"
+            name={`documentType-${record.id}`}
+            value={uploadType}
+            onChange={(e) => setUploadType(e.target.value)}
+            options={Object.entries(DOCUMENT_TYPES).map(([value, type]) => ({
+              value,
+              label: documents.some(doc => doc.type === value) ? `${type.label} (adds a new version)` : type.label,
+            }))}
+          />
+          <FileUpload
+            label="File"
+            name={`documentFile-${record.id}`}
+            accept={DOCUMENT_ACCEPT}
+            onFileUpload={handleUpload}
+            error={uploadError}
+            disabled={isUploading}
+            hint={`PDF or image, up to ${formatFileSize(MAX_DOCUMENT_SIZE)}`}
+          />
+        </div>
+      )}
+    </Card>
+  );
+};
+
+// --- Charts ---
+// A small SVG renderer for `{ labels, datasets: [{ label, data, backgroundColor }] }`. Colours are CSS
+// variables so charts follow the theme. `options.onSegmentClick` makes bars, slices and points
+// clickable (and focusable); every chart also carries its numbers as a table for screen readers.
+const CHART_COLORS = [
+  'var(--primary-color)', 'var(--status-approved-border)', 'var(--status-pending-border)',
+  'var(--status-rejected-border)', 'var(--status-exception-border)', 'var(--status-in-progress-border)',
+];
+const CHART_SIZE = { width: 400, height: 220 };
+const CHART_PADDING = { top: 12, right: 12, bottom: 32, left: 36 };
+const DONUT_SIZE = 200;
+const CHART_TICKS = 4;
+
+const getSeriesColor = (dataset, datasetIndex) => (
+  typeof dataset.backgroundColor === 'string' ? dataset.backgroundColor : CHART_COLORS[datasetIndex % CHART_COLORS.length]
+);
+
+const getSliceColor = (dataset, index) => (
+  Array.isArray(dataset.backgroundColor) ? dataset.backgroundColor[index] : CHART_COLORS[index % CHART_COLORS.length]
+);
+
+// Rounds the axis maximum up to 1, 2 or 5 times a power of ten per tick
+const getNiceAxisMax = (value) => {
+  if (!(value > 0)) return CHART_TICKS;
+  const rawStep = value / CHART_TICKS;
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+  return [1, 2, 5, 10].find(multiple => multiple * magnitude >= rawStep) * magnitude * CHART_TICKS;
+};
+
+const describeDonutSlice = (start, end, outer, inner) => {
+  const center = DONUT_SIZE / 2;
+  const point = (radius, angle) => `${center + radius * Math.sin(angle)} ${center - radius * Math.cos(angle)}`;
+  const sweep = Math.min(end - start, Math.PI * 2 - 0.0001); // a full circle has no distinct end point
+  const largeArc = sweep > Math.PI ? 1 : 0;
+  return [
+    `M ${point(outer, start)}`,
+    `A ${outer} ${outer} 0 ${largeArc} 1 ${point(outer, start + sweep)}`,
+    `L ${point(inner, start + sweep)}`,
+    `A ${inner} ${inner} 0 ${largeArc} 0 ${point(inner, start)}`,
+    'Z',
+  ].join(' ');
+};
+
+const ChartComponent = ({ title, type, data, options = {} }) => {
+  const [tooltip, setTooltip] = useState(null); // { text, x, y } relative to the chart body
+  const labels = data.labels || [];
+  const datasets = data.datasets || [];
+  const formatValue = options.formatValue || (value => value);
+  const hasData = labels.length > 0 && datasets.some(dataset => dataset.data.some(value => value > 0));
+  const plot = {
+    left: CHART_PADDING.left,
+    top: CHART_PADDING.top,
+    width: CHART_SIZE.width - CHART_PADDING.left - CHART_PADDING.right,
+    height: CHART_SIZE.height - CHART_PADDING.top - CHART_PADDING.bottom,
+  };
+
+  const showTooltip = (e, text) => {
+    const body = e.currentTarget.closest('.chart__body').getBoundingClientRect();
+    const target = e.clientX !== undefined ? { x: e.clientX, y: e.clientY } : (() => {
+      const box = e.currentTarget.getBoundingClientRect();
+      return { x: box.left + box.width / 2, y: box.top };
+    })();
+    setTooltip({ text, x: target.x - body.left, y: target.y - body.top });
+  };
+
+  // Shared props for anything that represents one value: tooltip on hover and focus, click-through
+  const segmentProps = (labelIndex, datasetIndex, text) => {
+    const select = () => options.onSegmentClick?.({ label: labels[labelIndex], labelIndex, dataset: datasets[datasetIndex], datasetIndex });
+    return {
+      className: `chart__segment${options.onSegmentClick ? ' chart__segment--clickable' : ''}`,
+      tabIndex: 0,
+      role: options.onSegmentClick ? 'button' : 'img',
+      'aria-label': text,
+      onMouseMove: (e) => showTooltip(e, text),
+      onMouseLeave: () => setTooltip(null),
+      onFocus: (e) => showTooltip(e, text),
+      onBlur: () => setTooltip(null),
+      onClick: select,
+      onKeyDown: (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          select();
+        }
+      },
+    };
+  };
+
+  const describeValue = (labelIndex, datasetIndex) => {
+    const dataset = datasets[datasetIndex];
+    return `${labels[labelIndex]}${dataset.label ? ` · ${dataset.label}` : ''}: ${formatValue(dataset.data[labelIndex])}`;
+  };
+
+  const renderAxes = (axisMax) => (
+    <g className="chart__axis">
+      {Array.from({ length: CHART_TICKS + 1 }, (_, tick) => {
+        const y = plot.top + plot.height - (tick / CHART_TICKS) * plot.height;
+        return (
+          <g key={tick}>
+            <line x1={plot.left} x2={plot.left + plot.width} y1={y} y2={y} className="chart__gridline" />
+            <text x={plot.left - 6} y={y + 3} textAnchor="end">{formatValue(Math.round((axisMax * tick / CHART_TICKS) * 100) / 100)}</text>
+          </g>
+        );
+      })}
+      {labels.map((label, i) => (
+        <text key={label} x={plot.left + (i + 0.5) * (plot.width / labels.length)} y={plot.top + plot.height + 16} textAnchor="middle">{label}</text>
+      ))}
+    </g>
+  );
+
+  const renderBars = (stacked) => {
+    const totals = labels.map((_, i) => datasets.reduce((sum, dataset) => sum + (dataset.data[i] || 0), 0));
+    const axisMax = getNiceAxisMax(stacked ? Math.max(...totals) : Math.max(...datasets.flatMap(dataset => dataset.data)));
+    const band = plot.width / labels.length;
+    const barWidth = stacked ? band * 0.6 : (band * 0.8) / datasets.length;
+    const toHeight = (value) => (value / axisMax) * plot.height;
+    return (
+      <>
+        {renderAxes(axisMax)}
+        {labels.map((label, i) => {
+          let stackedHeight = 0;
+          return datasets.map((dataset, d) => {
+            const value = dataset.data[i] || 0;
+            if (value <= 0) return null;
+            const height = toHeight(value);
+            const x = stacked ? plot.left + i * band + (band - barWidth) / 2 : plot.left + i * band + band * 0.1 + d * barWidth;
+            const y = plot.top + plot.height - height - (stacked ? stackedHeight : 0);
+            if (stacked) stackedHeight += height;
+            return <rect key={`${i}-${d}`} x={x} y={y} width={barWidth} height={height} style={{ fill: getSeriesColor(dataset, d) }} {...segmentProps(i, d, describeValue(i, d))} />;
+          });
+        })}
+      </>
+    );
+  };
+
+  const renderLines = () => {
+    const axisMax = getNiceAxisMax(Math.max(...datasets.flatMap(dataset => dataset.data)));
+    const band = plot.width / labels.length;
+    const toPoint = (value, i) => [plot.left + (i + 0.5) * band, plot.top + plot.height - (value / axisMax) * plot.height];
+    return (
+      <>
+        {renderAxes(axisMax)}
+        {datasets.map((dataset, d) => (
+          <g key={d}>
+            <polyline className="chart__line" style={{ stroke: getSeriesColor(dataset, d) }}
+              points={dataset.data.map((value, i) => toPoint(value || 0, i).join(',')).join(' ')} />
+            {dataset.data.map((value, i) => {
+              const [cx, cy] = toPoint(value || 0, i);
+              return <circle key={i} cx={cx} cy={cy} r={4} style={{ fill: getSeriesColor(dataset, d) }} {...segmentProps(i, d, describeValue(i, d))} />;
+            })}
+          </g>
+        ))}
+      </>
+    );
+  };
+
+  const renderDonut = () => {
+    const dataset = datasets[0];
+    const total = dataset.data.reduce((sum, value) => sum + (value || 0), 0);
+    let angle = 0;
+    return (
+      <>
+        {dataset.data.map((value, i) => {
+          if (!(value > 0)) return null;
+          const start = angle;
+          angle += (value / total) * Math.PI * 2;
+          const text = `${labels[i]}: ${formatValue(value)} (${Math.round((value / total) * 100)}%)`;
+          return <path key={i} d={describeDonutSlice(start, angle, DONUT_SIZE / 2 - 4, DONUT_SIZE / 2 - 40)} style={{ fill: getSliceColor(dataset, i) }} {...segmentProps(i, 0, text)} />;
+        })}
+        <text x={DONUT_SIZE / 2} y={DONUT_SIZE / 2 + 6} textAnchor="middle" className="chart__total">{formatValue(total)}</text>
+      </>
+    );
+  };
+
+  const legendItems = type === 'donut'
+    ? labels.map((label, i) => ({ label: `${label} (${formatValue(datasets[0]?.data[i] || 0)})`, color: getSliceColor(datasets[0], i) }))
+    : datasets.filter(dataset => dataset.label).map((dataset, d) => ({ label: dataset.label, color: getSeriesColor(dataset, d) }));
+
+  return (
+    <Card className="chart-container">
+      <h3 style={{ marginBottom: 'var(--spacing-md)' }}>{title}</h3>
+      {!hasData ? (
+        <p className="chart__empty">No data to chart yet.</p>
+      ) : (
+        <>
+          <div className="chart__body">
+            <svg
+              viewBox={type === 'donut' ? `0 0 ${DONUT_SIZE} ${DONUT_SIZE}` : `0 0 ${CHART_SIZE.width} ${CHART_SIZE.height}`}
+              className={`chart__svg chart__svg--${type}`}
+              role="group"
+              aria-label={`${title} (${type} chart)`}
+            >
+              {type === 'donut' && renderDonut()}
+              {type === 'bar' && renderBars(false)}
+              {type === 'stacked-bar' && renderBars(true)}
+              {type === 'line' && renderLines()}
+            </svg>
+            {tooltip && <div className="chart__tooltip" role="tooltip" style={{ left: tooltip.x, top: tooltip.y }}>{tooltip.text}</div>}
+          </div>
+          {legendItems.length > 0 && (
+            <ul className="chart__legend">
+              {legendItems.map(item => (
+                <li key={item.label}><span className="chart__swatch" style={{ backgroundColor: item.color }} />{item.label}</li>
+              ))}
+            </ul>
+          )}
+          <details className="chart__table">
+            <summary>Show data table</summary>
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>{options.categoryLabel || 'Category'}</th>
+                  {datasets.map((dataset, d) => <th key={d}>{dataset.label || 'Value'}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {labels.map((label, i) => (
+                  <tr key={label}>
+                    <td>{label}</td>
+                    {datasets.map((dataset, d) => <td key={d}>{formatValue(dataset.data[i] || 0)}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </details>
+        </>
+      )}
+    </Card>
+  );
+};
+
+// --- Screen Components ---
+
+// Buckets for the dashboard GPA chart; bounds are inclusive at two decimals, matching the student list filter
+const GPA_DISTRIBUTION_BANDS = [
+  { label: 'Below 2.0', min: 0, max: 1.99 },
+  { label: '2.0–2.49', min: 2, max: 2.49 },
+  { label: '2.5–2.99', min: 2.5, max: 2.99 },
+  { label: '3.0–3.49', min: 3, max: 3.49 },
+  { label: '3.5–4.0', min: 3.5, max: 4 },
+];
+
+const ADMISSION_CHART_STATUSES = ['PENDING', 'APPROVED', 'REJECTED', 'IN PROGRESS'];
+
+// Status colours for a chart series; statuses that share a badge colour (ENROLLED and GRADUATED) fall back
+// to the next unused palette colour so each series stays distinguishable
+const getStatusSeriesColors = (statuses) => statuses.reduce((colors, status) => {
+  const preferred = `var(--status-${STATUS_COLORS_MAP[status] || 'exception'}-border)`;
+  return [...colors, colors.includes(preferred) ? CHART_COLORS.find(color => !colors.includes(color) && color !== preferred) : preferred];
+}, []);
+
+const KpiSparkline = ({ values }) => {
+  const width = 80;
+  const height = 20;
+  const max = Math.max(...values);
+  const min = Math.min(...values);
+  const points = values.map((value, i) => [
+    values.length === 1 ? width / 2 : (i / (values.length - 1)) * width,
+    max === min ? height / 2 : height - ((value - min) / (max - min)) * height,
+  ].join(',')).join(' ');
+  return (
+    <svg className="kpi-card__sparkline" viewBox={`-2 -2 ${width + 4} ${height + 4}`} aria-hidden="true">
+      <polyline points={points} />
+    </svg>
+  );
+};
+
+const KpiTrend = ({ metric, trend, period }) => {
+  if (!trend) return <div className="kpi-card__trend kpi-card__trend--neutral">No snapshot from {period.label} to compare with</div>;
+  const change = metric.unit === '%'
+    ? `${Math.abs(trend.delta)} pts`
+    : trend.percent === null ? `${Math.abs(trend.delta)}` : `${Math.abs(trend.percent)}%`;
+  const modifier = trend.improving === null ? ' kpi-card__trend--neutral' : trend.improving ? '' : ' kpi-card__trend--negative';
+  return (
+    <div className={`kpi-card__trend${modifier}`} title={`${trend.previous}${metric.unit || ''} on ${new Date(trend.since).toLocaleDateString()}`}>
+      {trend.delta === 0 ? `No change vs. ${period.label}` : <><Icon name={trend.delta > 0 ? 'arrowUp' : 'arrowDown'} /> {change} vs. {period.label}</>}
+      {trend.values.length > 1 && <KpiSparkline values={trend.values} />}
+    </div>
+  );
+};
+
+// --- Dashboard Widgets ---
+// Widgets render from the user's scoped data like any screen. `appliesTo` decides who may add a widget
+// (and drops it from stored layouts when a role changes); `wide` widgets span both dashboard columns.
+const SCHEDULE_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Course schedules are free text such as "Mon/Wed 09:00-10:30"; a course meets on the day names it mentions
+const meetsOnDate = (schedule, date) => (schedule || '').split(/[^A-Za-z]+/).includes(SCHEDULE_DAYS[date.getDay()]);
+
+const getTaughtCourses = (perms, courses) => courses.filter(c => perms.instructorName && c.instructor === perms.instructorName);
+
+const DashboardList = ({ items, emptyText }) => (
+  items.length === 0 ? <p className="dashboard-list__empty">{emptyText}</p> : (
+    <ul className="dashboard-list">
+      {items.map(item => (
+        <li key={item.key}>
+          <button type="button" className="dashboard-list__item" onClick={item.onClick}>
+            <span>
+              <strong>{item.title}</strong>
+              {item.subtitle && <span className="dashboard-list__subtitle">{item.subtitle}</span>}
+            </span>
+            {item.aside}
+          </button>
+        </li>
+      ))}
+    </ul>
+  )
+);
+
+const KpiWidget = ({ mockData }) => {
+  const [comparisonPeriod, setComparisonPeriod] = useState('month');
+  const kpis = computeKpiMetrics(mockData);
+  const period = KPI_COMPARISON_PERIODS.find(option => option.value === comparisonPeriod);
+  const hasKpiHistory = mockData.kpiSnapshots.length > 0;
+  return (
+    <>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--spacing-md)' }}>
+        <h3 style={{ marginBottom: 0 }}>Key Metrics</h3>
+        {hasKpiHistory && (
+          <select className="select-field" aria-label="Compare KPIs with" value={comparisonPeriod} onChange={(e) => setComparisonPeriod(e.target.value)}>
+            {KPI_COMPARISON_PERIODS.map(option => <option key={option.value} value={option.value}>Compare with {option.label}</option>)}
+          </select>
+        )}
+      </div>
+      <div className="grid-4-col">
+        {KPI_METRICS.map(metric => (
+          <Card key={metric.key} className="kpi-card live-pulse">
+            <p className="kpi-card__label">{metric.label}</p>
+            <p className="kpi-card__value">{kpis[metric.key]}{metric.unit}</p>
+            {hasKpiHistory && (
+              <KpiTrend metric={metric} period={period} trend={getKpiTrend(mockData.kpiSnapshots, metric, kpis[metric.key], period.days)} />
+            )}
+          </Card>
+        ))}
+      </div>
+    </>
+  );
+};
+
+const GpaDistributionWidget = ({ navigateTo, currentUserPermissions, mockData }) => {
+  const gpas = mockData.students.map(s => roundGPA(computeStudentGPA(s.id, mockData))).filter(gpa => gpa !== null);
+  const gpaChartData = {
+    labels: GPA_DISTRIBUTION_BANDS.map(band => band.label),
+    datasets: [{
+      label: 'Students',
+      data: GPA_DISTRIBUTION_BANDS.map(band => gpas.filter(gpa => gpa >= band.min && gpa <= band.max).length),
+      backgroundColor: 'var(--primary-color)',
+    }],
+  };
+  return (
+    <ChartComponent
+      title="Student Performance (GPA Distribution)"
+      type="bar"
+      data={gpaChartData}
+      options={{
+        categoryLabel: 'GPA',
+        onSegmentClick: currentUserPermissions.canManageStudents && (({ labelIndex }) => navigateTo(SCREEN_MAP.STUDENT_LIST, {
+          gpaMin: String(GPA_DISTRIBUTION_BANDS[labelIndex].min), gpaMax: String(GPA_DISTRIBUTION_BANDS[labelIndex].max),
+        })),
+      }}
+    />
+  );
+};
+
+const AdmissionStatusWidget = ({ navigateTo, mockData }) => {
+  const admissionChartData = {
+    labels: ['Pending', 'Approved', 'Rejected', 'In Progress'],
+    datasets: [{
+      data: ADMISSION_CHART_STATUSES.map(status => mockData.admissions.filter(a => a.status === status).length),
+      backgroundColor: ['var(--status-pending-border)', 'var(--status-approved-border)', 'var(--status-rejected-border)', 'var(--status-in-progress-border)'],
+    }],
+  };
+  return (
+    <ChartComponent
+      title="Admission Status Breakdown"
+      type="donut"
+      data={admissionChartData}
+      options={{
+        categoryLabel: 'Status',
+        onSegmentClick: ({ labelIndex }) => navigateTo(SCREEN_MAP.ADMISSION_LIST, { status: ADMISSION_CHART_STATUSES[labelIndex] }),
+      }}
+    />
+  );
+};
+
+const MajorStatusWidget = ({ navigateTo, currentUserPermissions, mockData }) => {
+  const { students } = mockData;
+  const majors = [...new Set(students.map(s => s.major))].sort();
+  const studentStatuses = Object.keys(WORKFLOW_DEFINITIONS.student.states).filter(status => students.some(s => s.status === status));
+  const statusColors = getStatusSeriesColors(studentStatuses);
+  const majorStatusChartData = {
+    labels: majors,
+    datasets: studentStatuses.map((status, i) => ({
+      label: status,
+      data: majors.map(major => students.filter(s => s.major === major && s.status === status).length),
+      backgroundColor: statusColors[i],
+    })),
+  };
+  return (
+    <ChartComponent
+      title="Students by Major and Status"
+      type="stacked-bar"
+      data={majorStatusChartData}
+      options={{
+        categoryLabel: 'Major',
+        onSegmentClick: currentUserPermissions.canManageStudents
+          && (({ label, dataset }) => navigateTo(SCREEN_MAP.STUDENT_LIST, { major: label, status: dataset.label })),
+      }}
+    />
+  );
+};
+
+const AdmissionPipelineWidget = ({ navigateTo, mockData }) => {
+  const openAdmissions = mockData.admissions.filter(isAdmissionOpen);
+  const decided = ['APPROVED', 'REJECTED', 'ADMITTED'].map(status => ({
+    status, count: mockData.admissions.filter(a => a.status === status).length,
+  }));
+  return (
+    <Card>
+      <h3 style={{ marginBottom: 'var(--spacing-md)' }}>Admission Pipeline</h3>
+      <DashboardList
+        emptyText="No open applications."
+        items={WORKFLOW_DEFINITIONS.admission.stages.map(stage => {
+          const atStage = openAdmissions.filter(a => a.workflowStageId === stage.id);
+          return {
+            key: stage.id,
+            title: stage.name,
+            subtitle: `${atStage.filter(a => a.status === 'PENDING').length} pending · ${atStage.filter(a => a.status === 'IN PROGRESS').length} in progress`,
+            aside: <span className="dashboard-list__count">{atStage.length}</span>,
+            onClick: () => navigateTo(SCREEN_MAP.ADMISSION_LIST),
+          };
+        })}
+      />
+      <p className="dashboard-list__subtitle" style={{ marginTop: 'var(--spacing-md)' }}>
+        Decided: {decided.map(({ status, count }) => `${count} ${status.toLowerCase()}`).join(' · ')}
+      </p>
+    </Card>
+  );
+};
+
+const WAITING_ADMISSIONS_LIMIT = 5;
+
+const WaitingAdmissionsWidget = ({ navigateTo, mockData }) => {
+  const waiting = mockData.admissions
+    .filter(isAdmissionOpen)
+    .sort((a, b) => new Date(getLastAdmissionMove(a)) - new Date(getLastAdmissionMove(b)))
+    .slice(0, WAITING_ADMISSIONS_LIMIT);
+  return (
+    <Card>
+      <h3 style={{ marginBottom: 'var(--spacing-md)' }}>Longest Waiting Applications</h3>
+      <DashboardList
+        emptyText="No open applications."
+        items={waiting.map(admission => ({
+          key: admission.id,
+          title: admission.applicantName,
+          subtitle: `${admission.programApplied} · ${getWorkflowStage('admission', admission.workflowStageId)?.name || admission.status}`,
+          aside: <span className="dashboard-list__count">{Math.floor((Date.now() - new Date(getLastAdmissionMove(admission)).getTime()) / DAY_MS)}d</span>,
+          onClick: () => navigateTo(SCREEN_MAP.ADMISSION_DETAIL, { admissionId: admission.id }),
+        }))}
+      />
+    </Card>
+  );
+};
+
+const MyCoursesWidget = ({ navigateTo, currentUserPermissions, mockData }) => (
+  <Card>
+    <h3 style={{ marginBottom: 'var(--spacing-md)' }}>My Courses</h3>
+    <DashboardList
+      emptyText="You are not teaching any courses."
+      items={getTaughtCourses(currentUserPermissions, mockData.courses)
+        .filter(course => course.status !== 'ARCHIVED')
+        .map(course => {
+          const seats = getCourseSeatSummary(course, mockData.enrollments);
+          return {
+            key: course.id,
+            title: `${course.code} · ${course.name}`,
+            subtitle: `${course.term} · ${course.schedule || 'No schedule'} · ${seats.enrolled.length}/${seats.capacity} enrolled${seats.waitlist.length ? `, ${seats.waitlist.length} waitlisted` : ''}`,
+            aside: <StatusBadge status={course.status} />,
+            onClick: () => navigateTo(SCREEN_MAP.COURSE_DETAIL, { courseId: course.id }),
+          };
+        })}
+    />
+  </Card>
+);
+
+const AttendanceDueWidget = ({ navigateTo, currentUserPermissions, mockData }) => {
+  const today = new Date().toISOString().split('T')[0];
+  const due = getTaughtCourses(currentUserPermissions, mockData.courses).filter(course => (
+    course.status === 'ACTIVE'
+    && meetsOnDate(course.schedule, new Date())
+    && !mockData.attendanceSessions.some(session => session.courseId === course.id && session.date === today)
+  ));
+  return (
+    <Card>
+      <h3 style={{ marginBottom: 'var(--spacing-md)' }}>Attendance to Take Today</h3>
+      <DashboardList
+        emptyText="No attendance is due today."
+        items={due.map(course => ({
+          key: course.id,
+          title: `${course.code} · ${course.name}`,
+          subtitle: course.schedule,
+          aside: <span className="dashboard-list__action">Take attendance</span>,
+          onClick: () => navigateTo(SCREEN_MAP.ATTENDANCE, { courseId: course.id }),
+        }))}
+      />
+    </Card>
+  );
+};
+
+// Assessments in running courses that not every enrolled student has a score for, partly graded ones first
+const UngradedWorkWidget = ({ navigateTo, currentUserPermissions, mockData }) => {
+  const ungraded = getTaughtCourses(currentUserPermissions, mockData.courses)
+    .filter(course => course.status === 'ACTIVE')
+    .flatMap(course => {
+      const roster = new Set(mockData.enrollments
+        .filter(e => e.courseId === course.id && e.status === ENROLLMENT_STATUS.ENROLLED)
+        .map(e => e.studentId));
+      return mockData.assessments
+        .filter(assessment => assessment.courseId === course.id)
+        .map(assessment => ({
+          course,
+          assessment,
+          graded: mockData.scores.filter(sc => sc.assessmentId === assessment.id && roster.has(sc.studentId)).length,
+          total: roster.size,
+        }))
+        .filter(item => item.graded < item.total);
+    })
+    .sort((a, b) => (b.graded > 0) - (a.graded > 0));
+  return (
+    <Card>
+      <h3 style={{ marginBottom: 'var(--spacing-md)' }}>Ungraded Work</h3>
+      <DashboardList
+        emptyText="Everything in your running courses is graded."
+        items={ungraded.map(({ course, assessment, graded, total }) => ({
+          key: assessment.id,
+          title: assessment.name,
+          subtitle: `${course.code} · ${assessment.category}`,
+          aside: <span className="dashboard-list__count">{graded}/{total} graded</span>,
+          onClick: () => navigateTo(SCREEN_MAP.GRADEBOOK, { courseId: course.id }),
+        }))}
+      />
+    </Card>
+  );
+};
+
+const UNLINKED_STUDENT_TEXT = 'Your account is not linked to a student record yet.';
+
+const MyStandingWidget = ({ currentUserPermissions, mockData }) => {
+  const student = mockData.students.find(s => s.id === currentUserPermissions.studentRecordId);
+  if (!student) return <Card><h3>My Standing</h3><p className="dashboard-list__empty">{UNLINKED_STUDENT_TEXT}</p></Card>;
+  const completed = mockData.enrollments.filter(e => e.studentId === student.id && e.status === ENROLLMENT_STATUS.COMPLETED);
+  const credits = completed.reduce((sum, e) => sum + (mockData.courses.find(c => c.id === e.courseId)?.credits || 0), 0);
+  const stats = [
+    { label: 'GPA', value: formatGPA(computeStudentGPA(student.id, mockData)) },
+    { label: 'Credits Earned', value: credits },
+    { label: 'Attendance', value: formatAttendanceRate(computeAttendanceRate(student.id, mockData.attendanceSessions)) },
+  ];
+  return (
+    <Card>
+      <h3 style={{ marginBottom: 'var(--spacing-md)' }}>My Standing</h3>
+      <div className="grid-3-col">
+        {stats.map(stat => (
+          <div key={stat.label}>
+            <p className="kpi-card__label">{stat.label}</p>
+            <p className="kpi-card__value">{stat.value}</p>
+          </div>
+        ))}
+      </div>
+      <div style={{ marginTop: 'var(--spacing-md)' }}><StatusBadge status={student.status} workflow="student" /></div>
+    </Card>
+  );
+};
+
+const MyScheduleWidget = ({ navigateTo, currentUserPermissions, mockData }) => {
+  const current = mockData.enrollments.filter(e => (
+    e.studentId === currentUserPermissions.studentRecordId
+    && (e.status === ENROLLMENT_STATUS.ENROLLED || e.status === ENROLLMENT_STATUS.WAITLISTED)
+  ));
+  return (
+    <Card>
+      <h3 style={{ marginBottom: 'var(--spacing-md)' }}>My Schedule</h3>
+      <DashboardList
+        emptyText={currentUserPermissions.studentRecordId ? 'You are not enrolled in any current courses.' : UNLINKED_STUDENT_TEXT}
+        items={current.map(enrollment => {
+          const course = mockData.courses.find(c => c.id === enrollment.courseId);
+          const position = canSeeCourseRosters(currentUserPermissions) && getWaitlistPosition(enrollment, mockData.enrollments);
+          return {
+            key: enrollment.id,
+            title: course ? `${course.code} · ${course.name}` : enrollment.courseId,
+            subtitle: course && `${course.schedule || 'No schedule'} · ${course.instructor}`,
+            aside: position ? <span className="dashboard-list__count">Waitlist #{position}</span> : <StatusBadge status={enrollment.status} />,
+            onClick: () => navigateTo(SCREEN_MAP.COURSE_DETAIL, { courseId: enrollment.courseId }),
+          };
+        })}
+      />
+    </Card>
+  );
+};
+
+const MyMilestonesWidget = ({ currentUserPermissions, mockData }) => {
+  const student = mockData.students.find(s => s.id === currentUserPermissions.studentRecordId);
+  if (!student) return <Card><h3>Workflow Progress</h3><p className="dashboard-list__empty">{UNLINKED_STUDENT_TEXT}</p></Card>;
+  return <MilestoneTracker stages={getWorkflowMilestones('student', student)} currentStageId={student.workflowStageId} />;
+};
+
+const ActivityWidget = ({ currentUserPermissions, mockData }) => (
+  <ActivityFeed
+    activities={mockData.activityLog}
+    title={currentUserPermissions.canViewInstitutionMetrics ? 'Global Audit & News Feed' : 'Recent Activity'}
+  />
+);
+
+const DASHBOARD_WIDGETS = [
+  { id: 'kpis', title: 'Key metrics', wide: true, appliesTo: (perms) => perms.canViewInstitutionMetrics, Component: KpiWidget },
+  { id: 'gpaDistribution', title: 'GPA distribution', appliesTo: (perms) => perms.canViewInstitutionMetrics, Component: GpaDistributionWidget },
+  { id: 'admissionStatus', title: 'Admission status breakdown', appliesTo: (perms) => perms.canManageAdmissions, Component: AdmissionStatusWidget },
+  { id: 'majorStatus', title: 'Students by major and status', wide: true, appliesTo: (perms) => perms.canViewInstitutionMetrics, Component: MajorStatusWidget },
+  { id: 'admissionPipeline', title: 'Admission pipeline', appliesTo: (perms) => perms.canManageAdmissions, Component: AdmissionPipelineWidget },
+  { id: 'waitingAdmissions', title: 'Longest waiting applications', appliesTo: (perms) => perms.canManageAdmissions, Component: WaitingAdmissionsWidget },
+  { id: 'myCourses', title: 'My courses', appliesTo: (perms) => perms.role === ROLES.TEACHER, Component: MyCoursesWidget },
+  { id: 'attendanceDue', title: 'Attendance to take', appliesTo: (perms) => perms.role === ROLES.TEACHER, Component: AttendanceDueWidget },
+  { id: 'ungradedWork', title: 'Ungraded work', appliesTo: (perms) => perms.role === ROLES.TEACHER, Component: UngradedWorkWidget },
+  { id: 'myStanding', title: 'My GPA and standing', appliesTo: (perms) => perms.role === ROLES.STUDENT, Component: MyStandingWidget },
+  { id: 'mySchedule', title: 'My schedule', appliesTo: (perms) => perms.role === ROLES.STUDENT, Component: MyScheduleWidget },
+  { id: 'myMilestones', title: 'My milestones', appliesTo: (perms) => perms.role === ROLES.STUDENT, Component: MyMilestonesWidget },
+  { id: 'activity', title: 'Activity feed', wide: true, appliesTo: () => true, Component: ActivityWidget },
+];
+
+const DashboardScreen = ({ navigateTo, currentUserPermissions, mockData, repository }) => {
+  const [isCustomizing, setIsCustomizing] = useState(false);
+  const { userId, role } = currentUserPermissions;
+
+  const availableWidgets = DASHBOARD_WIDGETS.filter(widget => widget.appliesTo(currentUserPermissions));
+  const layout = getDashboardLayout(mockData, userId, role)
+    .map(id => availableWidgets.find(widget => widget.id === id))
+    .filter(Boolean);
+  const addableWidgets = availableWidgets.filter(widget => !layout.includes(widget));
+  const hasCustomLayout = mockData.dashboardLayouts.some(l => l.userId === userId);
+
+  const saveLayout = (widgets) => {
+    const outcome = repository.perform(data => saveDashboardLayout(data, userId, widgets.map(widget => widget.id)));
+    if (outcome.error) alert(outcome.error);
+  };
+
+  const moveWidget = (index, offset) => {
+    const next = [...layout];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    saveLayout(next);
+  };
+
+  const handleReset = () => {
+    if (!window.confirm('Reset your dashboard to the default layout for your role?')) return;
+    const outcome = repository.perform(data => resetDashboardLayout(data, userId));
+    if (outcome.error) alert(outcome.error);
+  };
+
+  return (
+    <div className="container">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--spacing-lg)' }}>
+        <h2 style={{ marginBottom: 0 }}>Dashboard Overview</h2>
+        <Button variant={isCustomizing ? 'primary' : 'outline'} icon={isCustomizing ? 'check' : 'edit'} onClick={() => setIsCustomizing(!isCustomizing)}>
+          {isCustomizing ? 'Done' : 'Customize'}
+        </Button>
+      </div>
+
+      {isCustomizing && (
+        <Card className="dashboard-customize">
+          <select
+            className="select-field"
+            aria-label="Add a widget"
+            value=""
+            disabled={addableWidgets.length === 0}
+            onChange={(e) => saveLayout([...layout, addableWidgets.find(widget => widget.id === e.target.value)])}
+          >
+            <option value="">{addableWidgets.length === 0 ? 'Every widget is on your dashboard' : 'Add a widget…'}</option>
+            {addableWidgets.map(widget => <option key={widget.id} value={widget.id}>{widget.title}</option>)}
+          </select>
+          <Button variant="outline" onClick={handleReset} disabled={!hasCustomLayout}>Reset to Default</Button>
+        </Card>
+      )}
+
+      {layout.length === 0 ? (
+        <EmptyState title="Your Dashboard Is Empty" description="Use Customize to add widgets." icon="dashboard" />
+      ) : (
+        <div className="dashboard-grid">
+          {layout.map((widget, index) => (
+            <section key={widget.id} className={`dashboard-widget${widget.wide ? ' dashboard-widget--wide' : ''}`} aria-label={widget.title}>
+              {isCustomizing && (
+                <div className="dashboard-widget__toolbar">
+                  <strong>{widget.title}</strong>
+                  <Button variant="icon" icon="arrowUp" disabled={index === 0} onClick={() => moveWidget(index, -1)}>Move up</Button>
+                  <Button variant="icon" icon="arrowDown" disabled={index === layout.length - 1} onClick={() => moveWidget(index, 1)}>Move down</Button>
+                  <Button variant="icon" icon="trash" onClick={() => saveLayout(layout.filter(w => w !== widget))}>Remove</Button>
+                </div>
+              )}
+              <widget.Component navigateTo={navigateTo} currentUserPermissions={currentUserPermissions} mockData={mockData} />
+            </section>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Fields a student card can show, picked in the filter panel and remembered by saved views.
+// 'lastUpdated' is the card footer rather than a field in the row.
+const STUDENT_CARD_FIELDS = [
+  { key: 'gpa', label: 'GPA', value: (s, { gpa }) => formatGPA(gpa) },
+  { key: 'attendance', label: 'Attendance', value: (s, { attendanceRate }) => formatAttendanceRate(attendanceRate) },
+  { key: 'email', label: 'Email', value: (s) => s.email },
+  { key: 'advisor', label: 'Advisor', value: (s) => s.advisor || 'Not assigned' },
+  { key: 'enrollmentDate', label: 'Enrolled', value: (s) => s.enrollmentDate },
+  { key: 'stage', label: 'Stage', value: (s) => getWorkflowStage('student', s.workflowStageId)?.name || '-' },
+  { key: 'lastUpdated', label: 'Last updated' },
+];
+
+const DEFAULT_STUDENT_CARD_FIELDS = ['gpa', 'attendance', 'lastUpdated'];
+
+const StudentCard = ({ student, gpa, attendanceRate, activityLog, onClick, currentUserPermissions, onEdit, onDelete, selected, onSelect, fields = DEFAULT_STUDENT_CARD_FIELDS }) => {
+  const latestActivity = activityLog
+    .filter(a => a.recordType === 'Student' && a.recordId === student.id)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+
+  return (
+    <Card onClick={() => onClick(student.id)} className="flex-column"
+      style={{
+        padding: 'var(--spacing-md)',
+        borderRadius: 'var(--border-radius-lg)',
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: 'var(--spacing-md)' }}>
+        {onSelect && (
+          <input type="checkbox" className="checkbox-field" checked={selected} aria-label={`Select ${student.name}`}
+            onClick={(e) => e.stopPropagation()} onChange={() => onSelect(student.id)} />
+        )}
+        <img src={student.image} alt={student.name} style={{ width: '48px', height: '48px', borderRadius: '50%', marginRight: 'var(--spacing-md)' }} />
+        <div>
+          <h3 style={{ margin: 0, fontSize: 'var(--font-size-lg)' }}>{student.name}</h3>
+          <p style={{ margin: 0, fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>{student.major} ({student.studentId})</p>
+        </div>
+        <div style={{ marginLeft: 'auto' }}>
+          <StatusBadge status={student.status} workflow="student" />
+        </div>
+      </div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'space-between', gap: '0 var(--spacing-md)', fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>
+        {STUDENT_CARD_FIELDS.filter(field => field.value && fields.includes(field.key)).map(field => (
+          <p key={field.key}>{field.label}: <strong>{field.value(student, { gpa, attendanceRate })}</strong></p>
+        ))}
+      </div>
+      {fields.includes('lastUpdated') && latestActivity && (
+        <p style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-secondary)', marginTop: 'var(--spacing-md)', borderTop: '1px solid var(--border-color)', paddingTop: 'var(--spacing-md)' }}>
+          Last updated: {new Date(latestActivity.timestamp).toLocaleDateString()}
+        </p>
+      )}
+      {currentUserPermissions.canEditAll && ( // Example of hover actions
+        <div className="card__hover-actions">
+          <Button icon="edit" onClick={(e) => { e.stopPropagation(); onEdit(student.id); }} variant="icon" />
+          {canDeleteRecords(currentUserPermissions, 'students') && <Button icon="trash" onClick={(e) => { e.stopPropagation(); onDelete(student.id); }} variant="icon" />}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+const BulkResultList = ({ results }) => (
+  <ul className="bulk-results">
+    {results.map(result => (
+      <li key={result.studentId} className={result.ok ? 'bulk-results__item' : 'bulk-results__item bulk-results__item--failed'}>
+        <Icon name={result.ok ? 'check' : 'warning'} /> <strong>{result.name}</strong>: {result.message}
+      </li>
+    ))}
+  </ul>
+);
+
+// --- Student Filters ---
+// Structured filters for the student list. They live in the URL query string (alongside the `q` search
+// text) so a filtered list can be bookmarked, shared and saved as a view.
+const EMPTY_STUDENT_FILTERS = {
+  majors: [], statuses: [], gpaMin: '', gpaMax: '', attendanceMin: '', attendanceMax: '',
+  enrolledFrom: '', enrolledTo: '', activity: '', match: 'all',
+};
+
+const STUDENT_FILTER_PARAMS = {
+  majors: 'major', statuses: 'status', gpaMin: 'gpaMin', gpaMax: 'gpaMax', attendanceMin: 'attMin', attendanceMax: 'attMax',
+  enrolledFrom: 'from', enrolledTo: 'to', activity: 'activity', match: 'match',
+};
+
+const STUDENT_ACTIVITY_AGES = [
+  { value: '7', label: 'Active in the last 7 days', maxDays: 7 },
+  { value: '30', label: 'Active in the last 30 days', maxDays: 30 },
+  { value: 'over-30', label: 'No activity for over 30 days', minDays: 30 },
+  { value: 'over-90', label: 'No activity for over 90 days', minDays: 90 },
+];
+
+const parseStudentFilters = (params = {}) => Object.fromEntries(Object.entries(STUDENT_FILTER_PARAMS).map(([key, param]) => {
+  const value = params[param] || '';
+  if (Array.isArray(EMPTY_STUDENT_FILTERS[key])) return [key, value ? value.split(',') : []];
+  if (key === 'match') return [key, value === 'any' ? 'any' : 'all'];
+  return [key, value];
+}));
+
+// Only non-default values reach the URL, so an unfiltered list stays at a clean /students
+const toStudentListParams = (search, filters) => ({
+  q: search,
+  ...Object.fromEntries(Object.entries(STUDENT_FILTER_PARAMS).map(([key, param]) => {
+    const value = filters[key];
+    if (Array.isArray(value)) return [param, value.join(',')];
+    return [param, key === 'match' && value === 'all' ? '' : value];
+  })),
+});
+
+const describeRange = (min, max, unit = '') => {
+  if (min !== '' && max !== '') return `${min}${unit} – ${max}${unit}`;
+  return min !== '' ? `at least ${min}${unit}` : `at most ${max}${unit}`;
+};
+
+const isWithinRange = (value, min, max) => value !== null
+  && (min === '' || value >= Number(min))
+  && (max === '' || value <= Number(max));
+
+// One criterion per filled-in filter group: a label for its chip, the filters without it, and its test.
+// Values within a group (several majors) always match any of them; `match` combines the groups.
+const getStudentFilterCriteria = (filters) => [
+  filters.majors.length > 0 && {
+    key: 'majors', label: `Major: ${filters.majors.join(', ')}`,
+    test: (student) => filters.majors.includes(student.major),
+  },
+  filters.statuses.length > 0 && {
+    key: 'statuses', label: `Status: ${filters.statuses.join(', ')}`,
+    test: (student) => filters.statuses.includes(student.status),
+  },
+  (filters.gpaMin !== '' || filters.gpaMax !== '') && {
+    key: 'gpa', clears: ['gpaMin', 'gpaMax'], label: `GPA ${describeRange(filters.gpaMin, filters.gpaMax)}`,
+    test: (student, data) => isWithinRange(roundGPA(computeStudentGPA(student.id, data)), filters.gpaMin, filters.gpaMax),
+  },
+  (filters.attendanceMin !== '' || filters.attendanceMax !== '') && {
+    key: 'attendance', clears: ['attendanceMin', 'attendanceMax'], label: `Attendance ${describeRange(filters.attendanceMin, filters.attendanceMax, '%')}`,
+    test: (student, data) => isWithinRange(computeAttendanceRate(student.id, data.attendanceSessions), filters.attendanceMin, filters.attendanceMax),
+  },
+  (filters.enrolledFrom || filters.enrolledTo) && {
+    key: 'enrolled', clears: ['enrolledFrom', 'enrolledTo'],
+    label: `Enrolled ${filters.enrolledFrom ? `from ${filters.enrolledFrom}` : ''}${filters.enrolledFrom && filters.enrolledTo ? ' ' : ''}${filters.enrolledTo ? `to ${filters.enrolledTo}` : ''}`,
+    test: (student) => Boolean(student.enrollmentDate)
+      && (!filters.enrolledFrom || student.enrollmentDate >= filters.enrolledFrom)
+      && (!filters.enrolledTo || student.enrollmentDate <= filters.enrolledTo),
+  },
+  STUDENT_ACTIVITY_AGES.some(age => age.value === filters.activity) && (() => {
+    const age = STUDENT_ACTIVITY_AGES.find(option => option.value === filters.activity);
+    return {
+      key: 'activity', label: age.label,
+      test: (student) => {
+        if (!student.lastActivity) return Boolean(age.minDays);
+        const days = (Date.now() - new Date(student.lastActivity).getTime()) / (24 * 60 * 60 * 1000);
+        return age.maxDays ? days <= age.maxDays : days > age.minDays;
+      },
+    };
+  })(),
+].filter(Boolean);
+
+const removeStudentFilter = (filters, criterion) => ({
+  ...filters,
+  ...Object.fromEntries((criterion.clears || [criterion.key]).map(key => [key, EMPTY_STUDENT_FILTERS[key]])),
+});
+
+const matchesStudentFilters = (student, criteria, match, data) => {
+  if (criteria.length === 0) return true;
+  return match === 'any'
+    ? criteria.some(criterion => criterion.test(student, data))
+    : criteria.every(criterion => criterion.test(student, data));
+};
+
+const StudentFilterPanel = ({ filters, onChange, onClose, majors, statuses, fields, onFieldsChange }) => {
+  const handleFieldChange = (e) => onChange({ ...filters, [e.target.name]: e.target.value });
+  const toggleValue = (key, value) => onChange({
+    ...filters,
+    [key]: filters[key].includes(value) ? filters[key].filter(v => v !== value) : [...filters[key], value],
+  });
+
+  return (
+    <>
+      <div className="filter-panel__backdrop" onClick={onClose} />
+      <aside className="filter-panel" aria-label="Student filters">
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--spacing-md)' }}>
+          <h3>Filters</h3>
+          <Button variant="outline" onClick={onClose}>Done</Button>
+        </div>
+        <SelectField
+          label="Match"
+          name="match"
+          value={filters.match}
+          onChange={handleFieldChange}
+          options={[{ value: 'all', label: 'All of the filters (AND)' }, { value: 'any', label: 'Any of the filters (OR)' }]}
+        />
+        <fieldset className="filter-panel__group">
+          <legend>Major</legend>
+          {majors.map(major => (
+            <label key={major}>
+              <input type="checkbox" className="checkbox-field" checked={filters.majors.includes(major)} onChange={() => toggleValue('majors', major)} />
+              {major}
+            </label>
+          ))}
+        </fieldset>
+        <fieldset className="filter-panel__group">
+          <legend>Status</legend>
+          {statuses.map(status => (
+            <label key={status}>
+              <input type="checkbox" className="checkbox-field" checked={filters.statuses.includes(status)} onChange={() => toggleValue('statuses', status)} />
+              {status}
+            </label>
+          ))}
+        </fieldset>
+        <div className="filter-panel__range">
+          <InputField label="GPA from" type="number" name="gpaMin" value={filters.gpaMin} onChange={handleFieldChange} placeholder="0.0" />
+          <InputField label="GPA to" type="number" name="gpaMax" value={filters.gpaMax} onChange={handleFieldChange} placeholder="4.0" />
+        </div>
+        <div className="filter-panel__range">
+          <InputField label="Attendance from (%)" type="number" name="attendanceMin" value={filters.attendanceMin} onChange={handleFieldChange} placeholder="0" />
+          <InputField label="Attendance to (%)" type="number" name="attendanceMax" value={filters.attendanceMax} onChange={handleFieldChange} placeholder="100" />
+        </div>
+        <div className="filter-panel__range">
+          <InputField label="Enrolled from" type="date" name="enrolledFrom" value={filters.enrolledFrom} onChange={handleFieldChange} />
+          <InputField label="Enrolled to" type="date" name="enrolledTo" value={filters.enrolledTo} onChange={handleFieldChange} />
+        </div>
+        <SelectField
+          label="Last Activity"
+          name="activity"
+          value={filters.activity}
+          onChange={handleFieldChange}
+          options={STUDENT_ACTIVITY_AGES.map(({ value, label }) => ({ value, label }))}
+          placeholder="Any time"
+        />
+        <Button variant="secondary" onClick={() => onChange(EMPTY_STUDENT_FILTERS)}>Clear All Filters</Button>
+        <fieldset className="filter-panel__group" style={{ marginTop: 'var(--spacing-lg)' }}>
+          <legend>Card Fields</legend>
+          {STUDENT_CARD_FIELDS.map(field => (
+            <label key={field.key}>
+              <input type="checkbox" className="checkbox-field" checked={fields.includes(field.key)}
+                onChange={() => onFieldsChange(fields.includes(field.key) ? fields.filter(key => key !== field.key) : [...fields, field.key])} />
+              {field.label}
+            </label>
+          ))}
+        </fieldset>
+      </aside>
+    </>
+  );
+};
+
+// --- Saved Views ---
+// Named list setups (search, filters, sort and visible fields) kept in the `savedViews` collection.
+// A view belongs to the user who saved it and can be shared with one role or with everyone; standard
+// views published by an admin are shown to all users. Each user may pick one default view per screen.
+const SAVED_VIEW_SHARING = [
+  { value: 'private', label: 'Only me' },
+  { value: 'everyone', label: 'Everyone' },
+  ...Object.values(ROLES).map(role => ({ value: role, label: `${role} role` })),
+];
+
+const isViewVisibleTo = (view, userId, role) => (
+  view.ownerId === userId || view.isStandard || view.sharedWith === 'everyone' || view.sharedWith === role
+);
+
+const findDefaultView = (views, userId) => views.find(view => (view.defaultFor || []).includes(userId)) || null;
+
+const createSavedView = (data, { screen, name, params, sortKey, sortOrder, columns }, actor) => {
+  const trimmedName = name.trim();
+  if (!trimmedName) return { error: 'A view needs a name.' };
+  if (data.savedViews.some(v => v.screen === screen && v.ownerId === actor.userId && v.name.toLowerCase() === trimmedName.toLowerCase())) {
+    return { error: `You already have a view named "${trimmedName}".` };
+  }
+  const view = {
+    id: nextSequentialId('VIEW', data.savedViews),
+    screen,
+    name: trimmedName,
+    ownerId: actor.userId,
+    ownerName: actor.user,
+    sharedWith: 'private',
+    isStandard: false,
+    defaultFor: [],
+    params: Object.fromEntries(Object.entries(params).filter(([, value]) => value !== '' && value !== undefined)),
+    sortKey,
+    sortOrder,
+    columns,
+    createdAt: new Date().toISOString(),
+  };
+  return { view, data: { ...data, savedViews: [...data.savedViews, view] } };
+};
+
+const updateSavedView = (data, viewId, changes) => {
+  const view = data.savedViews.find(v => v.id === viewId);
+  if (!view) return { error: `Saved view ${viewId} not found.` };
+  if (changes.name !== undefined && !changes.name.trim()) return { error: 'A view needs a name.' };
+  const updated = { ...view, ...changes, ...(changes.name !== undefined ? { name: changes.name.trim() } : {}) };
+  return { view: updated, data: { ...data, savedViews: data.savedViews.map(v => (v.id === viewId ? updated : v)) } };
+};
+
+const deleteSavedView = (data, viewId) => ({ data: { ...data, savedViews: data.savedViews.filter(v => v.id !== viewId) } });
+
+// Makes `viewId` the user's default on its screen (or clears their default when viewId is null).
+// Only views the user can see are touched, so a default left on a view that was since unshared stays put.
+const setDefaultSavedView = (data, screen, viewId, actor) => ({
+  data: {
+    ...data,
+    savedViews: data.savedViews.map(view => {
+      if (view.screen !== screen || !isViewVisibleTo(view, actor.userId, actor.role)) return view;
+      const defaultFor = view.defaultFor || [];
+      const isDefault = view.id === viewId;
+      if (isDefault === defaultFor.includes(actor.userId)) return view;
+      return { ...view, defaultFor: isDefault ? [...defaultFor, actor.userId] : defaultFor.filter(id => id !== actor.userId) };
+    }),
+  },
+});
+
+const SavedViewManager = ({ views, currentUserPermissions, onApply, onChange, onClose }) => {
+  const { userId } = currentUserPermissions;
+  const canManage = (view) => view.ownerId === userId || currentUserPermissions.canPublishViews;
+
+  const handleRename = (view) => {
+    const name = prompt('Rename this view:', view.name);
+    if (name !== null) onChange(data => updateSavedView(data, view.id, { name }));
+  };
+
+  const handleDelete = (view) => {
+    if (confirm(`Delete the saved view "${view.name}"?`)) onChange(data => deleteSavedView(data, view.id));
+  };
+
+  return (
+    <Card className="card--elevated mb-lg">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--spacing-md)' }}>
+        <h3>Manage Saved Views</h3>
+        <Button variant="outline" onClick={onClose}>Close</Button>
+      </div>
+      {views.length === 0 ? (
+        <p style={{ color: 'var(--text-secondary)' }}>No saved views yet. Set up the list and choose Save View.</p>
+      ) : (
+        <table className="data-table">
+          <thead>
+            <tr><th>Name</th><th>Owner</th><th>Shared With</th><th>Default</th><th>Actions</th></tr>
+          </thead>
+          <tbody>
+            {views.map(view => (
+              <tr key={view.id}>
+                <td>
+                  {view.name}
+                  {view.isStandard && <span className="status-tag" style={{ marginLeft: 'var(--spacing-sm)' }}>Standard</span>}
+                </td>
+                <td>{view.ownerId === userId ? 'You' : view.ownerName}</td>
+                <td>
+                  {canManage(view) ? (
+                    <select className="select-field" aria-label={`Share ${view.name}`} value={view.sharedWith}
+                      onChange={(e) => onChange(data => updateSavedView(data, view.id, { sharedWith: e.target.value }))}>
+                      {SAVED_VIEW_SHARING.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                    </select>
+                  ) : SAVED_VIEW_SHARING.find(option => option.value === view.sharedWith)?.label}
+                </td>
+                <td>
+                  <input type="checkbox" className="checkbox-field" aria-label={`Open ${view.name} by default`}
+                    checked={(view.defaultFor || []).includes(userId)}
+                    onChange={(e) => onChange(data => setDefaultSavedView(data, view.screen, e.target.checked ? view.id : null, currentUserPermissions))} />
+                </td>
+                <td style={{ whiteSpace: 'nowrap' }}>
+                  <Button variant="secondary" onClick={() => onApply(view)}>Apply</Button>
+                  {canManage(view) && <Button variant="outline" onClick={() => handleRename(view)} style={{ marginLeft: 'var(--spacing-xs)' }}>Rename</Button>}
+                  {currentUserPermissions.canPublishViews && (
+                    <Button variant="outline" onClick={() => onChange(data => updateSavedView(data, view.id, { isStandard: !view.isStandard }))} style={{ marginLeft: 'var(--spacing-xs)' }}>
+                      {view.isStandard ? 'Unpublish' : 'Publish as Standard'}
+                    </Button>
+                  )}
+                  {canManage(view) && <Button variant="outline" icon="trash" onClick={() => handleDelete(view)} style={{ marginLeft: 'var(--spacing-xs)' }}>Delete</Button>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </Card>
+  );
+};
+
+// Columns offered when exporting the student list; `value` gets the full (scoped) data for computed fields.
+const STUDENT_EXPORT_COLUMNS = [
+  { key: 'studentId', label: 'Student ID', value: (s) => s.studentId, defaultSelected: true },
+  { key: 'name', label: 'Name', value: (s) => s.name, defaultSelected: true },
+  { key: 'email', label: 'Email', value: (s) => s.email, defaultSelected: true },
+  { key: 'dateOfBirth', label: 'Date of Birth', value: (s) => s.dateOfBirth },
+  { key: 'major', label: 'Major', value: (s) => s.major, defaultSelected: true },
+  { key: 'status', label: 'Status', value: (s) => s.status, defaultSelected: true },
+  { key: 'stage', label: 'Workflow Stage', value: (s) => getWorkflowStage('student', s.workflowStageId)?.name },
+  { key: 'advisor', label: 'Advisor', value: (s) => s.advisor },
+  { key: 'enrollmentDate', label: 'Enrollment Date', value: (s) => s.enrollmentDate, defaultSelected: true },
+  { key: 'gpa', label: 'GPA', value: (s, data) => roundGPA(computeStudentGPA(s.id, data)), defaultSelected: true },
+  { key: 'attendanceRate', label: 'Attendance Rate (%)', value: (s, data) => {
+    const rate = computeAttendanceRate(s.id, data.attendanceSessions);
+    return rate === null ? null : Math.round(rate * 10) / 10;
+  } },
+  { key: 'activeCourses', label: 'Active Courses', value: (s, data) => data.enrollments.filter(e => e.studentId === s.id && e.status === ENROLLMENT_STATUS.ENROLLED).length },
+  { key: 'recordId', label: 'Record ID', value: (s) => s.id },
+];
+
+const STUDENT_LIST_VIEW_SCREEN = 'students';
+
+const STUDENT_SORT_OPTIONS = [
+  { value: 'name', label: 'Name' },
+  { value: 'studentId', label: 'Student ID' },
+  { value: 'major', label: 'Major' },
+  { value: 'status', label: 'Status' },
+  { value: 'enrollmentDate', label: 'Enrollment Date' },
+];
+
+const StudentListScreen = ({ navigateTo, currentUserPermissions, params = {}, mockData, repository }) => {
+  // Teachers can move students through the workflow but not create or edit student profiles
+  const canAddStudents = currentUserPermissions.canEditAll && canEditField(currentUserPermissions, 'students', 'name');
+  // Search text and filters are read from the URL; changing them replaces the current history entry
+  const filter = params.q || '';
+  const filters = parseStudentFilters(params);
+  const filterCriteria = getStudentFilterCriteria(filters);
+  const savedViews = mockData.savedViews.filter(view => view.screen === STUDENT_LIST_VIEW_SCREEN);
+  // Opening the plain list (no search or filters in the URL) starts from the user's default view
+  const [initialView] = useState(() => (Object.keys(params).length === 0 ? findDefaultView(savedViews, currentUserPermissions.userId) : null));
+  const [isFilterPanelOpen, setIsFilterPanelOpen] = useState(false);
+  const duplicateCount = useMemo(() => (
+    currentUserPermissions.canMergeStudents ? findDuplicateStudents(mockData.students).length : 0
+  ), [currentUserPermissions.canMergeStudents, mockData.students]);
+  const [isManagingViews, setIsManagingViews] = useState(false);
+  const [sortKey, setSortKey] = useState(initialView?.sortKey || 'name');
+  const [sortOrder, setSortOrder] = useState(initialView?.sortOrder || 'asc'); // 'asc' or 'desc'
+  const [cardFields, setCardFields] = useState(initialView?.columns || DEFAULT_STUDENT_CARD_FIELDS);
+  const [selectedStudents, setSelectedStudents] = useState([]);
+  const [exportOptions, setExportOptions] = useState(null); // { format, scope } while the export panel is open
+  const [exportColumns, setExportColumns] = useState(() => STUDENT_EXPORT_COLUMNS.filter(c => c.defaultSelected).map(c => c.key));
+  const [bulkAction, setBulkAction] = useState(null); // { type, status, reason, courseId, advisor } while the bulk panel is open
+  const [bulkPreview, setBulkPreview] = useState(null); // dry-run results shown for confirmation
+  const [bulkReport, setBulkReport] = useState(null); // { title, results } after a batch or undo ran
+  const [undoBatch, setUndoBatch] = useState(null); // { label, changes, expiresAt } while the undo window is open
+  const [now, setNow] = useState(Date.now());
+  const { students } = mockData;
+  const canSelect = currentUserPermissions.canBulkActions || currentUserPermissions.canExportData;
+  const canBulkChangeStatus = currentUserPermissions.canBulkActions && canEditField(currentUserPermissions, 'students', 'status');
+  const canBulkEnroll = currentUserPermissions.canBulkActions && canWriteCollection(currentUserPermissions, 'enrollments');
+  const canBulkAssignAdvisor = currentUserPermissions.canBulkActions && canEditField(currentUserPermissions, 'students', 'advisor');
+
+  // Ticks once a second while an undo is available, and closes the window when it runs out
+  useEffect(() => {
+    if (!undoBatch) return undefined;
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= undoBatch.expiresAt) setUndoBatch(null);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [undoBatch]);
+
+  const updateListParams = (search, nextFilters) => {
+    navigateTo(SCREEN_MAP.STUDENT_LIST, toStudentListParams(search, nextFilters), { replace: true });
+  };
+
+  const applyView = (view) => {
+    navigateTo(SCREEN_MAP.STUDENT_LIST, view.params, { replace: true });
+    setSortKey(view.sortKey || 'name');
+    setSortOrder(view.sortOrder || 'asc');
+    setCardFields(view.columns || DEFAULT_STUDENT_CARD_FIELDS);
+  };
+
+  useEffect(() => {
+    if (initialView) applyView(initialView);
+  }, [initialView]);
+
+  const handleSearchChange = (e) => updateListParams(e.target.value, filters);
+  const handleFiltersChange = (nextFilters) => updateListParams(filter, nextFilters);
+
+  const filterMajors = [...new Set(students.map(s => s.major).filter(Boolean))].sort();
+
+  const handleSort = (key) => {
+    if (sortKey === key) {
+      setSortOrder(prev => (prev === 'asc' ? 'desc' : 'asc'));
+    } else {
+      setSortKey(key);
+      setSortOrder('asc');
+    }
+  };
+
+  const filteredStudents = students.filter(student => (
+    student.name.toLowerCase().includes(filter.toLowerCase()) ||
+    student.major.toLowerCase().includes(filter.toLowerCase()) ||
+    student.studentId.toLowerCase().includes(filter.toLowerCase()) ||
+    (student.email || '').toLowerCase().includes(filter.toLowerCase())
+  ) && matchesStudentFilters(student, filterCriteria, filters.match, mockData));
+
+  const sortedStudents = [...filteredStudents].sort((a, b) => {
+    if (a[sortKey] < b[sortKey]) return sortOrder === 'asc' ? -1 : 1;
+    if (a[sortKey] > b[sortKey]) return sortOrder === 'asc' ? 1 : -1;
+    return 0;
+  });
+
+  const handleStudentSelect = (id) => {
+    setSelectedStudents(prev =>
+      prev.includes(id) ? prev.filter(sId => sId !== id) : [...prev, id]
+    );
+  };
+
+  const handleBulkAction = (actionType) => {
+    if (actionType === 'export') {
+      setExportOptions({ format: 'XLSX', scope: 'selected' });
+      return;
+    }
+    setBulkAction({ type: actionType, status: '', reason: '', courseId: '', advisor: '' });
+    setBulkPreview(null);
+  };
+
+  const selectedIds = students.filter(s => selectedStudents.includes(s.id)).map(s => s.id);
+  const bulkStatusOptions = Object.keys(WORKFLOW_DEFINITIONS.student.states);
+  const bulkCourseOptions = mockData.courses
+    .filter(isCourseOpenForEnrollment)
+    .map(c => ({ value: c.id, label: `${c.code} - ${c.name}` }));
+  const advisorOptions = [...new Set(mockData.courses.map(c => c.instructor).filter(Boolean))].sort();
+
+  const handleBulkFieldChange = (e) => {
+    const { name, value } = e.target;
+    setBulkAction(prev => ({ ...prev, [name]: value }));
+    setBulkPreview(null);
+  };
+
+  const getBulkActionError = () => {
+    if (bulkAction.type === BULK_ACTION_TYPES.STATUS) {
+      if (!bulkAction.status) return 'Choose the new status.';
+      if (!bulkAction.reason.trim()) return 'A reason is required to change student status.';
+    }
+    if (bulkAction.type === BULK_ACTION_TYPES.ENROLL && !bulkAction.courseId) return 'Choose a course.';
+    if (bulkAction.type === BULK_ACTION_TYPES.ADVISOR && !bulkAction.advisor) return 'Choose an advisor.';
+    return null;
+  };
+
+  // A dry run against the current data, so the confirmation lists exactly who will change and who won't
+  const handleReviewBulkAction = () => {
+    const error = getBulkActionError();
+    if (error) {
+      alert(error);
+      return;
+    }
+    const dryRun = runBulkStudentAction(mockData, selectedIds, bulkAction, currentUserPermissions);
+    setBulkPreview({ label: describeBulkAction(bulkAction, mockData), results: dryRun.results });
+  };
+
+  const handleApplyBulkAction = async () => {
+    const outcome = repository.perform(data => runBulkStudentAction(data, selectedIds, bulkAction, currentUserPermissions));
+    setBulkPreview(null);
+    if (outcome.error) {
+      setBulkReport({ title: `Bulk ${describeBulkAction(bulkAction, mockData)} failed: ${outcome.error}`, results: outcome.results || [] });
+      return;
+    }
+    const saved = await outcome.saved;
+    if (!saved) return;
+    const succeeded = outcome.results.filter(r => r.ok).length;
+    setBulkReport({
+      title: `Bulk ${outcome.batch.label}: ${succeeded} of ${outcome.results.length} students changed.`,
+      results: outcome.results,
+    });
+    setUndoBatch({ ...outcome.batch, expiresAt: Date.now() + BULK_UNDO_WINDOW_MS });
+    setNow(Date.now());
+    setBulkAction(null);
+    setSelectedStudents([]);
+  };
+
+  const handleUndoBulkAction = async () => {
+    const batch = undoBatch;
+    setUndoBatch(null);
+    const outcome = repository.perform(data => revertBulkChanges(data, batch, currentUserPermissions));
+    if (outcome.error) {
+      alert(outcome.error);
+      return;
+    }
+    const saved = await outcome.saved;
+    if (!saved) return;
+    setBulkReport({
+      title: `Undid bulk ${batch.label} for ${outcome.reverted.length} student(s).`,
+      results: outcome.conflicts.map(name => ({ studentId: name, name, ok: false, message: 'Changed again after the bulk action; left as is.' })),
+    });
+  };
+
+  const allShownSelected = sortedStudents.length > 0 && sortedStudents.every(s => selectedStudents.includes(s.id));
+  const handleSelectAllShown = () => {
+    const shownIds = sortedStudents.map(s => s.id);
+    setSelectedStudents(prev => (allShownSelected
+      ? prev.filter(id => !shownIds.includes(id))
+      : [...new Set([...prev, ...shownIds])]));
+  };
+
+  const handleSaveView = async () => {
+    const viewName = prompt("Enter a name for this view:");
+    if (!viewName) return;
+    const outcome = repository.perform(data => createSavedView(data, {
+      screen: STUDENT_LIST_VIEW_SCREEN, name: viewName, params: toStudentListParams(filter, filters), sortKey, sortOrder, columns: cardFields,
+    }, currentUserPermissions));
+    if (outcome.error) {
+      alert(outcome.error);
+      return;
+    }
+    if (await outcome.saved) alert(`View "${outcome.view.name}" saved!`);
+  };
+
+  const handleViewChange = (operation) => {
+    const outcome = repository.perform(operation);
+    if (outcome.error) alert(outcome.error);
+  };
+
+  const handleExport = (format) => {
+    setExportOptions({ format, scope: 'filtered' });
+  };
+
+  // Rows keep the on-screen sort order; a selection only exports the selected students still matching the search
+  const exportRows = exportOptions?.scope === 'selected'
+    ? sortedStudents.filter(s => selectedStudents.includes(s.id))
+    : sortedStudents;
+
+  const toggleExportColumn = (key) => {
+    setExportColumns(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+  };
+
+  const handleDownloadExport = async () => {
+    const columns = STUDENT_EXPORT_COLUMNS
+      .filter(column => exportColumns.includes(column.key))
+      .map(column => ({ label: column.label, value: (student) => column.value(student, mockData) }));
+    if (columns.length === 0 || exportRows.length === 0) {
+      alert(columns.length === 0 ? 'Choose at least one column to export.' : 'There are no students to export.');
+      return;
+    }
+    const { format, scope } = exportOptions;
+    const criteria = [
+      scope === 'selected' ? 'selected students' : 'all matching students',
+      filter && `search "${filter}"`,
+      `sorted by ${sortKey} ${sortOrder}`,
+    ].filter(Boolean).join(', ');
+    const saved = await recordExport(repository, currentUserPermissions, 'StudentList',
+      `Exported ${exportRows.length} students to ${format} (${criteria}; columns: ${columns.map(c => c.label).join(', ')}).`);
+    if (!saved) return;
+    downloadTable(format, `students-${toLocalDateKey(Date.now())}`, 'Students', columns, exportRows);
+    setExportOptions(null);
+  };
+
+  const handleEditStudent = (id) => {
+    navigateTo(SCREEN_MAP.ADMISSION_FORM, { studentId: id, mode: 'edit' }); // Re-use form for edit example
+  };
+
+  const handleDeleteStudent = async (id) => {
+    if (!window.confirm(`Are you sure you want to delete student ${id}?`)) return;
+    const student = mockData.students.find(s => s.id === id);
+    // The student's enrollments go with them; grades and attendance stay on the course records.
+    const saved = await repository.applyChanges(prevData => ({
+      ...prevData,
+      students: prevData.students.filter(s => s.id !== id),
+      enrollments: prevData.enrollments.filter(e => e.studentId !== id),
+      activityLog: [createActivityEntry(prevData.activityLog, {
+        userName: currentUserPermissions.user,
+        action: 'deleted', recordType: 'Student', recordId: id,
+        details: `Student ${student?.name || id} deleted.`,
+      }), ...prevData.activityLog],
+    }));
+    if (saved) alert(`Student ${id} deleted.`);
+  };
+
+  return (
+    <div className="container">
+      <h2 style={{ marginBottom: 'var(--spacing-lg)' }}>Student Management</h2>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--spacing-lg)' }}>
+        <InputField
+          type="text"
+          placeholder="Search students by name, major, ID, email..."
+          value={filter}
+          onChange={handleSearchChange}
+          style={{ flexGrow: 1, marginRight: 'var(--spacing-md)' }}
+        />
+        <Button variant="outline" onClick={() => setIsFilterPanelOpen(true)} className="btn--icon" icon="cog">
+          Filters{filterCriteria.length > 0 ? ` (${filterCriteria.length})` : ''}
+        </Button>
+        <Button variant="outline" onClick={handleSaveView} className="btn--icon" icon="plus">Save View</Button>
+        {duplicateCount > 0 && (
+          <Button variant="outline" onClick={() => navigateTo(SCREEN_MAP.STUDENT_DUPLICATES)} className="btn--icon" icon="warning">Duplicates ({duplicateCount})</Button>
+        )}
+        {canAddStudents && <Button variant="outline" onClick={() => navigateTo(SCREEN_MAP.STUDENT_IMPORT)} className="btn--icon" icon="file">Import</Button>}
+        {canAddStudents && <Button variant="primary" onClick={() => navigateTo(SCREEN_MAP.ADMISSION_FORM)} className="btn--icon" icon="plus">Add New Student</Button>}
+      </div>
+
+      {isFilterPanelOpen && (
+        <StudentFilterPanel
+          filters={filters}
+          onChange={handleFiltersChange}
+          onClose={() => setIsFilterPanelOpen(false)}
+          majors={filterMajors}
+          statuses={Object.keys(WORKFLOW_DEFINITIONS.student.states)}
+          fields={cardFields}
+          onFieldsChange={setCardFields}
+        />
+      )}
+
+      {filterCriteria.length > 0 && (
+        <div className="filter-chips">
+          {filterCriteria.length > 1 && <span>Matching {filters.match === 'any' ? 'any' : 'all'} of:</span>}
+          {filterCriteria.map(criterion => (
+            <span key={criterion.key} className="filter-chip">
+              {criterion.label}
+              <button type="button" aria-label={`Remove filter ${criterion.label}`} onClick={() => handleFiltersChange(removeStudentFilter(filters, criterion))}>×</button>
+            </span>
+          ))}
+          <button type="button" className="filter-chips__clear" onClick={() => handleFiltersChange(EMPTY_STUDENT_FILTERS)}>Clear all</button>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 'var(--spacing-sm)', alignItems: 'center', marginBottom: 'var(--spacing-lg)' }}>
+        <p style={{ fontWeight: 600, color: 'var(--text-accent)', margin: 0 }}>Sort by:</p>
+        {STUDENT_SORT_OPTIONS.map(option => (
+          <Button key={option.value} variant={sortKey === option.value ? 'secondary' : 'outline'} onClick={() => handleSort(option.value)}
+            icon={sortKey === option.value ? (sortOrder === 'asc' ? 'arrowUp' : 'arrowDown') : undefined}>
+            {option.label}
+          </Button>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 'var(--spacing-sm)', alignItems: 'center', marginBottom: 'var(--spacing-lg)' }}>
+        <p style={{ fontWeight: 600, color: 'var(--text-accent)', margin: 0 }}>Saved Views:</p>
+        {savedViews.map(view => (
+          <Button key={view.id} variant="secondary" onClick={() => applyView(view)}>
+            {(view.defaultFor || []).includes(currentUserPermissions.userId) && '★ '}{view.name}
+          </Button>
+        ))}
+        <Button variant="outline" onClick={() => setIsManagingViews(prev => !prev)}>Manage Views</Button>
+      </div>
+
+      {isManagingViews && (
+        <SavedViewManager
+          views={savedViews}
+          currentUserPermissions={currentUserPermissions}
+          onApply={applyView}
+          onChange={handleViewChange}
+          onClose={() => setIsManagingViews(false)}
+        />
+      )}
+
+      {canSelect && sortedStudents.length > 0 && (
+        <label style={{ display: 'inline-flex', alignItems: 'center', fontSize: 'var(--font-size-sm)', marginBottom: 'var(--spacing-md)' }}>
+          <input type="checkbox" className="checkbox-field" checked={allShownSelected} onChange={handleSelectAllShown} />
+          Select all {sortedStudents.length} matching
+        </label>
+      )}
+
+      {canSelect && selectedStudents.length > 0 && (
+        <Card className="glassmorphism" style={{ padding: 'var(--spacing-md)', marginBottom: 'var(--spacing-lg)', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <span>{selectedStudents.length} students selected.</span>
+          <div style={{ display: 'flex', gap: 'var(--spacing-sm)' }}>
+            {canBulkEnroll && <Button variant="secondary" onClick={() => handleBulkAction(BULK_ACTION_TYPES.ENROLL)}>Bulk Enroll</Button>}
+            {canBulkChangeStatus && <Button variant="secondary" onClick={() => handleBulkAction(BULK_ACTION_TYPES.STATUS)}>Update Status</Button>}
+            {canBulkAssignAdvisor && <Button variant="secondary" onClick={() => handleBulkAction(BULK_ACTION_TYPES.ADVISOR)}>Assign Advisor</Button>}
+            {currentUserPermissions.canExportData && <Button variant="secondary" onClick={() => handleBulkAction('export')} icon="download">Export Selected</Button>}
+            <Button variant="outline" onClick={() => setSelectedStudents([])}>Clear</Button>
+          </div>
+        </Card>
+      )}
+
+      {undoBatch && (
+        <Card className="glassmorphism bulk-undo">
+          <span>Bulk {undoBatch.label} applied.</span>
+          <Button variant="secondary" onClick={handleUndoBulkAction}>Undo ({Math.max(0, Math.ceil((undoBatch.expiresAt - now) / 1000))}s)</Button>
+        </Card>
+      )}
+
+      {bulkAction && selectedIds.length > 0 && (
+        <Card className="card--elevated mb-lg">
+          <h3 style={{ marginBottom: 'var(--spacing-md)' }}>
+            {{ status: 'Update Status', enroll: 'Bulk Enroll', advisor: 'Assign Advisor' }[bulkAction.type]} for {selectedIds.length} student(s)
+          </h3>
+          {bulkAction.type === BULK_ACTION_TYPES.STATUS && (
+            <>
+              <SelectField label="New Status" name="status" value={bulkAction.status} onChange={handleBulkFieldChange} options={bulkStatusOptions} placeholder="Select a status" required />
+              <TextAreaField label="Reason" name="reason" value={bulkAction.reason} onChange={handleBulkFieldChange} required />
+            </>
+          )}
+          {bulkAction.type === BULK_ACTION_TYPES.ENROLL && (
+            <SelectField label="Course" name="courseId" value={bulkAction.courseId} onChange={handleBulkFieldChange} options={bulkCourseOptions} placeholder="Select a course open for enrollment" required />
+          )}
+          {bulkAction.type === BULK_ACTION_TYPES.ADVISOR && (
+            <SelectField label="Advisor" name="advisor" value={bulkAction.advisor} onChange={handleBulkFieldChange} options={advisorOptions} placeholder="Select an advisor" required />
+          )}
+
+          {bulkPreview && (
+            <div className="bulk-preview">
+              <p style={{ fontWeight: 600, marginBottom: 'var(--spacing-sm)' }}>
+                Bulk {bulkPreview.label}: {bulkPreview.results.filter(r => r.ok).length} will change, {bulkPreview.results.filter(r => !r.ok).length} will be skipped.
+              </p>
+              <BulkResultList results={bulkPreview.results} />
+            </div>
+          )}
+
+          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 'var(--spacing-sm)', marginTop: 'var(--spacing-md)' }}>
+            <Button variant="outline" onClick={() => { setBulkAction(null); setBulkPreview(null); }}>Cancel</Button>
+            {bulkPreview
+              ? <Button variant="primary" icon="check" onClick={handleApplyBulkAction} disabled={!bulkPreview.results.some(r => r.ok)}>Apply to {bulkPreview.results.filter(r => r.ok).length} Student(s)</Button>
+              : <Button variant="primary" onClick={handleReviewBulkAction}>Review Changes</Button>}
+          </div>
+        </Card>
+      )}
+
+      {bulkReport && (
+        <Card className="card--elevated mb-lg">
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--spacing-sm)' }}>
+            <p style={{ fontWeight: 600 }}>{bulkReport.title}</p>
+            <Button variant="outline" onClick={() => setBulkReport(null)}>Dismiss</Button>
+          </div>
+          {bulkReport.results.some(r => !r.ok) && <BulkResultList results={bulkReport.results.filter(r => !r.ok)} />}
+        </Card>
+      )}
+
+      {exportOptions && currentUserPermissions.canExportData && (
+        <Card className="card--elevated mb-lg">
+          <h3 style={{ marginBottom: 'var(--spacing-sm)' }}>Export Students</h3>
+          <p className="data-table__subheading" style={{ marginBottom: 'var(--spacing-md)' }}>
+            {exportRows.length} student(s){filter && ` matching "${filter}"`}, in the current order (sorted by {sortKey}, {sortOrder === 'asc' ? 'ascending' : 'descending'}).
+          </p>
+          <div className="grid-2-col" style={{ gap: 'var(--spacing-md)' }}>
+            <SelectField label="Format" name="exportFormat" value={exportOptions.format}
+              onChange={(e) => setExportOptions(prev => ({ ...prev, format: e.target.value }))}
+              options={Object.entries(EXPORT_FORMATS).map(([value, format]) => ({ value, label: format.label }))} />
+            <SelectField label="Rows" name="exportScope" value={exportOptions.scope}
+              onChange={(e) => setExportOptions(prev => ({ ...prev, scope: e.target.value }))}
+              options={[
+                { value: 'filtered', label: `All ${sortedStudents.length} matching students` },
+                ...(selectedStudents.length > 0 ? [{ value: 'selected', label: `${sortedStudents.filter(s => selectedStudents.includes(s.id)).length} selected students` }] : []),
+              ]} />
+          </div>
+          <p style={{ fontWeight: 600, marginBottom: 'var(--spacing-sm)' }}>Columns</p>
+          <div className="export-columns">
+            {STUDENT_EXPORT_COLUMNS.map(column => (
+              <label key={column.key}>
+                <input type="checkbox" className="checkbox-field" checked={exportColumns.includes(column.key)} onChange={() => toggleExportColumn(column.key)} />
+                {column.label}
+              </label>
+            ))}
+          </div>
+          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 'var(--spacing-sm)', marginTop: 'var(--spacing-md)' }}>
+            <Button variant="outline" onClick={() => setExportOptions(null)}>Cancel</Button>
+            <Button variant="primary" icon="download" onClick={handleDownloadExport}>Download</Button>
+          </div>
+        </Card>
+      )}
+
+      {sortedStudents.length === 0 ? (
+        <EmptyState
+          title="No Students Found"
+          description="Try adjusting your search or filters, or add a new student."
+          actionText={canAddStudents ? 'Add New Student' : undefined}
+          onAction={canAddStudents ? () => navigateTo(SCREEN_MAP.ADMISSION_FORM) : undefined}
+        />
+      ) : (
+        <div className="grid-3-col">
+          {sortedStudents.map(student => (
+            <StudentCard
+              key={student.id}
+              student={student}
+              gpa={computeStudentGPA(student.id, mockData)}
+              attendanceRate={computeAttendanceRate(student.id, mockData.attendanceSessions)}
+              activityLog={mockData.activityLog}
+              onClick={(id) => navigateTo(SCREEN_MAP.STUDENT_DETAIL, { studentId: id })}
+              currentUserPermissions={currentUserPermissions}
+              onEdit={handleEditStudent}
+              onDelete={handleDeleteStudent}
+              selected={selectedStudents.includes(student.id)}
+              onSelect={canSelect ? handleStudentSelect : undefined}
+              fields={cardFields}
+            />
+          ))}
+        </div>
+      )}
+
+      {currentUserPermissions.canExportData && (
+        <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: 'var(--spacing-lg)', gap: 'var(--spacing-sm)' }}>
+          <Button variant="outline" onClick={() => handleExport('CSV')} icon="download">Export to CSV</Button>
+          <Button variant="outline" onClick={() => handleExport('XLSX')} icon="download">Export to Excel</Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+
+const STUDENT_IMPORT_FIELDS = [
+  { key: 'name', label: 'Student Name', required: true, aliases: ['name', 'full name', 'student name', 'student'] },
+  { key: 'email', label: 'Email', required: true, aliases: ['email', 'e-mail', 'email address', 'mail'] },
+  { key: 'major', label: 'Major', required: true, aliases: ['major', 'program', 'programme', 'course of study'] },
+  { key: 'enrollmentDate', label: 'Enrollment Date', required: true, aliases: ['enrollment date', 'enrolment date', 'start date', 'enrolled'] },
+  { key: 'studentId', label: 'Student ID', aliases: ['student id', 'studentid', 'student number', 'id number'] },
+  { key: 'dateOfBirth', label: 'Date of Birth', aliases: ['date of birth', 'dob', 'birth date', 'birthdate', 'birthday'] },
+];
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Maps each field to the first column whose header matches its label or one of its aliases.
+const guessImportMapping = (headers) => Object.fromEntries(STUDENT_IMPORT_FIELDS.map(field => {
+  const names = [field.label, field.key, ...field.aliases].map(normalizeHeader);
+  const index = headers.findIndex(header => names.includes(normalizeHeader(header)));
+  return [field.key, index === -1 ? '' : String(index)];
+}));
+
+// Checks every { rowNumber, cells } row against the student rules and for duplicates, by email or
+// Student ID, against existing records and earlier rows of the same file.
+const validateImportRows = (rows, mapping, students) => {
+  const existingEmails = new Set(students.map(s => s.email.toLowerCase()));
+  const existingStudentIds = new Set(students.map(s => s.studentId.toLowerCase()));
+  const seenEmails = new Map();
+  const seenStudentIds = new Map();
+  return rows.map(({ rowNumber, cells }) => {
+    const value = (key) => (mapping[key] === '' ? '' : String(cells[Number(mapping[key])] ?? '').trim());
+    const fields = {
+      name: value('name'), email: value('email'), major: value('major'),
+      enrollmentDate: normalizeImportDate(value('enrollmentDate')), studentId: value('studentId'),
+      dateOfBirth: normalizeImportDate(value('dateOfBirth')),
+    };
+    const errors = Object.values(validateStudentFields(fields));
+    const duplicates = [];
+    const email = fields.email.toLowerCase();
+    const studentId = fields.studentId.toLowerCase();
+    if (email && existingEmails.has(email)) duplicates.push(`Email ${fields.email} already belongs to a student.`);
+    else if (email && seenEmails.has(email)) duplicates.push(`Email ${fields.email} also appears in row ${seenEmails.get(email)}.`);
+    if (studentId && existingStudentIds.has(studentId)) duplicates.push(`Student ID ${fields.studentId} is already in use.`);
+    else if (studentId && seenStudentIds.has(studentId)) duplicates.push(`Student ID ${fields.studentId} also appears in row ${seenStudentIds.get(studentId)}.`);
+    if (email && !seenEmails.has(email)) seenEmails.set(email, rowNumber);
+    if (studentId && !seenStudentIds.has(studentId)) seenStudentIds.set(studentId, rowNumber);
+    const status = errors.length > 0 ? 'error' : duplicates.length > 0 ? 'duplicate' : 'valid';
+    return { rowNumber, fields, issues: [...errors, ...duplicates], status };
+  });
+};
+
+// Creates students for the valid preview rows in one change. Duplicates are checked again against
+// the full data, so records the importer can't see and changes made since the preview still count.
+const importStudents = (data, rows, actor, fileName) => {
+  let sequenced = data;
+  const students = [...data.students];
+  const created = [];
+  const skipped = [];
+  const now = new Date().toISOString();
+  rows.forEach(row => {
+    const { fields } = row;
+    if (students.some(s => s.email.toLowerCase() === fields.email.toLowerCase()
+      || (fields.studentId && s.studentId.toLowerCase() === fields.studentId.toLowerCase()))) {
+      skipped.push(row.rowNumber);
+      return;
+    }
+    let { studentId } = fields;
+    if (!studentId) ({ studentId, data: sequenced } = allocateStudentId({ ...sequenced, students }));
+    const student = {
+      id: nextStudentRecordId(students),
+      studentId,
+      name: fields.name, email: fields.email, major: fields.major, enrollmentDate: fields.enrollmentDate,
+      ...(fields.dateOfBirth && { dateOfBirth: fields.dateOfBirth }),
+      status: WORKFLOW_DEFINITIONS.student.initialStatus,
+      workflowStageId: WORKFLOW_DEFINITIONS.student.initialStageId,
+      workflowHistory: [{
+        at: now, by: actor.user, action: 'created',
+        toStatus: WORKFLOW_DEFINITIONS.student.initialStatus, toStageId: WORKFLOW_DEFINITIONS.student.initialStageId,
+      }],
+      lastActivity: now,
+      image: `https://api.dicebear.com/7.x/initials/svg?seed=${encodeURIComponent(fields.name)}`,
+    };
+    students.push(student);
+    created.push(student);
+  });
+  if (created.length === 0) return { error: 'None of the rows could be imported; they all duplicate existing students.' };
+  const idRange = created.length > 1 ? `${created[0].id}–${created[created.length - 1].id}` : created[0].id;
+  return {
+    created, skipped,
+    data: {
+      ...sequenced,
+      students,
+      activityLog: [createActivityEntry(data.activityLog, {
+        userName: actor.user, action: 'imported', recordType: 'StudentList',
+        details: `Imported ${created.length} students (${idRange}) from ${fileName}${skipped.length ? `; skipped duplicate rows ${skipped.join(', ')}` : ''}.`,
+      }), ...data.activityLog],
+    },
+  };
+};
+
+const IMPORT_STATUS_COLORS = { valid: 'approved', duplicate: 'pending', error: 'rejected' };
+const IMPORT_STATUS_LABELS = { valid: 'Ready', duplicate: 'Duplicate', error: 'Invalid' };
+
+const StudentImportScreen = ({ navigateTo, currentUserPermissions, mockData, repository }) => {
+  const [step, setStep] = useState('upload'); // 'upload' | 'map' | 'preview' | 'done'
+  const [file, setFile] = useState(null); // { name, headers, rows }
+  const [fileError, setFileError] = useState('');
+  const [mapping, setMapping] = useState({});
+  const [mappingError, setMappingError] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [isImporting, setIsImporting] = useState(false);
+  const [summary, setSummary] = useState(null);
+
+  const canAddStudents = currentUserPermissions.canEditAll && canEditField(currentUserPermissions, 'students', 'name');
+  if (!currentUserPermissions.canManageStudents || !canAddStudents) {
+    return (
+      <div className="container">
+        <EmptyState title="Access Denied" description="You do not have permission to add student records." icon="warning" />
+        <div className="text-center" style={{ marginTop: 'var(--spacing-lg)' }}>
+          <Button onClick={() => navigateTo(SCREEN_MAP.STUDENT_LIST)} variant="secondary">Back to Student List</Button>
+        </div>
+      </div>
+    );
+  }
+
+  const previewRows = step === 'preview' && file ? validateImportRows(file.rows, mapping, mockData.students) : [];
+  const counts = previewRows.reduce((acc, row) => ({ ...acc, [row.status]: acc[row.status] + 1 }), { valid: 0, duplicate: 0, error: 0 });
+  const shownRows = statusFilter ? previewRows.filter(row => row.status === statusFilter) : previewRows;
+
+  const handleFileUpload = async (e) => {
+    const selected = e.target.files?.[0];
+    e.target.value = '';
+    if (!selected) return;
+    try {
+      const rows = await readSpreadsheetFile(selected);
+      const headerIndex = rows.findIndex(cells => !isBlankRow(cells));
+      const dataRows = rows
+        .map((cells, index) => ({ rowNumber: index + 1, cells }))
+        .filter(row => row.rowNumber > headerIndex + 1 && !isBlankRow(row.cells));
+      if (headerIndex === -1 || dataRows.length === 0) throw new Error('The file needs a header row and at least one student row.');
+      const headers = rows[headerIndex].map(String);
+      setFile({ name: selected.name, headers, rows: dataRows });
+      setMapping(guessImportMapping(headers));
+      setFileError('');
+      setMappingError('');
+      setStep('map');
+    } catch (error) {
+      setFileError(error.message);
+    }
+  };
+
+  const handleMappingChange = (e) => {
+    const { name, value } = e.target;
+    setMapping(prev => ({ ...prev, [name]: value }));
+    setMappingError('');
+  };
+
+  const handleContinueToPreview = () => {
+    const missing = STUDENT_IMPORT_FIELDS.filter(field => field.required && mapping[field.key] === '');
+    if (missing.length > 0) {
+      setMappingError(`Choose a column for ${missing.map(field => field.label).join(', ')}.`);
+      return;
+    }
+    setStatusFilter('');
+    setStep('preview');
+  };
+
+  const handleImport = async () => {
+    const validRows = previewRows.filter(row => row.status === 'valid');
+    if (validRows.length === 0) {
+      alert('There are no valid rows to import.');
+      return;
+    }
+    if (!window.confirm(`Import ${validRows.length} students? ${previewRows.length - validRows.length} row(s) with errors or duplicates will be skipped.`)) return;
+    setIsImporting(true);
+    const outcome = repository.perform(data => importStudents(data, validRows, currentUserPermissions, file.name));
+    if (outcome.error) {
+      setIsImporting(false);
+      alert(outcome.error);
+      return;
+    }
+    const saved = await outcome.saved;
+    setIsImporting(false);
+    if (!saved) return;
+    setSummary({
+      imported: outcome.created.length,
+      skippedAtImport: outcome.skipped.length,
+      invalid: counts.error,
+      duplicates: counts.duplicate,
+      firstId: outcome.created[0].id,
+    });
+    setStep('done');
+  };
+
+  const reset = () => {
+    setFile(null);
+    setSummary(null);
+    setStep('upload');
+  };
+
+  const columnOptions = (file?.headers || []).map((header, index) => ({ value: String(index), label: header || `Column ${index + 1}` }));
+
+  return (
+    <div className="container">
+      <h2 style={{ marginBottom: 'var(--spacing-sm)' }}>Import Students</h2>
+      <ol className="import-steps">
+        {[['upload', 'Upload file'], ['map', 'Map columns'], ['preview', 'Review rows'], ['done', 'Summary']].map(([key, label]) => (
+          <li key={key} className={step === key ? 'import-steps__item--active' : 'import-steps__item'}>{label}</li>
+        ))}
+      </ol>
+
+      {step === 'upload' && (
+        <Card className="card--elevated">
+          <p style={{ marginBottom: 'var(--spacing-md)', color: 'var(--text-secondary)' }}>
+            Upload a .csv or .xlsx file with one student per row and a header row. Columns for {STUDENT_IMPORT_FIELDS.filter(f => f.required).map(f => f.label).join(', ')} are required; Student IDs are generated when the file has none.
+            New students start as {WORKFLOW_DEFINITIONS.student.initialStatus}.
+          </p>
+          <FileUpload label="Spreadsheet" name="importFile" onFileUpload={handleFileUpload} fileName={file?.name} error={fileError} />
+          <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
+            <Button variant="outline" onClick={() => navigateTo(SCREEN_MAP.STUDENT_LIST)}>Cancel</Button>
+          </div>
+        </Card>
+      )}
+
+      {step === 'map' && (
+        <Card className="card--elevated">
+          <p style={{ marginBottom: 'var(--spacing-md)', color: 'var(--text-secondary)' }}>
+            {file.name}: {file.rows.length} row(s). Choose which column holds each student field.
+          </p>
+          <div className="grid-2-col" style={{ gap: 'var(--spacing-md)' }}>
+            {STUDENT_IMPORT_FIELDS.map(field => (
+              <SelectField key={field.key} label={field.label} name={field.key} value={mapping[field.key]} onChange={handleMappingChange}
+                options={columnOptions} placeholder={field.required ? 'Select a column' : `Not in this file${field.key === 'studentId' ? ' (generate)' : ''}`} required={field.required} />
+            ))}
+          </div>
+          {mappingError && <p className="error-message">{mappingError}</p>}
+          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 'var(--spacing-sm)', marginTop: 'var(--spacing-md)' }}>
+            <Button variant="outline" onClick={reset}>Choose Another File</Button>
+            <Button variant="primary" onClick={handleContinueToPreview}>Preview Rows</Button>
+          </div>
+        </Card>
+      )}
+
+      {step === 'preview' && (
+        <Card className="card--elevated">
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 'var(--spacing-md)', marginBottom: 'var(--spacing-md)' }}>
+            <p>
+              <strong>{counts.valid}</strong> ready · <strong>{counts.duplicate}</strong> duplicate · <strong>{counts.error}</strong> invalid
+            </p>
+            <SelectField label="Show" name="statusFilter" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}
+              options={Object.entries(IMPORT_STATUS_LABELS).map(([value, label]) => ({ value, label }))} placeholder="All rows" />
+          </div>
+          <div style={{ overflowX: 'auto' }}>
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  {STUDENT_IMPORT_FIELDS.map(field => <th key={field.key}>{field.label}</th>)}
+                  <th>Status</th>
+                  <th>Issues</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shownRows.map(row => (
+                  <tr key={row.rowNumber}>
+                    <td>{row.rowNumber}</td>
+                    {STUDENT_IMPORT_FIELDS.map(field => (
+                      <td key={field.key}>{row.fields[field.key] || (field.key === 'studentId' ? <span className="data-table__subheading">Generated</span> : '—')}</td>
+                    ))}
+                    <td><span className={`status-tag status-tag--${IMPORT_STATUS_COLORS[row.status]}`} style={{ borderRadius: 'var(--border-radius-sm)' }}>{IMPORT_STATUS_LABELS[row.status]}</span></td>
+                    <td>{row.issues.map(issue => <p key={issue} className="error-message" style={{ margin: 0 }}>{issue}</p>)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 'var(--spacing-sm)', marginTop: 'var(--spacing-md)' }}>
+            <Button variant="outline" onClick={() => setStep('map')}>Back to Mapping</Button>
+            <Button variant="primary" icon="check" onClick={handleImport} disabled={isImporting || counts.valid === 0}>
+              {isImporting ? 'Importing...' : `Import ${counts.valid} Student(s)`}
+            </Button>
+          </div>
+        </Card>
+      )}
+
+      {step === 'done' && summary && (
+        <Card className="card--elevated">
+          <h3 style={{ marginBottom: 'var(--spacing-md)' }}>Import complete</h3>
+          <ul style={{ marginBottom: 'var(--spacing-lg)', paddingLeft: 'var(--spacing-lg)' }}>
+            <li>{summary.imported} student(s) created from {file.name}, starting at {summary.firstId}.</li>
+            {summary.invalid > 0 && <li>{summary.invalid} row(s) skipped because of validation errors.</li>}
+            {summary.duplicates > 0 && <li>{summary.duplicates} row(s) skipped as duplicates.</li>}
+            {summary.skippedAtImport > 0 && <li>{summary.skippedAtImport} row(s) skipped because matching students were added elsewhere.</li>}
+          </ul>
+          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 'var(--spacing-sm)' }}>
+            <Button variant="outline" onClick={reset}>Import Another File</Button>
+            <Button variant="primary" onClick={() => navigateTo(SCREEN_MAP.STUDENT_LIST)}>View Students</Button>
+          </div>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+// --- Duplicate Review & Merge ---
+const describeStudentForReview = (student) => [student.studentId, student.email, student.dateOfBirth && `born ${student.dateOfBirth}`].filter(Boolean).join(' · ');
+
+const DuplicateReviewScreen = ({ navigateTo, currentUserPermissions, mockData, repository }) => {
+  const pairs = useMemo(() => findDuplicateStudents(mockData.students), [mockData.students]);
+
+  if (!currentUserPermissions.canMergeStudents) {
+    return (
+      <div className="container">
+        <EmptyState title="Access Denied" description="You do not have permission to review duplicate student records." icon="warning" />
+      </div>
+    );
+  }
+
+  const handleMarkDistinct = (pair) => {
+    const [a, b] = pair.students;
+    if (!window.confirm(`Mark ${a.name} (${a.studentId}) and ${b.name} (${b.studentId}) as different people? The pair will no longer be flagged.`)) return;
+    const outcome = repository.perform(data => markStudentsDistinct(data, [a.id, b.id], currentUserPermissions));
+    if (outcome.error) alert(outcome.error);
+  };
+
+  return (
+    <div className="container">
+      <h2 style={{ marginBottom: 'var(--spacing-sm)' }}>Duplicate Review</h2>
+      <p style={{ color: 'var(--text-secondary)', marginBottom: 'var(--spacing-lg)' }}>
+        Student records that likely belong to the same person, compared on name, email and date of birth.
+      </p>
+      {pairs.length === 0 ? (
+        <EmptyState title="No Likely Duplicates" description="No two student records look like the same person." icon="check" />
+      ) : (
+        <Card className="card--elevated">
+          <table className="data-table">
+            <thead>
+              <tr><th>Record</th><th>Possible Duplicate</th><th>Match</th><th>Actions</th></tr>
+            </thead>
+            <tbody>
+              {pairs.map(pair => (
+                <tr key={pair.id}>
+                  {pair.students.map(student => (
+                    <td key={student.id}>
+                      <a href={buildRoutePath(SCREEN_MAP.STUDENT_DETAIL, { studentId: student.id })}
+                        onClick={(e) => { e.preventDefault(); navigateTo(SCREEN_MAP.STUDENT_DETAIL, { studentId: student.id }); }}>{student.name}</a>
+                      <span className="data-table__subheading">{describeStudentForReview(student)}</span>
+                    </td>
+                  ))}
+                  <td>
+                    <strong>{Math.round(pair.score * 100)}%</strong>
+                    <span className="data-table__subheading">{pair.reasons.join(' · ')}</span>
+                  </td>
+                  <td>
+                    <div style={{ display: 'flex', gap: 'var(--spacing-sm)' }}>
+                      <Button variant="primary" onClick={() => navigateTo(SCREEN_MAP.STUDENT_MERGE, { keep: pair.students[0].id, merge: pair.students[1].id })}>Review & Merge</Button>
+                      <Button variant="outline" onClick={() => handleMarkDistinct(pair)}>Not Duplicates</Button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+const StudentMergeScreen = ({ navigateTo, currentUserPermissions, params, mockData, repository }) => {
+  const kept = mockData.students.find(s => s.id === params.keep);
+  const merged = mockData.students.find(s => s.id === params.merge);
+  // Each field starts with the kept record's value, or the other record's where the kept one is blank
+  const [fieldSources, setFieldSources] = useState(() => Object.fromEntries(MERGEABLE_STUDENT_FIELDS.map(field => (
+    [field.key, !kept?.[field.key] && merged?.[field.key] ? 'merged' : 'kept']
+  ))));
+  const [reason, setReason] = useState('');
+  const [reasonError, setReasonError] = useState('');
+
+  if (!currentUserPermissions.canMergeStudents) {
+    return (
+      <div className="container">
+        <EmptyState title="Access Denied" description="You do not have permission to merge student records." icon="warning" />
+      </div>
+    );
+  }
+  if (!kept || !merged || kept.id === merged.id) {
+    return (
+      <div className="container">
+        <EmptyState title="Records Not Found" description="One of the records to merge no longer exists; it may already have been merged."
+          icon="warning" actionText="Back to Duplicate Review" onAction={() => navigateTo(SCREEN_MAP.STUDENT_DUPLICATES)} />
+      </div>
+    );
+  }
+
+  const impact = getStudentMergeImpact(mockData, merged.id);
+  const sides = { kept, merged };
+
+  const handleMerge = async () => {
+    if (!reason.trim()) {
+      setReasonError('A reason is required to merge student records.');
+      return;
+    }
+    setReasonError('');
+    if (!window.confirm(`Merge ${merged.name} (${merged.studentId}) into ${kept.name} (${kept.studentId})? ${merged.id} will be removed. This cannot be undone.`)) return;
+    const outcome = repository.perform(data => mergeStudents(data, kept.id, merged.id, fieldSources, reason, currentUserPermissions));
+    if (outcome.error) {
+      alert(outcome.error);
+      return;
+    }
+    if (!await outcome.saved) return;
+    alert(`Records merged into ${outcome.student.name} (${outcome.student.studentId}).`);
+    navigateTo(SCREEN_MAP.STUDENT_DETAIL, { studentId: kept.id });
+  };
+
+  return (
+    <div className="container">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--spacing-lg)' }}>
+        <h2 style={{ margin: 0 }}>Merge Student Records</h2>
+        <Button variant="outline" onClick={() => navigateTo(SCREEN_MAP.STUDENT_MERGE, { keep: merged.id, merge: kept.id }, { replace: true })}>
+          Keep {merged.id} Instead
+        </Button>
+      </div>
+      <Card className="card--elevated">
+        <p style={{ color: 'var(--text-secondary)', marginBottom: 'var(--spacing-md)' }}>
+          {kept.id} stays and keeps its status and workflow progress; {merged.id} is folded into it and removed.
+          Choose which value of each field to keep.
+        </p>
+        <table className="data-table merge-table">
+          <thead>
+            <tr><th>Field</th><th>Keep: {kept.id}</th><th>Merge: {merged.id}</th></tr>
+          </thead>
+          <tbody>
+            {MERGEABLE_STUDENT_FIELDS.map(field => (
+              <tr key={field.key}>
+                <td>{field.label}</td>
+                {Object.entries(sides).map(([side, student]) => (
+                  <td key={side}>
+                    <label className="merge-table__choice">
+                      <input type="radio" name={`merge-${field.key}`} checked={fieldSources[field.key] === side}
+                        onChange={() => setFieldSources(prev => ({ ...prev, [field.key]: side }))} />
+                      {student[field.key] || <span className="data-table__subheading">Not recorded</span>}
+                    </label>
+                  </td>
+                ))}
+              </tr>
+            ))}
+            <tr>
+              <td>Status</td>
+              <td><StatusBadge status={kept.status} workflow="student" /></td>
+              <td><StatusBadge status={merged.status} workflow="student" /> <span className="data-table__subheading">not kept</span></td>
+            </tr>
+          </tbody>
+        </table>
+
+        <h4 style={{ margin: 'var(--spacing-lg) 0 var(--spacing-sm)' }}>Moves to {kept.id}</h4>
+        <ul className="merge-impact">
+          <li>{impact.enrollments} enrollment(s), with their scores and attendance marks; where both records took the same course, the stronger enrollment stays</li>
+          <li>{impact.documents} document(s); versions of the same document type are combined</li>
+          <li>{impact.activity} audit entries, shown in the kept record's audit feed</li>
+          {impact.accounts > 0 && <li>{impact.accounts} sign-in account(s) linked to {merged.id}</li>}
+        </ul>
+
+        <TextAreaField label="Reason for merging" name="mergeReason" value={reason} onChange={(e) => setReason(e.target.value)} required error={reasonError}
+          placeholder="e.g. Same person admitted twice under different email addresses" />
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 'var(--spacing-md)' }}>
+          <Button variant="outline" onClick={() => navigateTo(SCREEN_MAP.STUDENT_DUPLICATES)}>Cancel</Button>
+          <Button variant="primary" onClick={handleMerge}>Merge Records</Button>
+        </div>
+      </Card>
+    </div>
+  );
+};
+
+const StudentDetailScreen = ({ navigateTo, currentUserPermissions, params, mockData, repository }) => {
+  const studentId = params.studentId;
+  const student = mockData.students.find(s => s.id === studentId);
+  const [enrollCourseId, setEnrollCourseId] = useState('');
+  const [attendanceHistoryCourseId, setAttendanceHistoryCourseId] = useState('');
+  const [transcript, setTranscript] = useState(null); // { url, fileName, generatedAt, verificationCode }
+  const [isGeneratingTranscript, setIsGeneratingTranscript] = useState(false);
+
+  // The preview holds an object URL; release it when it is replaced or the screen closes
+  useEffect(() => () => {
+    if (transcript) URL.revokeObjectURL(transcript.url);
+  }, [transcript]);
+
+  if (!student) {
+    // Links to a record that was merged away lead to the record it was merged into
+    const mergedInto = mockData.students.find(s => s.mergedFrom?.some(entry => entry.id === studentId));
+    return (
+      <div className="container">
+        {mergedInto ? (
+          <EmptyState title="Student Record Merged" description={`This record was merged into ${mergedInto.name} (${mergedInto.studentId}) as a duplicate.`}
+            icon="student" actionText="Open Merged Record" onAction={() => navigateTo(SCREEN_MAP.STUDENT_DETAIL, { studentId: mergedInto.id }, { replace: true })} />
+        ) : (
+          <EmptyState title="Student Not Found" description="The requested student record does not exist or is outside the records you can access." icon="warning" />
+        )}
+        <div className="text-center" style={{ marginTop: 'var(--spacing-lg)' }}>
+          <Button onClick={() => navigateTo(SCREEN_MAP.STUDENT_LIST)} variant="secondary">Back to Student List</Button>
+        </div>
+      </div>
+    );
+  }
+
+  const studentWorkflowStages = getWorkflowMilestones('student', student);
+  const studentTransitions = getWorkflowTransitions('student', student, { role: currentUserPermissions.role, data: mockData });
+
+  const studentRecordIds = getStudentRecordIds(student);
+  const studentAuditLog = mockData.activityLog.filter(log => log.recordType === 'Student' && studentRecordIds.includes(log.recordId));
+
+  const canManageEnrollments = currentUserPermissions.canEditAll && canWriteCollection(currentUserPermissions, 'enrollments');
+
+  const handleEdit = () => {
+    if (currentUserPermissions.canEditAll) {
+      navigateTo(SCREEN_MAP.ADMISSION_FORM, { studentId: student.id, mode: 'edit' });
+    } else {
+      alert("You don't have permission to edit this record.");
+    }
+  };
+
+  const handleTransition = (transition) => {
+    let reason;
+    if (transition.requiresReason) {
+      reason = prompt(`Reason to ${transition.label.toLowerCase()} ${student.name}:`);
+      if (reason === null) return;
+    }
+    const outcome = repository.perform(data => transitionStudent(data, student.id, transition.id, currentUserPermissions, reason));
+    if (outcome.error) {
+      alert(outcome.error);
+      return;
+    }
+  };
+
+  const canGenerateTranscript = currentUserPermissions.canExportData && currentUserPermissions.canGenerateTranscripts;
+
+  const handleExportTranscript = async () => {
+    setIsGeneratingTranscript(true);
+    const generatedAt = new Date().toISOString();
+    const content = buildTranscript(student.id, mockData);
+    const verificationCode = await computeVerificationCode(content, generatedAt);
+    const saved = await recordExport(repository, currentUserPermissions, 'Student',
+      `Official transcript generated for ${student.name} (verification code ${verificationCode}).`, student.id);
+    if (saved) {
+      setTranscript({
+        url: URL.createObjectURL(renderTranscriptPdf(content, { generatedAt, verificationCode })),
+        fileName: `transcript-${student.studentId}-${toLocalDateKey(generatedAt)}.pdf`,
+        generatedAt, verificationCode,
+      });
+    }
+    setIsGeneratingTranscript(false);
+  };
+
+  const handleDownloadTranscript = () => {
+    const link = document.createElement('a');
+    link.href = transcript.url;
+    link.download = transcript.fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  };
+
+  const studentEnrollments = mockData.enrollments.filter(e => e.studentId === student.id);
+  const studentSessions = mockData.attendanceSessions.filter(session => session.records[student.id]);
+  const attendanceCourseIds = [...new Set(studentSessions.map(session => session.courseId))];
+  const enrollableCourses = mockData.courses.filter(c => isCourseOpenForEnrollment(c) && !studentEnrollments.some(e =>
+    e.courseId === c.id && (e.status === ENROLLMENT_STATUS.ENROLLED || e.status === ENROLLMENT_STATUS.WAITLISTED)));
+
+  const handleEnroll = () => {
+    const outcome = repository.perform(data => enrollStudentInCourse(data, student.id, enrollCourseId, currentUserPermissions.user));
+    if (outcome.error) {
+      alert(outcome.error);
+      return;
+    }
+    setEnrollCourseId('');
+    if (outcome.enrollment.status === ENROLLMENT_STATUS.WAITLISTED) {
+      alert(`The course is full. ${student.name} has been added to the waitlist.`);
+    }
+  };
+
+  const handleDrop = (enrollmentId) => {
+    if (!window.confirm('Drop this course enrollment?')) return;
+    const outcome = repository.perform(data => dropEnrollment(data, enrollmentId, currentUserPermissions.user));
+    if (outcome.error) {
+      alert(outcome.error);
+      return;
+    }
+  };
+
+  return (
+    <div className="container">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--spacing-lg)' }}>
+        <h2 style={{ margin: 0 }}>{student.name} <span style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-lg)', fontWeight: 'normal' }}>({student.studentId})</span></h2>
+        <div style={{ display: 'flex', gap: 'var(--spacing-sm)' }}>
+          {currentUserPermissions.canEditAll && <Button onClick={handleEdit} variant="primary" icon="edit">Edit Student</Button>}
+          {canGenerateTranscript && (
+            <Button onClick={handleExportTranscript} variant="outline" icon="file" disabled={isGeneratingTranscript}>
+              {isGeneratingTranscript ? 'Generating...' : 'Generate Transcript'}
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <div className="record-summary-layout">
+        <div className="record-summary__main">
+          <Card className="card--elevated">
+            <h3 style={{ marginBottom: 'var(--spacing-md)' }}>Summary Information</h3>
+            <div className="grid-2-col" style={{ gap: 'var(--spacing-md)' }}>
+              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Email:</p> <p>{student.email}</p></div>
+              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Date of Birth:</p> <p>{student.dateOfBirth || 'Not recorded'}</p></div>
+              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Major:</p> <p>{student.major}</p></div>
+              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Enrollment Date:</p> <p>{student.enrollmentDate}</p></div>
+              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Advisor:</p> <p>{student.advisor || 'Not assigned'}</p></div>
+              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Current Status:</p> <p><StatusBadge status={student.status} workflow="student" /></p></div>
+              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>GPA:</p> <p>{formatGPA(computeStudentGPA(student.id, mockData))} <span style={{ fontSize: 'var(--font-size-sm)' }}>(credit-weighted, from posted grades)</span></p></div>
+              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Attendance Rate:</p> <p>{formatAttendanceRate(computeAttendanceRate(student.id, mockData.attendanceSessions))}</p></div>
+              {student.mergedFrom && (
+                <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Merged Records:</p> <p>{student.mergedFrom.map(entry => `${entry.studentId} (${entry.id})`).join(', ')}</p></div>
+              )}
+            </div>
+            {/* Related records */}
+            <div style={{ marginTop: 'var(--spacing-xl)', borderTop: '1px solid var(--border-color)', paddingTop: 'var(--spacing-lg)' }}>
+              <h4 style={{ marginBottom: 'var(--spacing-md)' }}>Enrolled Courses</h4>
+              {studentEnrollments.length === 0 && <p>No course enrollments yet.</p>}
+              {studentEnrollments.map(enrollment => {
+                const course = mockData.courses.find(c => c.id === enrollment.courseId);
+                if (!course) return null;
+                const waitlistPosition = canSeeCourseRosters(currentUserPermissions) && getWaitlistPosition(enrollment, mockData.enrollments);
+                const canDrop = enrollment.status === ENROLLMENT_STATUS.ENROLLED || enrollment.status === ENROLLMENT_STATUS.WAITLISTED;
+                return (
+                  <div key={enrollment.id} className="enrollment-row" onClick={() => navigateTo(SCREEN_MAP.COURSE_DETAIL, { courseId: course.id })}>
+                    <span>
+                      {course.name} ({course.code}) - {course.credits} Credits
+                      <span className="enrollment-row__meta">
+                        {waitlistPosition ? `Waitlist position #${waitlistPosition}` : `Since ${enrollment.enrolledDate}`}
+                        {enrollment.finalGrade && ` · Final grade ${enrollment.finalGrade.letter} (${enrollment.finalGrade.percentage}%)`}
+                      </span>
+                    </span>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)' }}>
+                      <StatusBadge status={enrollment.status} />
+                      {canManageEnrollments && canDrop && (
+                        <Button variant="outline" onClick={(e) => { e.stopPropagation(); handleDrop(enrollment.id); }}>Drop</Button>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+              {canManageEnrollments && (
+                <div style={{ display: 'flex', alignItems: 'flex-end', gap: 'var(--spacing-sm)', marginTop: 'var(--spacing-md)' }}>
+                  <SelectField
+                    label="Enroll in course"
+                    name="enrollCourseId"
+                    value={enrollCourseId}
+                    onChange={(e) => setEnrollCourseId(e.target.value)}
+                    placeholder="Select a course..."
+                    options={enrollableCourses.map(c => {
+                      const { available } = getCourseSeatSummary(c, mockData.enrollments);
+                      return { value: c.id, label: `${c.code} - ${c.name} (${available > 0 ? `${available} seats left` : 'full, waitlist'})` };
+                    })}
+                  />
+                  <div className="form-group">
+                    <Button variant="secondary" icon="plus" onClick={handleEnroll} disabled={!enrollCourseId}>Enroll</Button>
+                  </div>
+                </div>
+              )}
+            </div>
+          </Card>
+
+          <Card className="card--elevated">
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--spacing-md)' }}>
+              <h3 style={{ margin: 0 }}>Attendance</h3>
+              <span style={{ fontWeight: 600, color: 'var(--text-accent)' }}>Overall: {formatAttendanceRate(computeAttendanceRate(student.id, mockData.attendanceSessions))}</span>
+            </div>
+            {attendanceCourseIds.length === 0 ? (
+              <p>No attendance has been recorded for this student yet.</p>
+            ) : (
+              <>
+                <table className="data-table">
+                  <thead>
+                    <tr><th>Course</th><th>Sessions</th><th>Present</th><th>Late</th><th>Absent</th><th>Excused</th><th>Rate</th></tr>
+                  </thead>
+                  <tbody>
+                    {attendanceCourseIds.map(courseId => {
+                      const course = mockData.courses.find(c => c.id === courseId);
+                      const marks = studentSessions.filter(session => session.courseId === courseId).map(session => session.records[student.id]);
+                      const countOf = (status) => marks.filter(m => m === status).length;
+                      return (
+                        <tr key={courseId}>
+                          <td>{course ? `${course.code} - ${course.name}` : courseId}</td>
+                          <td>{marks.length}</td>
+                          <td>{countOf(ATTENDANCE_STATUS.PRESENT)}</td>
+                          <td>{countOf(ATTENDANCE_STATUS.LATE)}</td>
+                          <td>{countOf(ATTENDANCE_STATUS.ABSENT)}</td>
+                          <td>{countOf(ATTENDANCE_STATUS.EXCUSED)}</td>
+                          <td><strong>{formatAttendanceRate(computeAttendanceRate(student.id, mockData.attendanceSessions, courseId))}</strong></td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-end', marginTop: 'var(--spacing-lg)' }}>
+                  <h4 style={{ marginBottom: 'var(--spacing-md)' }}>History</h4>
+                  <SelectField
+                    label="Course"
+                    name="attendanceHistoryCourse"
+                    value={attendanceHistoryCourseId}
+                    onChange={(e) => setAttendanceHistoryCourseId(e.target.value)}
+                    placeholder="All courses"
+                    options={attendanceCourseIds.map(courseId => ({ value: courseId, label: mockData.courses.find(c => c.id === courseId)?.code || courseId }))}
+                  />
+                </div>
+                <div className="attendance-history">
+                  {studentSessions
+                    .filter(session => !attendanceHistoryCourseId || session.courseId === attendanceHistoryCourseId)
+                    .sort((a, b) => b.date.localeCompare(a.date))
+                    .map(session => {
+                      const mark = session.records[student.id];
+                      return (
+                        <div key={session.id} className="attendance-history__item">
+                          <span>{session.date}</span>
+                          <span>{mockData.courses.find(c => c.id === session.courseId)?.code}</span>
+                          <span className={`status-tag status-tag--${ATTENDANCE_STATUS_COLORS[mark]}`}>{mark}</span>
+                        </div>
+                      );
+                    })}
+                </div>
+              </>
+            )}
+          </Card>
+
+          <Card className="card--elevated">
+            <h3 style={{ marginBottom: 'var(--spacing-md)' }}>Academic Documents</h3>
+            {transcript ? (
+              <>
+                <p className="data-table__subheading" style={{ marginBottom: 'var(--spacing-sm)' }}>
+                  Official transcript generated {new Date(transcript.generatedAt).toLocaleString()} · Verification code <strong>{transcript.verificationCode}</strong>
+                </p>
+                <iframe src={transcript.url} title={`Transcript for ${student.name}`} className="document-preview" />
+              </>
+            ) : (
+              <div className="chart-container" style={{ minHeight: '200px', backgroundColor: 'var(--bg-main)', borderRadius: 'var(--border-radius-md)' }}>
+                <p>
+                  {canGenerateTranscript
+                    ? <>Generate an official transcript to preview it here. <Icon name="file" /></>
+                    : <>Official transcripts are issued by the registrar. <Icon name="file" /></>}
+                </p>
+              </div>
+            )}
+            <div style={{ marginTop: 'var(--spacing-lg)', display: 'flex', justifyContent: 'flex-end', gap: 'var(--spacing-sm)' }}>
+              {transcript && <Button variant="primary" icon="download" onClick={handleDownloadTranscript}>Download Transcript PDF</Button>}
+            </div>
+          </Card>
+
+          <DocumentPanel ownerType="student" record={student} currentUserPermissions={currentUserPermissions} mockData={mockData} repository={repository} />
+
+        </div>
+
+        <div className="record-summary__sidebar">
+          <MilestoneTracker stages={studentWorkflowStages} currentStageId={student.workflowStageId} />
+          {currentUserPermissions.canEditAll && studentTransitions.length > 0 && (
+            <Card className="workflow-actions">
+              <h3 style={{ marginBottom: 'var(--spacing-md)' }}>Workflow Actions</h3>
+              {studentTransitions.map(transition => (
+                <div key={transition.id} className="workflow-actions__item">
+                  <Button variant={transition.allowed ? 'secondary' : 'outline'} disabled={!transition.allowed} onClick={() => handleTransition(transition)}>
+                    {transition.label}
+                  </Button>
+                  <span className="activity-item__meta">
+                    {transition.allowed ? `→ ${transition.toStatus}` : transition.blockedReason}
+                  </span>
+                </div>
+              ))}
+            </Card>
+          )}
+          {student.applicationHistory && <ApplicationHistory history={student.applicationHistory} title={`Application History (${student.admissionId})`} />}
+          {currentUserPermissions.canViewAuditLogs && <ActivityFeed activities={studentAuditLog} title="Student Audit Feed" />}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// The student form. The record fields are also what imported rows are checked against, so a student
+// passes the same rules whether typed in or imported.
+const STUDENT_RECORD_FIELDS = ['name', 'email', 'dateOfBirth', 'major', 'enrollmentDate'];
+
+// Enrollment dates can be set up to a year ahead for admissions to upcoming terms.
+const getLatestEnrollmentDate = () => new Date(Date.now() + 365 * DAY_MS).toISOString().split('T')[0];
+
+const isStudentFieldLocked = (fieldName) => (values, { permissions }) => !canEditField(permissions, 'students', fieldName);
+
+// The allowed workflow transition for the status picked in the form, if it differs from the record's.
+const getStudentFormTransition = (values, { record, permissions, data }) => (record && values.status !== record.status
+  ? getWorkflowTransitions('student', record, { role: permissions.role, data }).find(t => t.allowed && t.toStatus === values.status) || null
+  : null);
+
+const STUDENT_FORM_SCHEMA = [
+  { name: 'name', label: 'Student Name', type: 'text', required: true, maxLength: 100, disabled: isStudentFieldLocked('name') },
+  {
+    // New students get the next number from the ID sequence unless an existing card number is typed in
+    name: 'studentId', label: 'Student ID', type: 'text', maxLength: 20,
+    pattern: { regex: /^[A-Za-z0-9/-]+$/, message: 'Student ID can only contain letters, digits, dashes and slashes.' },
+    unique: { collection: 'students', field: 'studentId', message: (value, clash) => `Student ID ${value} is already used by ${clash.name}.` },
+    placeholder: (values, { record, nextStudentId }) => (record ? '' : nextStudentId),
+    autoPopulateText: (values, { record }) => (record ? '' : 'the next number in the student ID sequence when left blank'),
+    // The ID printed on student cards is fixed once the record exists
+    disabled: (values, { record }) => Boolean(record),
+  },
+  {
+    name: 'email', label: 'Email Address', type: 'email', required: true, maxLength: 254,
+    unique: { collection: 'students', field: 'email', message: (value, clash) => `${value} already belongs to ${clash.name} (${clash.studentId}).` },
+    disabled: isStudentFieldLocked('email'),
+  },
+  {
+    name: 'dateOfBirth', label: 'Date of Birth', type: 'date', min: '1900-01-01', max: () => new Date().toISOString().split('T')[0],
+    validate: (value, values) => (values.enrollmentDate && value >= values.enrollmentDate ? 'Date of Birth must be before the Enrollment Date.' : null),
+    disabled: isStudentFieldLocked('dateOfBirth'),
+  },
+  { name: 'major', label: 'Major', type: 'text', required: true, maxLength: 100, disabled: isStudentFieldLocked('major') },
+  {
+    name: 'enrollmentDate', label: 'Enrollment Date', type: 'date', required: true,
+    min: '1900-01-01', max: getLatestEnrollmentDate, disabled: isStudentFieldLocked('enrollmentDate'),
+  },
+  {
+    name: 'status', label: 'Status', type: 'select', required: true,
+    // Only moves the student workflow allows for this role are offered
+    options: (values, { statusOptions }) => statusOptions,
+    disabled: (values, { statusOptions }) => statusOptions.length < 2,
+    validate: (value, values, context) => (context.record && value !== context.record.status && !getStudentFormTransition(values, context)
+      ? `Changing status from ${context.record.status} to ${value} is not allowed.`
+      : null),
+  },
+  {
+    name: 'statusReason', label: 'Reason for status change', type: 'textarea', required: true, maxLength: 500,
+    visible: (values, context) => Boolean(getStudentFormTransition(values, context)?.requiresReason),
+  },
+  {
+    name: 'currentGPA', label: 'Current GPA', type: 'number', autoPopulateText: 'Computed from posted gradebook grades',
+    computed: (values, { record, data }) => (record ? formatGPA(computeStudentGPA(record.id, data)) : 'N/A'),
+  },
+  {
+    name: 'attendanceRate', label: 'Attendance Rate (%)', type: 'number', autoPopulateText: 'Computed from recorded attendance sessions',
+    computed: (values, { record, data }) => (record ? formatAttendanceRate(computeAttendanceRate(record.id, data.attendanceSessions)) : 'N/A'),
+  },
+  {
+    name: 'applicationFile', label: 'Upload Application File', type: 'file', required: true,
+    accept: DOCUMENT_ACCEPT, hint: `PDF or image, up to ${formatFileSize(MAX_DOCUMENT_SIZE)}`,
+    visible: (values, { record }) => !record,
+    validate: (file) => validateDocumentFile(file),
+  },
+];
+
+const validateStudentFields = (fields) => validateFormValues(STUDENT_FORM_SCHEMA.filter(field => STUDENT_RECORD_FIELDS.includes(field.name)), fields);
+
+const UNSAVED_STUDENT_FORM_MESSAGE = 'The student form has unsaved changes. Leave anyway? Your draft stays saved on this device.';
+
+const AdmissionFormScreen = ({ navigateTo, currentUserPermissions, params, mockData, repository, setUnsavedChanges }) => {
+  const studentId = params.studentId;
+  const isEditMode = params.mode === 'edit' && studentId;
+  const existingStudent = isEditMode ? mockData.students.find(s => s.id === studentId) : null;
+  const draftKey = getFormDraftKey(isEditMode ? `student-${studentId}` : 'admission', currentUserPermissions.userId);
+
+  const workflowContext = { role: currentUserPermissions.role, data: mockData };
+  const formContext = {
+    data: mockData,
+    record: existingStudent,
+    recordId: existingStudent?.id,
+    permissions: currentUserPermissions,
+    repository,
+    statusOptions: existingStudent
+      ? getReachableStatuses('student', existingStudent, workflowContext)
+      : [WORKFLOW_DEFINITIONS.student.initialStatus],
+    nextStudentId: existingStudent ? null : allocateStudentId(mockData).studentId,
+  };
+
+  // What the form holds before the user types anything; a draft is applied on top of it
+  const [initialValues] = useState(() => ({
+    name: existingStudent?.name || '',
+    studentId: existingStudent?.studentId || '',
+    email: existingStudent?.email || '',
+    dateOfBirth: existingStudent?.dateOfBirth || '',
+    major: existingStudent?.major || '',
+    status: existingStudent?.status || WORKFLOW_DEFINITIONS.student.initialStatus,
+    statusReason: '',
+    enrollmentDate: existingStudent?.enrollmentDate || '',
+    applicationFile: null,
+  }));
+  const [restoredDraft, setRestoredDraft] = useState(() => loadFormDraft(draftKey));
+  const [values, setValues] = useState(() => ({ ...initialValues, ...restoredDraft?.values }));
+  const [formErrors, setFormErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isDirty = serializeFormValues(STUDENT_FORM_SCHEMA, values) !== serializeFormValues(STUDENT_FORM_SCHEMA, initialValues);
+  const statusTransition = getStudentFormTransition(values, formContext);
+
+  useEffect(() => {
+    if (isEditMode && !existingStudent) {
+      alert("Student record not found for editing.");
+      navigateTo(SCREEN_MAP.STUDENT_LIST);
+    }
+  }, [isEditMode, existingStudent, navigateTo]);
+
+  // Autosave: keep the draft in step with the form shortly after typing stops, and drop it once the
+  // form is back to its starting values
+  useEffect(() => {
+    if (!isDirty) {
+      clearFormDraft(draftKey);
+      return undefined;
+    }
+    const timer = setTimeout(() => saveFormDraft(draftKey, STUDENT_FORM_SCHEMA, values), 500);
+    return () => clearTimeout(timer);
+  }, [draftKey, isDirty, values]);
+
+  useEffect(() => {
+    setUnsavedChanges(isDirty ? UNSAVED_STUDENT_FORM_MESSAGE : null);
+  }, [isDirty, setUnsavedChanges]);
+  useEffect(() => () => setUnsavedChanges(null), [setUnsavedChanges]);
+
+  const handleChange = (name, value) => {
+    setValues(prev => ({ ...prev, [name]: value }));
+    // Files are checked as soon as they are picked; other fields again once they lose focus
+    const field = STUDENT_FORM_SCHEMA.find(f => f.name === name);
+    setFormErrors(prev => ({ ...prev, [name]: field.type === 'file' ? validateFieldValue(field, { ...values, [name]: value }, formContext) : null }));
+  };
+
+  const handleBlur = async (name) => {
+    const field = STUDENT_FORM_SCHEMA.find(f => f.name === name);
+    const error = validateFieldValue(field, values, formContext)
+      || (await validateFormUniqueness(STUDENT_FORM_SCHEMA, values, formContext, [name]))[name]
+      || null;
+    setFormErrors(prev => ({ ...prev, [name]: error }));
+  };
+
+  const discardDraft = () => {
+    clearFormDraft(draftKey);
+    setRestoredDraft(null);
+    setValues(initialValues);
+    setFormErrors({});
+  };
+
+  const leaveForm = (screen, screenParams = {}) => {
+    setUnsavedChanges(null);
+    navigateTo(screen, screenParams);
+  };
+
+  const handleCancel = () => {
+    if (isDirty && !window.confirm('Discard your changes to this student?')) return;
+    clearFormDraft(draftKey);
+    leaveForm(SCREEN_MAP.STUDENT_LIST);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    const errors = {
+      ...validateFormValues(STUDENT_FORM_SCHEMA, values, formContext),
+      ...await validateFormUniqueness(STUDENT_FORM_SCHEMA, values, formContext),
+    };
+    setFormErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      setIsSubmitting(false);
+      alert("Please correct the errors in the form.");
+      return;
+    }
+
+    // Status changes go through the workflow below rather than being written directly
+    const { statusReason, applicationFile, status, ...fields } = values;
+    // The application file is stored as the new student's first document
+    const applicationDocument = applicationFile ? await readDocumentFile(applicationFile) : null;
+    const now = new Date().toISOString();
+    const buildRecord = (base) => ({
+      ...base,
+      ...fields,
+      studentId: fields.studentId.trim() || base.studentId,
+      email: fields.email.trim(),
+      ...(applicationFile && { applicationFileName: applicationFile.name }),
+      image: `https://api.dicebear.com/7.x/initials/svg?seed=${encodeURIComponent(values.name)}`,
+      lastActivity: now,
+    });
+
+    const outcome = repository.perform(prevData => {
+      // Checked again against every record, including ones this user can't see or that were just added
+      const email = fields.email.trim().toLowerCase();
+      const studentId = fields.studentId.trim().toLowerCase();
+      const others = prevData.students.filter(s => s.id !== existingStudent?.id);
+      if (others.some(s => s.email.toLowerCase() === email)) {
+        return { error: `Email ${fields.email.trim()} already belongs to a student.` };
+      }
+      if (studentId && others.some(s => s.studentId.toLowerCase() === studentId)) {
+        return { error: `Student ID ${fields.studentId.trim()} is already in use.` };
+      }
+      if (isEditMode) {
+        const student = buildRecord(existingStudent);
+        const updatedData = {
+          ...prevData,
+          students: prevData.students.map(s => s.id === student.id ? student : s),
+          activityLog: [createActivityEntry(prevData.activityLog, {
+            userName: currentUserPermissions.user,
+            action: 'updated', recordType: 'Student', recordId: student.id,
+            details: `Student ${student.name} details updated.`,
+          }), ...prevData.activityLog],
+        };
+        if (!statusTransition) return { student, data: updatedData };
+        const transitioned = transitionStudent(updatedData, student.id, statusTransition.id, currentUserPermissions, statusReason);
+        if (transitioned.error) return transitioned;
+        return { student, data: transitioned.data };
+      }
+      // Ids are allocated against the data being saved, so two admissions made at once can't collide
+      const allocated = fields.studentId.trim() ? { data: prevData } : allocateStudentId(prevData);
+      const student = buildRecord({
+        id: nextStudentRecordId(prevData.students),
+        studentId: allocated.studentId,
+        status: WORKFLOW_DEFINITIONS.student.initialStatus,
+        workflowStageId: WORKFLOW_DEFINITIONS.student.initialStageId,
+        workflowHistory: [{
+          at: now, by: currentUserPermissions.user, action: 'created',
+          toStatus: WORKFLOW_DEFINITIONS.student.initialStatus, toStageId: WORKFLOW_DEFINITIONS.student.initialStageId,
+        }],
+      });
+      const createdData = {
+        ...allocated.data,
+        students: [...allocated.data.students, student],
+        activityLog: [createActivityEntry(allocated.data.activityLog, {
+          userName: currentUserPermissions.user,
+          action: 'created', recordType: 'Student', recordId: student.id,
+          details: `New student ${student.name} admitted.`,
+        }), ...allocated.data.activityLog],
+      };
+      return { student, ...addDocumentVersion(createdData, { ownerType: 'student', ownerId: student.id, type: 'APPLICATION', file: applicationDocument }, currentUserPermissions) };
+    });
+    if (outcome.error) {
+      setIsSubmitting(false);
+      alert(outcome.error);
+      return;
+    }
+    const saved = await outcome.saved;
+
+    setIsSubmitting(false);
+    if (!saved) return;
+    clearFormDraft(draftKey);
+    alert(`Student record ${isEditMode ? 'updated' : 'created'} successfully!`);
+    leaveForm(SCREEN_MAP.STUDENT_DETAIL, { studentId: outcome.student.id });
+  };
+
+  if (!currentUserPermissions.canManageStudents) {
+    return (
+      <div className="container">
+        <EmptyState title="Access Denied" description="You do not have permission to manage student records." icon="warning" />
+        <div className="text-center" style={{ marginTop: 'var(--spacing-lg)' }}>
+          <Button onClick={() => navigateTo(SCREEN_MAP.DASHBOARD)} variant="secondary">Go to Dashboard</Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container">
+      <h2 style={{ marginBottom: 'var(--spacing-lg)' }}>{isEditMode ? `Edit Student: ${existingStudent?.name}` : 'New Student Admission'}</h2>
+      <Card className="card--elevated" style={{ maxWidth: '800px', margin: '0 auto' }}>
+        {restoredDraft && (
+          <div className="form-draft-notice" role="status">
+            <span>
+              Restored your unsaved draft from {new Date(restoredDraft.savedAt).toLocaleString()}.
+              {Object.values(restoredDraft.fileNames || {}).map(fileName => ` Choose ${fileName} again to attach it.`)}
+            </span>
+            <Button type="button" variant="outline" onClick={discardDraft}>Discard Draft</Button>
+          </div>
+        )}
+        <form onSubmit={handleSubmit} noValidate>
+          {STUDENT_FORM_SCHEMA.map(field => (
+            <FormField key={field.name} field={field} values={values} errors={formErrors} context={formContext} onChange={handleChange} onBlur={handleBlur} />
+          ))}
+
+          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 'var(--spacing-md)', marginTop: 'var(--spacing-xl)' }}>
+            <Button type="button" onClick={handleCancel} variant="outline">Cancel</Button>
+            <Button type="submit" variant="primary" disabled={isSubmitting}>
+              {isSubmitting ? 'Saving...' : (isEditMode ? 'Update Student' : 'Admit Student')}
+            </Button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+};
+
+const CourseCard = ({ course, activityLog, enrollments, onClick, currentUserPermissions, onEdit, onArchive }) => {
+  const { enrolled, waitlist, capacity } = getCourseSeatSummary(course, enrollments);
+  const latestActivity = activityLog
+    .filter(a => a.recordType === 'Course' && a.recordId === course.id)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+
+  return (
+    <Card onClick={() => onClick(course.id)} className="flex-column">
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: 'var(--spacing-md)' }}>
+        <div className="activity-item__icon" style={{ width: '48px', height: '48px', marginRight: 'var(--spacing-md)' }}>
+          <Icon name="course" />
+        </div>
+        <div>
+          <h3 style={{ margin: 0, fontSize: 'var(--font-size-lg)' }}>{course.name}</h3>
+          <p style={{ margin: 0, fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>{course.code} · {course.department}</p>
+        </div>
+        <div style={{ marginLeft: 'auto' }}>
+          <StatusBadge status={course.status} />
+        </div>
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>
+        <p>Credits: <strong>{course.credits}</strong></p>
+        <p>Term: <strong>{course.term}</strong></p>
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>
+        <p style={{ marginBottom: 0 }}>{course.instructor}</p>
+        {canSeeCourseRosters(currentUserPermissions) && (
+          <p style={{ marginBottom: 0 }}>Seats: <strong>{enrolled.length}/{capacity}</strong>{waitlist.length > 0 && ` (+${waitlist.length} waitlisted)`}</p>
+        )}
+      </div>
+      {latestActivity && (
+        <p style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-secondary)', marginTop: 'var(--spacing-md)', borderTop: '1px solid var(--border-color)', paddingTop: 'var(--spacing-md)' }}>
+          Last updated: {new Date(latestActivity.timestamp).toLocaleDateString()}
+        </p>
+      )}
+      {currentUserPermissions.canManageCourses && canWriteCollection(currentUserPermissions, 'courses') && (
+        <div className="card__hover-actions">
+          <Button icon="edit" onClick={(e) => { e.stopPropagation(); onEdit(course.id); }} variant="icon" />
+          {course.status !== 'ARCHIVED' && <Button icon="trash" onClick={(e) => { e.stopPropagation(); onArchive(course.id); }} variant="icon" />}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+// Shared by the course list and detail screens so both record the same audit entry.
+const archiveCourse = (course, repository, currentUserPermissions) => {
+  if (!window.confirm(`Archive course ${course.code} - ${course.name}? It will no longer be offered.`)) return false;
+  repository.applyChanges(prevData => ({
+    ...prevData,
+    courses: prevData.courses.map(c => c.id === course.id ? { ...c, status: 'ARCHIVED' } : c),
+    activityLog: [createActivityEntry(prevData.activityLog, {
+      userName: currentUserPermissions.user,
+      action: 'archived', recordType: 'Course', recordId: course.id,
+      details: `Course ${course.code} archived.`,
+    }), ...prevData.activityLog],
+  }));
+  return true;
+};
+
+const COURSE_SORT_OPTIONS = [
+  { value: 'name', label: 'Name' },
+  { value: 'code', label: 'Code' },
+  { value: 'department', label: 'Department' },
+  { value: 'credits', label: 'Credits' },
+  { value: 'term', label: 'Term' },
+];
+
+const COURSE_EXPORT_COLUMNS = [
+  { label: 'Code', value: course => course.code },
+  { label: 'Name', value: course => course.name },
+  { label: 'Department', value: course => course.department },
+  { label: 'Instructor', value: course => course.instructor },
+  { label: 'Credits', value: course => course.credits },
+  { label: 'Term', value: course => course.term },
+  { label: 'Schedule', value: course => course.schedule },
+  { label: 'Status', value: course => course.status },
+  { label: 'Capacity', value: course => course.capacity },
+  { label: 'Enrolled', value: (course, enrollments) => getCourseSeatSummary(course, enrollments).enrolled.length },
+];
+
+const CourseListScreen = ({ navigateTo, currentUserPermissions, mockData, repository }) => {
+  const canEditCourses = currentUserPermissions.canManageCourses && canWriteCollection(currentUserPermissions, 'courses');
+  const [filter, setFilter] = useState('');
+  const [sortKey, setSortKey] = useState('name');
+  const [sortOrder, setSortOrder] = useState('asc'); // 'asc' or 'desc'
+  const [showArchived, setShowArchived] = useState(false);
+  const { courses } = mockData;
+
+  const handleSearchChange = (e) => setFilter(e.target.value);
+
+  const handleSort = (key) => {
+    if (sortKey === key) {
+      setSortOrder(prev => (prev === 'asc' ? 'desc' : 'asc'));
+    } else {
+      setSortKey(key);
+      setSortOrder('asc');
+    }
+  };
+
+  const filteredCourses = courses.filter(course =>
+    (showArchived || course.status !== 'ARCHIVED') && (
+      course.name.toLowerCase().includes(filter.toLowerCase()) ||
+      course.code.toLowerCase().includes(filter.toLowerCase()) ||
+      course.department.toLowerCase().includes(filter.toLowerCase()) ||
+      (course.instructor || '').toLowerCase().includes(filter.toLowerCase())
+    )
+  );
+
+  const sortedCourses = [...filteredCourses].sort((a, b) => {
+    if (a[sortKey] < b[sortKey]) return sortOrder === 'asc' ? -1 : 1;
+    if (a[sortKey] > b[sortKey]) return sortOrder === 'asc' ? 1 : -1;
+    return 0;
+  });
+
+  // Exports the courses as filtered and sorted on screen
+  const handleExport = async (format) => {
+    if (sortedCourses.length === 0) {
+      alert('There are no courses to export.');
+      return;
+    }
+    const saved = await recordExport(repository, currentUserPermissions, 'CourseList',
+      `Exported ${sortedCourses.length} courses to ${format}${filter ? ` (search "${filter}")` : ''}.`);
+    if (!saved) return;
+    const columns = COURSE_EXPORT_COLUMNS.map(column => ({ label: column.label, value: (course) => column.value(course, mockData.enrollments) }));
+    downloadTable(format, `courses-${toLocalDateKey(Date.now())}`, 'Courses', columns, sortedCourses);
+  };
+
+  const handleEditCourse = (id) => {
+    navigateTo(SCREEN_MAP.COURSE_FORM, { courseId: id, mode: 'edit' });
+  };
+
+  const handleArchiveCourse = (id) => {
+    const course = courses.find(c => c.id === id);
+    if (course) archiveCourse(course, repository, currentUserPermissions);
+  };
+
+  return (
+    <div className="container">
+      <h2 style={{ marginBottom: 'var(--spacing-lg)' }}>Course Catalog</h2>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 'var(--spacing-sm)', marginBottom: 'var(--spacing-lg)' }}>
+        <InputField
+          label="Search"
+          name="courseSearch"
+          type="text"
+          placeholder="Search courses by name, code, department, instructor..."
+          value={filter}
+          onChange={handleSearchChange}
+        />
+        <label style={{ display: 'flex', alignItems: 'center', fontSize: 'var(--font-size-sm)', whiteSpace: 'nowrap' }}>
+          <input type="checkbox" className="checkbox-field" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} />
+          Show archived
+        </label>
+        {canEditCourses && (
+          <Button variant="primary" onClick={() => navigateTo(SCREEN_MAP.COURSE_FORM)} className="btn--icon" icon="plus">Add New Course</Button>
+        )}
+      </div>
+
+      <div style={{ display: 'flex', gap: 'var(--spacing-sm)', alignItems: 'center', marginBottom: 'var(--spacing-lg)' }}>
+        <p style={{ fontWeight: 600, color: 'var(--text-accent)', margin: 0 }}>Sort by:</p>
+        {COURSE_SORT_OPTIONS.map(option => (
+          <Button key={option.value} variant={sortKey === option.value ? 'secondary' : 'outline'} onClick={() => handleSort(option.value)}
+            icon={sortKey === option.value ? (sortOrder === 'asc' ? 'arrowUp' : 'arrowDown') : undefined}>
+            {option.label}
+          </Button>
+        ))}
+      </div>
+
+      {sortedCourses.length === 0 ? (
+        <EmptyState
+          title="No Courses Found"
+          description="Try adjusting your search, or add a new course to the catalog."
+          icon="course"
+          actionText="Add New Course"
+          onAction={canEditCourses ? () => navigateTo(SCREEN_MAP.COURSE_FORM) : undefined}
+        />
+      ) : (
+        <div className="grid-3-col">
+          {sortedCourses.map(course => (
+            <CourseCard
+              key={course.id}
+              course={course}
+              activityLog={mockData.activityLog}
+              enrollments={mockData.enrollments}
+              onClick={(id) => navigateTo(SCREEN_MAP.COURSE_DETAIL, { courseId: id })}
+              currentUserPermissions={currentUserPermissions}
+              onEdit={handleEditCourse}
+              onArchive={handleArchiveCourse}
+            />
+          ))}
+        </div>
+      )}
+
+      {currentUserPermissions.canExportData && (
+        <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: 'var(--spacing-lg)', gap: 'var(--spacing-sm)' }}>
+          <Button variant="outline" onClick={() => handleExport('CSV')} icon="download">Export to CSV</Button>
+          <Button variant="outline" onClick={() => handleExport('XLSX')} icon="download">Export to Excel</Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const CourseDetailScreen = ({ navigateTo, currentUserPermissions, params, mockData, repository }) => {
+  const courseId = params.courseId;
+  const course = mockData.courses.find(c => c.id === courseId);
+  const [enrollStudentId, setEnrollStudentId] = useState('');
+
+  if (!course) {
+    return (
+      <div className="container">
+        <EmptyState title="Course Not Found" description="The requested course does not exist or is outside the courses you can access." icon="warning" />
+        <div className="text-center" style={{ marginTop: 'var(--spacing-lg)' }}>
+          <Button onClick={() => navigateTo(SCREEN_MAP.COURSE_LIST)} variant="secondary">Back to Course Catalog</Button>
+        </div>
+      </div>
+    );
+  }
+
+  const courseAuditLog = mockData.activityLog.filter(log =>
+    (log.recordType === 'Course' && log.recordId === course.id) || log.relatedRecordId === course.id);
+  const canManageEnrollments = currentUserPermissions.canManageCourses && canWriteCollection(currentUserPermissions, 'enrollments');
+
+  const seatSummary = getCourseSeatSummary(course, mockData.enrollments);
+  const showSeatCounts = canSeeCourseRosters(currentUserPermissions);
+  const pastEnrollments = mockData.enrollments.filter(e => e.courseId === course.id &&
+    (e.status === ENROLLMENT_STATUS.COMPLETED || e.status === ENROLLMENT_STATUS.DROPPED));
+  const enrollableStudents = mockData.students.filter(s => s.status !== 'DROPPED' && s.status !== 'GRADUATED' &&
+    ![...seatSummary.enrolled, ...seatSummary.waitlist].some(e => e.studentId === s.id));
+
+  const handleEnroll = () => {
+    const outcome = repository.perform(data => enrollStudentInCourse(data, enrollStudentId, course.id, currentUserPermissions.user));
+    if (outcome.error) {
+      alert(outcome.error);
+      return;
+    }
+    setEnrollStudentId('');
+  };
+
+  const handleDrop = (enrollmentId) => {
+    if (!window.confirm('Drop this student from the course?')) return;
+    const outcome = repository.perform(data => dropEnrollment(data, enrollmentId, currentUserPermissions.user));
+    if (outcome.error) {
+      alert(outcome.error);
+      return;
+    }
+    if (outcome.promoted) {
+      const promotedStudent = mockData.students.find(s => s.id === outcome.promoted.studentId);
+      alert(`A seat opened up: ${promotedStudent?.name} was promoted from the waitlist.`);
+    }
+  };
+
+  const handleComplete = (enrollmentId) => {
+    const outcome = repository.perform(data => completeEnrollment(data, enrollmentId, currentUserPermissions.user));
+    if (outcome.error) {
+      alert(outcome.error);
+      return;
+    }
+  };
+
+  const renderRosterRow = (enrollment, waitlistPosition) => {
+    const student = mockData.students.find(s => s.id === enrollment.studentId);
+    if (!student) return null;
+    return (
+      <div key={enrollment.id} className="enrollment-row" onClick={() => navigateTo(SCREEN_MAP.STUDENT_DETAIL, { studentId: student.id })}>
+        <span>
+          {waitlistPosition && <strong>#{waitlistPosition} </strong>}
+          {student.name} ({student.studentId})
+          <span className="enrollment-row__meta">
+            {enrollment.status === ENROLLMENT_STATUS.WAITLISTED ? `Waitlisted ${new Date(enrollment.waitlistedAt).toLocaleDateString()}` : `Enrolled ${enrollment.enrolledDate}`}
+            {enrollment.finalGrade && ` · Final grade ${enrollment.finalGrade.letter}`}
+          </span>
+        </span>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)' }}>
+          <StatusBadge status={enrollment.status} />
+          {canManageEnrollments && enrollment.status === ENROLLMENT_STATUS.ENROLLED && (
+            <Button variant="outline" icon="check" onClick={(e) => { e.stopPropagation(); handleComplete(enrollment.id); }}>Complete</Button>
+          )}
+          {canManageEnrollments && (enrollment.status === ENROLLMENT_STATUS.ENROLLED || enrollment.status === ENROLLMENT_STATUS.WAITLISTED) && (
+            <Button variant="outline" onClick={(e) => { e.stopPropagation(); handleDrop(enrollment.id); }}>Drop</Button>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const handleEdit = () => {
+    navigateTo(SCREEN_MAP.COURSE_FORM, { courseId: course.id, mode: 'edit' });
+  };
+
+  const handleArchive = () => {
+    archiveCourse(course, repository, currentUserPermissions);
+  };
+
+  return (
+    <div className="container">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--spacing-lg)' }}>
+        <h2 style={{ margin: 0 }}>{course.name} <span style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-lg)', fontWeight: 'normal' }}>({course.code})</span></h2>
+        {currentUserPermissions.canManageCourses && canWriteCollection(currentUserPermissions, 'courses') && (
+          <div style={{ display: 'flex', gap: 'var(--spacing-sm)' }}>
+            <Button onClick={handleEdit} variant="primary" icon="edit">Edit Course</Button>
+            {currentUserPermissions.canEditAll && <Button onClick={() => navigateTo(SCREEN_MAP.GRADEBOOK, { courseId: course.id })} variant="secondary" icon="chart">Gradebook</Button>}
+            {currentUserPermissions.canEditAll && <Button onClick={() => navigateTo(SCREEN_MAP.ATTENDANCE, { courseId: course.id })} variant="secondary" icon="check">Take Attendance</Button>}
+            {course.status !== 'ARCHIVED' && <Button onClick={handleArchive} variant="outline" icon="trash">Archive Course</Button>}
+          </div>
+        )}
+      </div>
+
+      <div className="record-summary-layout">
+        <div className="record-summary__main">
+          <Card className="card--elevated">
+            <h3 style={{ marginBottom: 'var(--spacing-md)' }}>Course Information</h3>
+            <div className="grid-2-col" style={{ gap: 'var(--spacing-md)' }}>
+              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Department:</p> <p>{course.department}</p></div>
+              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Credits:</p> <p>{course.credits}</p></div>
+              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Instructor:</p> <p>{course.instructor || '—'}</p></div>
+              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Term:</p> <p>{course.term || '—'}</p></div>
+              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Schedule:</p> <p>{course.schedule || '—'}</p></div>
+              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Capacity:</p> <p>{course.capacity}</p></div>
+              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Status:</p> <p><StatusBadge status={course.status} /></p></div>
+            </div>
+            <div style={{ marginTop: 'var(--spacing-xl)', borderTop: '1px solid var(--border-color)', paddingTop: 'var(--spacing-lg)' }}>
+              <h4 style={{ marginBottom: 'var(--spacing-md)' }}>Description</h4>
+              <p>{course.description || 'No description provided.'}</p>
+            </div>
+          </Card>
+
+          <Card className="card--elevated">
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--spacing-md)' }}>
+              <h3 style={{ margin: 0 }}>Roster</h3>
+              {showSeatCounts && (
+                <span className={`status-tag status-tag--${seatSummary.available > 0 ? 'approved' : 'pending'}`}>
+                  {seatSummary.enrolled.length}/{seatSummary.capacity} seats filled
+                </span>
+              )}
+            </div>
+            {seatSummary.enrolled.length === 0 && <p>No students enrolled yet.</p>}
+            {seatSummary.enrolled.map(enrollment => renderRosterRow(enrollment))}
+
+            {seatSummary.waitlist.length > 0 && (
+              <>
+                <h4 style={{ margin: 'var(--spacing-lg) 0 var(--spacing-md)' }}>{showSeatCounts ? `Waitlist (${seatSummary.waitlist.length})` : 'Waitlist'}</h4>
+                {seatSummary.waitlist.map((enrollment, index) => renderRosterRow(enrollment, showSeatCounts && index + 1))}
+              </>
+            )}
+
+            {pastEnrollments.length > 0 && (
+              <>
+                <h4 style={{ margin: 'var(--spacing-lg) 0 var(--spacing-md)' }}>Completed &amp; Dropped ({pastEnrollments.length})</h4>
+                {pastEnrollments.map(enrollment => renderRosterRow(enrollment))}
+              </>
+            )}
+
+            {canManageEnrollments && isCourseOpenForEnrollment(course) && (
+              <div style={{ display: 'flex', alignItems: 'flex-end', gap: 'var(--spacing-sm)', marginTop: 'var(--spacing-md)' }}>
+                <SelectField
+                  label="Enroll a student"
+                  name="enrollStudentId"
+                  value={enrollStudentId}
+                  onChange={(e) => setEnrollStudentId(e.target.value)}
+                  placeholder="Select a student..."
+                  options={enrollableStudents.map(s => ({ value: s.id, label: `${s.name} (${s.studentId})` }))}
+                />
+                <div className="form-group">
+                  <Button variant="secondary" icon="plus" onClick={handleEnroll} disabled={!enrollStudentId}>
+                    {seatSummary.available > 0 ? 'Enroll' : 'Add to Waitlist'}
+                  </Button>
+                </div>
+              </div>
+            )}
+          </Card>
+        </div>
+
+        <div className="record-summary__sidebar">
+          {currentUserPermissions.canViewAuditLogs && <ActivityFeed activities={courseAuditLog} title="Course Audit Feed" />}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const CourseFormScreen = ({ navigateTo, currentUserPermissions, params, mockData, repository }) => {
+  const courseId = params.courseId;
+  const isEditMode = params.mode === 'edit' && courseId;
+  const existingCourse = isEditMode ? mockData.courses.find(c => c.id === courseId) : null;
+
+  const initialFormState = {
+    name: existingCourse?.name || '',
+    code: existingCourse?.code || '',
+    department: existingCourse?.department || '',
+    credits: existingCourse?.credits?.toString() || '3',
+    instructor: existingCourse?.instructor || '',
+    capacity: existingCourse?.capacity?.toString() || '30',
+    term: existingCourse?.term || '',
+    schedule: existingCourse?.schedule || '',
+    status: existingCourse?.status || 'PENDING',
+    description: existingCourse?.description || '',
+    changeReason: '',
+  };
+
+  const [formData, setFormData] = useState(initialFormState);
+  const [formErrors, setFormErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Credits feed into every GPA that includes this course, so changing them must be explained
+  const creditsChanged = Boolean(existingCourse) && Number(formData.credits) !== existingCourse.credits;
+
+  useEffect(() => {
+    if (isEditMode && !existingCourse) {
+      alert("Course record not found for editing.");
+      navigateTo(SCREEN_MAP.COURSE_LIST);
+    }
+  }, [isEditMode, existingCourse, navigateTo]);
+
+  const validateForm = () => {
+    let errors = {};
+    if (!formData.name.trim()) errors.name = 'Course Name is mandatory.';
+    if (!formData.code.trim()) errors.code = 'Course Code is mandatory.';
+    else if (mockData.courses.some(c => c.code.toLowerCase() === formData.code.trim().toLowerCase() && c.id !== existingCourse?.id)) {
+      errors.code = 'Course Code is already in use.';
+    }
+    if (!formData.department.trim()) errors.department = 'Department is mandatory.';
+    const credits = Number(formData.credits);
+    if (!Number.isInteger(credits) || credits < 1 || credits > 6) errors.credits = 'Credits must be a whole number between 1 and 6.';
+    const capacity = Number(formData.capacity);
+    if (!Number.isInteger(capacity) || capacity < 1) errors.capacity = 'Capacity must be a positive whole number.';
+    if (creditsChanged && !formData.changeReason.trim()) errors.changeReason = 'A reason is required to change the credits of an existing course.';
+
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) {
+      alert("Please correct the errors in the form.");
+      return;
+    }
+
+    setIsSubmitting(true);
+    // Runs against the full catalog so the id and code checks also cover courses this user can't see.
+    const outcome = repository.perform(data => {
+      const code = formData.code.trim().toUpperCase();
+      if (data.courses.some(c => c.code.toUpperCase() === code && c.id !== existingCourse?.id)) {
+        return { error: `Course Code ${code} is already in use.` };
+      }
+      const { changeReason, ...fields } = formData;
+      const course = {
+        ...existingCourse,
+        ...fields,
+        code,
+        credits: Number(formData.credits),
+        capacity: Number(formData.capacity),
+        id: existingCourse?.id || nextSequentialId('CRS', data.courses, 200),
+      };
+      const updated = {
+        ...data,
+        courses: isEditMode
+          ? data.courses.map(c => c.id === course.id ? course : c)
+          : [...data.courses, course],
+        activityLog: [createActivityEntry(data.activityLog, {
+          userName: currentUserPermissions.user,
+          action: isEditMode ? 'updated' : 'created', recordType: 'Course', recordId: course.id,
+          details: isEditMode ? `Course ${course.code} details updated.` : `New course ${course.code} added to the catalog.`,
+          reason: changeReason,
+        }), ...data.activityLog],
+      };
+      // Extra capacity goes to the waitlist straight away
+      return { course, ...promoteWaitlist(updated, course.id, currentUserPermissions.user) };
+    });
+    if (outcome.error) {
+      setIsSubmitting(false);
+      alert(outcome.error);
+      return;
+    }
+
+    const saved = await outcome.saved;
+    setIsSubmitting(false);
+    if (!saved) return;
+    const promotedNote = outcome.promoted.length > 0 ? ` ${outcome.promoted.length} student(s) were promoted from the waitlist.` : '';
+    alert(`Course ${isEditMode ? 'updated' : 'created'} successfully!${promotedNote}`);
+    navigateTo(SCREEN_MAP.COURSE_DETAIL, { courseId: outcome.course.id });
+  };
+
+  if (!currentUserPermissions.canManageCourses || !canWriteCollection(currentUserPermissions, 'courses')) {
+    return (
+      <div className="container">
+        <EmptyState title="Access Denied" description="You do not have permission to manage courses." icon="warning" />
+        <div className="text-center" style={{ marginTop: 'var(--spacing-lg)' }}>
+          <Button onClick={() => navigateTo(SCREEN_MAP.DASHBOARD)} variant="secondary">Go to Dashboard</Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container">
+      <h2 style={{ marginBottom: 'var(--spacing-lg)' }}>{isEditMode ? `Edit Course: ${existingCourse?.name}` : 'New Course'}</h2>
+      <Card className="card--elevated">
+        <form onSubmit={handleSubmit}>
+          <InputField label="Course Name" name="name" value={formData.name} onChange={handleChange} required error={formErrors.name} />
+          <div className="grid-2-col" style={{ gap: 'var(--spacing-md)' }}>
+            <InputField label="Course Code" name="code" value={formData.code} onChange={handleChange} required error={formErrors.code} />
+            <InputField label="Department" name="department" value={formData.department} onChange={handleChange} required error={formErrors.department} />
+            <InputField label="Credits" type="number" name="credits" value={formData.credits} onChange={handleChange} required error={formErrors.credits} />
+            <InputField label="Capacity" type="number" name="capacity" value={formData.capacity} onChange={handleChange} required error={formErrors.capacity} />
+            <InputField label="Instructor" name="instructor" value={formData.instructor} onChange={handleChange} />
+            <InputField label="Term" name="term" value={formData.term} onChange={handleChange} placeholder="e.g. Fall 2024" />
+            <InputField label="Schedule" name="schedule" value={formData.schedule} onChange={handleChange} placeholder="e.g. Mon/Wed 09:00-10:30" />
+            <SelectField label="Status" name="status" value={formData.status} onChange={handleChange} options={['PENDING', 'ACTIVE', 'COMPLETED', 'ARCHIVED']} />
+          </div>
+          <TextAreaField label="Description" name="description" value={formData.description} onChange={handleChange} />
+          {creditsChanged && (
+            <TextAreaField label="Reason for changing credits" name="changeReason" value={formData.changeReason} onChange={handleChange} required error={formErrors.changeReason} />
+          )}
+
+          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 'var(--spacing-md)', marginTop: 'var(--spacing-xl)' }}>
+            <Button onClick={() => navigateTo(isEditMode ? SCREEN_MAP.COURSE_DETAIL : SCREEN_MAP.COURSE_LIST, isEditMode ? { courseId } : {})} variant="outline">Cancel</Button>
+            <Button type="submit" variant="primary" disabled={isSubmitting}>
+              {isSubmitting ? 'Saving...' : (isEditMode ? 'Update Course' : 'Create Course')}
+            </Button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+};
+
+// Posts the computed final grade for every active enrollment and marks it completed.
+const postFinalGrades = (data, courseId, userName) => {
+  const active = data.enrollments.filter(e => e.courseId === courseId && e.status === ENROLLMENT_STATUS.ENROLLED);
+  return active.reduce((acc, enrollment) => completeEnrollment(acc, enrollment.id, userName).data || acc, data);
+};
+
+const GradebookScreen = ({ navigateTo, currentUserPermissions, params, mockData, repository }) => {
+  const courseId = params.courseId;
+  const course = mockData.courses.find(c => c.id === courseId);
+  const courseAssessments = mockData.assessments.filter(a => a.courseId === courseId);
+
+  const buildScoreDrafts = () => {
+    const drafts = {};
+    mockData.scores.forEach(sc => {
+      if (courseAssessments.some(a => a.id === sc.assessmentId)) drafts[`${sc.assessmentId}_${sc.studentId}`] = String(sc.score);
+    });
+    return drafts;
+  };
+
+  const [scoreDrafts, setScoreDrafts] = useState(buildScoreDrafts);
+  const [weightDrafts, setWeightDrafts] = useState(() => Object.entries(course?.gradingWeights || {}).map(([category, weight]) => ({ category, weight: String(weight) })));
+  const [scaleDrafts, setScaleDrafts] = useState(() => (course?.gradeScale || DEFAULT_GRADE_SCALE).map(g => ({ ...g, min: String(g.min) })));
+  const [newAssessment, setNewAssessment] = useState({ name: '', category: '', maxScore: '100' });
+  const [errors, setErrors] = useState({});
+  const [isDirty, setIsDirty] = useState(false);
+
+  if (!course) {
+    return (
+      <div className="container">
+        <EmptyState title="Course Not Found" description="The requested course does not exist or is outside the courses you can access." icon="warning" />
+        <div className="text-center" style={{ marginTop: 'var(--spacing-lg)' }}>
+          <Button onClick={() => navigateTo(SCREEN_MAP.COURSE_LIST)} variant="secondary">Back to Course Catalog</Button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!currentUserPermissions.canManageCourses || !currentUserPermissions.canEditAll) {
+    return (
+      <div className="container">
+        <EmptyState title="Access Denied" description="You do not have permission to manage grades for this course." icon="warning" />
+        <div className="text-center" style={{ marginTop: 'var(--spacing-lg)' }}>
+          <Button onClick={() => navigateTo(SCREEN_MAP.COURSE_DETAIL, { courseId })} variant="secondary">Back to Course</Button>
+        </div>
+      </div>
+    );
+  }
+
+  const rosterEnrollments = mockData.enrollments.filter(e => e.courseId === courseId &&
+    (e.status === ENROLLMENT_STATUS.ENROLLED || e.status === ENROLLMENT_STATUS.COMPLETED));
+  const categories = weightDrafts.map(w => w.category).filter(Boolean);
+
+  // Grades preview against the unsaved drafts so teachers see the effect before saving
+  const draftCourse = {
+    ...course,
+    gradingWeights: Object.fromEntries(weightDrafts.filter(w => w.category).map(w => [w.category, Number(w.weight) || 0])),
+    gradeScale: scaleDrafts.map(g => ({ ...g, min: Number(g.min) })),
+  };
+  const draftScores = Object.entries(scoreDrafts)
+    .filter(([, value]) => value !== '' && !Number.isNaN(Number(value)))
+    .map(([key, value]) => {
+      const [assessmentId, studentId] = key.split('_');
+      return { assessmentId, studentId, score: Number(value) };
+    });
+
+  const markDirty = () => setIsDirty(true);
+
+  const handleScoreChange = (assessmentId, studentId, value) => {
+    setScoreDrafts(prev => ({ ...prev, [`${assessmentId}_${studentId}`]: value }));
+    markDirty();
+  };
+
+  const handleWeightChange = (index, field, value) => {
+    setWeightDrafts(prev => prev.map((w, i) => i === index ? { ...w, [field]: value } : w));
+    markDirty();
+  };
+
+  const handleScaleChange = (index, value) => {
+    setScaleDrafts(prev => prev.map((g, i) => i === index ? { ...g, min: value } : g));
+    markDirty();
+  };
+
+  const validateGradebook = () => {
+    const nextErrors = {};
+    const weightTotal = weightDrafts.reduce((sum, w) => sum + (Number(w.weight) || 0), 0);
+    if (weightDrafts.some(w => !w.category.trim())) nextErrors.weights = 'Every category needs a name.';
+    else if (new Set(weightDrafts.map(w => w.category.trim())).size !== weightDrafts.length) nextErrors.weights = 'Category names must be unique.';
+    else if (weightTotal !== 100) nextErrors.weights = `Category weights must add up to 100% (currently ${weightTotal}%).`;
+
+    const mins = scaleDrafts.map(g => Number(g.min));
+    if (mins.some(m => Number.isNaN(m) || m < 0 || m > 100)) nextErrors.scale = 'Cutoffs must be between 0 and 100.';
+    else if (mins.some((m, i) => i > 0 && m >= mins[i - 1])) nextErrors.scale = 'Cutoffs must decrease from the highest to the lowest letter grade.';
+    else if (mins[mins.length - 1] !== 0) nextErrors.scale = 'The lowest letter grade must start at 0%.';
+
+    const invalidCells = Object.entries(scoreDrafts).filter(([key, value]) => {
+      if (value === '') return false;
+      const assessment = courseAssessments.find(a => a.id === key.split('_')[0]);
+      const score = Number(value);
+      return !assessment || Number.isNaN(score) || score < 0 || score > assessment.maxScore;
+    });
+    if (invalidCells.length > 0) nextErrors.scores = `${invalidCells.length} score(s) are outside the allowed range for their assessment.`;
+
+    setErrors(nextErrors);
+    return Object.keys(nextErrors).length === 0;
+  };
+
+  const handleSave = async () => {
+    if (!validateGradebook()) return;
+    const saved = await repository.applyChanges(prevData => {
+      const courseAssessmentIds = courseAssessments.map(a => a.id);
+      const otherScores = prevData.scores.filter(sc => !courseAssessmentIds.includes(sc.assessmentId));
+      return {
+        ...prevData,
+        courses: prevData.courses.map(c => c.id === courseId
+          ? { ...c, gradingWeights: draftCourse.gradingWeights, gradeScale: draftCourse.gradeScale }
+          : c),
+        scores: [...otherScores, ...draftScores.map(sc => ({ id: `${sc.assessmentId}_${sc.studentId}`, ...sc }))],
+        activityLog: [createActivityEntry(prevData.activityLog, {
+          userName: currentUserPermissions.user,
+          action: 'graded', recordType: 'Course', recordId: courseId,
+          details: `Gradebook for ${course.code} updated.`,
+        }), ...prevData.activityLog],
+      };
+    });
+    if (!saved) return;
+    setIsDirty(false);
+    alert('Gradebook saved.');
+  };
+
+  const handleAddAssessment = async () => {
+    const maxScore = Number(newAssessment.maxScore);
+    if (!newAssessment.name.trim() || !newAssessment.category || !(maxScore > 0)) {
+      setErrors(prev => ({ ...prev, assessment: 'Name, category and a positive max score are required.' }));
+      return;
+    }
+    const saved = await repository.applyChanges(prevData => {
+      const assessment = {
+        id: nextSequentialId('ASM', prevData.assessments),
+        courseId,
+        name: newAssessment.name.trim(),
+        category: newAssessment.category,
+        maxScore,
+      };
+      return {
+        ...prevData,
+        assessments: [...prevData.assessments, assessment],
+        activityLog: [createActivityEntry(prevData.activityLog, {
+          userName: currentUserPermissions.user,
+          action: 'created', recordType: 'Course', recordId: courseId,
+          details: `Assessment "${assessment.name}" added to ${course.code}.`,
+        }), ...prevData.activityLog],
+      };
+    });
+    if (!saved) return;
+    setNewAssessment({ name: '', category: '', maxScore: '100' });
+    setErrors(prev => ({ ...prev, assessment: undefined }));
+  };
+
+  const handleRemoveAssessment = async (assessment) => {
+    if (!window.confirm(`Remove "${assessment.name}" and all of its scores?`)) return;
+    const saved = await repository.applyChanges(prevData => ({
+      ...prevData,
+      assessments: prevData.assessments.filter(a => a.id !== assessment.id),
+      scores: prevData.scores.filter(sc => sc.assessmentId !== assessment.id),
+      activityLog: [createActivityEntry(prevData.activityLog, {
+        userName: currentUserPermissions.user,
+        action: 'updated', recordType: 'Course', recordId: courseId,
+        details: `Assessment "${assessment.name}" removed from ${course.code}.`,
+      }), ...prevData.activityLog],
+    }));
+    if (!saved) return;
+    setScoreDrafts(prev => Object.fromEntries(Object.entries(prev).filter(([key]) => !key.startsWith(`${assessment.id}_`))));
+  };
+
+  const handlePostFinalGrades = async () => {
+    if (isDirty) {
+      alert('Save the gradebook before posting final grades.');
+      return;
+    }
+    const activeCount = rosterEnrollments.filter(e => e.status === ENROLLMENT_STATUS.ENROLLED).length;
+    if (activeCount === 0) {
+      alert('There are no active enrollments to post grades for.');
+      return;
+    }
+    if (!window.confirm(`Post final grades for ${activeCount} student(s)? Their enrollments will be marked as completed.`)) return;
+    const saved = await repository.applyChanges(prevData => postFinalGrades(prevData, courseId, currentUserPermissions.user));
+    if (saved) alert(`Final grades posted for ${activeCount} student(s).`);
+  };
+
+  return (
+    <div className="container">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--spacing-lg)' }}>
+        <h2 style={{ margin: 0 }}>Gradebook: {course.name} <span style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-lg)', fontWeight: 'normal' }}>({course.code})</span></h2>
+        <div style={{ display: 'flex', gap: 'var(--spacing-sm)' }}>
+          <Button onClick={handleSave} variant="primary" icon="check" disabled={!isDirty}>Save Gradebook</Button>
+          <Button onClick={handlePostFinalGrades} variant="outline">Post Final Grades</Button>
+        </div>
+      </div>
+
+      {errors.scores && <p className="error-message" style={{ marginBottom: 'var(--spacing-md)' }}>{errors.scores}</p>}
+
+      <Card className="card--elevated mb-lg gradebook">
+        <h3 style={{ marginBottom: 'var(--spacing-md)' }}>Scores</h3>
+        {rosterEnrollments.length === 0 ? (
+          <p>No enrolled students to grade yet.</p>
+        ) : (
+          <div style={{ overflowX: 'auto' }}>
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Student</th>
+                  {courseAssessments.map(a => (
+                    <th key={a.id}>
+                      {a.name}
+                      <span className="data-table__subheading">{a.category} · /{a.maxScore}</span>
+                      <button type="button" className="btn--icon data-table__remove" title="Remove assessment" onClick={() => handleRemoveAssessment(a)}>×</button>
+                    </th>
+                  ))}
+                  <th>Course %</th>
+                  <th>Grade</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rosterEnrollments.map(enrollment => {
+                  const student = mockData.students.find(s => s.id === enrollment.studentId);
+                  if (!student) return null;
+                  const percentage = computeCoursePercentage(draftCourse, student.id, { assessments: courseAssessments, scores: draftScores });
+                  const grade = getLetterGrade(percentage, draftCourse.gradeScale);
+                  return (
+                    <tr key={enrollment.id}>
+                      <td>
+                        {student.name}
+                        <span className="data-table__subheading">{student.studentId}{enrollment.status === ENROLLMENT_STATUS.COMPLETED && ` · Posted ${enrollment.finalGrade?.letter || '—'}`}</span>
+                      </td>
+                      {courseAssessments.map(a => {
+                        const value = scoreDrafts[`${a.id}_${student.id}`] ?? '';
+                        const isInvalid = value !== '' && (Number.isNaN(Number(value)) || Number(value) < 0 || Number(value) > a.maxScore);
+                        return (
+                          <td key={a.id}>
+                            <input
+                              type="number"
+                              min="0"
+                              max={a.maxScore}
+                              className={`input-field data-table__cell-input ${isInvalid ? 'data-table__cell-input--invalid' : ''}`}
+                              value={value}
+                              onChange={(e) => handleScoreChange(a.id, student.id, e.target.value)}
+                              aria-label={`${a.name} score for ${student.name}`}
+                            />
+                          </td>
+                        );
+                      })}
+                      <td>{percentage === null ? '—' : `${percentage.toFixed(1)}%`}</td>
+                      <td><strong>{grade ? grade.letter : '—'}</strong></td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div style={{ display: 'flex', alignItems: 'flex-end', gap: 'var(--spacing-sm)', marginTop: 'var(--spacing-lg)', borderTop: '1px solid var(--border-color)', paddingTop: 'var(--spacing-md)' }}>
+          <InputField label="New assessment" name="newAssessmentName" value={newAssessment.name} placeholder="e.g. Lab Report 1"
+            onChange={(e) => setNewAssessment(prev => ({ ...prev, name: e.target.value }))} />
+          <SelectField label="Category" name="newAssessmentCategory" value={newAssessment.category} placeholder="Select..." options={categories}
+            onChange={(e) => setNewAssessment(prev => ({ ...prev, category: e.target.value }))} />
+          <InputField label="Max score" type="number" name="newAssessmentMax" value={newAssessment.maxScore}
+            onChange={(e) => setNewAssessment(prev => ({ ...prev, maxScore: e.target.value }))} />
+          <div className="form-group">
+            <Button variant="secondary" icon="plus" onClick={handleAddAssessment}>Add Assessment</Button>
+          </div>
+        </div>
+        {errors.assessment && <p className="error-message">{errors.assessment}</p>}
+      </Card>
+
+      <div className="grid-2-col">
+        <Card className="card--elevated">
+          <h3 style={{ marginBottom: 'var(--spacing-md)' }}>Category Weights</h3>
+          {weightDrafts.map((w, index) => (
+            <div key={index} style={{ display: 'flex', gap: 'var(--spacing-sm)', alignItems: 'flex-end' }}>
+              <InputField label={index === 0 ? 'Category' : ''} name={`weightCategory${index}`} value={w.category} onChange={(e) => handleWeightChange(index, 'category', e.target.value)} />
+              <InputField label={index === 0 ? 'Weight (%)' : ''} type="number" name={`weightValue${index}`} value={w.weight} onChange={(e) => handleWeightChange(index, 'weight', e.target.value)} />
+              <div className="form-group">
+                <Button variant="icon" icon="trash" disabled={courseAssessments.some(a => a.category === w.category)}
+                  onClick={() => { setWeightDrafts(prev => prev.filter((_, i) => i !== index)); markDirty(); }} />
+              </div>
+            </div>
+          ))}
+          <Button variant="outline" icon="plus" onClick={() => { setWeightDrafts(prev => [...prev, { category: '', weight: '0' }]); markDirty(); }}>Add Category</Button>
+          {errors.weights && <p className="error-message">{errors.weights}</p>}
+        </Card>
+
+        <Card className="card--elevated">
+          <h3 style={{ marginBottom: 'var(--spacing-md)' }}>Letter Grade Scale</h3>
+          <div className="grid-3-col" style={{ gap: 'var(--spacing-sm)' }}>
+            {scaleDrafts.map((g, index) => (
+              <InputField key={g.letter} label={`${g.letter} (${g.points.toFixed(1)}) from %`} type="number" name={`scale${index}`} value={g.min} onChange={(e) => handleScaleChange(index, e.target.value)} />
+            ))}
+          </div>
+          {errors.scale && <p className="error-message">{errors.scale}</p>}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+const AttendanceScreen = ({ navigateTo, currentUserPermissions, params, mockData, repository }) => {
+  const courseId = params.courseId;
+  const course = mockData.courses.find(c => c.id === courseId);
+  const courseSessions = mockData.attendanceSessions
+    .filter(session => session.courseId === courseId)
+    .sort((a, b) => b.date.localeCompare(a.date));
+
+  const today = new Date().toISOString().split('T')[0];
+  const [sessionDate, setSessionDate] = useState(today);
+  const [marks, setMarks] = useState(() => courseSessions.find(session => session.date === today)?.records || {});
+  const [isDirty, setIsDirty] = useState(false);
+
+  if (!course) {
+    return (
+      <div className="container">
+        <EmptyState title="Course Not Found" description="The requested course does not exist or is outside the courses you can access." icon="warning" />
+        <div className="text-center" style={{ marginTop: 'var(--spacing-lg)' }}>
+          <Button onClick={() => navigateTo(SCREEN_MAP.COURSE_LIST)} variant="secondary">Back to Course Catalog</Button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!currentUserPermissions.canManageCourses || !currentUserPermissions.canEditAll) {
+    return (
+      <div className="container">
+        <EmptyState title="Access Denied" description="You do not have permission to take attendance for this course." icon="warning" />
+        <div className="text-center" style={{ marginTop: 'var(--spacing-lg)' }}>
+          <Button onClick={() => navigateTo(SCREEN_MAP.COURSE_DETAIL, { courseId })} variant="secondary">Back to Course</Button>
+        </div>
+      </div>
+    );
+  }
+
+  const existingSession = courseSessions.find(session => session.date === sessionDate);
+  // Students keep their mark on a past session even if they have since dropped or completed
+  const roster = mockData.enrollments
+    .filter(e => e.courseId === courseId && (e.status === ENROLLMENT_STATUS.ENROLLED || existingSession?.records[e.studentId]))
+    .map(e => mockData.students.find(s => s.id === e.studentId))
+    .filter(Boolean);
+
+  const loadSession = (date) => {
+    if (isDirty && !window.confirm('Discard unsaved attendance marks?')) return;
+    setSessionDate(date);
+    setMarks(courseSessions.find(session => session.date === date)?.records || {});
+    setIsDirty(false);
+  };
+
+  const handleMark = (studentId, status) => {
+    setMarks(prev => ({ ...prev, [studentId]: status }));
+    setIsDirty(true);
+  };
+
+  const handleMarkAllPresent = () => {
+    setMarks(prev => ({ ...prev, ...Object.fromEntries(roster.map(s => [s.id, ATTENDANCE_STATUS.PRESENT])) }));
+    setIsDirty(true);
+  };
+
+  const unmarkedCount = roster.filter(s => !marks[s.id]).length;
+
+  const handleSave = async () => {
+    if (!sessionDate) {
+      alert('Choose a session date.');
+      return;
+    }
+    if (unmarkedCount > 0) {
+      alert(`${unmarkedCount} student(s) have not been marked yet.`);
+      return;
+    }
+    const saved = await repository.applyChanges(prevData => {
+      const session = {
+        id: existingSession?.id || nextSequentialId('SES', prevData.attendanceSessions),
+        courseId,
+        date: sessionDate,
+        records: { ...marks },
+      };
+      return {
+        ...prevData,
+        attendanceSessions: existingSession
+          ? prevData.attendanceSessions.map(sess => sess.id === session.id ? session : sess)
+          : [...prevData.attendanceSessions, session],
+        activityLog: [createActivityEntry(prevData.activityLog, {
+          userName: currentUserPermissions.user,
+          action: existingSession ? 'updated' : 'created', recordType: 'Course', recordId: courseId,
+          details: `Attendance for ${course.code} on ${sessionDate} ${existingSession ? 'corrected' : 'recorded'}.`,
+        }), ...prevData.activityLog],
+      };
+    });
+    if (!saved) return;
+    setIsDirty(false);
+    alert('Attendance saved.');
   };
 
   return (
     <div className="container">
-      <h2 style={{ marginBottom: 'var(--spacing-lg)' }}>Dashboard Overview</h2>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--spacing-lg)' }}>
+        <h2 style={{ margin: 0 }}>Attendance: {course.name} <span style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-lg)', fontWeight: 'normal' }}>({course.code})</span></h2>
+        <div style={{ display: 'flex', gap: 'var(--spacing-sm)' }}>
+          <Button onClick={handleMarkAllPresent} variant="outline" icon="check" disabled={roster.length === 0}>Mark All Present</Button>
+          <Button onClick={handleSave} variant="primary" disabled={!isDirty}>Save Attendance</Button>
+        </div>
+      </div>
 
-      <div className="grid-4-col" style={{ marginBottom: 'var(--spacing-xl)' }}>
-        <Card className="kpi-card live-pulse">
-          <p className="kpi-card__label">Total Students</p>
-          <p className="kpi-card__value">{totalStudents}</p>
-          <div className="kpi-card__trend"><Icon name="arrowUp" /> 5% last month</div>
-        </Card>
-        <Card className="kpi-card live-pulse">
-          <p className="kpi-card__label">Active Courses</p>
-          <p className="kpi-card__value">{activeCourses}</p>
-          <div className="kpi-card__trend"><Icon name="arrowUp" /> 2 new this semester</div>
-        </Card>
-        <Card className="kpi-card live-pulse">
-          <p className="kpi-card__label">Pending Admissions</p>
-          <p className="kpi-card__value">{pendingAdmissions}</p>
-          <div className="kpi-card__trend kpi-card__trend--negative"><Icon name="arrowDown" /> 10% last week</div>
-        </Card>
-        <Card className="kpi-card live-pulse">
-          <p className="kpi-card__label">Avg. Attendance Rate</p>
-          <p className="kpi-card__value">{avgAttendance}%</p>
-          <div className="kpi-card__trend"><Icon name="arrowUp" /> 1% last month</div>
+      <div className="record-summary-layout">
+        <Card className="card--elevated gradebook">
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-end' }}>
+            <InputField label="Session date" type="date" name="sessionDate" value={sessionDate} onChange={(e) => loadSession(e.target.value)} />
+            <p>{existingSession ? 'Editing a recorded session' : 'New session'} · {roster.length - unmarkedCount}/{roster.length} marked</p>
+          </div>
+          {roster.length === 0 ? (
+            <p>No enrolled students to take attendance for.</p>
+          ) : (
+            <table className="data-table">
+              <thead>
+                <tr><th>Student</th><th>Mark</th><th>Course rate</th></tr>
+              </thead>
+              <tbody>
+                {roster.map(student => (
+                  <tr key={student.id}>
+                    <td>{student.name}<span className="data-table__subheading">{student.studentId}</span></td>
+                    <td>
+                      <div className="attendance-toggle" role="radiogroup" aria-label={`Attendance for ${student.name}`}>
+                        {Object.values(ATTENDANCE_STATUS).map(status => (
+                          <button
+                            key={status}
+                            type="button"
+                            role="radio"
+                            aria-checked={marks[student.id] === status}
+                            className={`status-tag ${marks[student.id] === status ? `status-tag--${ATTENDANCE_STATUS_COLORS[status]}` : 'attendance-toggle__option'}`}
+                            onClick={() => handleMark(student.id, status)}
+                          >
+                            {status}
+                          </button>
+                        ))}
+                      </div>
+                    </td>
+                    <td>{formatAttendanceRate(computeAttendanceRate(student.id, mockData.attendanceSessions, courseId))}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
         </Card>
-      </div>
 
-      <div className="grid-2-col" style={{ marginBottom: 'var(--spacing-xl)' }}>
-        <ChartComponent title="Student Performance (GPA Distribution)" type="bar" data={{}} />
-        <ChartComponent title="Admission Status Breakdown" type="donut" data={admissionChartData} />
+        <Card className="card--elevated">
+          <h3 style={{ marginBottom: 'var(--spacing-md)' }}>Recorded Sessions</h3>
+          {courseSessions.length === 0 && <p>No sessions recorded yet.</p>}
+          {courseSessions.map(session => {
+            const sessionMarks = Object.values(session.records);
+            const attended = sessionMarks.filter(m => m === ATTENDANCE_STATUS.PRESENT || m === ATTENDANCE_STATUS.LATE).length;
+            return (
+              <div key={session.id} className="enrollment-row" onClick={() => loadSession(session.date)}>
+                <span>{session.date}</span>
+                <span className="enrollment-row__meta">{attended}/{sessionMarks.length} attended</span>
+              </div>
+            );
+          })}
+        </Card>
       </div>
-
-      <ActivityFeed activities={activityLog} title="Global Audit & News Feed" />
     </div>
   );
 };
 
-const StudentCard = ({ student, onClick, currentUserPermissions, onEdit, onDelete }) => {
-  const latestActivity = mockData.activityLog
-    .filter(a => a.recordType === 'Student' && a.recordId === student.id)
-    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+const ApplicationHistory = ({ history = [], title = 'Application History' }) => {
+  const stageName = (stageId) => ADMISSION_STAGES.find(stage => stage.id === stageId)?.name || stageId;
+  return (
+    <Card className="activity-feed">
+      <h3 style={{ marginBottom: 'var(--spacing-lg)' }}>{title}</h3>
+      {history.length === 0 && <p>No history recorded.</p>}
+      {[...history].reverse().map((entry, index) => (
+        <div key={index} className="activity-item">
+          <div className="activity-item__icon"><Icon name="admission" /></div>
+          <div className="activity-item__content">
+            <p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-main)' }}>
+              <strong>{entry.by}</strong> {entry.action}
+              {entry.action === 'moved' && <> from {stageName(entry.fromStageId)} to {stageName(entry.toStageId)}</>}
+            </p>
+            {entry.note && <p style={{ marginBottom: 0 }}>{entry.note}</p>}
+            <p className="activity-item__meta">{new Date(entry.at).toLocaleString()}</p>
+          </div>
+        </div>
+      ))}
+    </Card>
+  );
+};
 
+const AdmissionCard = ({ admission, transitions, onClick, currentUserPermissions, onMove }) => {
+  const currentOrder = getWorkflowStage('admission', admission.workflowStageId)?.order;
+  const moves = transitions.filter(t => t.allowed && t.action === 'moved');
+  const canMoveBack = moves.some(t => getWorkflowStage('admission', t.toStageId)?.order < currentOrder);
+  const canAdvance = moves.some(t => getWorkflowStage('admission', t.toStageId)?.order > currentOrder);
+  const canMove = currentUserPermissions.canManageAdmissions && (canMoveBack || canAdvance);
   return (
-    <Card onClick={() => onClick(student.id)} className="flex-column"
-      style={{
-        padding: 'var(--spacing-md)',
-        borderRadius: 'var(--border-radius-lg)',
-      }}
-    >
-      <div style={{ display: 'flex', alignItems: 'center', marginBottom: 'var(--spacing-md)' }}>
-        <img src={student.image} alt={student.name} style={{ width: '48px', height: '48px', borderRadius: '50%', marginRight: 'var(--spacing-md)' }} />
+    <Card onClick={() => onClick(admission.id)} className="admission-card">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 'var(--spacing-sm)' }}>
         <div>
-          <h3 style={{ margin: 0, fontSize: 'var(--font-size-lg)' }}>{student.name}</h3>
-          <p style={{ margin: 0, fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>{student.major} ({student.studentId})</p>
-        </div>
-        <div style={{ marginLeft: 'auto' }}>
-          <StatusBadge status={student.status} />
+          <h4 style={{ margin: 0 }}>{admission.applicantName}</h4>
+          <p style={{ margin: 0, fontSize: 'var(--font-size-sm)' }}>{admission.programApplied} · {admission.id}</p>
         </div>
+        <StatusBadge status={admission.status} workflow="admission" />
       </div>
-      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>
-        <p>GPA: <strong>{student.currentGPA}</strong></p>
-        <p>Attendance: <strong>{student.attendanceRate}%</strong></p>
-      </div>
-      {latestActivity && (
-        <p style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-secondary)', marginTop: 'var(--spacing-md)', borderTop: '1px solid var(--border-color)', paddingTop: 'var(--spacing-md)' }}>
-          Last updated: {new Date(latestActivity.timestamp).toLocaleDateString()}
-        </p>
-      )}
-      {currentUserPermissions.canEditAll && ( // Example of hover actions
-        <div style={{
-          position: 'absolute', top: 'var(--spacing-sm)', right: 'var(--spacing-sm)',
-          display: 'flex', gap: 'var(--spacing-xs)', opacity: 0, transition: 'opacity 0.2s ease',
-        }} className="card__hover-actions">
-          <Button icon="edit" onClick={(e) => { e.stopPropagation(); onEdit(student.id); }} variant="icon" />
-          <Button icon="trash" onClick={(e) => { e.stopPropagation(); onDelete(student.id); }} variant="icon" />
+      <p className="activity-item__meta" style={{ marginBottom: 0 }}>Submitted {admission.submittedDate}</p>
+      {canMove && (
+        <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 'var(--spacing-sm)' }}>
+          <Button variant="icon" icon="arrowUp" disabled={!canMoveBack} onClick={(e) => { e.stopPropagation(); onMove(admission.id, -1); }}>Back</Button>
+          <Button variant="icon" icon="arrowDown" disabled={!canAdvance} onClick={(e) => { e.stopPropagation(); onMove(admission.id, 1); }}>Advance</Button>
         </div>
       )}
     </Card>
   );
 };
 
-const StudentListScreen = ({ navigateTo, currentUserPermissions, mockData }) => {
+const ADMISSION_TABLE_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'applicantName', label: 'Applicant' },
+  { key: 'programApplied', label: 'Program' },
+  { key: 'workflowStageId', label: 'Stage' },
+  { key: 'status', label: 'Status' },
+  { key: 'submittedDate', label: 'Submitted' },
+];
+
+const AdmissionListScreen = ({ navigateTo, currentUserPermissions, params = {}, mockData, repository }) => {
+  const [layout, setLayout] = useState('board'); // 'board' or 'table'
   const [filter, setFilter] = useState('');
-  const [sortKey, setSortKey] = useState('name');
-  const [sortOrder, setSortOrder] = useState('asc'); // 'asc' or 'desc'
-  const [selectedStudents, setSelectedStudents] = useState([]);
-  const [savedViews, setSavedViews] = useState([]); // Mock saved views
-  const { students } = mockData;
+  const statusFilter = params.status || ''; // from the URL, so charts and links can open a filtered pipeline
+  const [sortKey, setSortKey] = useState('submittedDate');
+  const [sortOrder, setSortOrder] = useState('desc');
+  const { admissions } = mockData;
 
-  const handleSearchChange = (e) => setFilter(e.target.value);
+  if (!currentUserPermissions.canManageAdmissions) {
+    return (
+      <div className="container">
+        <EmptyState title="Access Denied" description="You do not have permission to view admissions." icon="warning" />
+      </div>
+    );
+  }
 
   const handleSort = (key) => {
     if (sortKey === key) {
@@ -417,382 +7548,856 @@ const StudentListScreen = ({ navigateTo, currentUserPermissions, mockData }) =>
     }
   };
 
-  const filteredStudents = students.filter(student =>
-    student.name.toLowerCase().includes(filter.toLowerCase()) ||
-    student.major.toLowerCase().includes(filter.toLowerCase()) ||
-    student.studentId.toLowerCase().includes(filter.toLowerCase())
-  );
+  const filteredAdmissions = admissions.filter(admission => (
+    admission.applicantName.toLowerCase().includes(filter.toLowerCase()) ||
+    admission.programApplied.toLowerCase().includes(filter.toLowerCase()) ||
+    admission.id.toLowerCase().includes(filter.toLowerCase())
+  ) && (!statusFilter || admission.status === statusFilter));
 
-  const sortedStudents = [...filteredStudents].sort((a, b) => {
+  const sortedAdmissions = [...filteredAdmissions].sort((a, b) => {
     if (a[sortKey] < b[sortKey]) return sortOrder === 'asc' ? -1 : 1;
     if (a[sortKey] > b[sortKey]) return sortOrder === 'asc' ? 1 : -1;
     return 0;
   });
 
-  const handleStudentSelect = (id) => {
-    setSelectedStudents(prev =>
-      prev.includes(id) ? prev.filter(sId => sId !== id) : [...prev, id]
-    );
-  };
+  const openAdmission = (id) => navigateTo(SCREEN_MAP.ADMISSION_DETAIL, { admissionId: id });
 
-  const handleBulkAction = (actionType) => {
-    alert(`Performing bulk action "${actionType}" on ${selectedStudents.length} students.`);
-    setSelectedStudents([]);
+  const handleMove = (id, direction) => {
+    const outcome = repository.perform(data => moveAdmissionStage(data, id, direction, currentUserPermissions));
+    if (outcome.error) {
+      alert(outcome.error);
+      return;
+    }
   };
 
-  const handleSaveView = () => {
-    const viewName = prompt("Enter a name for this view:");
-    if (viewName) {
-      setSavedViews(prev => [...prev, { name: viewName, filter, sortKey, sortOrder }]);
-      alert(`View "${viewName}" saved!`);
+  return (
+    <div className="container">
+      <h2 style={{ marginBottom: 'var(--spacing-lg)' }}>Admissions Pipeline</h2>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 'var(--spacing-sm)', marginBottom: 'var(--spacing-lg)' }}>
+        <InputField
+          type="text"
+          placeholder="Search applications by applicant, program, ID..."
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+        />
+        <select className="select-field" aria-label="Filter by status" value={statusFilter}
+          onChange={(e) => navigateTo(SCREEN_MAP.ADMISSION_LIST, { status: e.target.value }, { replace: true })}>
+          <option value="">All statuses</option>
+          {Object.keys(WORKFLOW_DEFINITIONS.admission.states).map(status => <option key={status} value={status}>{status}</option>)}
+        </select>
+        <Button variant={layout === 'board' ? 'secondary' : 'outline'} onClick={() => setLayout('board')}>Board</Button>
+        <Button variant={layout === 'table' ? 'secondary' : 'outline'} onClick={() => setLayout('table')}>Table</Button>
+      </div>
+
+      {sortedAdmissions.length === 0 ? (
+        <EmptyState title="No Applications Found" description="Try adjusting your search." icon="admission" />
+      ) : layout === 'board' ? (
+        <div className="kanban">
+          {ADMISSION_STAGES.map(stage => {
+            const stageAdmissions = sortedAdmissions.filter(a => a.workflowStageId === stage.id);
+            return (
+              <div key={stage.id} className="kanban__column">
+                <h3 className="kanban__column-title">{stage.name} <span>{stageAdmissions.length}</span></h3>
+                {stageAdmissions.map(admission => (
+                  <AdmissionCard key={admission.id} admission={admission} transitions={getWorkflowTransitions('admission', admission, { role: currentUserPermissions.role, data: mockData })} onClick={openAdmission} currentUserPermissions={currentUserPermissions} onMove={handleMove} />
+                ))}
+                {stageAdmissions.length === 0 && <p className="kanban__empty">No applications</p>}
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <Card className="card--elevated gradebook">
+          <table className="data-table data-table--clickable">
+            <thead>
+              <tr>
+                {ADMISSION_TABLE_COLUMNS.map(column => (
+                  <th key={column.key} onClick={() => handleSort(column.key)} style={{ cursor: 'pointer' }}>
+                    {column.label} {sortKey === column.key && <Icon name={sortOrder === 'asc' ? 'arrowUp' : 'arrowDown'} />}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sortedAdmissions.map(admission => (
+                <tr key={admission.id} onClick={() => openAdmission(admission.id)}>
+                  <td>{admission.id}</td>
+                  <td>{admission.applicantName}</td>
+                  <td>{admission.programApplied}</td>
+                  <td>{ADMISSION_STAGES.find(stage => stage.id === admission.workflowStageId)?.name}</td>
+                  <td><StatusBadge status={admission.status} workflow="admission" /></td>
+                  <td>{admission.submittedDate}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+const AdmissionDetailScreen = ({ navigateTo, currentUserPermissions, params, mockData, repository }) => {
+  const admissionId = params.admissionId;
+  const admission = mockData.admissions.find(a => a.id === admissionId);
+  const [isRejecting, setIsRejecting] = useState(false);
+  const [rejectionReason, setRejectionReason] = useState('');
+  const [rejectionError, setRejectionError] = useState('');
+
+  if (!admission) {
+    return (
+      <div className="container">
+        <EmptyState title="Application Not Found" description="The requested application does not exist or is outside the records you can access." icon="warning" />
+        <div className="text-center" style={{ marginTop: 'var(--spacing-lg)' }}>
+          <Button onClick={() => navigateTo(SCREEN_MAP.ADMISSION_LIST)} variant="secondary">Back to Admissions</Button>
+        </div>
+      </div>
+    );
+  }
+
+  const applyOutcome = (outcome) => {
+    if (outcome.error) {
+      alert(outcome.error);
+      return false;
     }
+    return true;
   };
 
-  const handleExport = (format) => {
-    alert(`Exporting ${filteredStudents.length} students to ${format}.`);
+  const handleApprove = () => {
+    if (window.confirm(`Approve ${admission.applicantName}'s application?`)) {
+      applyOutcome(repository.perform(data => decideAdmission(data, admission.id, 'APPROVED', '', currentUserPermissions)));
+    }
   };
 
-  const handleEditStudent = (id) => {
-    navigateTo(SCREEN_MAP.ADMISSION_FORM, { studentId: id }); // Re-use form for edit example
+  const handleReject = () => {
+    if (!rejectionReason.trim()) {
+      setRejectionError('Please give a reason for the rejection.');
+      return;
+    }
+    if (applyOutcome(repository.perform(data => decideAdmission(data, admission.id, 'REJECTED', rejectionReason, currentUserPermissions)))) {
+      setIsRejecting(false);
+      setRejectionReason('');
+      setRejectionError('');
+    }
   };
 
-  const handleDeleteStudent = (id) => {
-    if (window.confirm(`Are you sure you want to delete student ${id}?`)) {
-      // Logic to delete student from mockData.students (using immutability)
-      mockData.students = mockData.students.filter(s => s.id !== id);
-      alert(`Student ${id} deleted.`);
-      navigateTo(SCREEN_MAP.STUDENT_LIST); // Refresh list
+  const handleAdmit = () => {
+    if (!window.confirm(`Create a student record for ${admission.applicantName}?`)) return;
+    const outcome = repository.perform(data => admitApplicant(data, admission.id, currentUserPermissions));
+    if (applyOutcome(outcome)) {
+      navigateTo(SCREEN_MAP.STUDENT_DETAIL, { studentId: outcome.student.id });
     }
   };
 
+  const transitions = getWorkflowTransitions('admission', admission, { role: currentUserPermissions.role, data: mockData });
+  const isAllowed = (transitionId) => transitions.some(t => t.id === transitionId && t.allowed);
+  const canDecide = currentUserPermissions.canApprove && isAllowed('approve');
+  const canAdmit = currentUserPermissions.canManageAdmissions && currentUserPermissions.canManageStudents && isAllowed('admit');
+  const canAdvance = currentUserPermissions.canManageAdmissions && transitions.some(t => t.allowed && t.action === 'moved' &&
+    getWorkflowStage('admission', t.toStageId)?.order > getWorkflowStage('admission', admission.workflowStageId)?.order);
+  const stageIndex = ADMISSION_STAGES.findIndex(stage => stage.id === admission.workflowStageId);
+  // A decided application shows its outcome as a final step after the committee stage
+  const trackerStages = [
+    ...getWorkflowMilestones('admission', admission),
+    { id: 'DECISION', name: isAdmissionDecided(admission) ? `Decision: ${admission.status}` : 'Decision', order: ADMISSION_STAGES.length + 1 },
+  ];
+  const trackerStageId = isAdmissionDecided(admission) ? 'DECISION' : admission.workflowStageId;
+
   return (
     <div className="container">
-      <h2 style={{ marginBottom: 'var(--spacing-lg)' }}>Student Management</h2>
-
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--spacing-lg)' }}>
-        <InputField
-          type="text"
-          placeholder="Search students by name, major, ID..."
-          value={filter}
-          onChange={handleSearchChange}
-          style={{ flexGrow: 1, marginRight: 'var(--spacing-md)' }}
-        />
-        <Button variant="outline" onClick={() => alert('Opening filter side panel...')} className="btn--icon" icon="cog">Filters</Button>
-        <Button variant="outline" onClick={handleSaveView} className="btn--icon" icon="plus">Save View</Button>
-        <Button variant="primary" onClick={() => navigateTo(SCREEN_MAP.ADMISSION_FORM)} className="btn--icon" icon="plus">Add New Student</Button>
-      </div>
-
-      {savedViews.length > 0 && (
-        <div style={{ display: 'flex', gap: 'var(--spacing-sm)', marginBottom: 'var(--spacing-lg)' }}>
-          <p style={{ fontWeight: 600, color: 'var(--text-accent)' }}>Saved Views:</p>
-          {savedViews.map((view, index) => (
-            <Button key={index} variant="secondary" onClick={() => {
-              setFilter(view.filter);
-              setSortKey(view.sortKey);
-              setSortOrder(view.sortOrder);
-            }}>{view.name}</Button>
-          ))}
+        <h2 style={{ margin: 0 }}>{admission.applicantName} <span style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-lg)', fontWeight: 'normal' }}>({admission.id})</span></h2>
+        <div style={{ display: 'flex', gap: 'var(--spacing-sm)' }}>
+          {canAdvance && (
+            <Button onClick={() => applyOutcome(repository.perform(data => moveAdmissionStage(data, admission.id, 1, currentUserPermissions)))} variant="outline" icon="arrowDown">Advance Stage</Button>
+          )}
+          {canDecide && <Button onClick={handleApprove} variant="primary" icon="check">Approve</Button>}
+          {canDecide && <Button onClick={() => setIsRejecting(true)} variant="outline">Reject</Button>}
+          {canAdmit && <Button onClick={handleAdmit} variant="primary" icon="student">Admit as Student</Button>}
+          {admission.studentRecordId && (
+            <Button onClick={() => navigateTo(SCREEN_MAP.STUDENT_DETAIL, { studentId: admission.studentRecordId })} variant="secondary" icon="student">View Student Record</Button>
+          )}
         </div>
-      )}
+      </div>
 
-      {currentUserPermissions.canBulkActions && selectedStudents.length > 0 && (
-        <Card className="glassmorphism" style={{ padding: 'var(--spacing-md)', marginBottom: 'var(--spacing-lg)', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-          <span>{selectedStudents.length} students selected.</span>
-          <div>
-            <Button variant="secondary" onClick={() => handleBulkAction('enroll')} style={{ marginRight: 'var(--spacing-sm)' }}>Bulk Enroll</Button>
-            <Button variant="secondary" onClick={() => handleBulkAction('update status')}>Update Status</Button>
-            {currentUserPermissions.canExportData && <Button variant="secondary" onClick={() => handleBulkAction('export')} icon="download" style={{ marginLeft: 'var(--spacing-sm)' }}>Export Selected</Button>}
+      {isRejecting && (
+        <Card className="card--elevated mb-lg">
+          <TextAreaField label="Reason for rejection" name="rejectionReason" value={rejectionReason} required error={rejectionError}
+            onChange={(e) => { setRejectionReason(e.target.value); setRejectionError(''); }}
+            placeholder="This reason is stored on the application and in the audit log." />
+          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 'var(--spacing-sm)' }}>
+            <Button variant="outline" onClick={() => { setIsRejecting(false); setRejectionError(''); }}>Cancel</Button>
+            <Button variant="primary" onClick={handleReject}>Confirm Rejection</Button>
           </div>
         </Card>
       )}
 
-      {sortedStudents.length === 0 ? (
-        <EmptyState
-          title="No Students Found"
-          description="Try adjusting your search or filters, or add a new student."
-          actionText="Add New Student"
-          onAction={() => navigateTo(SCREEN_MAP.ADMISSION_FORM)}
-        />
-      ) : (
-        <div className="grid-3-col">
-          {sortedStudents.map(student => (
-            <StudentCard
-              key={student.id}
-              student={student}
-              onClick={(id) => navigateTo(SCREEN_MAP.STUDENT_DETAIL, { studentId: id })}
-              currentUserPermissions={currentUserPermissions}
-              onEdit={handleEditStudent}
-              onDelete={handleDeleteStudent}
-            />
-          ))}
+      <div className="record-summary-layout">
+        <div className="record-summary__main">
+          <Card className="card--elevated">
+            <h3 style={{ marginBottom: 'var(--spacing-md)' }}>Application Details</h3>
+            <div className="grid-2-col" style={{ gap: 'var(--spacing-md)' }}>
+              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Email:</p> <p>{admission.email}</p></div>
+              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Program Applied:</p> <p>{admission.programApplied}</p></div>
+              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Submitted:</p> <p>{admission.submittedDate}</p></div>
+              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Status:</p> <p><StatusBadge status={admission.status} workflow="admission" /></p></div>
+              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Stage:</p> <p>{ADMISSION_STAGES[stageIndex]?.name}</p></div>
+              {admission.decidedDate && <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Decided:</p> <p>{admission.decidedDate}</p></div>}
+            </div>
+            {admission.rejectionReason && (
+              <div style={{ marginTop: 'var(--spacing-lg)', borderTop: '1px solid var(--border-color)', paddingTop: 'var(--spacing-md)' }}>
+                <h4>Rejection Reason</h4>
+                <p>{admission.rejectionReason}</p>
+              </div>
+            )}
+          </Card>
+          <DocumentPanel ownerType="admission" record={admission} currentUserPermissions={currentUserPermissions} mockData={mockData} repository={repository} />
+          <ApplicationHistory history={admission.history} />
         </div>
-      )}
 
-      {currentUserPermissions.canExportData && (
-        <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: 'var(--spacing-lg)', gap: 'var(--spacing-sm)' }}>
-          <Button variant="outline" onClick={() => handleExport('PDF')} icon="download">Export to PDF</Button>
-          <Button variant="outline" onClick={() => handleExport('Excel')} icon="download">Export to Excel</Button>
+        <div className="record-summary__sidebar">
+          <MilestoneTracker stages={trackerStages} currentStageId={trackerStageId} />
         </div>
-      )}
+      </div>
     </div>
   );
 };
 
+// Shown whenever nobody is signed in. A data store without any accounts asks for the first
+// administrator instead, so an empty install can't lock everyone out.
+const LoginScreen = ({ users, notice, onLogin, onCreateFirstAdmin }) => {
+  const isFirstRun = users.length === 0;
+  const [fields, setFields] = useState({ name: '', username: '', password: '' });
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const demoUsernames = users.filter(u => u.demo && u.active).map(u => u.username);
 
-const StudentDetailScreen = ({ navigateTo, currentUserPermissions, params, mockData }) => {
-  const studentId = params.studentId;
-  const student = mockData.students.find(s => s.id === studentId);
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFields(prev => ({ ...prev, [name]: value }));
+    setError('');
+  };
 
-  if (!student) {
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isFirstRun) {
+      const errors = validateUserAccount([], { ...fields, role: ROLES.ADMIN }, { password: fields.password });
+      if (Object.keys(errors).length > 0) {
+        setError(Object.values(errors)[0]);
+        return;
+      }
+    }
+    setIsSubmitting(true);
+    if (isFirstRun) {
+      await onCreateFirstAdmin(fields);
+      setIsSubmitting(false);
+      return;
+    }
+    const result = await authenticateUser(users, fields.username, fields.password);
+    setIsSubmitting(false);
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    onLogin(result.user);
+  };
+
+  return (
+    <div className="container" style={{ maxWidth: '440px' }}>
+      <Card className="card--elevated">
+        <h2 style={{ marginBottom: 'var(--spacing-md)' }}>{isFirstRun ? 'Create Administrator Account' : 'Sign In'}</h2>
+        {notice && <p className="login__notice"><Icon name="warning" /> {notice}</p>}
+        {isFirstRun && <p style={{ marginBottom: 'var(--spacing-md)', color: 'var(--text-secondary)' }}>There are no user accounts yet. The first account is an administrator who can add everyone else.</p>}
+        <form onSubmit={handleSubmit}>
+          {isFirstRun && <InputField label="Full Name" name="name" value={fields.name} onChange={handleChange} required />}
+          <InputField label="Username" name="username" value={fields.username} onChange={handleChange} required />
+          <InputField label="Password" type="password" name="password" value={fields.password} onChange={handleChange} required />
+          {error && <p className="error-message" style={{ marginBottom: 'var(--spacing-md)' }}>{error}</p>}
+          <Button type="submit" variant="primary" disabled={isSubmitting}>
+            {isSubmitting ? 'Please wait...' : (isFirstRun ? 'Create Account' : 'Sign In')}
+          </Button>
+        </form>
+        {demoUsernames.length > 0 && (
+          <p style={{ marginTop: 'var(--spacing-lg)', fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>
+            Demo accounts: {demoUsernames.join(', ')} (password <code>{DEMO_PASSWORD}</code>)
+          </p>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+const EMPTY_ACCOUNT_FORM = { name: '', username: '', role: ROLES.TEACHER, studentRecordId: '', instructorName: '', password: '' };
+
+const UserManagementScreen = ({ navigateTo, currentUserPermissions, mockData, repository }) => {
+  const [form, setForm] = useState(EMPTY_ACCOUNT_FORM);
+  const [formErrors, setFormErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  if (!currentUserPermissions.canManageUsers) {
     return (
       <div className="container">
-        <EmptyState title="Student Not Found" description="The requested student record does not exist." icon="warning" />
+        <EmptyState title="Access Denied" description="You do not have permission to manage user accounts." icon="warning" />
         <div className="text-center" style={{ marginTop: 'var(--spacing-lg)' }}>
-          <Button onClick={() => navigateTo(SCREEN_MAP.STUDENT_LIST)} variant="secondary">Back to Student List</Button>
+          <Button onClick={() => navigateTo(SCREEN_MAP.DASHBOARD)} variant="secondary">Go to Dashboard</Button>
         </div>
       </div>
     );
   }
 
-  // Mock workflow stages for a student's academic journey
-  const studentWorkflowStages = [
-    { id: 'STAGE_ENROLLMENT_1', name: 'Admission Confirmed', order: 1, date: student.enrollmentDate },
-    { id: 'STAGE_ENROLLMENT_2', name: 'Course Registration', order: 2, date: new Date(new Date(student.enrollmentDate).setMonth(new Date(student.enrollmentDate).getMonth() + 1)).toISOString().split('T')[0] },
-    { id: 'STAGE_ENROLLMENT_3', name: 'First Semester Completed', order: 3, date: new Date(new Date(student.enrollmentDate).setMonth(new Date(student.enrollmentDate).getMonth() + 4)).toISOString().split('T')[0] },
-    { id: 'STAGE_ENROLLMENT_4', name: 'Mid-Degree Review', order: 4, date: null },
-    { id: 'STAGE_ENROLLMENT_5', name: 'Graduation Eligible', order: 5, date: null },
-    { id: 'STAGE_ENROLLMENT_6', name: 'Graduated', order: 6, date: null },
-  ];
+  const instructorOptions = [...new Set(mockData.courses.map(c => c.instructor).filter(Boolean))].sort();
+  const studentOptions = mockData.students.map(s => ({ value: s.id, label: `${s.name} (${s.studentId})` }));
+  const describeLink = (user) => {
+    if (user.role === ROLES.STUDENT) {
+      const student = mockData.students.find(s => s.id === user.studentRecordId);
+      return student ? `${student.name} (${student.studentId})` : 'Missing student record';
+    }
+    return user.role === ROLES.TEACHER ? `Teaches as ${user.instructorName}` : '—';
+  };
 
-  const studentAuditLog = mockData.activityLog.filter(log => log.recordType === 'Student' && log.recordId === student.id);
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    setFormErrors(prev => ({ ...prev, [name]: undefined }));
+  };
+
+  const applyAccountChange = async (operation, successMessage) => {
+    const outcome = repository.perform(operation);
+    if (outcome.error) {
+      alert(outcome.error);
+      return false;
+    }
+    const saved = await outcome.saved;
+    if (saved && successMessage) alert(successMessage);
+    return Boolean(saved);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const errors = validateUserAccount(mockData.users, form, { password: form.password });
+    setFormErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    setIsSaving(true);
+    const credentials = await createPasswordCredentials(form.password);
+    const created = await applyAccountChange(data => createUserAccount(data, form, credentials), `Account ${form.username.trim().toLowerCase()} created.`);
+    setIsSaving(false);
+    if (created) setForm(EMPTY_ACCOUNT_FORM);
+  };
+
+  // Teacher and Student roles need a link to their courses or record, so ask for it when switching
+  const handleRoleChange = (user, role) => {
+    const fields = { ...user, role };
+    if (role === ROLES.TEACHER) {
+      const instructorName = prompt(`Instructor name ${user.name} teaches under (as shown on courses):`, user.instructorName || user.name);
+      if (instructorName === null) return;
+      fields.instructorName = instructorName;
+    }
+    if (role === ROLES.STUDENT) {
+      const studentNumber = prompt(`Student ID (e.g. S1001) of the record ${user.name} should see:`);
+      if (studentNumber === null) return;
+      fields.studentRecordId = mockData.students.find(s => s.studentId.toLowerCase() === studentNumber.trim().toLowerCase())?.id || '';
+    }
+    const errors = validateUserAccount(mockData.users, fields, { existingId: user.id });
+    if (Object.keys(errors).length > 0) {
+      alert(Object.values(errors)[0]);
+      return;
+    }
+    const reason = prompt(`Reason for changing ${user.username} from ${user.role} to ${role}:`);
+    if (reason === null) return;
+    applyAccountChange(data => updateUserAccount(data, user.id, buildAccountFields(fields), `Role of ${user.username} changed from ${user.role} to ${role}.`, reason));
+  };
+
+  const handleToggleActive = (user) => {
+    if (user.id === currentUserPermissions.userId) {
+      alert('You cannot deactivate your own account.');
+      return;
+    }
+    const verb = user.active ? 'Deactivate' : 'Reactivate';
+    if (!window.confirm(`${verb} the account ${user.username}?`)) return;
+    applyAccountChange(data => updateUserAccount(data, user.id, { active: !user.active }, `Account ${user.username} ${user.active ? 'deactivated' : 'reactivated'}.`));
+  };
+
+  const handleResetPassword = async (user) => {
+    const password = prompt(`New password for ${user.username} (at least ${MIN_PASSWORD_LENGTH} characters):`);
+    if (password === null) return;
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      alert(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+      return;
+    }
+    const credentials = await createPasswordCredentials(password);
+    applyAccountChange(data => updateUserAccount(data, user.id, { ...credentials, demo: false }, `Password reset for ${user.username}.`), `Password for ${user.username} updated.`);
+  };
+
+  return (
+    <div className="container">
+      <h2 style={{ marginBottom: 'var(--spacing-lg)' }}>User Accounts</h2>
+      <Card className="card--elevated mb-lg">
+        <div style={{ overflowX: 'auto' }}>
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Username</th>
+                <th>Role</th>
+                <th>Linked To</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {mockData.users.map(user => (
+                <tr key={user.id}>
+                  <td>{user.name}{user.id === currentUserPermissions.userId && <span className="data-table__subheading">You</span>}</td>
+                  <td>{user.username}</td>
+                  <td>
+                    <select className="input-field" value={user.role} onChange={(e) => handleRoleChange(user, e.target.value)} aria-label={`Role for ${user.username}`}>
+                      {Object.values(ROLES).map(role => <option key={role} value={role}>{role}</option>)}
+                    </select>
+                  </td>
+                  <td>{describeLink(user)}</td>
+                  <td><StatusBadge status={user.active ? 'ACTIVE' : 'INACTIVE'} /></td>
+                  <td style={{ whiteSpace: 'nowrap' }}>
+                    <Button variant="outline" onClick={() => handleResetPassword(user)}>Reset Password</Button>{' '}
+                    <Button variant="outline" onClick={() => handleToggleActive(user)}>{user.active ? 'Deactivate' : 'Reactivate'}</Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+
+      <Card className="card--elevated">
+        <h3 style={{ marginBottom: 'var(--spacing-md)' }}>Add User</h3>
+        <form onSubmit={handleCreate}>
+          <div className="grid-2-col" style={{ gap: 'var(--spacing-md)' }}>
+            <InputField label="Full Name" name="name" value={form.name} onChange={handleChange} required error={formErrors.name} />
+            <InputField label="Username" name="username" value={form.username} onChange={handleChange} required error={formErrors.username} />
+            <SelectField label="Role" name="role" value={form.role} onChange={handleChange} options={Object.values(ROLES)} required error={formErrors.role} />
+            {form.role === ROLES.STUDENT && (
+              <SelectField label="Student Record" name="studentRecordId" value={form.studentRecordId} onChange={handleChange} options={studentOptions} placeholder="Select a student" required error={formErrors.studentRecordId} />
+            )}
+            {form.role === ROLES.TEACHER && (
+              <SelectField label="Instructor" name="instructorName" value={form.instructorName} onChange={handleChange} options={instructorOptions} placeholder="Select the instructor on their courses" required error={formErrors.instructorName} />
+            )}
+            <InputField label="Initial Password" type="password" name="password" value={form.password} onChange={handleChange} required error={formErrors.password} />
+          </div>
+          <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: 'var(--spacing-md)' }}>
+            <Button type="submit" variant="primary" icon="plus" disabled={isSaving}>{isSaving ? 'Creating...' : 'Create Account'}</Button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+};
+
+// Record types each role may review in the audit log; roles not listed see every entry in their scope.
+const AUDIT_LOG_RECORD_TYPES = {
+  [ROLES.ADMISSION_OFFICER]: ['Admission', 'Student', 'StudentList'],
+};
+
+const AUDIT_RECORD_SCREENS = {
+  Student: (id) => [SCREEN_MAP.STUDENT_DETAIL, { studentId: id }],
+  Course: (id) => [SCREEN_MAP.COURSE_DETAIL, { courseId: id }],
+  Admission: (id) => [SCREEN_MAP.ADMISSION_DETAIL, { admissionId: id }],
+};
+
+const AUDIT_EXPORT_COLUMNS = [
+  { label: 'Timestamp', value: entry => entry.timestamp },
+  { label: 'User', value: entry => entry.userName },
+  { label: 'User ID', value: entry => entry.userId },
+  { label: 'Action', value: entry => entry.action },
+  { label: 'Record Type', value: entry => entry.recordType },
+  { label: 'Record ID', value: entry => entry.recordId },
+  { label: 'Related Record', value: entry => entry.relatedRecordId },
+  { label: 'Details', value: entry => entry.details },
+  { label: 'Changes', value: entry => formatAuditChanges(entry.changes) },
+  { label: 'Reason', value: entry => entry.reason },
+];
+
+const AUDIT_LOG_PAGE_SIZE = 200;
+const EMPTY_AUDIT_FILTERS = { user: '', recordType: '', action: '', from: '', to: '', query: '' };
+
+// Dates are compared in the viewer's time zone, matching the timestamps shown in the table.
+const toLocalDateKey = (timestamp) => new Date(timestamp).toLocaleDateString('en-CA');
+
+const AuditLogScreen = ({ navigateTo, currentUserPermissions, mockData, repository }) => {
+  const [filters, setFilters] = useState(EMPTY_AUDIT_FILTERS);
+
+  if (!currentUserPermissions.canViewAuditLogs) {
+    return (
+      <div className="container">
+        <EmptyState title="Access Denied" description="You do not have permission to view audit logs." icon="warning" />
+        <div className="text-center" style={{ marginTop: 'var(--spacing-lg)' }}>
+          <Button onClick={() => navigateTo(SCREEN_MAP.DASHBOARD)} variant="secondary">Go to Dashboard</Button>
+        </div>
+      </div>
+    );
+  }
+
+  const allowedTypes = AUDIT_LOG_RECORD_TYPES[currentUserPermissions.role];
+  const entries = mockData.activityLog.filter(entry => !allowedTypes || allowedTypes.includes(entry.recordType));
+  const userOptions = [...new Set(entries.map(entry => entry.userName).filter(Boolean))].sort();
+  const recordTypeOptions = [...new Set(entries.map(entry => entry.recordType).filter(Boolean))].sort();
+  const actionOptions = [...new Set(entries.map(entry => entry.action).filter(Boolean))].sort();
+
+  const query = filters.query.trim().toLowerCase();
+  const filteredEntries = entries.filter(entry => {
+    if (filters.user && entry.userName !== filters.user) return false;
+    if (filters.recordType && entry.recordType !== filters.recordType) return false;
+    if (filters.action && entry.action !== filters.action) return false;
+    const day = toLocalDateKey(entry.timestamp);
+    if (filters.from && day < filters.from) return false;
+    if (filters.to && day > filters.to) return false;
+    if (query && ![entry.recordId, entry.relatedRecordId, entry.details, entry.reason, formatAuditChanges(entry.changes)]
+      .some(value => value?.toLowerCase().includes(query))) return false;
+    return true;
+  });
+  const shownEntries = filteredEntries.slice(0, AUDIT_LOG_PAGE_SIZE);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
 
-  const handleEdit = () => {
-    if (currentUserPermissions.canEditAll) {
-      navigateTo(SCREEN_MAP.ADMISSION_FORM, { studentId: student.id, mode: 'edit' });
-    } else {
-      alert("You don't have permission to edit this record.");
+  // The export is audited along with the filters that produced it
+  const handleExport = async () => {
+    if (filteredEntries.length === 0) {
+      alert('There are no audit entries to export.');
+      return;
     }
+    const activeFilters = Object.entries(filters).filter(([, value]) => value).map(([key, value]) => `${key}=${value}`).join(', ');
+    const saved = await recordExport(repository, currentUserPermissions, 'AuditLog',
+      `Exported ${filteredEntries.length} audit entries to CSV${activeFilters ? ` (${activeFilters})` : ''}.`);
+    if (!saved) return;
+    downloadTable('CSV', `audit-log-${toLocalDateKey(Date.now())}`, 'Audit Log', AUDIT_EXPORT_COLUMNS, filteredEntries);
   };
 
-  const handleExportTranscript = () => {
-    alert(`Exporting transcript for ${student.name}`);
+  const openRecord = (entry) => {
+    const target = AUDIT_RECORD_SCREENS[entry.recordType];
+    if (target && entry.recordId) navigateTo(...target(entry.recordId));
   };
 
   return (
     <div className="container">
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--spacing-lg)' }}>
-        <h2 style={{ margin: 0 }}>{student.name} <span style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-lg)', fontWeight: 'normal' }}>({student.studentId})</span></h2>
-        <div style={{ display: 'flex', gap: 'var(--spacing-sm)' }}>
-          {currentUserPermissions.canEditAll && <Button onClick={handleEdit} variant="primary" icon="edit">Edit Student</Button>}
-          {currentUserPermissions.canExportData && <Button onClick={handleExportTranscript} variant="outline" icon="download">Export Transcript</Button>}
-        </div>
+        <h2>Audit Log</h2>
+        {currentUserPermissions.canExportData && <Button variant="secondary" icon="download" onClick={handleExport}>Export CSV</Button>}
       </div>
 
-      <div className="record-summary-layout">
-        <div className="record-summary__main">
-          <Card className="card--elevated">
-            <h3 style={{ marginBottom: 'var(--spacing-md)' }}>Summary Information</h3>
-            <div className="grid-2-col" style={{ gap: 'var(--spacing-md)' }}>
-              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Email:</p> <p>{student.email}</p></div>
-              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Major:</p> <p>{student.major}</p></div>
-              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Enrollment Date:</p> <p>{student.enrollmentDate}</p></div>
-              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Current Status:</p> <p><StatusBadge status={student.status} /></p></div>
-              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>GPA:</p> <p>{student.currentGPA}</p></div>
-              <div><p style={{ marginBottom: 'var(--spacing-xs)', color: 'var(--text-accent)', fontWeight: 500 }}>Attendance Rate:</p> <p>{student.attendanceRate}%</p></div>
-            </div>
-            {/* Related records example */}
-            <div style={{ marginTop: 'var(--spacing-xl)', borderTop: '1px solid var(--border-color)', paddingTop: 'var(--spacing-lg)' }}>
-              <h4 style={{ marginBottom: 'var(--spacing-md)' }}>Enrolled Courses</h4>
-              {mockData.courses.filter(c => c.id.includes(student.major.substring(0, 3).toUpperCase())).map(course => ( // Simplified relation
-                <Card key={course.id} onClick={() => alert(`View course ${course.name}`)}
-                  style={{
-                    padding: 'var(--spacing-sm)', marginBottom: 'var(--spacing-sm)',
-                    boxShadow: 'none', border: '1px solid var(--border-color)',
-                    display: 'flex', justifyContent: 'space-between', alignItems: 'center',
-                    borderRadius: 'var(--border-radius-md)',
-                  }}>
-                  <span>{course.name} ({course.code}) - {course.credits} Credits</span>
-                  <StatusBadge status={course.status} />
-                </Card>
-              ))}
-            </div>
-          </Card>
-
-          {/* Document Preview Placeholder */}
-          <Card className="card--elevated">
-            <h3 style={{ marginBottom: 'var(--spacing-md)' }}>Academic Documents</h3>
-            <div className="chart-container" style={{ minHeight: '200px', backgroundColor: 'var(--bg-main)', borderRadius: 'var(--border-radius-md)' }}>
-              <p>Document preview for {student.name}'s transcript. <Icon name="file" /></p>
-            </div>
-            <div style={{ marginTop: 'var(--spacing-lg)', display: 'flex', justifyContent: 'flex-end' }}>
-              <Button variant="outline" icon="download">Download All Documents</Button>
-            </div>
-          </Card>
-
+      <Card className="card--elevated mb-lg">
+        <div className="audit-filters">
+          <SelectField label="User" name="user" value={filters.user} onChange={handleFilterChange} options={userOptions} placeholder="All users" />
+          <SelectField label="Record Type" name="recordType" value={filters.recordType} onChange={handleFilterChange} options={recordTypeOptions} placeholder="All record types" />
+          <SelectField label="Action" name="action" value={filters.action} onChange={handleFilterChange} options={actionOptions} placeholder="All actions" />
+          <InputField label="From" type="date" name="from" value={filters.from} onChange={handleFilterChange} />
+          <InputField label="To" type="date" name="to" value={filters.to} onChange={handleFilterChange} />
+          <InputField label="Search" name="query" value={filters.query} onChange={handleFilterChange} placeholder="Record ID, details, reason..." />
         </div>
-
-        <div className="record-summary__sidebar">
-          <MilestoneTracker stages={studentWorkflowStages} currentStageId={student.workflowStageId} />
-          {currentUserPermissions.canViewAuditLogs && <ActivityFeed activities={studentAuditLog} title="Student Audit Feed" />}
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <p className="data-table__subheading">
+            {filteredEntries.length} of {entries.length} entries
+            {filteredEntries.length > shownEntries.length && ` · showing the newest ${shownEntries.length}; narrow the filters or export to see the rest`}
+          </p>
+          <Button variant="outline" onClick={() => setFilters(EMPTY_AUDIT_FILTERS)}>Clear Filters</Button>
         </div>
-      </div>
+      </Card>
+
+      {shownEntries.length === 0 ? (
+        <EmptyState title="No Audit Entries" description="No recorded activity matches these filters." icon="audit" />
+      ) : (
+        <Card className="card--elevated">
+          <div style={{ overflowX: 'auto' }}>
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>When</th>
+                  <th>User</th>
+                  <th>Action</th>
+                  <th>Record</th>
+                  <th>Details</th>
+                  <th>Changes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shownEntries.map(entry => (
+                  <tr key={entry.id}>
+                    <td style={{ whiteSpace: 'nowrap' }}>{new Date(entry.timestamp).toLocaleString()}</td>
+                    <td>{entry.userName}</td>
+                    <td>{entry.action}</td>
+                    <td style={{ whiteSpace: 'nowrap' }}>
+                      {entry.recordType}{' '}
+                      {AUDIT_RECORD_SCREENS[entry.recordType] && entry.recordId
+                        ? <a onClick={() => openRecord(entry)} style={{ cursor: 'pointer' }}>{entry.recordId}</a>
+                        : entry.recordId}
+                    </td>
+                    <td>{entry.details}</td>
+                    <td><AuditChanges changes={entry.changes} reason={entry.reason} /></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </Card>
+      )}
     </div>
   );
 };
 
-const AdmissionFormScreen = ({ navigateTo, currentUserPermissions, params, mockData, setMockData }) => {
-  const studentId = params.studentId;
-  const isEditMode = params.mode === 'edit' && studentId;
-  const existingStudent = isEditMode ? mockData.students.find(s => s.id === studentId) : null;
+// Shown on first launch (no data yet) and from the header for admins. Choosing demo data is explicit;
+// nothing is generated unless someone asks for it.
+const DataSourceScreen = ({ dataSource, repository, mockData, isInitialSetup, loadError, onChangeSource, onInitialized, navigateTo }) => {
+  const [draftSource, setDraftSource] = useState({ type: dataSource.type, restBaseUrl: dataSource.restBaseUrl });
+  const [isWorking, setIsWorking] = useState(false);
+  const sourceChanged = draftSource.type !== dataSource.type || draftSource.restBaseUrl !== dataSource.restBaseUrl;
+  const recordCounts = DATA_COLLECTIONS.map(collection => `${mockData[collection].length} ${collection}`).join(', ');
 
-  const initialFormState = {
-    name: existingStudent?.name || '',
-    studentId: existingStudent?.studentId || `S${Math.floor(Math.random() * 10000)}`,
-    email: existingStudent?.email || '',
-    major: existingStudent?.major || '',
-    status: existingStudent?.status || 'PENDING',
-    currentGPA: existingStudent?.currentGPA || '0.00',
-    attendanceRate: existingStudent?.attendanceRate || '0',
-    enrollmentDate: existingStudent?.enrollmentDate || '',
-    applicationFile: null,
-    applicationFileName: '',
+  const runDataTask = async (task, successMessage) => {
+    setIsWorking(true);
+    try {
+      await task();
+      alert(successMessage);
+      onInitialized();
+    } catch (error) {
+      alert(`The data source could not be updated: ${error.message}`);
+    } finally {
+      setIsWorking(false);
+    }
   };
 
-  const [formData, setFormData] = useState(initialFormState);
-  const [formErrors, setFormErrors] = useState({});
-  const [isSubmitting, setIsSubmitting] = useState(false);
-
-  useEffect(() => {
-    if (isEditMode && !existingStudent) {
-      alert("Student record not found for editing.");
-      navigateTo(SCREEN_MAP.STUDENT_LIST);
-    } else if (isEditMode && existingStudent) {
-      setFormData({
-        name: existingStudent.name || '',
-        studentId: existingStudent.studentId || '',
-        email: existingStudent.email || '',
-        major: existingStudent.major || '',
-        status: existingStudent.status || 'ENROLLED',
-        currentGPA: existingStudent.currentGPA || '0.00',
-        attendanceRate: existingStudent.attendanceRate || '0',
-        enrollmentDate: existingStudent.enrollmentDate || '',
-        applicationFile: null,
-        applicationFileName: 'existing_application.pdf', // Placeholder for existing file
-      });
+  const handleConnect = (e) => {
+    e.preventDefault();
+    if (draftSource.type === DATA_SOURCE_TYPES.REST && !/^https?:\/\/.+/.test(draftSource.restBaseUrl.trim())) {
+      alert('Enter the server URL, e.g. http://localhost:3001');
+      return;
     }
-  }, [isEditMode, existingStudent, studentId, navigateTo]);
-
-  const validateForm = () => {
-    let errors = {};
-    if (!formData.name.trim()) errors.name = 'Student Name is mandatory.';
-    if (!formData.email.trim()) errors.email = 'Email is mandatory.';
-    else if (!/\S+@\S+\.\S+/.test(formData.email)) errors.email = 'Email is invalid.';
-    if (!formData.major.trim()) errors.major = 'Major is mandatory.';
-    if (!formData.enrollmentDate.trim()) errors.enrollmentDate = 'Enrollment Date is mandatory.';
-    if (!isEditMode && !formData.applicationFile) errors.applicationFile = 'Application file is required for new admissions.';
-
-    setFormErrors(errors);
-    return Object.keys(errors).length === 0;
+    onChangeSource({ ...draftSource, restBaseUrl: draftSource.restBaseUrl.trim() });
   };
 
-  const handleChange = (e) => {
-    const { name, value } = e.target;
-    setFormData(prev => ({ ...prev, [name]: value }));
+  const handleLoadDemoData = () => {
+    if (!repository.isEmpty() && !window.confirm(`Replace all data in ${repository.adapterName} with demo data? Existing records will be deleted.`)) return;
+    runDataTask(() => repository.seedDemoData(), 'Demo data loaded.');
   };
 
-  const handleFileUpload = (e) => {
-    const file = e.target.files?.[0];
-    if (file) {
-      setFormData(prev => ({ ...prev, applicationFile: file, applicationFileName: file.name }));
-      setFormErrors(prev => ({ ...prev, applicationFile: undefined }));
-    }
+  const handleClearAll = () => {
+    if (!window.confirm(`Delete every record in ${repository.adapterName}? This cannot be undone.`)) return;
+    runDataTask(() => repository.clearAll(), 'All data cleared.');
   };
 
-  const handleSubmit = (e) => {
+  return (
+    <div className="container">
+      <h2 style={{ marginBottom: 'var(--spacing-lg)' }}>{isInitialSetup ? 'Set Up Data' : 'Data Source'}</h2>
+      {loadError && (
+        <Card className="card--elevated mb-lg">
+          <p style={{ color: 'var(--status-rejected-text)' }}><Icon name="warning" /> Could not load data from {repository.adapterName}: {loadError}</p>
+        </Card>
+      )}
+      <div className="grid-2-col" style={{ gap: 'var(--spacing-lg)' }}>
+        <Card className="card--elevated">
+          <h3 style={{ marginBottom: 'var(--spacing-md)' }}>Storage</h3>
+          <p style={{ marginBottom: 'var(--spacing-md)', color: 'var(--text-secondary)' }}>Currently using {repository.adapterName}.</p>
+          <form onSubmit={handleConnect}>
+            <SelectField
+              label="Store data in"
+              name="type"
+              value={draftSource.type}
+              onChange={(e) => setDraftSource(prev => ({ ...prev, type: e.target.value }))}
+              options={[
+                { value: DATA_SOURCE_TYPES.BROWSER, label: 'This browser (IndexedDB / localStorage)' },
+                { value: DATA_SOURCE_TYPES.REST, label: 'REST server (json-server)' },
+              ]}
+            />
+            {draftSource.type === DATA_SOURCE_TYPES.REST && (
+              <InputField
+                label="Server URL"
+                name="restBaseUrl"
+                value={draftSource.restBaseUrl}
+                onChange={(e) => setDraftSource(prev => ({ ...prev, restBaseUrl: e.target.value }))}
+                placeholder="http://localhost:3001"
+              />
+            )}
+            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 'var(--spacing-md)' }}>
+              <Button variant="outline" onClick={() => repository.load().then(() => alert('Data reloaded.'), error => alert(`Reload failed: ${error.message}`))} disabled={isWorking}>Reload</Button>
+              <Button type="submit" variant="primary" disabled={!sourceChanged || isWorking}>Connect</Button>
+            </div>
+          </form>
+        </Card>
+
+        <Card className="card--elevated">
+          <h3 style={{ marginBottom: 'var(--spacing-md)' }}>Data</h3>
+          <p style={{ marginBottom: 'var(--spacing-md)', color: 'var(--text-secondary)' }}>{repository.isEmpty() ? 'No records stored yet.' : `Stored: ${recordCounts}.`}</p>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 'var(--spacing-md)' }}>
+            <Button variant="primary" icon="plus" onClick={handleLoadDemoData} disabled={isWorking || Boolean(loadError)}>Load Demo Data</Button>
+            {isInitialSetup && !loadError && <Button variant="outline" onClick={onInitialized} disabled={isWorking}>Start With Empty Data</Button>}
+            {!isInitialSetup && <Button variant="outline" icon="trash" onClick={handleClearAll} disabled={isWorking || repository.isEmpty()}>Clear All Data</Button>}
+          </div>
+          {!isInitialSetup && (
+            <div style={{ marginTop: 'var(--spacing-lg)' }}>
+              <Button variant="secondary" onClick={() => navigateTo(SCREEN_MAP.DASHBOARD)}>Back to Dashboard</Button>
+            </div>
+          )}
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+// --- Notification Center ---
+const NotificationCenter = ({ notifications, readIds, onOpen, onMarkRead, onClose, settingsLinkProps }) => {
+  const unread = notifications.filter(n => !readIds.includes(n.id));
+  return (
+    <div className="notification-center__panel" role="dialog" aria-label="Notifications">
+      <div className="notification-center__header">
+        <strong>Notifications{unread.length > 0 ? ` (${unread.length} unread)` : ''}</strong>
+        {unread.length > 0 && <button type="button" className="notification-center__action" onClick={() => onMarkRead(unread.map(n => n.id))}>Mark all as read</button>}
+      </div>
+      {notifications.length === 0 ? (
+        <p className="notification-center__empty">You're all caught up.</p>
+      ) : (
+        <ul className="notification-center__list">
+          {notifications.map(notification => {
+            const isUnread = !readIds.includes(notification.id);
+            return (
+              <li key={notification.id} className={`notification-center__item${isUnread ? ' notification-center__item--unread' : ''}`}>
+                <div onClick={() => onOpen(notification)} style={{ cursor: 'pointer', flexGrow: 1 }}>
+                  <p style={{ margin: 0 }}>{notification.title}</p>
+                  <p className="notification-center__meta">
+                    {notification.details}{notification.at && ` · ${new Date(notification.at).toLocaleDateString()}`}
+                  </p>
+                </div>
+                {isUnread && <button type="button" className="notification-center__action" onClick={() => onMarkRead([notification.id])}>Mark read</button>}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      <a {...settingsLinkProps} className="user-menu__item" onClick={(e) => { onClose(); settingsLinkProps.onClick(e); }}>
+        <Icon name="cog" /> Notification settings
+      </a>
+    </div>
+  );
+};
+
+const NotificationSettingsScreen = ({ currentUserPermissions, mockData, repository }) => {
+  const rules = NOTIFICATION_RULES.filter(rule => rule.appliesTo(currentUserPermissions));
+  const settings = getNotificationSettings(mockData, currentUserPermissions.userId);
+  const [preferences, setPreferences] = useState(() => Object.fromEntries(rules.map(rule => [rule.id, getRulePreference(settings, rule)])));
+  const [errors, setErrors] = useState({});
+
+  const updatePreference = (ruleId, changes) => setPreferences(prev => ({ ...prev, [ruleId]: { ...prev[ruleId], ...changes } }));
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!validateForm()) {
-      alert("Please correct the errors in the form.");
+    const newErrors = Object.fromEntries(rules
+      .filter(rule => preferences[rule.id].threshold === '' || !(Number(preferences[rule.id].threshold) >= 0))
+      .map(rule => [rule.id, 'Enter a number of zero or more.']));
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+    const outcome = repository.perform(data => saveNotificationSettings(data, currentUserPermissions.userId, {
+      rules: Object.fromEntries(rules.map(rule => [rule.id, { enabled: preferences[rule.id].enabled, threshold: Number(preferences[rule.id].threshold) }])),
+    }));
+    if (outcome.error) {
+      alert(outcome.error);
       return;
     }
+    if (await outcome.saved) alert('Notification settings saved.');
+  };
 
-    setIsSubmitting(true);
-    // Simulate API call
-    setTimeout(() => {
-      alert(`Student record ${isEditMode ? 'updated' : 'created'} successfully!`);
-
-      const newRecord = {
-        ...formData,
-        id: existingStudent?.id || `STU${Math.floor(Math.random() * 100000)}`,
-        image: `https://api.dicebear.com/7.x/initials/svg?seed=${encodeURIComponent(formData.name)}`,
-        lastActivity: new Date().toISOString(),
-        // Workflow stage for new admissions, if applicable
-        workflowStageId: isEditMode ? existingStudent?.workflowStageId : 'STAGE_ENROLLMENT_1',
-      };
-
-      setMockData(prevData => {
-        if (isEditMode) {
-          return {
-            ...prevData,
-            students: prevData.students.map(s => s.id === newRecord.id ? newRecord : s),
-            activityLog: [{
-              id: `ACT${prevData.activityLog.length}`,
-              userId: 'USR_CURRENT', userName: currentUserPermissions.user,
-              action: 'updated', timestamp: new Date().toISOString(),
-              recordType: 'Student', recordId: newRecord.id,
-              details: `Student ${newRecord.name} details updated.`,
-            }, ...prevData.activityLog],
-          };
-        } else {
-          return {
-            ...prevData,
-            students: [...prevData.students, newRecord],
-            activityLog: [{
-              id: `ACT${prevData.activityLog.length}`,
-              userId: 'USR_CURRENT', userName: currentUserPermissions.user,
-              action: 'created', timestamp: new Date().toISOString(),
-              recordType: 'Student', recordId: newRecord.id,
-              details: `New student ${newRecord.name} admitted.`,
-            }, ...prevData.activityLog],
-          };
-        }
-      });
+  return (
+    <div className="container">
+      <h2 style={{ marginBottom: 'var(--spacing-lg)' }}>Notification Settings</h2>
+      <Card className="card--elevated">
+        <form onSubmit={handleSubmit}>
+          <p style={{ color: 'var(--text-secondary)', marginBottom: 'var(--spacing-md)' }}>
+            Choose which alerts appear under the bell and when they fire. Only records you can access are checked.
+          </p>
+          {rules.map(rule => (
+            <div key={rule.id} className="notification-rule">
+              <label style={{ display: 'flex', alignItems: 'center', fontWeight: 600 }}>
+                <input type="checkbox" className="checkbox-field" checked={preferences[rule.id].enabled}
+                  onChange={(e) => updatePreference(rule.id, { enabled: e.target.checked })} />
+                {rule.label}
+              </label>
+              <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>{rule.description}</p>
+              <InputField
+                label={rule.threshold.label}
+                type="number"
+                name={`${rule.id}Threshold`}
+                value={preferences[rule.id].threshold}
+                onChange={(e) => updatePreference(rule.id, { threshold: e.target.value })}
+                disabled={!preferences[rule.id].enabled}
+                error={errors[rule.id]}
+              />
+            </div>
+          ))}
+          <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
+            <Button type="submit" variant="primary" icon="check">Save Settings</Button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+};
 
-      setIsSubmitting(false);
-      navigateTo(SCREEN_MAP.STUDENT_DETAIL, { studentId: newRecord.id });
-    }, 1500);
-  };
+const StudentIdSettingsScreen = ({ currentUserPermissions, mockData, repository }) => {
+  const sequence = getStudentIdSequence(mockData);
+  const [format, setFormat] = useState({ ...sequence.format, digits: String(sequence.format.digits) });
+  const [error, setError] = useState('');
+  const parsedFormat = { ...format, digits: Number(format.digits) };
+  const formatError = validateStudentIdFormat(parsedFormat);
 
-  if (!currentUserPermissions.canManageStudents) {
+  if (!currentUserPermissions.canConfigureStudentIds) {
     return (
       <div className="container">
-        <EmptyState title="Access Denied" description="You do not have permission to manage student records." icon="warning" />
-        <div className="text-center" style={{ marginTop: 'var(--spacing-lg)' }}>
-          <Button onClick={() => navigateTo(SCREEN_MAP.DASHBOARD)} variant="secondary">Go to Dashboard</Button>
-        </div>
+        <EmptyState title="Access Denied" description="You do not have permission to change the student ID format." icon="warning" />
       </div>
     );
   }
 
+  const updateFormat = (changes) => setFormat(prev => ({ ...prev, ...changes }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(formatError || '');
+    if (formatError) return;
+    const outcome = repository.perform(data => saveStudentIdFormat(data, parsedFormat, currentUserPermissions));
+    if (outcome.error) {
+      setError(outcome.error);
+      return;
+    }
+    if (await outcome.saved) alert('Student ID format saved.');
+  };
+
   return (
     <div className="container">
-      <h2 style={{ marginBottom: 'var(--spacing-lg)' }}>{isEditMode ? `Edit Student: ${existingStudent?.name}` : 'New Student Admission'}</h2>
-      <Card className="card--elevated" style={{ maxWidth: '800px', margin: '0 auto' }}>
+      <h2 style={{ marginBottom: 'var(--spacing-lg)' }}>Student ID Format</h2>
+      <Card className="card--elevated">
         <form onSubmit={handleSubmit}>
-          <InputField label="Student Name" name="name" value={formData.name} onChange={handleChange} required error={formErrors.name} />
-          <InputField label="Student ID" name="studentId" value={formData.studentId} disabled autoPopulate autoPopulateText="Automatically generated" />
-          <InputField label="Email Address" type="email" name="email" value={formData.email} onChange={handleChange} required error={formErrors.email} />
-          <InputField label="Major" name="major" value={formData.major} onChange={handleChange} required error={formErrors.major} />
-          <InputField label="Enrollment Date" type="date" name="enrollmentDate" value={formData.enrollmentDate} onChange={handleChange} required error={formErrors.enrollmentDate} />
-          <InputField label="Current GPA" type="number" name="currentGPA" value={formData.currentGPA} onChange={handleChange} disabled={!isEditMode} />
-          <InputField label="Attendance Rate (%)" type="number" name="attendanceRate" value={formData.attendanceRate} onChange={handleChange} disabled={!isEditMode} />
-
-          {!isEditMode && <FileUpload label="Upload Application File" name="applicationFile" onFileUpload={handleFileUpload} fileName={formData.applicationFileName} error={formErrors.applicationFile} />}
-
-          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 'var(--spacing-md)', marginTop: 'var(--spacing-xl)' }}>
-            <Button type="button" onClick={() => navigateTo(SCREEN_MAP.STUDENT_LIST)} variant="outline">Cancel</Button>
-            <Button type="submit" variant="primary" disabled={isSubmitting}>
-              {isSubmitting ? 'Saving...' : (isEditMode ? 'Update Student' : 'Admit Student')}
-            </Button>
+          <p style={{ color: 'var(--text-secondary)', marginBottom: 'var(--spacing-md)' }}>
+            New students get the next number in sequence. Existing student IDs are not changed, and numbers already in use are skipped.
+          </p>
+          <div className="grid-2-col" style={{ gap: 'var(--spacing-md)' }}>
+            <InputField label="Prefix" name="idPrefix" value={format.prefix} maxLength={5} onChange={(e) => updateFormat({ prefix: e.target.value })} />
+            <SelectField label="Separator" name="idSeparator" value={format.separator} onChange={(e) => updateFormat({ separator: e.target.value })}
+              options={[{ value: '', label: 'None' }, { value: '-', label: 'Dash (-)' }, { value: '/', label: 'Slash (/)' }]} />
+            <InputField label="Sequence Digits" type="number" name="idDigits" value={format.digits} min={3} max={8} step={1} onChange={(e) => updateFormat({ digits: e.target.value })} />
+          </div>
+          <label style={{ display: 'flex', alignItems: 'center', marginBottom: 'var(--spacing-sm)' }}>
+            <input type="checkbox" className="checkbox-field" checked={format.includeYear} onChange={(e) => updateFormat({ includeYear: e.target.checked })} />
+            Include the year (the sequence restarts each year)
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', marginBottom: 'var(--spacing-md)' }}>
+            <input type="checkbox" className="checkbox-field" checked={format.checkDigit} onChange={(e) => updateFormat({ checkDigit: e.target.checked })} />
+            Add a check digit, so a mistyped digit is caught
+          </label>
+          <p>
+            Next new student: <strong>{formatError ? '—' : allocateStudentId({ ...mockData, idSequences: [{ ...sequence, format: parsedFormat }] }).studentId}</strong>
+          </p>
+          {(error || formatError) && <p className="error-message">{error || formatError}</p>}
+          <div style={{ display: 'flex', justifyContent: 'flex-end' }}>
+            <Button type="submit" variant="primary" icon="check">Save Format</Button>
           </div>
         </form>
       </Card>
@@ -800,6 +8405,75 @@ const AdmissionFormScreen = ({ navigateTo, currentUserPermissions, params, mockD
   );
 };
 
+// --- Search Results ---
+const SEARCH_SUGGESTIONS_PER_TYPE = 5;
+const SEARCH_RESULTS_PER_TYPE = 50;
+
+const SearchResultsScreen = ({ navigateTo, params = {}, searchIndex }) => {
+  const query = params.q || '';
+  const typeFilter = SEARCH_TYPES[params.type] ? params.type : '';
+  const results = useMemo(() => (
+    searchIndex && query.trim().length >= SEARCH_MIN_QUERY_LENGTH ? searchDocuments(searchIndex, query) : []
+  ), [searchIndex, query]);
+  const groups = groupSearchResults(results);
+  const shownGroups = groupSearchResults(
+    typeFilter ? results.filter(result => result.type === typeFilter) : results,
+    typeFilter ? Infinity : SEARCH_RESULTS_PER_TYPE,
+  );
+
+  const updateSearch = (nextQuery, nextType) => {
+    navigateTo(SCREEN_MAP.SEARCH_RESULTS, { q: nextQuery, type: nextType }, { replace: true });
+  };
+
+  return (
+    <div className="container">
+      <h2 style={{ marginBottom: 'var(--spacing-lg)' }}>Search Results</h2>
+      <InputField
+        label="Search"
+        name="searchQuery"
+        value={query}
+        onChange={(e) => updateSearch(e.target.value, typeFilter)}
+        placeholder="e.g. major:physics status:enrolled"
+      />
+      <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)', marginBottom: 'var(--spacing-md)' }}>
+        Narrow a search with <code>field:value</code> terms, such as <code>major:physics</code>, <code>instructor:lovelace</code> or <code>type:course</code>.
+        Fields: {SEARCH_FIELD_NAMES.join(', ')}. Small typos are tolerated.
+      </p>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 'var(--spacing-sm)', marginBottom: 'var(--spacing-lg)' }}>
+        <Button variant={typeFilter ? 'outline' : 'secondary'} onClick={() => updateSearch(query, '')}>All ({results.length})</Button>
+        {groups.map(group => (
+          <Button key={group.type} variant={typeFilter === group.type ? 'secondary' : 'outline'} onClick={() => updateSearch(query, group.type)}>
+            {SEARCH_TYPES[group.type].label} ({group.total})
+          </Button>
+        ))}
+      </div>
+
+      {shownGroups.length === 0 ? (
+        <EmptyState
+          title={query.trim().length >= SEARCH_MIN_QUERY_LENGTH ? 'No Results' : 'Enter a Search'}
+          description={query.trim().length >= SEARCH_MIN_QUERY_LENGTH ? `Nothing you can access matches "${query}".` : `Type at least ${SEARCH_MIN_QUERY_LENGTH} characters.`}
+          icon="search"
+        />
+      ) : shownGroups.map(group => (
+        <Card key={group.type} className="card--elevated mb-lg">
+          <h3 style={{ marginBottom: 'var(--spacing-sm)' }}>
+            <Icon name={SEARCH_TYPES[group.type].icon} /> {SEARCH_TYPES[group.type].label} ({group.total})
+          </h3>
+          {group.items.map(result => (
+            <div key={result.key} className="search-results__item" onClick={() => navigateTo(...SEARCH_TYPES[result.type].target(result.record))}>
+              <p style={{ fontWeight: 600, margin: 0 }}>{result.title}</p>
+              <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)', margin: 0 }}>{SEARCH_TYPES[result.type].subtitle(result.record)}</p>
+            </div>
+          ))}
+          {group.items.length < group.total && (
+            <Button variant="outline" onClick={() => updateSearch(query, group.type)}>Show all {group.total} {SEARCH_TYPES[group.type].label.toLowerCase()}</Button>
+          )}
+        </Card>
+      ))}
+    </div>
+  );
+};
 
 const NotFoundScreen = ({ navigateTo }) => (
   <div className="container text-center">
@@ -812,118 +8486,381 @@ const NotFoundScreen = ({ navigateTo }) => (
 
 
 function App() {
-  const [view, setView] = useState({ screen: SCREEN_MAP.DASHBOARD, params: {} });
-  const [currentUserRole, setCurrentUserRole] = useState(ROLES.ADMIN); // Default to Admin for full demo
-  const [mockData, setMockData] = useState(generateMockData());
+  const [view, setView] = useState(() => matchRoute(window.location.pathname, window.location.search));
+  const [session, setSession] = useState(() => {
+    const stored = loadSession();
+    return stored && !isSessionExpired(stored) ? stored : null;
+  });
+  const [sessionNotice, setSessionNotice] = useState(() => {
+    const stored = loadSession();
+    return stored && isSessionExpired(stored) ? 'Your session expired because of inactivity. Please sign in again.' : '';
+  });
+  const [isUserMenuOpen, setIsUserMenuOpen] = useState(false);
+  const [isNotificationsOpen, setIsNotificationsOpen] = useState(false);
+  const [dataSource, setDataSource] = useState(loadDataSourceSettings);
+  const repository = useMemo(() => createRepository(createDataAdapter(dataSource)), [dataSource.type, dataSource.restBaseUrl]);
+  const [mockData, setMockData] = useState(createEmptyData);
+  const [dataStatus, setDataStatus] = useState({ loading: true, error: null });
+
+  // Screens render from the repository snapshot; any write through the repository re-renders the app.
+  useEffect(() => {
+    const unsubscribe = repository.subscribe(setMockData);
+    const unsubscribeErrors = repository.onError(error => alert(`Your changes could not be saved: ${error.message}`));
+    setDataStatus({ loading: true, error: null });
+    repository.load().then(
+      () => setDataStatus({ loading: false, error: null }),
+      error => setDataStatus({ loading: false, error: error.message }),
+    );
+    return () => {
+      unsubscribe();
+      unsubscribeErrors();
+    };
+  }, [repository]);
+
+  const updateDataSource = (changes) => {
+    const next = { ...dataSource, ...changes };
+    saveDataSourceSettings(next);
+    setDataSource(next);
+  };
+
+  // The account is looked up on every render so role changes and deactivation apply immediately
+  const currentUser = session ? mockData.users.find(u => u.id === session.userId && u.active) || null : null;
+  const currentUserRole = currentUser?.role;
+  const currentUserPermissions = {
+    ...USER_PERMISSIONS[currentUserRole],
+    role: currentUserRole,
+    user: currentUser?.name,
+    userId: currentUser?.id,
+    instructorName: currentUser?.instructorName,
+    studentRecordId: currentUser?.studentRecordId,
+  };
+
+  // Screens only see the records in the current user's scope and write through the scoped repository
+  const visibleData = currentUser ? scopeDataForUser(mockData, currentUser) : null;
+  const scopedRepository = useMemo(() => currentUser && createScopedRepository(repository, currentUser), [repository, currentUser]);
+
+  // Notifications are re-evaluated whenever the visible data (including the user's settings) changes
+  const notificationSettings = currentUser ? getNotificationSettings(visibleData, currentUser.id) : null;
+  const notifications = useMemo(
+    () => (currentUser ? buildNotifications(visibleData, currentUser, currentUserPermissions, notificationSettings) : []),
+    [visibleData, currentUser],
+  );
+  const unreadNotificationCount = notifications.filter(n => !notificationSettings.readIds.includes(n.id)).length;
+
+  const handleMarkNotificationsRead = (ids) => {
+    const currentIds = notifications.map(n => n.id);
+    scopedRepository.applyChanges(data => markNotificationsRead(data, currentUser.id, ids, currentIds).data);
+  };
+
+  const handleOpenNotification = (notification) => {
+    if (!notificationSettings.readIds.includes(notification.id)) handleMarkNotificationsRead([notification.id]);
+    navigateTo(...notification.target);
+  };
+
+  const startSession = (user) => {
+    const now = Date.now();
+    const next = { userId: user.id, startedAt: now, lastActiveAt: now };
+    saveSession(next);
+    setSession(next);
+    setSessionNotice('');
+  };
+
+  const endSession = (notice = '') => {
+    clearSession();
+    setSession(null);
+    setSessionNotice(notice);
+    setIsUserMenuOpen(false);
+  };
+
+  // A stored session whose account was removed or deactivated ends as soon as the data is loaded
+  useEffect(() => {
+    if (!dataStatus.loading && !dataStatus.error && session && !currentUser) endSession('Your account is no longer active.');
+  }, [dataStatus, session, currentUser]);
 
-  const currentUserPermissions = USER_PERMISSIONS[currentUserRole];
+  // Idle timeout: user input keeps the session alive; it ends after SESSION_IDLE_TIMEOUT_MS without any.
+  useEffect(() => {
+    if (!session) return undefined;
+    let lastActiveAt = session.lastActiveAt;
+    const markActive = () => { lastActiveAt = Date.now(); };
+    const activityEvents = ['mousedown', 'keydown', 'scroll', 'touchstart'];
+    activityEvents.forEach(eventName => window.addEventListener(eventName, markActive, { passive: true }));
+    const timer = setInterval(() => {
+      if (Date.now() - lastActiveAt > SESSION_IDLE_TIMEOUT_MS) {
+        endSession(`You were signed out after ${SESSION_IDLE_TIMEOUT_MS / 60000} minutes of inactivity.`);
+      } else {
+        saveSession({ ...session, lastActiveAt });
+      }
+    }, 30 * 1000);
+    return () => {
+      activityEvents.forEach(eventName => window.removeEventListener(eventName, markActive));
+      clearInterval(timer);
+    };
+  }, [session]);
+
+  // Dashboard KPIs are recorded once a day while anyone is signed in; takeKpiSnapshot skips it when the last one is recent
+  useEffect(() => {
+    if (dataStatus.loading || dataStatus.error || !currentUser) return undefined;
+    const recordKpis = () => repository.perform(data => takeKpiSnapshot(data));
+    recordKpis();
+    const timer = setInterval(recordKpis, 60 * 60 * 1000);
+    return () => clearInterval(timer);
+  }, [dataStatus, currentUser, repository]);
+
+  const handleCreateFirstAdmin = async (fields) => {
+    const credentials = await createPasswordCredentials(fields.password);
+    const outcome = repository.perform(data => {
+      const created = createUserAccount(data, { ...fields, role: ROLES.ADMIN }, credentials);
+      return { ...created, data: stampNewActivity(data, created.data, created.user) };
+    });
+    if (await outcome.saved) startSession(outcome.user);
+  };
+
+  // A form with unsaved changes registers a warning here; leaving the screen then asks first. The
+  // browser shows its own prompt on reload or tab close, since the message can't be customised there.
+  const unsavedChangesRef = useRef(null);
+  const setUnsavedChanges = useCallback((message) => {
+    unsavedChangesRef.current = message;
+  }, []);
+  const confirmLeavingUnsavedChanges = () => {
+    if (unsavedChangesRef.current && !window.confirm(unsavedChangesRef.current)) return false;
+    unsavedChangesRef.current = null;
+    return true;
+  };
+  const currentPathRef = useRef(`${window.location.pathname}${window.location.search}`);
+
+  useEffect(() => {
+    const handleBeforeUnload = (e) => {
+      if (!unsavedChangesRef.current) return;
+      e.preventDefault();
+      e.returnValue = unsavedChangesRef.current;
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, []);
 
-  const navigateTo = (screen, params = {}) => {
+  // Screens navigate by screen + params; the URL is derived from the route table and pushed to history.
+  // `replace` rewrites the current entry instead, for state like list filters that shouldn't pile up in Back.
+  const navigateTo = (screen, params = {}, { replace = false } = {}) => {
+    if (!replace && !confirmLeavingUnsavedChanges()) return;
+    const path = buildRoutePath(screen, params);
+    if (path && path !== `${window.location.pathname}${window.location.search}`) {
+      window.history[replace ? 'replaceState' : 'pushState'](null, '', path);
+    }
+    currentPathRef.current = `${window.location.pathname}${window.location.search}`;
     setView({ screen, params });
+    setIsUserMenuOpen(false);
+    setIsNotificationsOpen(false);
+  };
+
+  useEffect(() => {
+    const handlePopState = () => {
+      // Back/Forward has already changed the URL; if the user stays, put the form's URL back
+      if (!confirmLeavingUnsavedChanges()) {
+        window.history.pushState(null, '', currentPathRef.current);
+        return;
+      }
+      currentPathRef.current = `${window.location.pathname}${window.location.search}`;
+      setView(matchRoute(window.location.pathname, window.location.search));
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  // Real hrefs so links can be opened in a new tab; plain clicks stay in the app.
+  const linkProps = (screen, params = {}) => ({
+    href: buildRoutePath(screen, params) || undefined,
+    onClick: (e) => {
+      if (e.metaKey || e.ctrlKey || e.shiftKey || e.button === 1) return;
+      e.preventDefault();
+      navigateTo(screen, params);
+    },
+  });
+
+  // Loading, first-run setup and sign-in come before any screen and render without the app header
+  const renderGate = () => {
+    if (dataStatus.loading) {
+      return <div className="container text-center"><p>Loading data from {repository.adapterName}...</p></div>;
+    }
+    if (dataStatus.error || (!dataSource.initialized && repository.isEmpty())) {
+      return (
+        <DataSourceScreen
+          key={repository.adapterName}
+          isInitialSetup
+          loadError={dataStatus.error}
+          dataSource={dataSource} repository={repository} mockData={mockData}
+          onChangeSource={updateDataSource}
+          onInitialized={() => updateDataSource({ initialized: true })}
+          navigateTo={navigateTo}
+        />
+      );
+    }
+    if (!currentUser) {
+      return <LoginScreen users={mockData.users} notice={sessionNotice} onLogin={startSession} onCreateFirstAdmin={handleCreateFirstAdmin} />;
+    }
+    return null;
   };
 
   const renderScreen = () => {
     switch (view.screen) {
       case SCREEN_MAP.DASHBOARD:
-        return <DashboardScreen navigateTo={navigateTo} currentUserPermissions={currentUserPermissions} mockData={mockData} />;
+        return <DashboardScreen navigateTo={navigateTo} currentUserPermissions={currentUserPermissions} mockData={visibleData} repository={scopedRepository} />;
       case SCREEN_MAP.STUDENT_LIST:
-        return <StudentListScreen navigateTo={navigateTo} currentUserPermissions={currentUserPermissions} mockData={mockData} setMockData={setMockData} />;
+        return <StudentListScreen navigateTo={navigateTo} currentUserPermissions={currentUserPermissions} params={view.params} mockData={visibleData} repository={scopedRepository} />;
       case SCREEN_MAP.STUDENT_DETAIL:
-        return <StudentDetailScreen navigateTo={navigateTo} currentUserPermissions={currentUserPermissions} params={view.params} mockData={mockData} />;
+        return <StudentDetailScreen key={view.params?.studentId} navigateTo={navigateTo} currentUserPermissions={currentUserPermissions} params={view.params} mockData={visibleData} repository={scopedRepository} />;
       case SCREEN_MAP.ADMISSION_FORM:
-        return <AdmissionFormScreen navigateTo={navigateTo} currentUserPermissions={currentUserPermissions} params={view.params} mockData={mockData} setMockData={setMockData} />;
-      // Add other screens here (e.g., COURSE_LIST)
+        return <AdmissionFormScreen navigateTo={navigateTo} currentUserPermissions={currentUserPermissions} params={view.params} mockData={visibleData} repository={scopedRepository} setUnsavedChanges={setUnsavedChanges} />;
+      case SCREEN_MAP.COURSE_LIST:
+        return <CourseListScreen navigateTo={navigateTo} currentUserPermissions={currentUserPermissions} mockData={visibleData} repository={scopedRepository} />;
+      case SCREEN_MAP.COURSE_DETAIL:
+        return <CourseDetailScreen navigateTo={navigateTo} currentUserPermissions={currentUserPermissions} params={view.params} mockData={visibleData} repository={scopedRepository} />;
+      case SCREEN_MAP.COURSE_FORM:
+        return <CourseFormScreen navigateTo={navigateTo} currentUserPermissions={currentUserPermissions} params={view.params} mockData={visibleData} repository={scopedRepository} />;
+      case SCREEN_MAP.GRADEBOOK:
+        return <GradebookScreen key={view.params?.courseId} navigateTo={navigateTo} currentUserPermissions={currentUserPermissions} params={view.params} mockData={visibleData} repository={scopedRepository} />;
+      case SCREEN_MAP.ADMISSION_LIST:
+        return <AdmissionListScreen navigateTo={navigateTo} currentUserPermissions={currentUserPermissions} params={view.params} mockData={visibleData} repository={scopedRepository} />;
+      case SCREEN_MAP.ADMISSION_DETAIL:
+        return <AdmissionDetailScreen key={view.params?.admissionId} navigateTo={navigateTo} currentUserPermissions={currentUserPermissions} params={view.params} mockData={visibleData} repository={scopedRepository} />;
+      case SCREEN_MAP.ATTENDANCE:
+        return <AttendanceScreen key={view.params?.courseId} navigateTo={navigateTo} currentUserPermissions={currentUserPermissions} params={view.params} mockData={visibleData} repository={scopedRepository} />;
+      case SCREEN_MAP.DATA_SOURCE:
+        if (!currentUserPermissions.canManageDataSource) return <NotFoundScreen navigateTo={navigateTo} />;
+        return (
+          <DataSourceScreen
+            key={repository.adapterName}
+            dataSource={dataSource} repository={repository} mockData={mockData}
+            onChangeSource={updateDataSource}
+            onInitialized={() => updateDataSource({ initialized: true })}
+            navigateTo={navigateTo}
+          />
+        );
+      case SCREEN_MAP.USER_MANAGEMENT:
+        return <UserManagementScreen navigateTo={navigateTo} currentUserPermissions={currentUserPermissions} mockData={visibleData} repository={scopedRepository} />;
+      case SCREEN_MAP.STUDENT_IMPORT:
+        return <StudentImportScreen navigateTo={navigateTo} currentUserPermissions={currentUserPermissions} mockData={visibleData} repository={scopedRepository} />;
+      case SCREEN_MAP.STUDENT_DUPLICATES:
+        return <DuplicateReviewScreen navigateTo={navigateTo} currentUserPermissions={currentUserPermissions} mockData={visibleData} repository={scopedRepository} />;
+      case SCREEN_MAP.STUDENT_MERGE:
+        // Keyed by the pair so swapping which record is kept starts a fresh set of field choices
+        return <StudentMergeScreen key={`${view.params.keep}:${view.params.merge}`} navigateTo={navigateTo} currentUserPermissions={currentUserPermissions} params={view.params} mockData={visibleData} repository={scopedRepository} />;
+      case SCREEN_MAP.STUDENT_ID_SETTINGS:
+        return <StudentIdSettingsScreen currentUserPermissions={currentUserPermissions} mockData={visibleData} repository={scopedRepository} />;
+      case SCREEN_MAP.NOTIFICATION_SETTINGS:
+        return <NotificationSettingsScreen currentUserPermissions={currentUserPermissions} mockData={visibleData} repository={scopedRepository} />;
+      case SCREEN_MAP.SEARCH_RESULTS:
+        return <SearchResultsScreen navigateTo={navigateTo} params={view.params} searchIndex={searchIndex} />;
+      case SCREEN_MAP.AUDIT_LOG:
+        return <AuditLogScreen navigateTo={navigateTo} currentUserPermissions={currentUserPermissions} mockData={visibleData} repository={scopedRepository} />;
       default:
         return <NotFoundScreen navigateTo={navigateTo} />;
     }
   };
 
-  // Mock Global Search
+  // Global search: the index covers what the user can see and is rebuilt only when that data changes
   const [searchQuery, setSearchQuery] = useState('');
-  const [searchResults, setSearchResults] = useState([]);
-  const searchTimeoutRef = useRef(null);
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
+  const [activeSearchItem, setActiveSearchItem] = useState(-1);
+  const searchTypes = currentUser ? getSearchTypesFor(currentUserPermissions).join(',') : '';
+  const searchIndex = useMemo(
+    () => (visibleData ? buildSearchIndex(visibleData, searchTypes.split(',').filter(Boolean)) : null),
+    [visibleData, searchTypes],
+  );
+  const searchGroups = useMemo(() => (
+    searchIndex && searchQuery.trim().length >= SEARCH_MIN_QUERY_LENGTH
+      ? groupSearchResults(searchDocuments(searchIndex, searchQuery), SEARCH_SUGGESTIONS_PER_TYPE)
+      : []
+  ), [searchIndex, searchQuery]);
 
-  const handleGlobalSearch = (e) => {
-    const query = e.target.value;
-    setSearchQuery(query);
-
-    clearTimeout(searchTimeoutRef.current);
-    searchTimeoutRef.current = setTimeout(() => {
-      if (query.length > 2) {
-        const results = [];
-        mockData.students.forEach(s => {
-          if (s.name.toLowerCase().includes(query.toLowerCase()) || s.studentId.toLowerCase().includes(query.toLowerCase())) {
-            results.push({ type: 'Student', id: s.id, name: s.name, targetScreen: SCREEN_MAP.STUDENT_DETAIL });
-          }
-        });
-        mockData.admissions.forEach(a => {
-          if (a.applicantName.toLowerCase().includes(query.toLowerCase()) || a.programApplied.toLowerCase().includes(query.toLowerCase())) {
-            results.push({ type: 'Admission', id: a.id, name: a.applicantName, targetScreen: SCREEN_MAP.ADMISSION_FORM }); // Using AdmissionForm as detail page
-          }
-        });
-        setSearchResults(results.slice(0, 5)); // Limit suggestions
-      } else {
-        setSearchResults([]);
-      }
-    }, 300);
+  const closeSearch = () => {
+    setSearchQuery('');
+    setIsSearchOpen(false);
+    setActiveSearchItem(-1);
   };
 
   const handleSelectSearchResult = (result) => {
-    setSearchQuery('');
-    setSearchResults([]);
-    navigateTo(result.targetScreen, { studentId: result.id }); // Assuming studentId as generic ID param
+    closeSearch();
+    navigateTo(...SEARCH_TYPES[result.type].target(result.record));
   };
 
-  const getBreadcrumbs = () => {
-    const path = [];
-    path.push({ label: 'Home', screen: SCREEN_MAP.DASHBOARD });
+  const handleSeeAllResults = () => {
+    const query = searchQuery;
+    closeSearch();
+    navigateTo(SCREEN_MAP.SEARCH_RESULTS, { q: query });
+  };
 
-    switch (view.screen) {
-      case SCREEN_MAP.STUDENT_LIST:
-        path.push({ label: 'Students', screen: SCREEN_MAP.STUDENT_LIST });
-        break;
-      case SCREEN_MAP.STUDENT_DETAIL:
-        path.push({ label: 'Students', screen: SCREEN_MAP.STUDENT_LIST });
-        const student = mockData.students.find(s => s.id === view.params?.studentId);
-        if (student) path.push({ label: student.name, screen: SCREEN_MAP.STUDENT_DETAIL, params: view.params });
-        break;
-      case SCREEN_MAP.ADMISSION_FORM:
-        path.push({ label: 'Students', screen: SCREEN_MAP.STUDENT_LIST });
-        if (view.params?.mode === 'edit') {
-          const editedStudent = mockData.students.find(s => s.id === view.params?.studentId);
-          if (editedStudent) path.push({ label: `Edit ${editedStudent.name}`, screen: SCREEN_MAP.ADMISSION_FORM, params: view.params });
-          else path.push({ label: 'Edit Student', screen: SCREEN_MAP.ADMISSION_FORM, params: view.params });
-        } else {
-          path.push({ label: 'New Admission', screen: SCREEN_MAP.ADMISSION_FORM });
-        }
-        break;
-      // Add other screen breadcrumbs
-      default:
-        // For Dashboard or unhandled screens, only Home
-        break;
+  // Arrow keys walk the suggestions in display order, ending with "See all results"
+  const searchItems = searchGroups.length > 0
+    ? [...searchGroups.flatMap(group => group.items.map(result => () => handleSelectSearchResult(result))), handleSeeAllResults]
+    : [];
+
+  const handleGlobalSearch = (e) => {
+    setSearchQuery(e.target.value);
+    setIsSearchOpen(true);
+    setActiveSearchItem(-1);
+  };
+
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (searchItems.length === 0) return;
+      setIsSearchOpen(true);
+      setActiveSearchItem(index => (e.key === 'ArrowDown'
+        ? (index + 1) % searchItems.length
+        : (index <= 0 ? searchItems.length - 1 : index - 1)));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (searchItems[activeSearchItem]) searchItems[activeSearchItem]();
+      else if (searchQuery.trim().length >= SEARCH_MIN_QUERY_LENGTH) handleSeeAllResults();
+    } else if (e.key === 'Escape') {
+      setIsSearchOpen(false);
+      setActiveSearchItem(-1);
     }
-    return path;
   };
 
+  const gate = renderGate();
+  if (gate) {
+    return (
+      <div className="App">
+        <header className="header">
+          <div className="header__logo">AMS</div>
+        </header>
+        <main style={{ flexGrow: 1, padding: 'var(--spacing-lg) 0' }}>
+          {gate}
+        </main>
+      </div>
+    );
+  }
+
   return (
     <div className="App">
       <header className="header">
         <div className="header__logo">AMS</div>
         <nav className="header__nav">
           {currentUserPermissions.canViewDashboard && (
-            <a onClick={() => navigateTo(SCREEN_MAP.DASHBOARD)} className={view.screen === SCREEN_MAP.DASHBOARD ? 'header__nav-item--active' : 'header__nav-item'}>
+            <a {...linkProps(SCREEN_MAP.DASHBOARD)} className={view.screen === SCREEN_MAP.DASHBOARD ? 'header__nav-item--active' : 'header__nav-item'}>
               <Icon name="dashboard" /> Dashboard
             </a>
           )}
           {currentUserPermissions.canManageStudents && (
-            <a onClick={() => navigateTo(SCREEN_MAP.STUDENT_LIST)} className={view.screen === SCREEN_MAP.STUDENT_LIST || view.screen === SCREEN_MAP.STUDENT_DETAIL || view.screen === SCREEN_MAP.ADMISSION_FORM ? 'header__nav-item--active' : 'header__nav-item'}>
+            <a {...linkProps(SCREEN_MAP.STUDENT_LIST)} className={view.screen === SCREEN_MAP.STUDENT_LIST || view.screen === SCREEN_MAP.STUDENT_DETAIL || view.screen === SCREEN_MAP.ADMISSION_FORM || view.screen === SCREEN_MAP.STUDENT_IMPORT || view.screen === SCREEN_MAP.STUDENT_DUPLICATES || view.screen === SCREEN_MAP.STUDENT_MERGE ? 'header__nav-item--active' : 'header__nav-item'}>
               <Icon name="student" /> Students
             </a>
           )}
           {currentUserPermissions.canManageCourses && (
-             <a onClick={() => alert('Course List')} className={'header__nav-item'}> {/* Placeholder */}
-             <Icon name="course" /> Courses
-           </a>
+            <a {...linkProps(SCREEN_MAP.COURSE_LIST)} className={view.screen === SCREEN_MAP.COURSE_LIST || view.screen === SCREEN_MAP.COURSE_DETAIL || view.screen === SCREEN_MAP.COURSE_FORM || view.screen === SCREEN_MAP.GRADEBOOK || view.screen === SCREEN_MAP.ATTENDANCE ? 'header__nav-item--active' : 'header__nav-item'}>
+              <Icon name="course" /> Courses
+            </a>
+          )}
+          {currentUserPermissions.canManageAdmissions && (
+            <a {...linkProps(SCREEN_MAP.ADMISSION_LIST)} className={view.screen === SCREEN_MAP.ADMISSION_LIST || view.screen === SCREEN_MAP.ADMISSION_DETAIL ? 'header__nav-item--active' : 'header__nav-item'}>
+              <Icon name="admission" /> Admissions
+            </a>
+          )}
+          {currentUserPermissions.canViewAuditLogs && (
+            <a {...linkProps(SCREEN_MAP.AUDIT_LOG)} className={view.screen === SCREEN_MAP.AUDIT_LOG ? 'header__nav-item--active' : 'header__nav-item'}>
+              <Icon name="audit" /> Audit Log
+            </a>
           )}
         </nav>
         <div className="header__actions">
@@ -934,32 +8871,86 @@ function App() {
               placeholder="Global Search (Students, Courses, Admissions...)"
               value={searchQuery}
               onChange={handleGlobalSearch}
+              onKeyDown={handleSearchKeyDown}
+              onFocus={() => setIsSearchOpen(true)}
+              onBlur={() => setIsSearchOpen(false)}
+              role="combobox"
+              aria-expanded={isSearchOpen && searchItems.length > 0}
+              aria-controls="global-search-suggestions"
+              aria-activedescendant={activeSearchItem >= 0 ? `global-search-item-${activeSearchItem}` : undefined}
               style={{
-                borderRadius: searchResults.length > 0 ? 'var(--border-radius-sm) var(--border-radius-sm) 0 0' : 'var(--border-radius-sm)',
+                borderRadius: isSearchOpen && searchItems.length > 0 ? 'var(--border-radius-sm) var(--border-radius-sm) 0 0' : 'var(--border-radius-sm)',
               }}
             />
-            {searchResults.length > 0 && (
-              <div className="global-search__suggestions">
-                {searchResults.map((result, index) => (
-                  <div key={index} className="global-search__suggestion-item" onClick={() => handleSelectSearchResult(result)}>
-                    <Icon name={result.type?.toLowerCase()} style={{ marginRight: 'var(--spacing-sm)' }} />
-                    {result.name} ({result.type})
+            {isSearchOpen && searchItems.length > 0 && (
+              // mousedown would blur the input and close the list before the click lands
+              <div id="global-search-suggestions" className="global-search__suggestions" role="listbox" onMouseDown={(e) => e.preventDefault()}>
+                {searchGroups.map(group => (
+                  <div key={group.type} role="group" aria-label={SEARCH_TYPES[group.type].label}>
+                    <p className="global-search__group">{SEARCH_TYPES[group.type].label} ({group.total})</p>
+                    {group.items.map(result => {
+                      const itemIndex = searchGroups.slice(0, searchGroups.indexOf(group)).reduce((sum, g) => sum + g.items.length, 0) + group.items.indexOf(result);
+                      return (
+                        <div key={result.key} id={`global-search-item-${itemIndex}`} role="option" aria-selected={itemIndex === activeSearchItem}
+                          className={`global-search__suggestion-item${itemIndex === activeSearchItem ? ' global-search__suggestion-item--active' : ''}`}
+                          onClick={() => handleSelectSearchResult(result)}>
+                          <Icon name={SEARCH_TYPES[result.type].icon} /> {result.title}
+                        </div>
+                      );
+                    })}
                   </div>
                 ))}
+                <div id={`global-search-item-${searchItems.length - 1}`} role="option" aria-selected={activeSearchItem === searchItems.length - 1}
+                  className={`global-search__suggestion-item global-search__see-all${activeSearchItem === searchItems.length - 1 ? ' global-search__suggestion-item--active' : ''}`}
+                  onClick={handleSeeAllResults}>
+                  See all results for "{searchQuery}"
+                </div>
+              </div>
+            )}
+          </div>
+          <div className="notification-center">
+            <Button variant="icon" icon="bell" onClick={() => { setIsNotificationsOpen(open => !open); setIsUserMenuOpen(false); }}>
+              {unreadNotificationCount > 0 && <span className="notification-center__badge" aria-label={`${unreadNotificationCount} unread notifications`}>{unreadNotificationCount}</span>}
+            </Button>
+            {isNotificationsOpen && (
+              <NotificationCenter
+                notifications={notifications}
+                readIds={notificationSettings.readIds}
+                onOpen={handleOpenNotification}
+                onMarkRead={handleMarkNotificationsRead}
+                onClose={() => setIsNotificationsOpen(false)}
+                settingsLinkProps={linkProps(SCREEN_MAP.NOTIFICATION_SETTINGS)}
+              />
+            )}
+          </div>
+          <div className="user-menu">
+            <Button variant="icon" icon="user" onClick={() => { setIsUserMenuOpen(open => !open); setIsNotificationsOpen(false); }}>
+              {currentUser.name} · {currentUserRole}
+            </Button>
+            {isUserMenuOpen && (
+              <div className="user-menu__dropdown">
+                <p className="user-menu__identity">Signed in as <strong>{currentUser.username}</strong></p>
+                {currentUserPermissions.canManageUsers && (
+                  <a {...linkProps(SCREEN_MAP.USER_MANAGEMENT)} className="user-menu__item"><Icon name="user" /> User Accounts</a>
+                )}
+                {currentUserPermissions.canManageDataSource && (
+                  <a {...linkProps(SCREEN_MAP.DATA_SOURCE)} className="user-menu__item"><Icon name="cog" /> Data Source</a>
+                )}
+                {currentUserPermissions.canConfigureStudentIds && (
+                  <a {...linkProps(SCREEN_MAP.STUDENT_ID_SETTINGS)} className="user-menu__item"><Icon name="student" /> Student ID Format</a>
+                )}
+                <a {...linkProps(SCREEN_MAP.NOTIFICATION_SETTINGS)} className="user-menu__item"><Icon name="bell" /> Notification Settings</a>
+                <a onClick={() => confirmLeavingUnsavedChanges() && endSession('You have signed out.')} className="user-menu__item">Log Out</a>
               </div>
             )}
           </div>
-          <Button variant="icon" icon="bell" onClick={() => alert('Show Notifications')} />
-          <Button variant="icon" icon="user" onClick={() => alert('User Profile / Settings')}>
-            {currentUserRole}
-          </Button>
         </div>
       </header>
 
       <div className="breadcrumbs">
-        {getBreadcrumbs().map((crumb, index, arr) => (
-          <React.Fragment key={crumb.label}>
-            <a onClick={() => navigateTo(crumb.screen, crumb.params)}>{crumb.label}</a>
+        {buildBreadcrumbs(view.screen, view.params, visibleData).map((crumb, index, arr) => (
+          <React.Fragment key={`${crumb.screen}-${index}`}>
+            <a {...linkProps(crumb.screen, crumb.params)}>{crumb.label}</a>
             {index < arr.length - 1 && <span>/</span>}
           </React.Fragment>
         ))}